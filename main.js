@@ -1,21 +1,286 @@
 // Babylon.js Farm Terrain Viewer
-// Main application file with scene setup, single terrain loading, and first-person controls
+// Main application file with scene setup, multi-block terrain streaming, and first-person controls
 //
-// SINGLE TERRAIN SYSTEM:
-// This application loads a single terrain OBJ/MTL file from the /assets/ directory.
-// By default it loads BlockAB, but you can change the terrainName property to load any available terrain.
+// TERRAIN MANIFEST:
+// The blocks that make up the farm are listed in /assets/manifest.json together with their
+// bounds and files. All blocks tile together in a shared coordinate space, so they are
+// loaded under a single terrain root. Blocks near the camera are loaded, blocks further
+// away drop to a lower-detail version (if the manifest lists one) and are unloaded once
+// they are out of range.
 //
 // TO CHANGE TERRAIN:
-// Modify the terrainName property in the constructor to use a different terrain block
-// (e.g., change "BlockAB" to "BlockAYA", "BlockXB", etc.)
+// Pass { terrain: "all" } to stream every block, or a single block name (e.g. "BlockAB",
+// "BlockAYA", "BlockXB") to load just that block. The terrain picker switches at runtime.
+//
+// EMBEDDING:
+// const viewer = new FarmViewer({ container: element, terrain: "BlockXB" });
+// viewer.addEventListener("terrainloaded", (event) => console.log(event.detail));
+// await viewer.start();
+// ...
+// viewer.dispose(); // Removes the engine, render loop and every listener
+
+// Resolve files shipped next to this script (e.g. cannon.min.js) even when embedded elsewhere
+const FARM_VIEWER_SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+
+// Default keyboard bindings for each input action, as KeyboardEvent.code values
+// Codes name physical key positions, so WASD stays in the same place on AZERTY/QWERTZ keyboards
+const DEFAULT_INPUT_BINDINGS = {
+    moveForward: ["KeyW", "ArrowUp"],
+    moveBackward: ["KeyS", "ArrowDown"],
+    strafeLeft: ["KeyA", "ArrowLeft"],
+    strafeRight: ["KeyD", "ArrowRight"],
+    ascend: ["KeyE"],
+    descend: ["KeyQ"],
+    jump: ["Space"],
+    sprint: ["ShiftLeft", "ShiftRight"],
+    toggleMode: ["KeyF"],
+    inspect: ["KeyI"],
+    finishMeasurement: ["Enter"],
+    toggleMinimap: ["KeyM"],
+    addBookmark: ["KeyB"],
+    screenshot: ["KeyP"],
+    toggleShading: ["KeyT"],
+    toggleStats: ["Backquote"]
+};
+
+// Default movement settings; options.movement and the settings panel override them
+const DEFAULT_MOVEMENT_SETTINGS = {
+    moveSpeed: 4.8,          // Walking speed, metres per second
+    sprintMultiplier: 2.5,   // Speed multiplier while Shift is held
+    acceleration: 20,        // Metres per second squared when speeding up
+    deceleration: 25,        // Metres per second squared when slowing down
+    mouseSensitivity: 0.002, // Radians per pixel
+    invertY: false,
+    fieldOfView: 45,         // Degrees (vertical)
+    gravity: -9.81,          // Metres per second squared
+    jumpHeight: 0.5,
+    playerHeight: 1.8,
+    verticalSpeed: 3,        // Q/E speed in fly mode, metres per second
+    maxStepHeight: 0.3       // Highest bump walk mode steps up without climbing
+};
+
+// Movement settings the settings panel edits - the only ones saved in the browser. Saved values
+// override the embedder's options.movement; the rest (gravity, playerHeight, ...) always come from options
+const SAVED_MOVEMENT_SETTINGS = ["moveSpeed", "mouseSensitivity", "invertY", "fieldOfView"];
+
+const INPUT_ACTION_LABELS = {
+    moveForward: "Forward",
+    moveBackward: "Back",
+    strafeLeft: "Strafe left",
+    strafeRight: "Strafe right",
+    ascend: "Up (fly)",
+    descend: "Down (fly)",
+    jump: "Jump",
+    sprint: "Sprint",
+    toggleMode: "Walk/fly",
+    inspect: "Inspect tool",
+    finishMeasurement: "Finish measurement",
+    toggleMinimap: "Minimap",
+    addBookmark: "Bookmark view",
+    screenshot: "Screenshot",
+    toggleShading: "Texture/shading",
+    toggleStats: "Performance stats"
+};
+
+// Measurement tools and the colour their lines are drawn in
+const MEASUREMENT_TOOLS = {
+    ruler: "#ffd34d",   // Polyline: straight-line and surface distance
+    area: "#4dd2ff",    // Polygon: planimetric and surface area
+    profile: "#ff66cc", // Polyline: elevation profile chart
+    volume: "#b084ff"   // Polygon: cut and fill against a reference surface
+};
+
+// Measurement tools drawn as closed polygons
+const POLYGON_TOOLS = ["area", "volume"];
+
+// Suggested placemark categories and the colour new placemarks get
+const PLACEMARK_CATEGORIES = {
+    "erosion": "#d9822b",
+    "broken fence": "#e5484d",
+    "weed patch": "#46a758",
+    "other": "#3e8ed0"
+};
+
+// Layer mask for meshes only the minimap camera shows (cameras and meshes default to 0x0FFFFFFF)
+const MINIMAP_LAYER_MASK = 0x10000000;
+
+// Layer mask for the comparison epoch, only seen by the comparison camera
+const COMPARE_LAYER_MASK = 0x20000000;
+
+// IndexedDB database with the terrain saved for offline use (sw.js serves files from its "files" store)
+const OFFLINE_DB_NAME = "farmViewerOffline";
+const OFFLINE_DB_VERSION = 1;
+
+// Rendering quality presets, lowest first - adaptive quality steps through them in this order
+// hardwareScaling: render resolution divisor (1 = CSS pixels, "native" = every device pixel)
+// maxTextureSize: terrain textures are downscaled to fit (null = the GPU limit)
+// shadowMapSize: shadow map resolution (0 = no shadows)
+// lodBias: multiplies the distance each terrain level of detail is kept to (lower = coarser sooner)
+const QUALITY_PRESETS = {
+    low: { label: "Low", hardwareScaling: 2, maxTextureSize: 1024, shadowMapSize: 0, lodBias: 0.5 },
+    medium: { label: "Medium", hardwareScaling: 1.5, maxTextureSize: 2048, shadowMapSize: 1024, lodBias: 0.75 },
+    high: { label: "High", hardwareScaling: 1, maxTextureSize: 4096, shadowMapSize: 2048, lodBias: 1 },
+    ultra: { label: "Ultra", hardwareScaling: "native", maxTextureSize: null, shadowMapSize: 4096, lodBias: 1.5 }
+};
+const QUALITY_LEVELS = Object.keys(QUALITY_PRESETS);
+
+// Reference ellipsoids for georeferencing (semi-major axis in metres, flattening)
+const ELLIPSOIDS = {
+    WGS84: { a: 6378137, f: 1 / 298.257223563 },
+    GRS80: { a: 6378137, f: 1 / 298.257222101 }
+};
+
+// Terrain shading colours, shared by the shading shader and its legend
+const ELEVATION_RAMP = ["#2b83ba", "#abdda4", "#ffffbf", "#fdae61", "#d7191c"]; // Lowest to highest
+const SLOPE_CLASSES = [
+    { max: 2, color: "#1a9641" },
+    { max: 5, color: "#a6d96a" },
+    { max: 10, color: "#ffffbf" },
+    { max: 15, color: "#fdae61" },
+    { max: 25, color: "#d7191c" },
+    { max: 90, color: "#7b3294" }
+];
+const ASPECT_CLASSES = [
+    { name: "N", color: "#ff0000" },
+    { name: "NE", color: "#ffa600" },
+    { name: "E", color: "#ffff00" },
+    { name: "SE", color: "#00ff00" },
+    { name: "S", color: "#00ffff" },
+    { name: "SW", color: "#00a6ff" },
+    { name: "W", color: "#0000ff" },
+    { name: "NW", color: "#ff00ff" }
+];
+const FLAT_ASPECT = { maxSlope: 2, color: "#9c9c9c" }; // Too flat to have an aspect
+
+// Stream line colours by Strahler order (1, 2, 3, 4, 5 and above)
+const STREAM_ORDER_COLORS = ["#9fdcff", "#4fb0ff", "#1f78ff", "#1446d6", "#0b238f"];
+
+// Route planning colours
+const ROUTE_COLORS = {
+    route: "#ffe14d",    // Planned route and its start/end markers
+    steepest: "#ff7a1a", // Steepest section of the route
+    avoid: "#ff3b3b"     // Outlines of areas the route must avoid
+};
+
+// Sky colour by sun elevation (degrees), blended in between
+const SKY_COLORS = [
+    { elevation: -12, color: "#070b18" }, // Night
+    { elevation: -3, color: "#363c60" },
+    { elevation: 2, color: "#e39a6a" },   // Sunrise/sunset
+    { elevation: 10, color: "#a3c6e6" },
+    { elevation: 30, color: "#6fa8dc" }   // Day
+];
+
+// Shading modes other than "textured" and their value in the shader
+const SHADING_MODES = { elevation: 1, slope: 2, aspect: 3 };
+
+const TERRAIN_SHADING_VERTEX = `
+precision highp float;
+attribute vec3 position;
+uniform mat4 world;
+uniform mat4 worldViewProjection;
+varying vec3 vPosition;
+
+void main(void) {
+    vPosition = (world * vec4(position, 1.0)).xyz;
+    gl_Position = worldViewProjection * vec4(position, 1.0);
+}`;
+
+const TERRAIN_SHADING_FRAGMENT = `
+#extension GL_OES_standard_derivatives : enable
+precision highp float;
+varying vec3 vPosition;
+uniform float shadingMode;
+uniform vec2 elevationRange;
+uniform vec3 elevationColors[${ELEVATION_RAMP.length}];
+uniform float slopeLimits[${SLOPE_CLASSES.length}];
+uniform vec3 slopeColors[${SLOPE_CLASSES.length}];
+uniform vec3 aspectColors[${ASPECT_CLASSES.length}];
+uniform vec3 flatColor;
+uniform float flatSlope;
+uniform vec3 lightDirection;
+
+void main(void) {
+    // Face normal (as used by the inspect tool), turned to face up
+    vec3 normal = normalize(cross(dFdx(vPosition), dFdy(vPosition)));
+    if (normal.y < 0.0) normal = -normal;
+    float slope = degrees(acos(clamp(normal.y, 0.0, 1.0)));
+    vec3 color = flatColor;
+
+    if (shadingMode < 1.5) {
+        float t = clamp((vPosition.y - elevationRange.x) / max(elevationRange.y - elevationRange.x, 0.001), 0.0, 1.0)
+            * float(${ELEVATION_RAMP.length - 1});
+        color = elevationColors[0];
+        for (int i = 1; i < ${ELEVATION_RAMP.length}; i++) {
+            if (t >= float(i - 1)) color = mix(elevationColors[i - 1], elevationColors[i], clamp(t - float(i - 1), 0.0, 1.0));
+        }
+    } else if (shadingMode < 2.5) {
+        color = slopeColors[${SLOPE_CLASSES.length - 1}];
+        for (int i = ${SLOPE_CLASSES.length - 1}; i >= 0; i--) {
+            if (slope <= slopeLimits[i]) color = slopeColors[i];
+        }
+    } else if (slope >= flatSlope) {
+        // Compass sectors centred on N, NE, E... (+Z north, +X east)
+        float aspect = mod(degrees(atan(normal.x, normal.z)) + 382.5, 360.0);
+        int sector = int(aspect / 45.0);
+        for (int i = 0; i < ${ASPECT_CLASSES.length}; i++) {
+            if (i == sector) color = aspectColors[i];
+        }
+    }
+
+    // Some relief shading so the shape of the ground stays readable
+    gl_FragColor = vec4(color * (0.6 + 0.4 * max(dot(normal, lightDirection), 0.0)), 1.0);
+}`;
+
+// Gamepad buttons for each action (standard mapping); the sticks move and look
+const GAMEPAD_BUTTON_BINDINGS = {
+    jump: [0],        // A / Cross
+    toggleMode: [3],  // Y / Triangle
+    descend: [4, 6],  // Left bumper, left trigger
+    ascend: [5, 7],   // Right bumper, right trigger
+    sprint: [10]      // Left stick press
+};
+
+// Stick directions for the movement actions, as [axis, sign] of getStickInput() (x = right, z = forward):
+// the gamepad's left stick and the mobile movement joystick
+const STICK_ACTION_BINDINGS = {
+    moveForward: ["z", 1],
+    moveBackward: ["z", -1],
+    strafeRight: ["x", 1],
+    strafeLeft: ["x", -1]
+};
+
+// Mobile on-screen buttons for each action and the value they give (they fly up/down at half speed)
+const MOBILE_BUTTON_BINDINGS = {
+    ascend: ["verticalUp", 0.5],
+    descend: ["verticalDown", 0.5],
+    jump: ["verticalUp", 1]      // The "up" button doubles as jump in walk mode
+};
 
-class FarmViewer {
-    constructor() {
+class FarmViewer extends EventTarget {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLCanvasElement|string} [options.canvas] Canvas element or its id (default "babylonCanvas")
+     * @param {HTMLElement} [options.container] Element to create a canvas in, used when no canvas is given
+     * @param {Document|HTMLElement} [options.uiRoot] Where to look up the viewer's UI elements (default document)
+     * @param {string} [options.terrain] "all" or a single block name
+     * @param {string} [options.assetsRoot] URL of the assets directory (default "./assets/")
+     * @param {string} [options.manifestUrl] URL of the terrain manifest (default assetsRoot + "manifest.json")
+     * @param {Object} [options.movement] Overrides for the movement settings (moveSpeed, mouseSensitivity, ...)
+     * @param {string} [options.movementMode] "walk" (default) or "fly"
+     * @param {boolean} [options.physics] Use the cannon-es physics player in walk mode (default false)
+     * @param {string} [options.physicsModuleUrl] URL of the cannon-es module (default cannon.min.js next to main.js)
+     * @param {boolean} [options.useUrlState] Read and update ?terrain=&pos=&look= in the page URL (default true)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        
         this.canvas = null;
         this.engine = null;
         this.scene = null;
         this.camera = null;
-        this.farmMesh = null; // Single terrain mesh
+        this.farmMesh = null; // Terrain root - every loaded block is parented to it
         this.groundPlane = null;
         this.keys = {};
         this.isPointerLocked = false;
@@ -33,20 +298,402 @@ class FarmViewer {
             look: null
         };
         
-        // Terrain configuration - change this to load different terrain
-        this.terrainName = "BlockAB"; // Available: BlockAB, BlockAYA, BlockAYX, BlockXB, BlockXYA, BlockXYX
+        // Terrain configuration
+        this.terrainName = options.terrain || "all"; // "all", a block name (e.g. BlockAB) or block@date for one capture date
+        this.assetsRoot = options.assetsRoot || "./assets/";
+        this.manifestUrl = options.manifestUrl || `${this.assetsRoot}manifest.json`;
+        this.manifest = null;
+        this.useUrlState = options.useUrlState !== false;
+        
+        // UI lookups are scoped so several viewers can live on one page
+        this.uiRoot = options.uiRoot || document;
+        
+        // Every DOM listener is registered with this signal so dispose() can remove them all
+        this.abortController = new AbortController();
+        this.resizeObserver = null;
+        this.ownsCanvas = false;
+        this.startPromise = null;
+        this.isDisposed = false;
+        this.lastCameraPose = null;
+        
+        // Block streaming state (name -> { entry, bounds, root, lodIndex, pending })
+        this.blocks = new Map();
+        this.streamingSettings = {
+            loadDistance: 300,    // Blocks closer than this (metres, horizontal) are loaded
+            unloadDistance: 450,  // Loaded blocks further than this are unloaded
+            updateInterval: 500   // Milliseconds between streaming checks
+        };
+        this.streamingQueue = [];
+        this.isStreaming = false;
+        this.streamingPaused = false; // Held while an export needs every block at full detail
+        this.lastStreamingUpdate = 0;
+        this.blockBoundsKey = options.blockBoundsKey || "farmViewer.blockBounds"; // Bounds measured for blocks the manifest has none for
+        this.terrainBounds = null; // Combined extent of every block { min, max }
+        this.placeholderSeed = 1; // Seed for the placeholder terrain's heights
+        this.loadDiagnostics = []; // Problems found while loading terrain { level, block, message }
+        this.terrainGeneration = 0; // Bumped whenever the terrain is disposed, to drop stale loads
+        this.isSwitchingTerrain = false;
         
         // Movement settings
-        this.moveSpeed = 0.08; // WASD speed made even slower
-        this.mouseSensitivity = 0.002;
-        this.gravity = -0.02;
-        this.jumpHeight = 0.5;
-        this.playerHeight = 1.8;
-        this.verticalSpeed = 0.05; // Q/E speed made even slower
+        Object.assign(this, DEFAULT_MOVEMENT_SETTINGS);
+        this.maxWalkSlope = BABYLON.Tools.ToRadians(45); // Steeper slopes can't be walked up
+        this.walkProbeDistance = 0.25; // How far ahead walk mode measures the slope it is about to climb
         this.terrainMinY = -5; // Minimum Y level (will be updated when terrain loads)
         
-        // Initialize the application
-        this.init();
+        // Movement mode: "walk" follows the terrain surface, "fly" ignores gravity
+        this.movementMode = options.movementMode === "fly" ? "fly" : "walk";
+        this.verticalVelocity = 0;
+        this.isGrounded = false;
+        this.velocity = BABYLON.Vector3.Zero(); // Current movement velocity, metres per second
+        
+        // Input actions: keyboard bindings (remappable), gamepad and mobile joysticks
+        this.inputBindings = JSON.parse(JSON.stringify(DEFAULT_INPUT_BINDINGS));
+        this.rebindingAction = null; // Action waiting for a key press in the settings panel
+        this.rebindingSlot = 0;      // Which of its keys is being changed (its key count adds one)
+        this.gamepadState = { connected: false, axes: [0, 0, 0, 0], buttons: [] };
+        this.gamepadDeadZone = 0.15;
+        this.gamepadLookSpeed = 2.5; // Radians per second at full stick deflection
+        
+        // Terrain tools: while one is active, clicks/taps pick the terrain instead of locking the cursor
+        this.activeTool = null; // null, "inspect", "placemark", "drainage", "route" or one of MEASUREMENT_TOOLS
+        this.pointerDown = null; // Where the current click/tap started, to tell taps from drags
+        this.inspectMarker = null;
+        this.measurements = []; // { type, points, meshes, result }, kept in the scene until cleared
+        this.activeMeasurement = null; // Measurement still being drawn
+        this.screenLabels = new Set(); // Billboards that keep the same size on screen
+        this.placemarks = []; // { id, title, category, note, color, position: [x, y, z], block, created }
+        this.placemarkMeshes = new Map(); // Placemark id -> { pin, label }
+        this.selectedPlacemarkId = null;
+        this.placemarksKey = options.placemarksKey || "farmViewer.placemarks"; // + ".<block name>"
+        this.placemarkViewDistance = 12; // How far from a placemark the camera stops when flying to it
+        this.cameraFlight = null; // Camera animation in progress (flyCameraTo)
+        this.lastGeoUpdate = 0;
+        
+        // GeoJSON layers draped onto the terrain
+        this.vectorLayers = []; // { id, name, features, projection, styleField, visible, color, meshes, materials, draped }
+        this.vectorLayersDirty = false; // Terrain changed since the layers were draped
+        this.lastVectorDrape = 0;
+        this.lastTooltipUpdate = 0;
+        this.manifestLayersLoaded = false;
+        
+        // Top-down minimap (second, orthographic camera)
+        this.minimapCamera = null;
+        this.minimapArrow = null;
+        this.minimapAspect = 1;
+        this.minimapVisible = false;
+        this.pendingDrop = null; // Teleport waiting for terrain under the player { x, z, since }
+        
+        // Comparing two capture dates (epochs) of one block
+        this.compareRoot = null;
+        this.compareBlock = null; // Block state of the comparison epoch (createBlockState)
+        this.compareCamera = null; // Follows this.camera, sees only COMPARE_LAYER_MASK
+        this.compareMode = "swipe"; // "swipe", "sideBySide" or "difference"
+        this.compareGeneration = 0; // Bumped to drop comparison loads that were replaced
+        this.swipePosition = 0.5; // Divider position, fraction of the canvas width from the left
+        this.differenceOverlay = null;
+        this.differenceResult = null;
+        this.differenceDirty = false;
+        this.lastDifferenceUpdate = 0;
+        
+        // Blocks saved for offline use (IndexedDB, served by sw.js when there is no connection)
+        this.offlineDatabase = null; // Promise of the open IDBDatabase
+        this.offlineBlocks = new Map(); // Terrain name (block or block@date) -> { key, name, date, files, size, savedAt }
+        this.offlineProgress = null; // { key, done, total } while a block is being saved
+        this.storageEstimate = null; // navigator.storage.estimate() result
+        
+        // Rendering quality (see QUALITY_PRESETS) and the performance stats overlay
+        this.qualityMode = QUALITY_PRESETS[options.quality] ? options.quality : "auto"; // "auto" adapts to the frame rate
+        this.qualityPreset = this.qualityMode === "auto" ? this.getDefaultQualityPreset() : this.qualityMode; // Adaptive quality moves it
+        this.adaptiveQualitySettings = {
+            minFps: 30,       // Step down after the frame rate stays below this for downDelay
+            maxFps: 55,       // Step up after it stays at or above this for upDelay
+            downDelay: 2000,  // Milliseconds
+            upDelay: 8000,
+            cooldown: 5000,   // Let a change (and any texture reloads) settle before measuring again
+            retryDelay: 60000 // Before trying a preset again that was too slow
+        };
+        this.adaptiveQualityState = { slowSince: null, fastSince: null, lastChange: 0, tooSlow: null };
+        this.nativeMaxTextureSize = null; // The GPU's own texture size limit
+        this.statsVisible = false;
+        this.sceneInstrumentation = null;
+        this.engineInstrumentation = null;
+        this.activeVerticesObserver = null;
+        this.activeVertexCount = 0; // Vertices of the meshes the main camera drew last frame
+        this.lastStatsUpdate = 0;
+        
+        // Sun position lighting - while off, the fixed lights from addLighting() are used
+        this.sunSettings = Object.assign({
+            latitude: null,      // Farm location for terrain without a georeference (which supplies its own)
+            longitude: null,
+            utcOffset: null,     // Hours ahead of UTC the date and time are in; null = the browser's time zone
+            speed: 60,           // Minutes of sun time per second while the day animates
+            shadowDistance: 400  // Metres from the camera that terrain shadows reach
+        }, options.sun);
+        this.sunEnabled = false;
+        this.sunDate = this.formatDateInput(new Date()); // "YYYY-MM-DD"
+        this.sunMinutes = 12 * 60; // Time of day, minutes after midnight
+        this.sunPlaying = false;
+        this.sunDirty = false;
+        this.sunPosition = null; // { elevation, azimuth } in degrees, azimuth clockwise from north
+        this.shadowGenerator = null; // The sun's (cascaded) shadow generator
+        this.shadowMapSize = 0; // Its map size, 0 without one
+        this.defaultLighting = null; // What the lights go back to when the sun is switched off
+        
+        // Camera bookmarks and fly-through paths, saved per terrain
+        this.bookmarks = []; // { id, name, position: [x, y, z], rotation: [pitch, yaw] }
+        this.paths = []; // { id, name, interpolation: "linear" | "spline", keyframes: [{ time, position, rotation }] }
+        this.pathBookmarkIds = new Set(); // Bookmarks ticked for the next path
+        this.toursKey = options.toursKey || "farmViewer.tours"; // + ".<terrain name>"
+        this.recordingPath = null;
+        this.playback = null; // { path, time, playing }
+        this.playbackSpeed = 1;
+        this.tourSampleInterval = 0.1; // Seconds between recorded camera samples
+        this.tourSpeed = 8; // Metres per second along paths built from bookmarks
+        
+        // Image exports
+        this.orthophotoResolution = 0.1; // Default ground sample distance, metres per pixel
+        this.maxExportSize = 8192; // Largest exported image side, pixels (less if the GPU can't render it)
+        
+        // Terrain shading modes and contours
+        this.shadingMode = "textured"; // "textured", "elevation", "slope" or "aspect"
+        this.lastShadingMode = "elevation"; // Where toggleShading() goes from the textured view
+        this.shadingMaterial = null;
+        this.shadingDirty = false;
+        this.originalMaterials = new Map(); // Terrain mesh -> its own material while shaded
+        this.elevationRange = null; // { min, max } of the elevation ramp; null follows the terrain
+        this.contoursVisible = false;
+        this.contourInterval = 1; // Metres between contours
+        this.majorContourEvery = 5; // Every nth contour is drawn darker and labelled
+        this.contourLabelSpacing = 50; // Minimum metres between labels of the same contour
+        this.maxContourLabels = 200;
+        this.maxContourGridSize = 1000; // Height samples along the terrain's longer side
+        this.contourMeshes = [];
+        this.contoursDirty = false;
+        this.lastContourUpdate = 0;
+        this.layerPalette = ["#ffb000", "#00c2ff", "#ff4f9a", "#7ddc1f", "#b084ff", "#ff7a3d", "#00d6a3", "#f5e05a"];
+        this.labelScale = 0.04; // Screen label height as a fraction of its distance from the camera
+        this.measurementSampleSpacing = 0.25; // Metres between terrain samples along measured lines
+        this.volumeReference = { type: "bestfit" }; // Reference surface for volumes, see measureVolume()
+        
+        // Surface water flow and ponding (drainage tool)
+        this.drainageSettings = {
+            maxGridSize: 500,       // Grid points along the terrain's longer side
+            streamThreshold: null,  // Upstream area (m²) that makes a stream; null = 0.5% of the analysed area
+            minPondDepth: 0.05,     // Metres of standing water before a depression counts as a pond
+            minPondArea: 4          // m²
+        };
+        this.drainage = null; // Last analysis, see TerrainGrid.analyzeDrainage()
+        this.drainageMeshes = [];
+        this.flowTrace = null; // { result, meshes } of the last traced flow path
+        this.drainageStale = false; // The terrain changed since the analysis
+        
+        // Route planning between two picked points, over a height grid around them
+        this.routeSettings = Object.assign({
+            maxSlope: 15,         // Degrees; ground steeper than this in any direction is impassable
+            slopePenalty: 1,      // Extra cost of a step at the maximum slope, as a fraction of its length
+            cellSize: 1,          // Metres, the finest grid used
+            maxGridCells: 250000, // The grid gets coarser for far-apart points
+            margin: 50,           // Metres searched around the start and end (at least half their distance)
+            avoidLayers: true,    // Polygons in visible GeoJSON layers are avoided too
+            steepestLength: 5,    // Metres the steepest section is measured over
+            lookAhead: 3          // Metres ahead of the camera that walking the route steers towards
+        }, options.route);
+        this.routeStart = null;
+        this.routeEnd = null;
+        this.route = null; // Last planned route, see planRoute()
+        this.routeMeshes = []; // Route line, markers and steepest section label
+        this.routeAvoidAreas = []; // { points, meshes } drawn with "Draw avoid area"
+        this.routeAvoidDraft = null; // Avoid area being drawn
+        this.routeWalk = null; // Progress while the camera walks the route
+        
+        // Optional physics player (cannon-es, loaded on demand from cannon.min.js)
+        this.physicsEnabled = false;
+        this.physicsModuleUrl = options.physicsModuleUrl || new URL("cannon.min.js", FARM_VIEWER_SCRIPT_URL).href;
+        this.CANNON = null;
+        this.physicsWorld = null;
+        this.playerBody = null;
+        this.terrainBody = null;
+        this.physicsTerrainDirty = false;
+        this.physicsColliderCenter = null;
+        this.physicsSettings = {
+            capsuleRadius: 0.3,     // Radius of the spheres making up the player capsule
+            groundTolerance: 0.15,  // How far below the capsule still counts as standing
+            colliderSize: 128,      // Width (metres) of the heightfield built around the player
+            colliderCellSize: 0.5,  // Heightfield resolution (metres)
+            airControl: 2           // How quickly input steers the player in the air
+        };
+        Object.assign(this, this.pickMovementSettings(options.movement));
+        
+        // Settings the user changed in the settings panel (saved in this browser) override options.movement
+        this.settingsKey = options.settingsKey || "farmViewer.settings";
+        this.loadSettings();
+    }
+
+    /**
+     * Keep only known movement settings (or the given keys) from an options object
+     */
+    pickMovementSettings(settings = {}, keys = [
+        "moveSpeed", "sprintMultiplier", "acceleration", "deceleration", "mouseSensitivity", "invertY",
+        "fieldOfView", "gravity", "jumpHeight", "playerHeight", "verticalSpeed", "maxStepHeight"
+    ]) {
+        const picked = {};
+        keys.forEach(key => {
+            if (typeof settings[key] === "number" || typeof settings[key] === "boolean") {
+                picked[key] = settings[key];
+            }
+        });
+        return picked;
+    }
+
+    /**
+     * Restore the settings saved in localStorage (speed, sensitivity, invert-Y, field of view, quality,
+     * and the farm location used for the sun)
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.settingsKey) || "{}");
+            Object.assign(this, this.pickMovementSettings(saved, SAVED_MOVEMENT_SETTINGS));
+            Object.assign(this.inputBindings, this.pickInputBindings(saved.bindings));
+            if (saved.quality === "auto" || QUALITY_PRESETS[saved.quality]) {
+                this.qualityMode = saved.quality;
+                this.qualityPreset = saved.quality === "auto" ? this.getDefaultQualityPreset() : saved.quality;
+            }
+            if (saved.sun && Number.isFinite(saved.sun.latitude) && Number.isFinite(saved.sun.longitude)) {
+                this.sunSettings.latitude = saved.sun.latitude;
+                this.sunSettings.longitude = saved.sun.longitude;
+            }
+        } catch (error) {
+            console.warn("Could not read saved settings:", error);
+        }
+    }
+
+    /**
+     * Save the user-adjustable settings to localStorage
+     */
+    saveSettings() {
+        const settings = {
+            ...this.pickMovementSettings(this, SAVED_MOVEMENT_SETTINGS),
+            bindings: this.inputBindings,
+            quality: this.qualityMode,
+            sun: { latitude: this.sunSettings.latitude, longitude: this.sunSettings.longitude }
+        };
+        
+        try {
+            localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+        } catch (error) {
+            console.warn("Could not save settings:", error);
+        }
+    }
+
+    /**
+     * Wire up the settings panel inputs to the live settings
+     */
+    setupSettingsPanel() {
+        const panel = this.getUiElement("settingsPanel");
+        const toggleButton = this.getUiElement("settingsButton");
+        if (!panel) return;
+        
+        if (toggleButton) {
+            this.listen(toggleButton, "click", (event) => {
+                event.stopPropagation();
+                toggleButton.blur();
+                panel.style.display = panel.style.display === "block" ? "none" : "block";
+            });
+        }
+        
+        // [input id, setting, convert from input value, format for the label]
+        const fields = [
+            ["settingMoveSpeed", "moveSpeed", Number, value => `${value.toFixed(1)} m/s`],
+            ["settingMouseSensitivity", "mouseSensitivity", Number, value => value.toFixed(4)],
+            ["settingFieldOfView", "fieldOfView", Number, value => `${Math.round(value)}°`],
+            ["settingInvertY", "invertY", null, null]
+        ];
+        
+        // Show a setting's current value in its input and label
+        const showField = ([id, setting, , format]) => {
+            const input = this.getUiElement(id);
+            const label = this.getUiElement(`${id}Value`);
+            if (input && input.type === "checkbox") {
+                input.checked = this[setting];
+            } else if (input) {
+                input.value = this[setting];
+            }
+            if (label && format) label.textContent = format(this[setting]);
+        };
+        
+        fields.forEach(field => {
+            const [id, setting, convert] = field;
+            const input = this.getUiElement(id);
+            if (!input) return;
+            showField(field);
+            
+            this.listen(input, "input", () => {
+                this[setting] = input.type === "checkbox" ? input.checked : convert(input.value);
+                showField(field);
+                this.applyCameraSettings();
+                this.saveSettings();
+            });
+        });
+        
+        // Rendering quality and the stats overlay
+        this.setupQualityControls();
+        
+        // Remappable key bindings - one listener for the list, whose buttons are rebuilt on every change
+        const bindingList = this.getUiElement("bindingList");
+        if (bindingList) {
+            this.listen(bindingList, "click", (event) => {
+                const button = event.target.closest("button[data-action]");
+                if (!button) return;
+                event.stopPropagation();
+                button.blur();
+                this.rebindingAction = button.dataset.action;
+                this.rebindingSlot = Number(button.dataset.slot);
+                this.renderBindingList();
+            });
+        }
+        this.renderBindingList();
+        
+        const resetButton = this.getUiElement("settingsReset");
+        if (resetButton) {
+            this.listen(resetButton, "click", () => {
+                // Back to the defaults and the embedder's options.movement
+                Object.assign(this,
+                    this.pickMovementSettings(DEFAULT_MOVEMENT_SETTINGS, SAVED_MOVEMENT_SETTINGS),
+                    this.pickMovementSettings(this.options.movement, SAVED_MOVEMENT_SETTINGS));
+                this.inputBindings = JSON.parse(JSON.stringify(DEFAULT_INPUT_BINDINGS));
+                this.rebindingAction = null;
+                this.renderBindingList();
+                fields.forEach(showField);
+                this.applyCameraSettings();
+                this.setQualityMode(QUALITY_PRESETS[this.options.quality] ? this.options.quality : "auto");
+                
+                // setQualityMode() saves the settings, so forget them last
+                localStorage.removeItem(this.settingsKey);
+            });
+        }
+    }
+
+    /**
+     * Apply settings that live on the camera (field of view)
+     */
+    applyCameraSettings() {
+        if (this.camera) {
+            this.camera.fov = BABYLON.Tools.ToRadians(this.fieldOfView);
+        }
+    }
+
+    /**
+     * Create the engine, load the terrain and start rendering
+     * Resolves once the viewer is ready; safe to call more than once
+     */
+    start() {
+        if (this.isDisposed) {
+            return Promise.reject(new Error("FarmViewer has been disposed"));
+        }
+        if (!this.startPromise) {
+            this.startPromise = this.init();
+        }
+        return this.startPromise;
     }
 
     async init() {
@@ -54,12 +701,16 @@ class FarmViewer {
             console.log("Initializing Babylon.js Farm Viewer...");
             
             // Get canvas and create engine
-            this.canvas = document.getElementById("babylonCanvas");
+            this.canvas = this.resolveCanvas();
             this.engine = new BABYLON.Engine(this.canvas, true, { preserveDrawingBuffer: true, stencil: true });
             
             // Create scene
             this.createScene();
             
+            // Render resolution and the texture size limit apply before any terrain loads
+            this.nativeMaxTextureSize = this.engine.getCaps().maxTextureSize;
+            this.applyQualitySettings();
+            
             // Set up initial camera (ArcRotate)
             this.createInitialCamera();
             
@@ -69,18 +720,72 @@ class FarmViewer {
             // Add ground plane (safety net)
             this.createGroundPlane();
             
-            // Load single terrain
+            // A deep link (?terrain=...&pos=...&look=...) overrides the default terrain and start view
+            const urlState = this.useUrlState ? this.parseUrlState() : {};
+            if (urlState.terrain) {
+                this.terrainName = urlState.terrain;
+            }
+            
+            // Load terrain blocks from the manifest
             await this.loadTerrain();
             
+            // dispose() may have been called while the terrain was loading
+            if (this.isDisposed) return this;
+            
             // Switch to first-person camera
             this.setupFirstPersonCamera();
             
             // Position first-person camera above terrain
             this.positionCameraForTerrain();
+            this.applyView(urlState);
             
             // Set up input controls
             this.setupControls();
             
+            // Block picker and shareable links
+            this.setupTerrainPicker();
+            
+            // Speed, sensitivity, invert-Y and field of view
+            this.setupSettingsPanel();
+            
+            // Placemarks saved for the loaded blocks
+            this.setupPlacemarkPanel();
+            this.loadPlacemarks();
+            
+            // Latitude/longitude readout and "go to" for georeferenced terrain
+            this.setupGeoPanel();
+            
+            // GeoJSON layers (drag-and-drop, or listed in the manifest)
+            this.setupLayersPanel();
+            await this.loadManifestLayers();
+            
+            // Top-down minimap with click-to-teleport
+            this.setupMinimap();
+            
+            // Camera bookmarks and fly-throughs
+            this.setupToursPanel();
+            this.loadTours();
+            
+            // Screenshots and orthophoto/heightmap export
+            this.setupCapturePanel();
+            
+            // Elevation/slope/aspect shading and contours
+            this.setupShadingControls();
+            
+            // Comparing capture dates of a block
+            this.setupComparePanel();
+            
+            // Sun position by date, time and location
+            this.setupSunPanel();
+            
+            // Saving blocks for use without a connection
+            this.setupOfflinePanel();
+            
+            // Optional physics player
+            if (this.options.physics) {
+                await this.setPhysicsEnabled(true);
+            }
+            
             // Start render loop
             this.startRenderLoop();
             
@@ -88,18 +793,136 @@ class FarmViewer {
             this.hideLoadingScreen();
             
             console.log("Farm Viewer initialized successfully!");
+            this.emit("ready");
+            return this;
             
         } catch (error) {
             console.error("Failed to initialize Farm Viewer:", error);
             this.showError("Failed to load the farm terrain. Please check the console for details.");
+            this.emit("error", { message: "Failed to initialize Farm Viewer", error: error });
+            throw error;
+        }
+    }
+
+    /**
+     * Find the canvas to render into, creating one inside options.container if needed
+     */
+    resolveCanvas() {
+        const { canvas, container } = this.options;
+        
+        if (canvas instanceof HTMLCanvasElement) {
+            return canvas;
+        }
+        if (typeof canvas === "string") {
+            return this.getUiElement(canvas);
+        }
+        if (container) {
+            const created = document.createElement("canvas");
+            created.style.width = "100%";
+            created.style.height = "100%";
+            created.style.display = "block";
+            created.style.touchAction = "none";
+            container.appendChild(created);
+            this.ownsCanvas = true;
+            return created;
+        }
+        
+        return this.getUiElement("babylonCanvas");
+    }
+
+    /**
+     * Look up one of the viewer's UI elements by id within uiRoot
+     */
+    getUiElement(id) {
+        return this.uiRoot.querySelector(`#${id}`);
+    }
+
+    /**
+     * addEventListener that is undone by dispose()
+     */
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.abortController.signal });
+    }
+
+    /**
+     * Flag systems that depend on the terrain geometry for an update
+     * Called whenever terrain blocks load, unload or the terrain is replaced
+     */
+    onTerrainChanged() {
+        this.physicsTerrainDirty = true;
+        this.vectorLayersDirty = true;
+        this.shadingDirty = true;
+        this.contoursDirty = true;
+        this.differenceDirty = true;
+        this.sunDirty = true; // A georeference may have arrived with the block
+        this.drainageStale = Boolean(this.drainage);
+    }
+
+    /**
+     * Dispatch a viewer event (ready, terrainloaded, blockloaded, blockunloaded, cameramove, modechange,
+     * toolchange, inspect, measure, placemarkchange, shadingchange, drainage, flowtrace, route, routewalk,
+     * comparechange, offlinechange, qualitychange, sunchange, error, disposed)
+     */
+    emit(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    /**
+     * Tear down the viewer: render loop, engine, terrain and every listener it registered
+     * The viewer can't be restarted afterwards - create a new FarmViewer instead.
+     */
+    dispose() {
+        if (this.isDisposed) return;
+        this.isDisposed = true;
+        
+        // Removes every listener registered through listen()
+        this.abortController.abort();
+        
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        
+        if (document.pointerLockElement === this.canvas) {
+            document.exitPointerLock();
+        }
+        
+        this.disposeTerrain();
+        this.disposePhysics();
+        this.disposeStats();
+        
+        if (this.offlineDatabase) {
+            this.offlineDatabase.then(db => db.close(), () => {});
+            this.offlineDatabase = null;
+        }
+        
+        if (this.engine) {
+            this.engine.stopRenderLoop();
+            if (this.scene) {
+                this.scene.dispose();
+            }
+            this.engine.dispose();
+        }
+        
+        if (this.ownsCanvas && this.canvas) {
+            this.canvas.remove();
         }
+        
+        this.scene = null;
+        this.engine = null;
+        this.camera = null;
+        this.keys = {};
+        
+        console.log("Farm Viewer disposed");
+        this.emit("disposed");
     }
 
     createScene() {
-        // Create scene with physics
+        // Create scene
         this.scene = new BABYLON.Scene(this.engine);
         
-        // Using basic collision detection (no physics engine needed for terrain exploration)
+        // Built-in collision detection by default; the optional cannon-es physics player
+        // (setPhysicsEnabled) runs its own world alongside the scene
         console.log("Using Babylon.js built-in collision detection");
         
         // Enable collisions (this works without physics engine)
@@ -149,419 +972,7998 @@ class FarmViewer {
         );
         directionalLight.intensity = 0.5;
         
+        // What switching the sun off goes back to
+        this.defaultLighting = {
+            direction: directionalLight.direction.clone(),
+            sunIntensity: directionalLight.intensity,
+            sunColor: directionalLight.diffuse.clone(),
+            skyIntensity: hemisphericLight.intensity,
+            clearColor: this.scene.clearColor.clone()
+        };
+        
         console.log("Lighting setup complete");
     }
 
-    createGroundPlane() {
-        // Create a large ground plane as safety net
-        this.groundPlane = BABYLON.MeshBuilder.CreateGround(
-            "groundPlane",
-            { width: 200, height: 200 },
-            this.scene
-        );
+    /**
+     * Wire up the sun panel: on/off, date, time slider with day animation, and farm location
+     */
+    setupSunPanel() {
+        const panel = this.getUiElement("sunPanel");
+        const toggleButton = this.getUiElement("sunButton");
+        if (panel && toggleButton) {
+            this.listen(toggleButton, "click", (event) => {
+                event.stopPropagation();
+                toggleButton.blur();
+                panel.style.display = panel.style.display === "block" ? "none" : "block";
+            });
+        }
         
-        // Position below expected farm mesh
-        this.groundPlane.position.y = -5;
+        const enabled = this.getUiElement("sunEnabled");
+        if (enabled) {
+            this.listen(enabled, "change", () => this.setSunEnabled(enabled.checked));
+        }
         
-        // Create simple material for ground
-        const groundMaterial = new BABYLON.StandardMaterial("groundMaterial", this.scene);
-        groundMaterial.diffuseColor = new BABYLON.Color3(0.4, 0.4, 0.35); // Subtle brownish-gray
-        groundMaterial.specularColor = new BABYLON.Color3(0, 0, 0);
-        this.groundPlane.material = groundMaterial;
+        const date = this.getUiElement("sunDate");
+        if (date) {
+            this.listen(date, "change", () => {
+                if (date.value) this.setSunTime(date.value, this.sunMinutes);
+            });
+        }
         
-        // Enable collisions for ground plane
-        this.groundPlane.checkCollisions = true;
+        const time = this.getUiElement("sunTime");
+        if (time) {
+            this.listen(time, "input", () => this.setSunTime(this.sunDate, Number(time.value)));
+        }
         
-        console.log("Ground plane created as safety net");
+        const play = this.getUiElement("sunPlay");
+        if (play) {
+            this.listen(play, "click", () => this.setSunPlaying(!this.sunPlaying));
+        }
+        
+        const speed = this.getUiElement("sunSpeed");
+        if (speed) {
+            speed.value = String(this.sunSettings.speed);
+            this.listen(speed, "change", () => {
+                this.sunSettings.speed = Number(speed.value);
+            });
+        }
+        
+        const latitude = this.getUiElement("sunLatitude");
+        const longitude = this.getUiElement("sunLongitude");
+        [latitude, longitude].forEach(input => {
+            if (!input) return;
+            this.listen(input, "change", () => {
+                const lat = latitude ? parseFloat(latitude.value) : NaN;
+                const lon = longitude ? parseFloat(longitude.value) : NaN;
+                if (Number.isFinite(lat) && Number.isFinite(lon)) {
+                    this.setSunLocation(lat, lon);
+                }
+            });
+        });
+        
+        this.renderSunPanel();
     }
 
     /**
-     * Find the .obj file in a terrain directory
-     * Returns the filename of the first .obj file found
+     * Follow the real sun (true) or go back to the fixed default lights (false)
      */
-    async findObjFile(terrainName) {
-        // Try common naming patterns in order of likelihood
-        const possibleNames = [
-            'terrain.obj',         // New standard terrain file
-            `${terrainName}.obj`,  // Directory name matches file name
-            'Geordie.obj',         // Special case for BlockAB (legacy)
-            'model.obj',           // Generic model name
-            'mesh.obj',            // Generic mesh name
-            'farm.obj'             // Legacy farm name
-        ];
+    setSunEnabled(enabled) {
+        this.sunEnabled = enabled;
         
-        for (const fileName of possibleNames) {
-            try {
-                // Test if file exists by attempting a HEAD request
-                const testResponse = await fetch(`./assets/${terrainName}/${fileName}`, { 
-                    method: 'HEAD' 
-                });
-                
-                if (testResponse.ok) {
-                    console.log(`Found .obj file: ${fileName}`);
-                    return fileName;
-                }
-            } catch (error) {
-                // File doesn't exist or network error, try next name
-                continue;
+        if (!enabled) {
+            this.sunPlaying = false;
+            this.sunPosition = null;
+            const defaults = this.defaultLighting;
+            const sun = this.scene.getLightByName("directionalLight");
+            const sky = this.scene.getLightByName("hemisphericLight");
+            if (defaults && sun && sky) {
+                sun.direction = defaults.direction.clone();
+                sun.intensity = defaults.sunIntensity;
+                sun.diffuse = defaults.sunColor.clone();
+                sky.intensity = defaults.skyIntensity;
+                this.scene.clearColor = defaults.clearColor.clone();
             }
+            this.emit("sunchange", { enabled: false });
         }
         
-        console.warn(`No .obj file found for terrain ${terrainName}, trying default name`);
-        return `${terrainName}.obj`; // Fallback to expected name
+        this.sunDirty = true;
+        this.applyShadowQuality(QUALITY_PRESETS[this.qualityPreset].shadowMapSize);
+        this.renderSunPanel();
+        console.log(`Sun position lighting ${enabled ? "on" : "off"}`);
     }
 
     /**
-     * Load single terrain from assets directory
-     * Automatically detects the .obj file name in the terrain directory
+     * Set the date ("YYYY-MM-DD") and time of day (minutes after midnight) the sun is shown at
+     * Times are in sunSettings.utcOffset, or the browser's time zone when that is null
      */
-    async loadTerrain() {
-        try {
-            console.log(`Loading terrain: ${this.terrainName}`);
-            
-            // Find the .obj file in the terrain directory
-            const objFileName = await this.findObjFile(this.terrainName);
-            if (!objFileName) {
-                throw new Error(`No .obj file found in ${this.terrainName} directory`);
-            }
-            
-            console.log(`Found .obj file: ${objFileName}`);
-            
-            // Use ImportMeshAsync for modern promise-based loading
-            const result = await BABYLON.SceneLoader.ImportMeshAsync(
-                "", // Import all meshes
-                `./assets/${this.terrainName}/`, // Terrain directory
-                objFileName, // Auto-detected OBJ file
-                this.scene
-            );
-            
-            if (result.meshes && result.meshes.length > 0) {
-                console.log(`Successfully loaded ${result.meshes.length} mesh(es) for ${this.terrainName}`);
-                
-                // Use the first mesh as our main terrain, or create a parent if multiple meshes
-                if (result.meshes.length === 1) {
-                    this.farmMesh = result.meshes[0];
-                } else {
-                    // Create a parent mesh to contain all terrain meshes
-                    this.farmMesh = new BABYLON.Mesh("terrainParent", this.scene);
-                    result.meshes.forEach(mesh => {
-                        mesh.parent = this.farmMesh;
-                    });
-                }
-                
-                // Calculate terrain bounds for collision detection
-                const boundingBox = this.farmMesh.getBoundingInfo().boundingBox;
-                this.terrainMinY = boundingBox.minimum.y - 1; // Add 1 unit buffer below terrain
-                console.log(`Terrain minimum Y set to: ${this.terrainMinY}`);
-                
-                // Process all meshes
-                result.meshes.forEach((mesh, index) => {
-                    // Enable collisions for each mesh
-                    mesh.checkCollisions = true;
-                    
-                    // Performance optimizations (backface culling disabled to prevent artifacts)
-                    if (mesh.material) {
-                        mesh.material.backFaceCulling = false;
-                    }
-                    
-                    console.log(`Processed terrain mesh ${index}: ${mesh.name}`);
-                });
-                
-                console.log("Terrain loading complete");
-                
-            } else {
-                throw new Error(`No meshes found in ${this.terrainName}.obj`);
-            }
-            
-        } catch (error) {
-            console.error(`Failed to load terrain ${this.terrainName}:`, error);
-            console.warn("Creating placeholder terrain instead");
-            this.createPlaceholderTerrain();
+    setSunTime(date, minutes) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            console.warn(`Invalid sun date: ${date}`);
+            return;
         }
+        this.sunDate = date;
+        this.sunMinutes = Math.min(Math.max(Number(minutes) || 0, 0), 24 * 60 - 1);
+        this.sunDirty = true;
+        this.renderSunPanel();
     }
 
     /**
-     * Create placeholder terrain when real assets can't be loaded
+     * Farm latitude/longitude (degrees) for terrain without a georeference; saved with the settings
      */
-    createPlaceholderTerrain() {
-        console.log("Creating placeholder terrain...");
+    setSunLocation(latitude, longitude) {
+        this.sunSettings.latitude = Math.min(Math.max(latitude, -90), 90);
+        this.sunSettings.longitude = ((longitude + 540) % 360) - 180;
+        this.sunDirty = true;
+        this.saveSettings();
+        this.renderSunPanel();
+    }
+
+    /**
+     * Start or stop animating the sun across the day (sunSettings.speed minutes per second)
+     */
+    setSunPlaying(playing) {
+        this.sunPlaying = playing && this.sunEnabled;
+        this.renderSunPanel();
+    }
+
+    /**
+     * Advance the animated day and move the lights when the sun changed
+     * Called from the render loop
+     */
+    updateSun() {
+        if (!this.sunEnabled || !this.engine) return;
         
-        // Create a simple terrain-like mesh
-        this.farmMesh = BABYLON.MeshBuilder.CreateGround(
-            "placeholderTerrain",
-            { width: 30, height: 30, subdivisions: 8 },
-            this.scene
-        );
+        if (this.sunPlaying) {
+            // Loops over the chosen day
+            this.sunMinutes = (this.sunMinutes + this.engine.getDeltaTime() / 1000 * this.sunSettings.speed) % (24 * 60);
+            this.sunDirty = true;
+        }
         
-        // Add some height variation to make it more interesting
-        const positions = this.farmMesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
-        for (let i = 1; i < positions.length; i += 3) {
-            positions[i] = Math.random() * 3; // Random height between 0 and 3
+        if (!this.sunDirty) return;
+        this.sunDirty = false;
+        this.applySunLighting();
+    }
+
+    /**
+     * Point the directional light from the sun, and set light strength, colour and sky from its elevation
+     */
+    applySunLighting() {
+        const location = this.getSunLocation();
+        const sun = this.scene.getLightByName("directionalLight");
+        const sky = this.scene.getLightByName("hemisphericLight");
+        if (!location || !sun || !sky) {
+            this.sunPosition = null;
+            this.renderSunPanel();
+            return;
         }
-        this.farmMesh.setVerticesData(BABYLON.VertexBuffer.PositionKind, positions);
-        this.farmMesh.createNormals(true);
         
-        // Create material
-        const material = new BABYLON.StandardMaterial("placeholderMaterial", this.scene);
-        material.diffuseColor = new BABYLON.Color3(0.4, 0.7, 0.3); // Green terrain color
-        material.specularColor = new BABYLON.Color3(0, 0, 0); // No shine
-        this.farmMesh.material = material;
+        const time = this.getSunTime();
+        const position = this.getSunPosition(time, location.latitude, location.longitude);
+        this.sunPosition = position;
+        const elevation = position.elevation;
         
-        // Enable collisions
-        this.farmMesh.checkCollisions = true;
+        // Below the horizon the light fades out; keep it shining down so relief shading stays sensible
+        sun.direction = this.getSunDirection(position.azimuth, Math.max(elevation, 1)).negate();
         
-        console.log("Created placeholder terrain");
+        const smoothstep = (edge0, edge1, value) => {
+            const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+            return t * t * (3 - 2 * t);
+        };
+        
+        // Direct sunlight grows over the first 10 degrees and reddens near the horizon; the sky glows on through twilight
+        sun.intensity = 0.9 * smoothstep(-1, 10, elevation);
+        sun.diffuse = BABYLON.Color3.Lerp(new BABYLON.Color3(1, 0.6, 0.35), new BABYLON.Color3(1, 0.98, 0.92), smoothstep(0, 20, elevation));
+        sky.intensity = 0.1 + 0.6 * smoothstep(-8, 15, elevation);
+        this.scene.clearColor = this.getSkyColor(elevation).toColor4(1);
+        
+        this.renderSunPanel();
+        this.emit("sunchange", {
+            enabled: true,
+            time: time.toISOString(),
+            elevation: elevation,
+            azimuth: position.azimuth,
+            latitude: location.latitude,
+            longitude: location.longitude
+        });
     }
-    
+
     /**
-     * Position the camera to view the loaded terrain
-     * Uses the bounding box of the terrain mesh to determine optimal camera position
+     * The instant the sun panel's date and time refer to
      */
-    positionCameraForTerrain() {
-        if (!this.farmMesh) return;
+    getSunTime() {
+        const [year, month, day] = this.sunDate.split("-").map(Number);
+        const minutes = Math.floor(this.sunMinutes);
+        const seconds = Math.round((this.sunMinutes - minutes) * 60);
+        if (this.sunSettings.utcOffset == null) {
+            return new Date(year, month - 1, day, 0, minutes, seconds);
+        }
+        return new Date(Date.UTC(year, month - 1, day, 0, minutes, seconds) - this.sunSettings.utcOffset * 3600000);
+    }
+
+    /**
+     * Latitude/longitude the sun is computed for: the terrain centre when it is georeferenced,
+     * otherwise the location from the sun panel (null until one is set)
+     */
+    getSunLocation() {
+        if (this.terrainBounds && this.isGeoreferenced()) {
+            const { min, max } = this.terrainBounds;
+            const centre = new BABYLON.Vector3((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+            const geographic = this.localToGeographic(centre);
+            if (geographic) {
+                return { latitude: geographic.lat, longitude: geographic.lon, georeferenced: true };
+            }
+        }
         
-        // Get terrain bounding box
-        const boundingBox = this.farmMesh.getBoundingInfo().boundingBox;
-        const min = boundingBox.minimum;
-        const max = boundingBox.maximum;
+        const { latitude, longitude } = this.sunSettings;
+        if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+            return { latitude: latitude, longitude: longitude, georeferenced: false };
+        }
+        return null;
+    }
+
+    /**
+     * Solar elevation and azimuth (degrees, azimuth clockwise from true north) at an instant and place
+     * NOAA solar position equations - accurate to well under a degree, without atmospheric refraction
+     */
+    getSunPosition(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const julianDay = date.getTime() / 86400000 + 2440587.5;
+        const t = (julianDay - 2451545) / 36525; // Julian centuries since J2000
         
-        // Calculate center and size of terrain
-        const center = new BABYLON.Vector3(
-            (min.x + max.x) / 2,
-            (min.y + max.y) / 2,
-            (min.z + max.z) / 2
-        );
-        const size = new BABYLON.Vector3(
-            max.x - min.x,
-            max.y - min.y,
-            max.z - min.z
-        );
+        const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+        const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+        const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+        const centre = Math.sin(meanAnomaly * rad) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+            Math.sin(2 * meanAnomaly * rad) * (0.019993 - 0.000101 * t) +
+            Math.sin(3 * meanAnomaly * rad) * 0.000289;
+        const omega = 125.04 - 1934.136 * t;
+        const apparentLongitude = meanLongitude + centre - 0.00569 - 0.00478 * Math.sin(omega * rad);
+        const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+        const obliquity = meanObliquity + 0.00256 * Math.cos(omega * rad);
+        const declination = Math.asin(Math.sin(obliquity * rad) * Math.sin(apparentLongitude * rad));
         
-        // Position camera based on type
-        if (this.camera.setTarget) {
-            // ArcRotate camera - position for overview
-            this.camera.setTarget(center);
-            this.camera.radius = Math.max(size.x, size.z) * 1.5;
-            console.log(`ArcRotate camera positioned at radius: ${this.camera.radius}`);
+        // Equation of time, minutes
+        const y = Math.tan(obliquity * rad / 2) ** 2;
+        const l0 = meanLongitude * rad;
+        const m = meanAnomaly * rad;
+        const equationOfTime = 4 / rad * (y * Math.sin(2 * l0) - 2 * eccentricity * Math.sin(m) +
+            4 * eccentricity * y * Math.sin(m) * Math.cos(2 * l0) - 0.5 * y * y * Math.sin(4 * l0) -
+            1.25 * eccentricity * eccentricity * Math.sin(2 * m));
+        
+        const utcMinutes = (date.getTime() % 86400000 + 86400000) % 86400000 / 60000;
+        const solarMinutes = utcMinutes + equationOfTime + 4 * longitude;
+        const hourAngle = (solarMinutes / 4 - 180) * rad;
+        const phi = latitude * rad;
+        
+        const cosZenith = Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+        const elevation = 90 - Math.acos(Math.min(Math.max(cosZenith, -1), 1)) / rad;
+        const azimuth = (Math.atan2(Math.sin(hourAngle),
+            Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)) / rad + 540) % 360;
+        
+        return { elevation: elevation, azimuth: azimuth };
+    }
+
+    /**
+     * Viewer-space unit vector towards the sun
+     * Without a georeference +Z is north and +X east; with one, its rotation from grid north applies
+     */
+    getSunDirection(azimuth, elevation) {
+        const rad = Math.PI / 180;
+        const east = Math.sin(azimuth * rad) * Math.cos(elevation * rad);
+        const north = Math.cos(azimuth * rad) * Math.cos(elevation * rad);
+        const up = Math.sin(elevation * rad);
+        
+        const centre = this.terrainBounds
+            ? BABYLON.Vector3.Center(this.terrainBounds.min, this.terrainBounds.max)
+            : BABYLON.Vector3.Zero();
+        const georeference = this.getGeoreferenceAt(centre.x, centre.z);
+        if (!georeference) {
+            return new BABYLON.Vector3(east, up, north);
+        }
+        
+        // Same rotation as projectedToLocal(), without the origin and scale
+        const cos = Math.cos(georeference.rotation);
+        const sin = Math.sin(georeference.rotation);
+        const z = east * sin + north * cos;
+        return new BABYLON.Vector3(east * cos - north * sin, up, georeference.flipZ ? -z : z);
+    }
+
+    /**
+     * Sky (clear) colour for a sun elevation, blended between SKY_COLORS
+     */
+    getSkyColor(elevation) {
+        const stops = SKY_COLORS;
+        if (elevation <= stops[0].elevation) return BABYLON.Color3.FromHexString(stops[0].color);
+        
+        for (let i = 1; i < stops.length; i++) {
+            if (elevation <= stops[i].elevation) {
+                const t = (elevation - stops[i - 1].elevation) / (stops[i].elevation - stops[i - 1].elevation);
+                return BABYLON.Color3.Lerp(
+                    BABYLON.Color3.FromHexString(stops[i - 1].color),
+                    BABYLON.Color3.FromHexString(stops[i].color),
+                    t
+                );
+            }
+        }
+        return BABYLON.Color3.FromHexString(stops[stops.length - 1].color);
+    }
+
+    /**
+     * Cascaded shadow map from the sun, cast by the terrain onto itself
+     * WebGL 1 can't do cascades, so there one shadow map covers the terrain
+     */
+    createSunShadows(size) {
+        const light = this.scene.getLightByName("directionalLight");
+        if (!light) return;
+        
+        let generator;
+        if (BABYLON.CascadedShadowGenerator.IsSupported) {
+            generator = new BABYLON.CascadedShadowGenerator(size, light, false, this.camera);
+            generator.numCascades = 4;
+            generator.lambda = 0.8;
+            generator.stabilizeCascades = true;
+            generator.shadowMaxZ = this.sunSettings.shadowDistance;
+            generator.depthClamp = true;
         } else {
-            // First-person camera - position at good starting location
-            // Use center of terrain and add player height
-            this.camera.position = new BABYLON.Vector3(
-                center.x,
-                Math.max(center.y + this.playerHeight, max.y + this.playerHeight),
-                center.z + Math.max(size.z * 0.4, 10) // Start outside the terrain
-            );
-            console.log(`First-person camera positioned at: ${this.camera.position.toString()}`);
+            generator = new BABYLON.ShadowGenerator(size, light);
+            light.autoCalcShadowZBounds = true;
         }
+        generator.usePercentageCloserFiltering = true;
+        generator.filteringQuality = BABYLON.ShadowGenerator.QUALITY_MEDIUM;
+        generator.bias = 0.001;
+        generator.normalBias = 0.02;
         
-        console.log(`Terrain bounds - Center: ${center.toString()}, Size: ${size.toString()}`);
+        this.getStreamingUnits().forEach(unit => {
+            if (unit.root) generator.addShadowCaster(unit.root, true);
+        });
+        
+        this.shadowGenerator = generator;
+        this.shadowMapSize = size;
+        console.log(`Sun shadows: ${size}px${generator instanceof BABYLON.CascadedShadowGenerator ? ", 4 cascades" : ""}`);
     }
 
-    setupFirstPersonCamera() {
-        // Dispose of the ArcRotate camera
-        this.camera.dispose();
+    /**
+     * Remove the sun's shadow generator (terrain stays registered as shadow receivers)
+     */
+    disposeSunShadows() {
+        if (this.shadowGenerator) {
+            this.shadowGenerator.dispose();
+            this.shadowGenerator = null;
+        }
+        this.shadowMapSize = 0;
+    }
+
+    /**
+     * Show the sun settings, time and current sun position in the sun panel
+     */
+    renderSunPanel() {
+        const enabled = this.getUiElement("sunEnabled");
+        if (enabled) {
+            enabled.checked = this.sunEnabled;
+        }
         
-        // Create UniversalCamera for first-person view
-        // Position will be set after terrain bounds calculation
-        this.camera = new BABYLON.UniversalCamera(
-            "firstPersonCamera",
-            new BABYLON.Vector3(0, this.playerHeight, 10),
+        const date = this.getUiElement("sunDate");
+        if (date && date.value !== this.sunDate) {
+            date.value = this.sunDate;
+        }
+        
+        const time = this.getUiElement("sunTime");
+        if (time) {
+            time.value = String(Math.floor(this.sunMinutes));
+        }
+        
+        const timeLabel = this.getUiElement("sunTimeValue");
+        if (timeLabel) {
+            const minutes = Math.floor(this.sunMinutes);
+            timeLabel.textContent = `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+        }
+        
+        const play = this.getUiElement("sunPlay");
+        if (play) {
+            play.textContent = this.sunPlaying ? "❚❚" : "▶";
+            play.disabled = !this.sunEnabled;
+        }
+        
+        // A georeferenced terrain knows where it is
+        const location = this.getSunLocation();
+        const georeferenced = Boolean(location && location.georeferenced);
+        [["sunLatitude", "latitude"], ["sunLongitude", "longitude"]].forEach(([id, key]) => {
+            const input = this.getUiElement(id);
+            if (!input) return;
+            input.disabled = georeferenced;
+            if (location && document.activeElement !== input) {
+                input.value = location[key].toFixed(5);
+            }
+        });
+        
+        const readout = this.getUiElement("sunReadout");
+        if (readout) {
+            if (!this.sunEnabled) {
+                readout.textContent = "";
+            } else if (!location) {
+                readout.textContent = "Enter the farm's latitude and longitude.";
+            } else if (this.sunPosition) {
+                const { elevation, azimuth } = this.sunPosition;
+                readout.textContent = elevation > 0
+                    ? `Sun ${elevation.toFixed(1)}° above the horizon, azimuth ${azimuth.toFixed(1)}°`
+                    : `Sun below the horizon (${elevation.toFixed(1)}°)`;
+            }
+        }
+    }
+
+    /**
+     * Local date as "YYYY-MM-DD" (the value format of date inputs)
+     */
+    formatDateInput(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+    }
+
+    createGroundPlane() {
+        // Create a large ground plane as safety net
+        this.groundPlane = BABYLON.MeshBuilder.CreateGround(
+            "groundPlane",
+            { width: 200, height: 200 },
             this.scene
         );
         
-        // Configure camera for first-person controls
-        this.camera.setTarget(BABYLON.Vector3.Zero());
-        this.camera.minZ = 0.1;
-        this.camera.speed = this.moveSpeed;
-        this.camera.angularSensibility = 2000;
+        // Position below expected farm mesh
+        this.groundPlane.position.y = -5;
+        
+        // Create simple material for ground
+        const groundMaterial = new BABYLON.StandardMaterial("groundMaterial", this.scene);
+        groundMaterial.diffuseColor = new BABYLON.Color3(0.4, 0.4, 0.35); // Subtle brownish-gray
+        groundMaterial.specularColor = new BABYLON.Color3(0, 0, 0);
+        this.groundPlane.material = groundMaterial;
+        
+        // Enable collisions for ground plane
+        this.groundPlane.checkCollisions = true;
+        
+        console.log("Ground plane created as safety net");
+    }
+
+    /**
+     * Load the terrain manifest listing every block and its bounds
+     * Falls back to a single-block manifest if no manifest is available
+     */
+    async loadManifest() {
+        try {
+            const response = await fetch(this.manifestUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const manifest = await response.json();
+            if (!Array.isArray(manifest.blocks) || manifest.blocks.length === 0) {
+                throw new Error("Manifest does not list any blocks");
+            }
+            manifest.blocks = this.expandEpochs(manifest.blocks);
+            
+            console.log(`Loaded terrain manifest with ${manifest.blocks.length} block(s)`);
+            return manifest;
+            
+        } catch (error) {
+            if (this.terrainName === "all") {
+                this.reportLoadIssue("error", null, `Could not load the terrain manifest ${this.manifestUrl} (${error.message})`);
+                throw new Error("No terrain manifest found and no single block selected");
+            }
+            
+            // Without a manifest a single block (or block@date subfolder) can still be loaded from its descriptor
+            console.warn(`Could not load terrain manifest (${error.message}), loading ${this.terrainName} on its own`);
+            const { block, date } = this.parseTerrainName(this.terrainName);
+            return {
+                blocks: [{ name: block, date: date, path: date ? `${block}/${date}/` : `${block}/`, bounds: null }]
+            };
+        }
+    }
+
+    /**
+     * Expand epoch declarations into one manifest entry per block and capture date
+     * A block lists its epochs as subfolder names ("epochs": ["2024-03-01", ...]) or as objects
+     * ({ date, path, descriptor, bounds }); entries that share a name and give a "date" are epochs too.
+     */
+    expandEpochs(blocks) {
+        const entries = [];
+        blocks.forEach(entry => {
+            if (!Array.isArray(entry.epochs) || entry.epochs.length === 0) {
+                entries.push({ ...entry, date: entry.date ? String(entry.date) : null });
+                return;
+            }
+            
+            const { epochs, ...base } = entry;
+            epochs.forEach(epoch => {
+                const item = typeof epoch === "object" && epoch ? epoch : { date: epoch };
+                entries.push({
+                    ...base,
+                    ...item,
+                    name: entry.name,
+                    date: String(item.date),
+                    path: item.path || `${entry.path}${item.date}/`
+                });
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Split a terrain name into its block and capture date: "BlockAB@2024-03-01", "BlockAB" or "all"
+     */
+    parseTerrainName(terrainName) {
+        const separator = terrainName.lastIndexOf("@");
+        return separator === -1
+            ? { block: terrainName, date: null }
+            : { block: terrainName.slice(0, separator), date: terrainName.slice(separator + 1) };
+    }
+
+    getTerrainNameFor(entry) {
+        return entry.date ? `${entry.name}@${entry.date}` : entry.name;
+    }
+
+    /**
+     * Every epoch of a block in the manifest, oldest first (undated entries first)
+     */
+    getBlockEpochs(blockName) {
+        if (!this.manifest) return [];
+        return this.manifest.blocks
+            .filter(entry => entry.name === blockName)
+            .sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+    }
+
+    /**
+     * Manifest entries for a terrain name: the latest epoch of every block for "all",
+     * the latest epoch of a block for its plain name, or the exact block@date
+     */
+    getTerrainEntries(terrainName) {
+        const { block, date } = this.parseTerrainName(terrainName);
+        const latest = name => {
+            const epochs = this.getBlockEpochs(name);
+            return epochs[epochs.length - 1];
+        };
+        
+        if (block === "all" && !date) {
+            return [...new Set(this.manifest.blocks.map(entry => entry.name))].map(latest);
+        }
+        if (date) {
+            return this.manifest.blocks.filter(entry => entry.name === block && entry.date === date);
+        }
+        const entry = latest(block);
+        return entry ? [entry] : [];
+    }
+
+    /**
+     * Load a block's descriptor (block.json) declaring its OBJ, MTL and textures
+     * A descriptor with "tiles" streams the block from a tile index instead (see loadTileIndex)
+     * Returns null (and reports the problem) if the descriptor is missing or invalid
+     */
+    async loadBlockDescriptor(entry) {
+        const url = `${this.assetsRoot}${entry.path}${entry.descriptor || "block.json"}`;
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                this.reportLoadIssue("error", entry.name, `Block descriptor ${url} is missing (HTTP ${response.status})`);
+                return null;
+            }
+            
+            const descriptor = await response.json();
+            if (descriptor.tiles) {
+                const tileIndex = await this.loadTileIndex(entry, descriptor.tiles);
+                if (tileIndex) {
+                    return {
+                        obj: null,
+                        mtl: null,
+                        textures: [],
+                        georeference: descriptor.georeference || null,
+                        lods: [],
+                        tileIndex: tileIndex
+                    };
+                }
+                if (!descriptor.obj) return null;
+                console.warn(`Falling back to ${descriptor.obj} for ${entry.name}`);
+            }
+            
+            if (!descriptor.obj) {
+                this.reportLoadIssue("error", entry.name, `Block descriptor ${url} does not declare an "obj" or "tiles" file`);
+                return null;
+            }
+            
+            // Each level of detail names the mesh file to load (an OBJ here, a glTF tile for tiled blocks)
+            const lods = descriptor.lods && descriptor.lods.length > 0
+                ? descriptor.lods
+                : [{ obj: descriptor.obj, maxDistance: null }];
+            
+            return {
+                obj: descriptor.obj,
+                mtl: descriptor.mtl || null,
+                textures: descriptor.textures || [],
+                georeference: descriptor.georeference || null,
+                lods: lods.map(lod => ({ ...lod, file: lod.obj }))
+            };
+            
+        } catch (error) {
+            this.reportLoadIssue("error", entry.name, `Block descriptor ${url} could not be read (${error.message})`);
+            return null;
+        }
+    }
+
+    /**
+     * Load the tile index written by tools/tile-block.js for a block
+     * Returns { bounds, tiles: [{ id, bounds, lods: [{ file, maxDistance }] }] } with files relative to
+     * the block directory, or null (and reports the problem) if the index can't be used
+     */
+    async loadTileIndex(entry, indexPath) {
+        const url = `${this.assetsRoot}${entry.path}${indexPath}`;
+        const directory = indexPath.includes("/") ? indexPath.slice(0, indexPath.lastIndexOf("/") + 1) : "";
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                this.reportLoadIssue("error", entry.name, `Tile index ${url} is missing (HTTP ${response.status})`);
+                return null;
+            }
+            
+            const index = await response.json();
+            if (!Array.isArray(index.tiles) || index.tiles.length === 0 || !Array.isArray(index.lods)) {
+                this.reportLoadIssue("error", entry.name, `Tile index ${url} lists no tiles`);
+                return null;
+            }
+            
+            return {
+                bounds: index.bounds || null,
+                tiles: index.tiles.map(tile => ({
+                    id: tile.id,
+                    bounds: tile.bounds,
+                    lods: tile.lods.map((lod, level) => ({
+                        file: `${directory}${lod.file}`,
+                        maxDistance: index.lods[level] ? index.lods[level].maxDistance : null
+                    }))
+                }))
+            };
+            
+        } catch (error) {
+            this.reportLoadIssue("error", entry.name, `Tile index ${url} could not be read (${error.message})`);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch the first bytes of a file without downloading the rest
+     * Used to check that a file exists and isn't a Git LFS pointer
+     */
+    async readFileHead(url, byteCount = 512) {
+        try {
+            const response = await fetch(url, { headers: { Range: `bytes=0-${byteCount - 1}` } });
+            if (!response.ok) {
+                return { exists: false, status: response.status, text: "" };
+            }
+            
+            // Servers that ignore Range send the whole file, so stop after the first chunk
+            const reader = response.body.getReader();
+            const { value } = await reader.read();
+            reader.cancel();
+            
+            const bytes = value ? value.slice(0, byteCount) : new Uint8Array(0);
+            return { exists: true, status: response.status, text: new TextDecoder().decode(bytes) };
+            
+        } catch (error) {
+            // No connection and no service worker (yet) to answer - look in offline storage directly
+            const file = await this.readOfflineFile(url);
+            if (file) {
+                return { exists: true, status: 200, text: await file.blob.slice(0, byteCount).text() };
+            }
+            return { exists: false, status: 0, text: "" };
+        }
+    }
+
+    /**
+     * Check if file contents are a Git LFS pointer rather than the real data
+     */
+    isLfsPointer(text) {
+        return text.startsWith("version https://git-lfs.github.com/spec/");
+    }
+
+    /**
+     * Check a block's declared files before loading it
+     * Every problem is reported on screen; returns false if the block can't be loaded at all
+     */
+    async validateBlockAssets(block) {
+        const name = block.entry.name;
+        const baseUrl = `${this.assetsRoot}${block.entry.path}`;
+        const descriptor = block.descriptor;
+        const lfsHint = "Run `git lfs pull` to download the real file.";
+        let canLoad = true;
+        
+        // Mesh files (OBJ, or glTF for a tile) for every level of detail
+        const meshFiles = [...new Set(descriptor.lods.map(lod => lod.file))];
+        const meshHeads = await Promise.all(meshFiles.map(file => this.readFileHead(`${baseUrl}${file}`)));
+        
+        meshFiles.forEach((file, index) => {
+            const head = meshHeads[index];
+            if (!head.exists) {
+                this.reportLoadIssue("error", name, `Mesh file ${baseUrl}${file} is missing (HTTP ${head.status})`);
+                canLoad = false;
+            } else if (this.isLfsPointer(head.text)) {
+                this.reportLoadIssue("error", name, `${file} is a Git LFS pointer file, not mesh data. ${lfsHint}`);
+                canLoad = false;
+            }
+        });
+        
+        // The OBJ names its own MTL - flag it if that differs from the descriptor
+        const mtllib = meshHeads[0].text.match(/^mtllib\s+(.+)$/m);
+        if (mtllib && descriptor.mtl && mtllib[1].trim() !== descriptor.mtl) {
+            this.reportLoadIssue("warning", name,
+                `${meshFiles[0]} uses material library ${mtllib[1].trim()}, but block.json declares ${descriptor.mtl}`);
+        }
+        
+        // Declared textures must exist and hold real image data
+        const checkTexture = async (file) => {
+            const head = await this.readFileHead(`${baseUrl}${file}`, 64);
+            return { file, exists: head.exists, isPointer: head.exists && this.isLfsPointer(head.text) };
+        };
+        const declared = await Promise.all(descriptor.textures.map(checkTexture));
+        
+        declared.forEach(texture => {
+            if (!texture.exists) {
+                this.reportLoadIssue("error", name, `Texture ${texture.file} is declared in block.json but missing`);
+            } else if (texture.isPointer) {
+                this.reportLoadIssue("error", name, `Texture ${texture.file} is a Git LFS pointer file, not image data. ${lfsHint}`);
+            }
+        });
+        
+        // Every texture the MTL refers to must be declared and present
+        if (descriptor.mtl) {
+            try {
+                const response = await fetch(`${baseUrl}${descriptor.mtl}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                
+                const referenced = this.parseMtlTextures(await response.text());
+                const undeclared = referenced.filter(file => !descriptor.textures.includes(file));
+                const undeclaredChecks = await Promise.all(undeclared.map(checkTexture));
+                
+                // Textures named after another block were usually copied in with the wrong MTL
+                const otherBlocks = [...new Set((this.manifest ? this.manifest.blocks : []).map(entry => entry.name))]
+                    .filter(other => other !== name)
+                    .sort((a, b) => b.length - a.length);
+                
+                undeclaredChecks.forEach(texture => {
+                    const owner = otherBlocks.find(other => texture.file.startsWith(`${other}_`));
+                    if (owner) {
+                        this.reportLoadIssue("warning", name,
+                            `${descriptor.mtl} references ${texture.file}, a texture of block ${owner}`);
+                    }
+                    if (!texture.exists) {
+                        this.reportLoadIssue("error", name,
+                            `${descriptor.mtl} references ${texture.file}, which does not exist in ${baseUrl}`);
+                    } else if (texture.isPointer) {
+                        this.reportLoadIssue("error", name,
+                            `${descriptor.mtl} references ${texture.file}, a Git LFS pointer file, not image data. ${lfsHint}`);
+                    } else if (!owner) {
+                        this.reportLoadIssue("warning", name,
+                            `${descriptor.mtl} references ${texture.file}, which is not declared in block.json`);
+                    }
+                });
+                
+            } catch (error) {
+                this.reportLoadIssue("error", name,
+                    `Material file ${baseUrl}${descriptor.mtl} could not be loaded (${error.message}); the block will be untextured`);
+            }
+        }
+        
+        return canLoad;
+    }
+
+    /**
+     * List the texture files referenced by an MTL file
+     */
+    parseMtlTextures(mtlText) {
+        const textures = new Set();
+        const mapPattern = /^\s*(map_Kd|map_Ka|map_Ks|map_Ns|map_d|map_bump|map_Bump|bump|norm|disp)\s+(.+)$/gm;
+        let match;
+        
+        while ((match = mapPattern.exec(mtlText)) !== null) {
+            // Options such as "-bm 1.0" may come before the file name, which is always last
+            const parts = match[2].trim().split(/\s+/);
+            textures.add(parts[parts.length - 1]);
+        }
+        
+        return [...textures];
+    }
+
+    /**
+     * Record a terrain loading problem and show it on screen
+     */
+    reportLoadIssue(level, blockName, message) {
+        this.loadDiagnostics.push({ level, block: blockName, message });
+        
+        const prefix = blockName ? `[${blockName}] ` : "";
+        if (level === "error") {
+            console.error(`${prefix}${message}`);
+        } else {
+            console.warn(`${prefix}${message}`);
+        }
+        
+        this.renderLoadDiagnostics();
+        
+        if (level === "error") {
+            this.emit("error", { message: message, block: blockName });
+        }
+    }
+
+    /**
+     * Show the collected load diagnostics in the on-screen panel
+     */
+    renderLoadDiagnostics() {
+        const panel = this.getUiElement("loadDiagnostics");
+        if (!panel) return;
+        
+        const list = panel.querySelector("ul");
+        list.innerHTML = "";
+        
+        this.loadDiagnostics.forEach(issue => {
+            const item = document.createElement("li");
+            item.className = issue.level;
+            item.textContent = issue.block ? `${issue.block}: ${issue.message}` : issue.message;
+            list.appendChild(item);
+        });
+        
+        panel.style.display = this.loadDiagnostics.length > 0 ? "block" : "none";
+    }
+
+    /**
+     * Load the terrain selected by terrainName
+     * "all" streams every block in the manifest, otherwise only the named block is loaded.
+     * Blocks within loadDistance of the terrain centre are loaded up front; the rest are
+     * streamed in by updateStreaming() as the camera moves.
+     * Safe to call again at runtime - any previously loaded terrain is disposed first.
+     */
+    async loadTerrain() {
+        this.disposeTerrain();
+        const generation = this.terrainGeneration;
+        
+        try {
+            console.log(`Loading terrain: ${this.terrainName}`);
+            
+            const manifest = await this.loadManifest();
+            
+            // Another terrain was selected while the manifest was loading
+            if (generation !== this.terrainGeneration) return;
+            
+            this.manifest = manifest;
+            Object.assign(this.streamingSettings, manifest.streaming || {});
+            
+            const entries = this.getTerrainEntries(this.terrainName);
+            
+            if (entries.length === 0) {
+                this.reportLoadIssue("error", this.terrainName, "This block (or capture date) is not listed in the terrain manifest");
+                throw new Error(`Terrain ${this.terrainName} is not listed in the manifest`);
+            }
+            
+            // A plain block name means its latest epoch; name it so the picker and links show the date
+            if (this.terrainName !== "all") {
+                this.terrainName = this.getTerrainNameFor(entries[0]);
+            }
+            
+            // Descriptors are small, so fetch them all up front
+            const descriptors = await Promise.all(entries.map(entry => this.loadBlockDescriptor(entry)));
+            
+            // Another terrain was selected while the descriptors were loading
+            if (generation !== this.terrainGeneration) return;
+            
+            // Root node that every block is parented to
+            this.farmMesh = new BABYLON.Mesh("terrainRoot", this.scene);
+            
+            this.blocks.clear();
+            entries.forEach((entry, index) => {
+                this.blocks.set(entry.name, this.createBlockState(entry, descriptors[index]));
+            });
+            
+            // Load the blocks around the centre of the declared extent before the first frame
+            this.updateTerrainBounds();
+            const focus = this.terrainBounds
+                ? BABYLON.Vector3.Center(this.terrainBounds.min, this.terrainBounds.max)
+                : BABYLON.Vector3.Zero();
+            const initialBlocks = this.getInitialBlocks(focus);
+            
+            for (const block of initialBlocks) {
+                if (!block.failed) {
+                    await this.loadBlock(block, this.getDesiredLod(block, focus, true));
+                }
+            }
+            
+            if (generation !== this.terrainGeneration) return;
+            
+            const loadedCount = [...this.blocks.values()].filter(block =>
+                this.getStreamingUnits(block).some(unit => unit.root)
+            ).length;
+            if (loadedCount === 0) {
+                throw new Error("None of the terrain blocks could be loaded");
+            }
+            
+            this.updateTerrainBounds();
+            console.log(`Terrain loading complete (${loadedCount}/${this.blocks.size} block(s) loaded)`);
+            this.emit("terrainloaded", {
+                terrainName: this.terrainName,
+                blocks: [...this.blocks.keys()],
+                placeholder: false
+            });
+            
+        } catch (error) {
+            if (generation !== this.terrainGeneration) return;
+            
+            console.error(`Failed to load terrain ${this.terrainName}:`, error);
+            console.warn("Creating placeholder terrain instead");
+            this.reportLoadIssue("error", null, "No terrain could be loaded - showing placeholder terrain instead");
+            this.getStreamingUnits().forEach(unit => this.unloadBlock(unit));
+            this.blocks.clear();
+            if (this.farmMesh) {
+                this.farmMesh.dispose(false, true);
+            }
+            this.createPlaceholderTerrain();
+            this.updateTerrainBounds();
+            this.emit("terrainloaded", { terrainName: this.terrainName, blocks: [], placeholder: true });
+        }
+    }
+
+    /**
+     * Streaming state for one block (or comparison epoch) of the manifest
+     */
+    createBlockState(entry, descriptor, compare = false) {
+        const tileIndex = descriptor && descriptor.tileIndex;
+        const block = {
+            entry: entry,
+            descriptor: descriptor,
+            validated: false,
+            bounds: this.parseBounds(entry.bounds || (tileIndex && tileIndex.bounds) || this.loadMeasuredBounds(entry)),
+            root: null,
+            materials: [],
+            lodIndex: -1, // -1 = not loaded
+            pending: false,
+            failed: !descriptor,
+            compare: compare, // Second epoch shown by the comparison views, not part of the terrain
+            tiles: null, // Tiled blocks stream each tile on its own (see getStreamingUnits)
+            // Where the block sits in the real world (block.json, then manifest entry, then manifest-wide)
+            georeference: this.parseGeoreference(
+                (descriptor && descriptor.georeference) || entry.georeference || this.manifest.georeference,
+                entry.name
+            )
+        };
+        
+        // Tiles share the block's directory and georeference and load like small blocks
+        if (tileIndex) {
+            block.tiles = tileIndex.tiles.map(tile => ({
+                ...block,
+                entry: { ...entry, tile: tile.id },
+                descriptor: { ...descriptor, lods: tile.lods, tileIndex: null },
+                bounds: this.parseBounds(tile.bounds),
+                materials: [],
+                tiles: null
+            }));
+        }
+        return block;
+    }
+
+    /**
+     * Everything that is loaded and unloaded on its own: a block, or each tile of a tiled block
+     */
+    getStreamingUnits(block = null) {
+        if (block) return block.tiles || [block];
+        return [...this.blocks.values()].flatMap(entry => entry.tiles || [entry]);
+    }
+
+    /**
+     * Name of a block, or block and tile, for messages and mesh names
+     */
+    getUnitLabel(unit) {
+        return unit.entry.tile ? `${unit.entry.name} tile ${unit.entry.tile}` : unit.entry.name;
+    }
+
+    /**
+     * Dispose the current terrain - every block's meshes, materials and textures
+     * Also cancels queued streaming work and any block load still in flight
+     */
+    disposeTerrain() {
+        // Loads that finish after this point see a new generation and throw their result away
+        this.terrainGeneration++;
+        this.streamingQueue = [];
+        
+        // Put the textured materials back so they are disposed with their meshes
+        this.restoreTerrainMaterials();
+        this.disposeComparison();
+        
+        this.getStreamingUnits().forEach(unit => this.unloadBlock(unit));
+        this.blocks.clear();
+        
+        // Terrain root (or placeholder terrain) with anything still parented to it
+        if (this.farmMesh) {
+            this.farmMesh.dispose(false, true);
+            this.farmMesh = null;
+        }
+        
+        this.terrainBounds = null;
+        this.terrainMinY = -5;
+        this.loadDiagnostics = [];
+        this.renderLoadDiagnostics();
+    }
+
+    /**
+     * Dispose the meshes and materials imported for one block LOD
+     * Materials are tracked separately because MTL entries that no mesh uses are
+     * still created by the OBJ loader and would otherwise leak
+     */
+    disposeBlockMeshes(root, materials) {
+        if (root) {
+            root.dispose(false, false);
+        }
+        materials.forEach(material => material.dispose(false, true));
+    }
+
+    /**
+     * Pick the blocks to load before the first frame
+     * Blocks without bounds (declared, or measured on an earlier visit) are left to the streaming
+     * pass, unless there is no block with bounds to start on
+     */
+    getInitialBlocks(focus) {
+        const blocks = this.getStreamingUnits().filter(block => !block.failed);
+        const bounded = blocks.filter(block => block.bounds);
+        const initial = bounded.filter(block => this.getDesiredLod(block, focus, true) !== -1);
+        
+        // Always start with at least the nearest block
+        if (initial.length === 0 && blocks.length > 0) {
+            bounded.sort((a, b) =>
+                this.getDistanceToBounds(a.bounds, focus) - this.getDistanceToBounds(b.bounds, focus)
+            );
+            initial.push(bounded[0] || blocks[0]);
+        }
+        
+        return initial;
+    }
+
+    /**
+     * Load (or switch the level of detail of) a single terrain block or tile
+     * lodIndex -1 unloads the block; a tiled block loads every tile at that level
+     */
+    async loadBlock(block, lodIndex) {
+        if (block.tiles) {
+            for (const tile of block.tiles) {
+                if (!tile.failed) await this.loadBlock(tile, lodIndex);
+            }
+            return;
+        }
+        
+        if (lodIndex === block.lodIndex) return;
+        
+        if (lodIndex === -1) {
+            this.unloadBlock(block);
+            return;
+        }
+        
+        const entry = block.entry;
+        const label = this.getUnitLabel(block);
+        const lod = block.descriptor.lods[lodIndex];
+        block.pending = true;
+        
+        try {
+            // Check the declared files once, before the first load
+            if (!block.validated) {
+                block.validated = true;
+                if (!await this.validateBlockAssets(block)) {
+                    block.failed = true;
+                    return;
+                }
+            }
+            
+            console.log(`Loading block ${label} (LOD ${lodIndex}: ${lod.file})`);
+            
+            const generation = this.terrainGeneration;
+            
+            // Load from the file's own directory so the MTL and textures (or glTF images) resolve next to it
+            const folder = lod.file.slice(0, lod.file.lastIndexOf("/") + 1);
+            const result = await BABYLON.SceneLoader.ImportMeshAsync(
+                "", // Import all meshes
+                `${this.assetsRoot}${entry.path}${folder}`,
+                lod.file.slice(folder.length),
+                this.scene
+            );
+            
+            // The materials of this block's own meshes - other blocks may be loading into the scene at the same time
+            const materials = [...new Set((result.meshes || []).flatMap(mesh => {
+                if (!mesh.material) return [];
+                return [mesh.material, ...(mesh.material.subMaterials || []).filter(Boolean)];
+            }))];
+            
+            // The terrain may have been replaced while this block was loading
+            if (generation !== this.terrainGeneration) {
+                result.meshes.forEach(mesh => mesh.dispose(false, false));
+                this.disposeBlockMeshes(null, materials);
+                return;
+            }
+            
+            if (!result.meshes || result.meshes.length === 0) {
+                this.disposeBlockMeshes(null, materials);
+                throw new Error(`No meshes found in ${lod.file}`);
+            }
+            
+            const root = new BABYLON.Mesh(`${label}_lod${lodIndex}`, this.scene);
+            root.parent = block.compare ? this.compareRoot : this.farmMesh;
+            
+            result.meshes.forEach(mesh => {
+                if (!mesh.parent) {
+                    mesh.parent = root;
+                }
+                
+                // Comparison epochs are only seen by the comparison camera and don't collide
+                if (block.compare) {
+                    mesh.layerMask = COMPARE_LAYER_MASK;
+                    mesh.isPickable = false;
+                } else {
+                    mesh.checkCollisions = true;
+                    mesh.receiveShadows = true;
+                }
+                
+                // Photogrammetry meshes aren't reliably wound, and the underside shows when flying
+                // below the surface, so both faces are drawn
+                if (mesh.material) {
+                    mesh.material.backFaceCulling = false;
+                }
+            });
+            
+            // Terrain never moves once loaded - don't recompute its world matrices every frame
+            root.freezeWorldMatrix();
+            result.meshes.forEach(mesh => mesh.freezeWorldMatrix());
+            
+            // The terrain shades itself in the sun
+            if (this.shadowGenerator && !block.compare) {
+                this.shadowGenerator.addShadowCaster(root, true);
+            }
+            
+            // Swap out the previous level of detail only once the new one is ready
+            if (block.root) {
+                this.disposeBlockMeshes(block.root, block.materials);
+            }
+            block.root = root;
+            block.materials = materials;
+            block.lodIndex = lodIndex;
+            
+            if (!block.bounds) {
+                const { min, max } = root.getHierarchyBoundingVectors(true);
+                block.bounds = { min: min, max: max };
+                this.saveMeasuredBounds(entry, block.bounds);
+                console.log(`Block ${label} has no bounds in the manifest, measured: ` +
+                    JSON.stringify({ min: min.asArray(), max: max.asArray() }));
+            }
+            
+            console.log(`Loaded block ${label} with ${result.meshes.length} mesh(es)`);
+            if (!block.compare) {
+                this.onTerrainChanged();
+                this.emit("blockloaded", { name: entry.name, tile: entry.tile || null, lodIndex: lodIndex });
+            }
+            
+        } catch (error) {
+            this.reportLoadIssue("error", entry.name, `${lod.file} could not be loaded (${error.message || error})`);
+            // Don't retry a broken block on every streaming pass
+            block.failed = true;
+        } finally {
+            block.pending = false;
+        }
+    }
+
+    /**
+     * Dispose a block's meshes, materials and textures
+     */
+    unloadBlock(block) {
+        if (block.root) {
+            this.disposeBlockMeshes(block.root, block.materials);
+            block.root = null;
+            block.materials = [];
+            console.log(`Unloaded block ${this.getUnitLabel(block)}`);
+            this.onTerrainChanged();
+            this.emit("blockunloaded", { name: block.entry.name, tile: block.entry.tile || null });
+        }
+        block.lodIndex = -1;
+    }
+
+    /**
+     * Convert manifest bounds ({ min: [x, y, z], max: [x, y, z] }) to vectors
+     */
+    parseBounds(bounds) {
+        if (!bounds || !bounds.min || !bounds.max) return null;
+        return {
+            min: BABYLON.Vector3.FromArray(bounds.min),
+            max: BABYLON.Vector3.FromArray(bounds.max)
+        };
+    }
+
+    /**
+     * Bounds measured when a block without manifest bounds was last loaded in this browser, or null
+     * Keyed by the block's directory, so each epoch keeps its own.
+     */
+    loadMeasuredBounds(entry) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.blockBoundsKey) || "{}");
+            return saved[`${this.assetsRoot}${entry.path}`] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveMeasuredBounds(entry, bounds) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.blockBoundsKey) || "{}");
+            saved[`${this.assetsRoot}${entry.path}`] = { min: bounds.min.asArray(), max: bounds.max.asArray() };
+            localStorage.setItem(this.blockBoundsKey, JSON.stringify(saved));
+        } catch (error) {
+            console.warn("Could not save measured block bounds:", error);
+        }
+    }
+
+    /**
+     * Horizontal (XZ) distance from a point to a block's bounds - 0 when inside
+     */
+    getDistanceToBounds(bounds, position) {
+        if (!bounds) return 0;
+        const dx = Math.max(bounds.min.x - position.x, 0, position.x - bounds.max.x);
+        const dz = Math.max(bounds.min.z - position.z, 0, position.z - bounds.max.z);
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    /**
+     * Level of detail a block should be at for the given viewer position (-1 = unloaded)
+     * Uses loadDistance/unloadDistance as hysteresis so blocks on the edge don't thrash
+     */
+    getDesiredLod(block, position, initial = false) {
+        const lods = block.descriptor.lods;
+        
+        // Blocks without bounds can't be placed until they have been loaded once and measured
+        // (see updateStreaming); until then they stay as they are
+        if (!block.bounds) return initial ? 0 : block.lodIndex;
+        
+        const distance = this.getDistanceToBounds(block.bounds, position);
+        const isLoaded = block.lodIndex !== -1 && !initial;
+        const limit = isLoaded ? this.streamingSettings.unloadDistance : this.streamingSettings.loadDistance;
+        if (distance > limit) return -1;
+        
+        // Lower quality presets switch to coarser levels closer to the camera
+        const lodBias = QUALITY_PRESETS[this.qualityPreset].lodBias;
+        for (let i = 0; i < lods.length; i++) {
+            if (lods[i].maxDistance == null || distance <= lods[i].maxDistance * lodBias) {
+                return i;
+            }
+        }
+        return lods.length - 1;
+    }
+
+    /**
+     * Queue block loads/unloads based on the camera position
+     * Called from the render loop, throttled to streamingSettings.updateInterval
+     */
+    updateStreaming() {
+        if (!this.camera || this.blocks.size === 0 || this.streamingPaused) return;
+        
+        const now = performance.now();
+        if (now - this.lastStreamingUpdate < this.streamingSettings.updateInterval) return;
+        this.lastStreamingUpdate = now;
+        
+        const position = this.camera.position;
+        this.streamingQueue = [];
+        
+        this.getStreamingUnits().forEach(block => {
+            if (block.pending || block.failed) return;
+            const lodIndex = this.getDesiredLod(block, position);
+            if (lodIndex !== block.lodIndex) {
+                this.streamingQueue.push({ block, lodIndex, distance: this.getDistanceToBounds(block.bounds, position) });
+            }
+        });
+        
+        // Nearest blocks first
+        this.streamingQueue.sort((a, b) => a.distance - b.distance);
+        
+        // With nothing else to do, load one block without bounds at its coarsest level to measure it;
+        // from then on it streams like the others, so the next pass unloads it if it is out of range
+        if (this.streamingQueue.length === 0 && !this.isStreaming) {
+            const unmeasured = this.getStreamingUnits().find(block => !block.bounds && !block.pending && !block.failed);
+            if (unmeasured) {
+                this.streamingQueue.push({ block: unmeasured, lodIndex: unmeasured.descriptor.lods.length - 1, distance: Infinity });
+            }
+        }
+        this.processStreamingQueue();
+    }
+
+    /**
+     * Load queued blocks one at a time so only one large OBJ is being parsed at once
+     */
+    async processStreamingQueue() {
+        if (this.isStreaming) return;
+        this.isStreaming = true;
+        
+        try {
+            while (this.streamingQueue.length > 0) {
+                const { block, lodIndex } = this.streamingQueue.shift();
+                await this.loadBlock(block, lodIndex);
+                this.updateTerrainBounds();
+            }
+        } finally {
+            this.isStreaming = false;
+        }
+    }
+
+    /**
+     * Recompute the combined extent of all blocks (declared and loaded)
+     * Updates terrainMinY and resizes the safety ground plane to match
+     */
+    updateTerrainBounds() {
+        let min = null;
+        let max = null;
+        const include = (bounds) => {
+            if (!bounds) return;
+            min = min ? BABYLON.Vector3.Minimize(min, bounds.min) : bounds.min.clone();
+            max = max ? BABYLON.Vector3.Maximize(max, bounds.max) : bounds.max.clone();
+        };
+        
+        this.blocks.forEach(block => include(block.bounds));
+        
+        // Loaded meshes (or the placeholder terrain) may extend past the declared bounds
+        if (this.farmMesh) {
+            const loaded = this.farmMesh.getHierarchyBoundingVectors(true);
+            if (isFinite(loaded.min.x) && isFinite(loaded.max.x)) {
+                include(loaded);
+            }
+        }
+        
+        if (!min) {
+            this.terrainBounds = null;
+            return;
+        }
+        
+        this.terrainBounds = { min: min, max: max };
+        this.terrainMinY = min.y - 1; // Add 1 unit buffer below terrain
+        
+        if (this.groundPlane) {
+            // Cover the whole farm with some margin and keep it just below the lowest point
+            const size = max.subtract(min);
+            this.groundPlane.scaling.x = Math.max(size.x * 1.5, 200) / 200;
+            this.groundPlane.scaling.z = Math.max(size.z * 1.5, 200) / 200;
+            this.groundPlane.position.x = (min.x + max.x) / 2;
+            this.groundPlane.position.z = (min.z + max.z) / 2;
+            this.groundPlane.position.y = Math.min(-5, this.terrainMinY);
+        }
+    }
+
+    /**
+     * Create placeholder terrain when real assets can't be loaded
+     */
+    createPlaceholderTerrain() {
+        console.log("Creating placeholder terrain...");
+        
+        // Create a simple terrain-like mesh
+        this.farmMesh = BABYLON.MeshBuilder.CreateGround(
+            "placeholderTerrain",
+            { width: 30, height: 30, subdivisions: 8 },
+            this.scene
+        );
+        
+        // Add some height variation to make it more interesting
+        // Seeded, so the placeholder is the same every time (and measurements on it are repeatable)
+        const positions = this.farmMesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        const heights = TerrainGrid.createPlaceholderHeights(positions.length / 3, this.placeholderSeed);
+        heights.forEach((height, vertex) => { positions[vertex * 3 + 1] = height; });
+        this.farmMesh.setVerticesData(BABYLON.VertexBuffer.PositionKind, positions);
+        this.farmMesh.createNormals(true);
+        
+        // Create material
+        const material = new BABYLON.StandardMaterial("placeholderMaterial", this.scene);
+        material.diffuseColor = new BABYLON.Color3(0.4, 0.7, 0.3); // Green terrain color
+        material.specularColor = new BABYLON.Color3(0, 0, 0); // No shine
+        this.farmMesh.material = material;
+        
+        // Enable collisions
+        this.farmMesh.checkCollisions = true;
+        
+        console.log("Created placeholder terrain");
+    }
+    
+    /**
+     * Position the camera to view the loaded terrain
+     * Uses the combined bounding box of all terrain blocks to determine optimal camera position
+     */
+    positionCameraForTerrain() {
+        if (!this.terrainBounds) return;
+        
+        // Combined bounding box of every block
+        const min = this.terrainBounds.min;
+        const max = this.terrainBounds.max;
+        
+        // Calculate center and size of terrain
+        const center = new BABYLON.Vector3(
+            (min.x + max.x) / 2,
+            (min.y + max.y) / 2,
+            (min.z + max.z) / 2
+        );
+        const size = new BABYLON.Vector3(
+            max.x - min.x,
+            max.y - min.y,
+            max.z - min.z
+        );
+        
+        // Position camera based on type (UniversalCamera also has setTarget, so check the class)
+        if (this.camera instanceof BABYLON.ArcRotateCamera) {
+            // ArcRotate camera - position for overview
+            this.camera.setTarget(center);
+            this.camera.radius = Math.max(size.x, size.z) * 1.5;
+            console.log(`ArcRotate camera positioned at radius: ${this.camera.radius}`);
+        } else {
+            // First-person camera - position at good starting location
+            // Use center of terrain and add player height
+            this.camera.position = new BABYLON.Vector3(
+                center.x,
+                Math.max(center.y + this.playerHeight, max.y + this.playerHeight),
+                center.z + Math.max(size.z * 0.4, 10) // Start outside the terrain
+            );
+            console.log(`First-person camera positioned at: ${this.camera.position.toString()}`);
+        }
+        
+        console.log(`Terrain bounds - Center: ${center.toString()}, Size: ${size.toString()}`);
+        
+        const geo = this.localToGeographic(center);
+        if (geo) {
+            console.log(`Terrain centre is at ${this.formatLatLon(geo)}` +
+                (geo.crs ? ` (${geo.crs} E ${geo.easting.toFixed(2)}, N ${geo.northing.toFixed(2)})` : ""));
+        }
+    }
+
+    /**
+     * Read the terrain and view from the page URL
+     * Format: ?terrain=BlockXB&pos=x,y,z&look=yaw,pitch (look in degrees)
+     */
+    parseUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const parseNumbers = (value, count) => {
+            if (!value) return null;
+            const numbers = value.split(",").map(Number);
+            return numbers.length === count && numbers.every(isFinite) ? numbers : null;
+        };
+        
+        return {
+            terrain: params.get("terrain"),
+            pos: parseNumbers(params.get("pos"), 3),
+            look: parseNumbers(params.get("look"), 2)
+        };
+    }
+
+    /**
+     * Move the first-person camera to a position/look direction from parseUrlState()
+     */
+    applyView(view) {
+        if (!this.camera || !view) return;
+        
+        if (view.pos) {
+            this.camera.position = BABYLON.Vector3.FromArray(view.pos);
+        }
+        if (view.look) {
+            this.camera.rotation.y = BABYLON.Tools.ToRadians(view.look[0]);
+            this.camera.rotation.x = BABYLON.Tools.ToRadians(view.look[1]);
+        }
+    }
+
+    /**
+     * Build a link to the current terrain and camera view
+     */
+    getViewUrl(includeView = true) {
+        const url = new URL(window.location.href);
+        url.search = "";
+        
+        if (this.terrainName !== "all") {
+            url.searchParams.set("terrain", this.terrainName);
+        }
+        
+        if (includeView && this.camera) {
+            const position = this.camera.position;
+            const yaw = BABYLON.Tools.ToDegrees(this.camera.rotation.y) % 360;
+            const pitch = BABYLON.Tools.ToDegrees(this.camera.rotation.x);
+            url.searchParams.set("pos", [position.x, position.y, position.z].map(value => value.toFixed(2)).join(","));
+            url.searchParams.set("look", [yaw, pitch].map(value => value.toFixed(1)).join(","));
+        }
+        
+        // Keep the commas readable in shared links
+        return url.toString().replace(/%2C/g, ",");
+    }
+
+    /**
+     * Populate the in-viewer block picker from the manifest and wire up the share link button
+     */
+    setupTerrainPicker() {
+        const picker = this.getUiElement("terrainPicker");
+        const copyLinkButton = this.getUiElement("copyLinkButton");
+        
+        if (picker) {
+            picker.innerHTML = "";
+            
+            const options = [{ value: "all", label: "All blocks" }];
+            if (this.manifest) {
+                this.manifest.blocks.forEach(entry => options.push({
+                    value: this.getTerrainNameFor(entry),
+                    label: entry.date ? `${entry.name} (${entry.date})` : entry.name
+                }));
+            }
+            
+            options.forEach(({ value, label }) => {
+                const option = document.createElement("option");
+                option.value = value;
+                option.textContent = label;
+                picker.appendChild(option);
+            });
+            
+            picker.value = this.terrainName;
+            this.listen(picker, "change", () => {
+                // Give keyboard focus back to the viewer so WASD doesn't change the selection
+                picker.blur();
+                this.switchTerrain(picker.value);
+            });
+        }
+        
+        if (copyLinkButton) {
+            this.listen(copyLinkButton, "click", async () => {
+                const link = this.getViewUrl();
+                if (this.useUrlState) {
+                    window.history.replaceState(null, "", link);
+                }
+                
+                try {
+                    await navigator.clipboard.writeText(link);
+                    copyLinkButton.textContent = "Link copied";
+                } catch (error) {
+                    // Clipboard access can be refused; the link is still in the address bar
+                    console.warn("Could not copy link to clipboard:", error);
+                    copyLinkButton.textContent = "Link in address bar";
+                }
+                setTimeout(() => { copyLinkButton.textContent = "Copy link"; }, 2000);
+            });
+        }
+    }
+
+    /**
+     * Switch to a different terrain (a block name or "all") without restarting the engine
+     * The previous terrain is fully disposed before the new one loads.
+     */
+    async switchTerrain(terrainName, view = null) {
+        if (this.isSwitchingTerrain) return;
+        this.isSwitchingTerrain = true;
+        
+        const picker = this.getUiElement("terrainPicker");
+        if (picker) picker.disabled = true;
+        
+        try {
+            console.log(`Switching terrain to ${terrainName}`);
+            this.showLoadingScreen(`Loading ${terrainName === "all" ? "farm terrain" : terrainName}...`);
+            
+            this.terrainName = terrainName;
+            await this.loadTerrain();
+            this.clearInspection();
+            this.clearMeasurements();
+            this.clearDrainage();
+            this.clearRoute();
+            this.clearRouteAvoidAreas();
+            this.cameraFlight = null;
+            this.pendingDrop = null;
+            this.loadPlacemarks();
+            this.loadTours();
+            this.renderComparePanel();
+            this.updateGeoPanel(true);
+            
+            this.positionCameraForTerrain();
+            this.applyView(view);
+            this.placePhysicsPlayer(this.camera.position);
+            this.onTerrainChanged();
+            
+            if (this.useUrlState) {
+                window.history.replaceState(null, "", this.getViewUrl(false));
+            }
+            this.hideLoadingScreen();
+            
+        } catch (error) {
+            console.error(`Failed to switch terrain to ${terrainName}:`, error);
+            this.showError(`Failed to load ${terrainName}. Please check the console for details.`);
+            this.emit("error", { message: `Failed to switch terrain to ${terrainName}`, error: error });
+        } finally {
+            this.isSwitchingTerrain = false;
+            if (picker) {
+                picker.disabled = false;
+                picker.value = this.terrainName;
+            }
+        }
+    }
+
+    setupFirstPersonCamera() {
+        // Dispose of the ArcRotate camera
+        this.camera.dispose();
+        
+        // Create UniversalCamera for first-person view
+        // Position will be set after terrain bounds calculation
+        this.camera = new BABYLON.UniversalCamera(
+            "firstPersonCamera",
+            new BABYLON.Vector3(0, this.playerHeight, 10),
+            this.scene
+        );
+        
+        // Configure camera for first-person controls
+        this.camera.setTarget(BABYLON.Vector3.Zero());
+        this.camera.minZ = 0.1;
+        this.camera.angularSensibility = 2000;
+        this.applyCameraSettings();
+        
+        // Enable collisions for camera (acts as player)
+        this.camera.checkCollisions = true;
+        
+        // Gravity and ground following are handled by updateMovement() for the current mode
+        this.camera.applyGravity = false;
+        
+        this.camera.ellipsoid = new BABYLON.Vector3(0.5, this.playerHeight / 2, 0.5);
+        this.camera.ellipsoidOffset = new BABYLON.Vector3(0, this.playerHeight / 2, 0);
+        
+        // We'll handle camera controls manually with WASD + mouse
+        // No need to detach controls since we're using manual movement
+        
+        console.log("First-person camera setup complete");
+    }
+
+    setupControls() {
+        // Keyboard input handling
+        // Keys are tracked by physical position (event.code) and mapped to actions via inputBindings
+        this.listen(document, "keydown", (event) => {
+            // The settings panel is waiting for a key to bind
+            if (this.rebindingAction) {
+                event.preventDefault();
+                this.completeRebinding(event.code);
+                return;
+            }
+            
+            // Typing in the placemark editor (or any other field) isn't movement
+            const target = event.target;
+            if (target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))) {
+                return;
+            }
+            
+            this.keys[event.code] = true;
+            
+            if (!event.repeat) {
+                this.handleActionKey(event.code);
+            }
+            
+            // Keep Space/arrows from scrolling the page or pressing focused buttons
+            const isBound = Object.values(this.inputBindings).some(codes => codes.includes(event.code));
+            if (isBound && event.target === document.body) {
+                event.preventDefault();
+            }
+        });
+        
+        this.listen(document, "keyup", (event) => {
+            this.keys[event.code] = false;
+        });
+        
+        // Don't leave keys stuck down when the window loses focus mid-press
+        this.listen(window, "blur", () => {
+            this.keys = {};
+        });
+        
+        this.listen(window, "gamepadconnected", (event) => {
+            console.log(`Gamepad detected: ${event.gamepad.id}`);
+        });
+        
+        // Mouse pointer lock for first-person view
+        // With a terrain tool active, clicks pick the terrain instead (see handleToolPointerUp)
+        this.listen(this.canvas, "click", () => {
+            if (this.activeTool) return;
+            this.canvas.requestPointerLock();
+        });
+        
+        // Clicks and taps on the canvas drive the active terrain tool
+        this.listen(this.canvas, "pointerdown", (event) => {
+            this.pointerDown = { x: event.clientX, y: event.clientY, time: performance.now() };
+        });
+        this.listen(this.canvas, "pointerup", (event) => this.handleToolPointerUp(event));
+        this.setupToolButtons();
+        
+        // Pointer lock change events
+        this.listen(document, "pointerlockchange", () => {
+            this.isPointerLocked = document.pointerLockElement === this.canvas;
+            this.updateToolUi();
+            console.log(`Pointer lock: ${this.isPointerLocked}`);
+        });
+        
+        // Mouse movement for looking around
+        this.listen(document, "mousemove", (event) => {
+            if (this.isPointerLocked && this.camera) {
+                // Horizontal rotation (Y-axis)
+                this.camera.rotation.y += event.movementX * this.mouseSensitivity;
+                
+                // Vertical rotation (X-axis) with limits
+                this.camera.rotation.x += event.movementY * this.mouseSensitivity * (this.invertY ? -1 : 1);
+                this.camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.rotation.x));
+            }
+        });
+        
+        // On-screen walk/fly toggle
+        const modeToggle = this.getUiElement("modeToggle");
+        if (modeToggle) {
+            this.listen(modeToggle, "click", (event) => {
+                event.stopPropagation();
+                modeToggle.blur();
+                this.toggleMovementMode();
+            });
+        }
+        this.setMovementMode(this.movementMode);
+        
+        // Physics player checkbox
+        const physicsToggle = this.getUiElement("physicsToggle");
+        if (physicsToggle) {
+            this.listen(physicsToggle, "change", () => {
+                physicsToggle.blur();
+                this.setPhysicsEnabled(physicsToggle.checked);
+            });
+        }
+        
+        // Setup mobile touch controls if mobile device
+        if (this.isMobile) {
+            this.setupMobileControls();
+        }
+        
+        console.log("Input controls setup complete");
+    }
+    
+    setupMobileControls() {
+        // Get mobile control elements
+        const movementJoystick = this.uiRoot.querySelector('[data-joystick="movement"]');
+        const lookJoystick = this.uiRoot.querySelector('[data-joystick="look"]');
+        const upButton = this.uiRoot.querySelector('[data-action="up"]');
+        const downButton = this.uiRoot.querySelector('[data-action="down"]');
+        
+        if (!movementJoystick || !lookJoystick) {
+            console.warn("Mobile controls not found");
+            return;
+        }
+        
+        // Setup movement joystick
+        this.setupJoystick(movementJoystick, 'movement');
+        
+        // Setup look joystick
+        this.setupJoystick(lookJoystick, 'look');
+        
+        // Setup vertical movement buttons
+        if (upButton) {
+            this.listen(upButton, 'touchstart', (e) => {
+                e.preventDefault();
+                this.mobileInput.verticalUp = true;
+            });
+            this.listen(upButton, 'touchend', (e) => {
+                e.preventDefault();
+                this.mobileInput.verticalUp = false;
+            });
+        }
+        
+        if (downButton) {
+            this.listen(downButton, 'touchstart', (e) => {
+                e.preventDefault();
+                this.mobileInput.verticalDown = true;
+            });
+            this.listen(downButton, 'touchend', (e) => {
+                e.preventDefault();
+                this.mobileInput.verticalDown = false;
+            });
+        }
+        
+        // Setup screen touch for camera rotation (fallback)
+        this.listen(this.canvas, 'touchstart', this.handleCanvasTouchStart.bind(this));
+        this.listen(this.canvas, 'touchmove', this.handleCanvasTouchMove.bind(this));
+        this.listen(this.canvas, 'touchend', this.handleCanvasTouchEnd.bind(this));
+        
+        console.log("Mobile controls setup complete");
+    }
+
+    /**
+     * Hook up the tool buttons ([data-tool="inspect"], ...) in the UI
+     */
+    setupToolButtons() {
+        this.uiRoot.querySelectorAll("[data-tool]").forEach(button => {
+            this.listen(button, "click", (event) => {
+                event.stopPropagation();
+                button.blur();
+                this.toggleTool(button.dataset.tool);
+            });
+        });
+        
+        const finishButton = this.getUiElement("measureFinish");
+        if (finishButton) {
+            this.listen(finishButton, "click", (event) => {
+                event.stopPropagation();
+                finishButton.blur();
+                this.finishMeasurement();
+            });
+        }
+        const exportButton = this.getUiElement("measureExport");
+        if (exportButton) {
+            this.listen(exportButton, "click", (event) => {
+                event.stopPropagation();
+                exportButton.blur();
+                this.finishMeasurement();
+                this.exportMeasurements();
+            });
+        }
+        const clearButton = this.getUiElement("measureClear");
+        if (clearButton) {
+            this.listen(clearButton, "click", (event) => {
+                event.stopPropagation();
+                clearButton.blur();
+                this.clearMeasurements();
+            });
+        }
+        
+        // Reference surface for cut/fill volumes
+        const referenceType = this.getUiElement("volumeReferenceType");
+        const referenceElevation = this.getUiElement("volumeReferenceElevation");
+        if (referenceType) {
+            const applyReference = () => {
+                const elevation = referenceElevation && referenceElevation.value !== "" ? Number(referenceElevation.value) : null;
+                if (referenceElevation) referenceElevation.style.display = referenceType.value === "plane" ? "" : "none";
+                if (referenceType.value === "epoch") {
+                    this.setVolumeReference({ type: "surface", meshes: this.getCompareMeshes(), name: this.compareBlock.entry.date });
+                } else {
+                    this.setVolumeReference({ type: referenceType.value, elevation: elevation });
+                }
+            };
+            this.listen(referenceType, "change", () => {
+                referenceType.blur();
+                applyReference();
+            });
+            if (referenceElevation) {
+                referenceElevation.style.display = "none";
+                this.listen(referenceElevation, "change", () => {
+                    referenceElevation.blur();
+                    applyReference();
+                });
+            }
+        }
+        
+        // Double-click ends the line or polygon being drawn
+        this.listen(this.canvas, "dblclick", () => {
+            if (MEASUREMENT_TOOLS[this.activeTool]) {
+                this.finishMeasurement();
+            } else if (this.activeTool === "route") {
+                this.finishRouteAvoidArea();
+            }
+        });
+        
+        this.setupDrainageControls();
+        this.setupRouteControls();
+        
+        this.updateToolUi();
+        this.renderInspectPanel(null);
+        this.renderMeasurePanel();
+    }
+
+    /**
+     * Activate a terrain tool, or pass null to go back to plain navigation
+     */
+    setActiveTool(tool) {
+        if (tool === this.activeTool) return;
+        
+        this.finishMeasurement();
+        this.finishRouteAvoidArea();
+        this.activeTool = tool;
+        if (tool !== "inspect") {
+            this.clearInspection();
+        }
+        this.renderMeasurePanel();
+        this.renderDrainagePanel();
+        this.renderRoutePanel();
+        
+        this.updateToolUi();
+        console.log(`Active tool: ${tool || "none"}`);
+        this.emit("toolchange", { tool: tool });
+    }
+
+    toggleTool(tool) {
+        this.setActiveTool(this.activeTool === tool ? null : tool);
+    }
+
+    /**
+     * Highlight the active tool's button, show its panel and the crosshair while the cursor is locked
+     */
+    updateToolUi() {
+        this.uiRoot.querySelectorAll("[data-tool]").forEach(button => {
+            button.classList.toggle("active", button.dataset.tool === this.activeTool);
+        });
+        
+        const crosshair = this.getUiElement("crosshair");
+        if (crosshair) {
+            crosshair.style.display = this.activeTool && this.isPointerLocked ? "block" : "none";
+        }
+        
+        // Panels list the tools they belong to, e.g. data-tool-panel="ruler area profile"
+        this.uiRoot.querySelectorAll("[data-tool-panel]").forEach(panel => {
+            const tools = panel.dataset.toolPanel.split(/\s+/);
+            panel.style.display = tools.includes(this.activeTool) ? "block" : "none";
+        });
+    }
+
+    /**
+     * Turn a click or tap on the canvas into a terrain pick for the active tool
+     * While the cursor is locked the pick is taken at the crosshair (centre of the canvas).
+     */
+    handleToolPointerUp(event) {
+        const start = this.pointerDown;
+        this.pointerDown = null;
+        if (!this.activeTool || !start || event.button > 0) return;
+        
+        let x = event.offsetX;
+        let y = event.offsetY;
+        if (this.isPointerLocked) {
+            x = this.canvas.clientWidth / 2;
+            y = this.canvas.clientHeight / 2;
+        } else {
+            // Dragging to look around (touch screens) isn't a tap
+            const moved = Math.hypot(event.clientX - start.x, event.clientY - start.y);
+            if (moved > 8 || performance.now() - start.time > 500) return;
+        }
+        
+        const pick = this.pickTerrainAt(x, y);
+        if (!pick) return;
+        
+        if (this.activeTool === "inspect") {
+            this.inspectTerrainPoint(pick);
+        } else if (MEASUREMENT_TOOLS[this.activeTool]) {
+            this.addMeasurementPoint(pick.pickedPoint);
+        } else if (this.activeTool === "placemark") {
+            this.addPlacemark(pick);
+        } else if (this.activeTool === "drainage") {
+            this.traceFlowFrom(pick.pickedPoint);
+        } else if (this.activeTool === "route") {
+            this.addRoutePoint(pick.pickedPoint);
+        }
+    }
+
+    /**
+     * Pick the terrain at canvas coordinates (CSS pixels), or null if there is none there
+     */
+    pickTerrainAt(x, y) {
+        if (!this.scene || !this.camera) return null;
+        
+        const pick = this.scene.pick(x, y, mesh => this.isTerrainMesh(mesh));
+        return pick && pick.hit ? pick : null;
+    }
+
+    /**
+     * Describe a picked terrain point: position, slope/aspect of the face and its source texture
+     */
+    describeTerrainPick(pick) {
+        const mesh = pick.pickedMesh;
+        const point = pick.pickedPoint;
+        
+        // Faces are double-sided, so flip the face normal to point up whichever side was hit
+        const normal = (pick.getNormal(true, false) || BABYLON.Vector3.Up()).normalize();
+        if (normal.y < 0) {
+            normal.scaleInPlace(-1);
+        }
+        const slope = BABYLON.Tools.ToDegrees(Math.acos(Math.min(1, normal.y)));
+        
+        // Aspect is the compass direction the slope faces (+Z north, +X east); flat ground has none
+        const aspect = slope < 0.5 ? null : (BABYLON.Tools.ToDegrees(Math.atan2(normal.x, normal.z)) + 360) % 360;
+        
+        // The mesh's own material, also while a shading mode is shown
+        let material = this.originalMaterials.get(mesh) || mesh.material;
+        if (material && material.subMaterials && mesh.subMeshes && mesh.subMeshes[pick.subMeshId]) {
+            material = material.subMaterials[mesh.subMeshes[pick.subMeshId].materialIndex] || material;
+        }
+        const texture = material && (material.diffuseTexture || material.albedoTexture);
+        const textureUrl = texture ? texture.url || texture.name : null;
+        
+        const block = this.getStreamingUnits().find(entry => entry.root && mesh.isDescendantOf(entry.root));
+        
+        return {
+            position: point.clone(),
+            elevation: point.y,
+            geo: this.localToGeographic(point),
+            normal: normal,
+            slope: slope,
+            aspect: aspect,
+            block: block ? block.entry.name : null,
+            mesh: mesh.name,
+            material: material ? material.name : null,
+            texture: textureUrl ? textureUrl.split(/[\\/]/).pop().split("?")[0] : null
+        };
+    }
+
+    /**
+     * Mark a picked point and show what's there in the inspect panel
+     */
+    inspectTerrainPoint(pick) {
+        const info = this.describeTerrainPick(pick);
+        
+        if (!this.inspectMarker) {
+            this.inspectMarker = BABYLON.MeshBuilder.CreateSphere("inspectMarker", { diameter: 0.3 }, this.scene);
+            const markerMaterial = new BABYLON.StandardMaterial("inspectMarkerMaterial", this.scene);
+            markerMaterial.emissiveColor = new BABYLON.Color3(1, 0.3, 0.1);
+            markerMaterial.disableLighting = true;
+            this.inspectMarker.material = markerMaterial;
+            this.inspectMarker.isPickable = false;
+        }
+        this.inspectMarker.position.copyFrom(info.position);
+        this.inspectMarker.setEnabled(true);
+        
+        this.renderInspectPanel(info);
+        console.log("Inspected terrain:", info);
+        this.emit("inspect", info);
+    }
+
+    /**
+     * Remove the inspect marker and empty the inspect panel
+     */
+    clearInspection() {
+        if (this.inspectMarker) {
+            this.inspectMarker.setEnabled(false);
+        }
+        this.renderInspectPanel(null);
+    }
+
+    /**
+     * Fill the inspect panel with the details of a picked point (or a hint when nothing is picked)
+     */
+    renderInspectPanel(info) {
+        const details = this.getUiElement("inspectDetails");
+        if (!details) return;
+        
+        details.innerHTML = "";
+        if (!info) {
+            details.textContent = this.isMobile
+                ? "Tap the terrain to inspect it."
+                : "Click the terrain to inspect it (or lock the cursor and click at the crosshair).";
+            return;
+        }
+        
+        const compass = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+        const { x, y, z } = info.position;
+        const rows = [
+            ["Position", `${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}`],
+            ["Elevation", `${info.elevation.toFixed(2)} m`],
+            ["Slope", `${info.slope.toFixed(1)}°`],
+            ["Aspect", info.aspect === null ? "Flat" : `${Math.round(info.aspect)}° (${compass[Math.round(info.aspect / 45) % 8]})`],
+            ["Block", info.block || "Placeholder"],
+            ["Material", info.material || "None"],
+            ["Texture", info.texture || "None"]
+        ];
+        
+        if (info.geo) {
+            rows.splice(1, 0,
+                ["Lat, lon", this.formatLatLon(info.geo)],
+                ["Altitude", `${info.geo.alt.toFixed(2)} m`]);
+            if (info.geo.crs) {
+                rows.splice(3, 0, [info.geo.crs, `E ${info.geo.easting.toFixed(2)}, N ${info.geo.northing.toFixed(2)}`]);
+            }
+        }
+        
+        rows.forEach(([label, value]) => {
+            const term = document.createElement("dt");
+            term.textContent = label;
+            const description = document.createElement("dd");
+            description.textContent = value;
+            details.appendChild(term);
+            details.appendChild(description);
+        });
+    }
+
+    /**
+     * Add a picked point to the measurement being drawn, starting a new one if needed
+     */
+    addMeasurementPoint(point) {
+        let measurement = this.activeMeasurement;
+        if (!measurement || measurement.type !== this.activeTool) {
+            this.finishMeasurement();
+            measurement = { type: this.activeTool, points: [], meshes: [], label: null, result: null };
+            this.activeMeasurement = measurement;
+            this.measurements.push(measurement);
+        }
+        
+        // The second click of a double-click lands on the same spot
+        const last = measurement.points[measurement.points.length - 1];
+        if (last && BABYLON.Vector3.Distance(last, point) < 1e-3) return;
+        
+        measurement.points.push(point.clone());
+        this.updateMeasurement(measurement);
+        this.renderMeasurePanel();
+    }
+
+    /**
+     * Stop drawing the current measurement; it stays in the scene until cleared
+     */
+    finishMeasurement() {
+        const measurement = this.activeMeasurement;
+        if (!measurement) return;
+        this.activeMeasurement = null;
+        
+        const minimumPoints = POLYGON_TOOLS.includes(measurement.type) ? 3 : 2;
+        if (measurement.points.length < minimumPoints) {
+            this.disposeMeasurement(measurement);
+            this.measurements = this.measurements.filter(other => other !== measurement);
+        } else {
+            console.log(`Finished ${measurement.type} measurement:`, measurement.result);
+            const { overlay, ...result } = measurement.result;
+            this.emit("measure", {
+                type: measurement.type,
+                points: measurement.points.map(point => point.clone()),
+                result: result
+            });
+        }
+        this.renderMeasurePanel();
+    }
+
+    /**
+     * Download the finished measurements as GeoJSON lines and polygons with their figures
+     */
+    exportMeasurements() {
+        const features = this.measurements
+            .filter(measurement => measurement !== this.activeMeasurement && measurement.result)
+            .map(measurement => {
+                const coordinates = measurement.points.map(point => this.toGeoJsonPosition(point));
+                const { samples, overlay, ...figures } = measurement.result;
+                return {
+                    type: "Feature",
+                    geometry: POLYGON_TOOLS.includes(measurement.type)
+                        ? { type: "Polygon", coordinates: [[...coordinates, coordinates[0]]] }
+                        : { type: "LineString", coordinates: coordinates },
+                    properties: { tool: measurement.type, ...figures }
+                };
+            });
+        
+        this.downloadFile(`measurements-${this.terrainName}.geojson`,
+            JSON.stringify({ type: "FeatureCollection", features: features }, null, 2), "application/geo+json");
+    }
+
+    /**
+     * Remove every measurement from the scene
+     */
+    clearMeasurements() {
+        this.activeMeasurement = null;
+        this.measurements.forEach(measurement => this.disposeMeasurement(measurement));
+        this.measurements = [];
+        this.renderMeasurePanel();
+    }
+
+    disposeMeasurement(measurement) {
+        measurement.meshes.forEach(mesh => mesh.dispose());
+        measurement.meshes = [];
+        if (measurement.label) {
+            measurement.label.dispose(false, true);
+            measurement.label = null;
+        }
+    }
+
+    /**
+     * Recompute a measurement and redraw its vertices, draped line and label
+     */
+    updateMeasurement(measurement) {
+        const { type, points } = measurement;
+        const measure = { area: () => this.measureArea(points), volume: () => this.measureVolume(points) }[type];
+        const result = measure ? measure() : this.measureLine(points);
+        measurement.result = result;
+        
+        this.disposeMeasurement(measurement);
+        const color = BABYLON.Color3.FromHexString(MEASUREMENT_TOOLS[type]);
+        const material = this.getMeasurementMaterial(type);
+        
+        points.forEach((point, index) => {
+            const marker = BABYLON.MeshBuilder.CreateSphere(`${type}Point${index}`, { diameter: 0.25, segments: 8 }, this.scene);
+            marker.position.copyFrom(point);
+            marker.material = material;
+            marker.isPickable = false;
+            measurement.meshes.push(marker);
+        });
+        
+        // Lifted slightly so the line isn't hidden in the terrain surface
+        if (result.samples.length > 1) {
+            const path = result.samples.map(sample => sample.position.add(new BABYLON.Vector3(0, 0.1, 0)));
+            const line = BABYLON.MeshBuilder.CreateLines(`${type}Line`, { points: path }, this.scene);
+            line.color = color;
+            line.isPickable = false;
+            measurement.meshes.push(line);
+        }
+        
+        let text = null;
+        let anchor = points[points.length - 1];
+        if (type === "ruler" && points.length > 1) {
+            text = `${this.formatDistance(result.surface)} (straight ${this.formatDistance(result.straight)})`;
+        } else if (type === "profile" && points.length > 1) {
+            text = `+${result.climb.toFixed(1)} m / -${result.descent.toFixed(1)} m`;
+        } else if (POLYGON_TOOLS.includes(type) && points.length > 2) {
+            text = type === "area"
+                ? `${this.formatArea(result.planimetric)} (surface ${this.formatArea(result.surface)})`
+                : `Cut ${this.formatVolume(result.cut)} / fill ${this.formatVolume(result.fill)}`;
+            anchor = points.reduce((sum, point) => sum.addInPlace(point), BABYLON.Vector3.Zero()).scaleInPlace(1 / points.length);
+            const height = this.getTerrainHeightAt(anchor.x, anchor.z);
+            if (height !== null) anchor.y = height;
+        }
+        if (text) {
+            measurement.label = this.createScreenLabel(`${type}Label`, text, anchor, MEASUREMENT_TOOLS[type]);
+        }
+        
+        if (type === "volume" && result.overlay) {
+            const overlay = this.createVolumeOverlay(result.overlay, "volumeOverlay");
+            if (overlay) measurement.meshes.push(overlay);
+        }
+    }
+
+    /**
+     * Shared unlit material for a measurement tool's vertex markers
+     */
+    getMeasurementMaterial(type) {
+        const name = `${type}MeasurementMaterial`;
+        let material = this.scene.getMaterialByName(name);
+        if (!material) {
+            material = new BABYLON.StandardMaterial(name, this.scene);
+            material.emissiveColor = BABYLON.Color3.FromHexString(MEASUREMENT_TOOLS[type]);
+            material.disableLighting = true;
+        }
+        return material;
+    }
+
+    /**
+     * Points along a polyline dropped onto the terrain surface, every measurementSampleSpacing metres
+     * Returns [{ position, distance, onTerrain }] where distance is the horizontal distance along the
+     * line; where there is no terrain the straight line between the picked points is used.
+     */
+    sampleTerrainPath(points, closed = false) {
+        const path = closed && points.length > 2 ? [...points, points[0]] : points;
+        const samples = [];
+        let distance = 0;
+        
+        if (path.length === 1) {
+            return [{ position: path[0].clone(), distance: 0, onTerrain: true }];
+        }
+        
+        for (let i = 1; i < path.length; i++) {
+            const start = path[i - 1];
+            const end = path[i];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const steps = Math.max(1, Math.min(1000, Math.ceil(length / this.measurementSampleSpacing)));
+            
+            for (let step = i === 1 ? 0 : 1; step <= steps; step++) {
+                const t = step / steps;
+                const position = BABYLON.Vector3.Lerp(start, end, t);
+                const height = this.getTerrainHeightAt(position.x, position.z);
+                if (height !== null) {
+                    position.y = height;
+                }
+                samples.push({ position: position, distance: distance + length * t, onTerrain: height !== null });
+            }
+            distance += length;
+        }
+        
+        return samples;
+    }
+
+    /**
+     * Lengths and elevation change along a polyline on the terrain
+     * straight: sum of the 3D distances between the picked points
+     * horizontal: the same in plan view
+     * surface: following the terrain between the points (see sampleTerrainPath)
+     */
+    measureLine(points) {
+        let straight = 0;
+        let horizontal = 0;
+        for (let i = 1; i < points.length; i++) {
+            straight += BABYLON.Vector3.Distance(points[i - 1], points[i]);
+            horizontal += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+        }
+        
+        const samples = this.sampleTerrainPath(points);
+        let surface = 0;
+        let climb = 0;
+        let descent = 0;
+        let minElevation = Infinity;
+        let maxElevation = -Infinity;
+        
+        samples.forEach((sample, index) => {
+            minElevation = Math.min(minElevation, sample.position.y);
+            maxElevation = Math.max(maxElevation, sample.position.y);
+            if (index === 0) return;
+            
+            const previous = samples[index - 1].position;
+            surface += BABYLON.Vector3.Distance(previous, sample.position);
+            const rise = sample.position.y - previous.y;
+            if (rise > 0) {
+                climb += rise;
+            } else {
+                descent -= rise;
+            }
+        });
+        
+        return {
+            straight: straight,
+            horizontal: horizontal,
+            surface: surface,
+            climb: climb,
+            descent: descent,
+            minElevation: minElevation,
+            maxElevation: maxElevation,
+            samples: samples
+        };
+    }
+
+    /**
+     * Planimetric (plan view) and 3D surface area of a polygon drawn on the terrain
+     * The terrain inside the polygon is sampled into a height grid; every cell inside is split into
+     * two triangles, and the ratio of their 3D to flat area scales the planimetric area.
+     */
+    measureArea(points) {
+        const samples = this.sampleTerrainPath(points, true);
+        let perimeter = 0;
+        for (let i = 1; i < samples.length; i++) {
+            perimeter += BABYLON.Vector3.Distance(samples[i - 1].position, samples[i].position);
+        }
+        
+        const planimetric = Math.abs(TerrainGrid.getPolygonArea(points));
+        if (points.length < 3 || planimetric === 0) {
+            return { planimetric: 0, surface: 0, perimeter: perimeter, samples: samples };
+        }
+        
+        const xs = points.map(point => point.x);
+        const zs = points.map(point => point.z);
+        const minX = Math.min(...xs);
+        const minZ = Math.min(...zs);
+        const maxX = Math.max(...xs);
+        const maxZ = Math.max(...zs);
+        
+        // Keep the grid to a few hundred thousand cells for large paddocks
+        const cellSize = Math.max(this.measurementSampleSpacing, Math.sqrt((maxX - minX) * (maxZ - minZ) / 200000));
+        const grid = this.buildHeightGrid(minX, minZ, maxX, maxZ, cellSize);
+        const { cols, rows, heights } = grid;
+        
+        let flatArea = 0;
+        let surfaceArea = 0;
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                const centerX = minX + (i + 0.5) * cellSize;
+                const centerZ = minZ + (j + 0.5) * cellSize;
+                if (!TerrainGrid.isPointInPolygon(centerX, centerZ, points)) continue;
+                
+                const h00 = heights[j * cols + i];
+                const h10 = heights[j * cols + i + 1];
+                const h01 = heights[(j + 1) * cols + i];
+                const h11 = heights[(j + 1) * cols + i + 1];
+                if (![h00, h10, h01, h11].every(Number.isFinite)) continue;
+                
+                flatArea += cellSize * cellSize;
+                surfaceArea += this.getTriangleArea(0, h00, 0, cellSize, h10, 0, 0, h01, cellSize) +
+                    this.getTriangleArea(cellSize, h10, 0, cellSize, h11, cellSize, 0, h01, cellSize);
+            }
+        }
+        
+        return {
+            planimetric: planimetric,
+            surface: flatArea > 0 ? planimetric * surfaceArea / flatArea : planimetric,
+            perimeter: perimeter,
+            samples: samples
+        };
+    }
+
+    /**
+     * Cut and fill volumes between the terrain and a reference surface inside a polygon
+     * reference is { type: "bestfit" } (least-squares plane through the terrain along the polygon edge),
+     * { type: "plane", elevation } (flat; without an elevation, the mean edge elevation) or
+     * { type: "surface", meshes, name } (another surface, e.g. an earlier survey of the same ground).
+     * Both surfaces are sampled into the same height grid (see buildHeightGrid) and every cell whose
+     * centre is inside the polygon adds its area times the mean of the corner differences above (cut)
+     * or below (fill) the reference. Only mesh data is used, so the result is deterministic.
+     */
+    measureVolume(points, reference = this.volumeReference, meshes = this.getTerrainMeshes()) {
+        const samples = this.sampleTerrainPath(points, true);
+        const empty = { reference: reference.type, cut: 0, fill: 0, net: 0, area: 0, cutArea: 0, fillArea: 0, samples: samples };
+        if (points.length < 3 || TerrainGrid.getPolygonArea(points) === 0) return empty;
+        
+        const xs = points.map(point => point.x);
+        const zs = points.map(point => point.z);
+        const minX = Math.min(...xs);
+        const minZ = Math.min(...zs);
+        const maxX = Math.max(...xs);
+        const maxZ = Math.max(...zs);
+        
+        // Same grid density as measureArea()
+        const cellSize = Math.max(this.measurementSampleSpacing, Math.sqrt((maxX - minX) * (maxZ - minZ) / 200000));
+        const grid = this.buildHeightGrid(minX, minZ, maxX, maxZ, cellSize, meshes);
+        
+        // Reference heights at the grid points
+        let referenceHeights;
+        const figures = { reference: reference.type };
+        if (reference.type === "surface") {
+            if (!reference.meshes || reference.meshes.length === 0) return empty;
+            referenceHeights = this.buildHeightGrid(minX, minZ, maxX, maxZ, cellSize, reference.meshes).heights;
+            figures.referenceName = reference.name || null;
+        } else {
+            const edge = samples.filter(sample => sample.onTerrain).map(sample => sample.position);
+            if (edge.length === 0) return empty;
+            
+            let plane;
+            if (reference.type === "plane") {
+                const elevation = Number.isFinite(reference.elevation)
+                    ? reference.elevation
+                    : edge.reduce((sum, point) => sum + point.y, 0) / edge.length;
+                plane = { slopeX: 0, slopeZ: 0, elevation: elevation, x: 0, z: 0 };
+            } else {
+                plane = TerrainGrid.fitPlane(edge);
+            }
+            referenceHeights = TerrainGrid.getPlaneHeights(grid, plane);
+            figures.referenceElevation = plane.elevation;
+            if (reference.type === "bestfit") {
+                figures.referenceSlope = BABYLON.Tools.ToDegrees(Math.atan(Math.hypot(plane.slopeX, plane.slopeZ)));
+            }
+        }
+        
+        const { inside, ...volume } = TerrainGrid.computeVolume(grid, referenceHeights, points);
+        return {
+            ...figures,
+            ...volume,
+            cellSize: cellSize,
+            samples: samples,
+            overlay: { grid: grid, referenceHeights: referenceHeights, inside: inside }
+        };
+    }
+
+    /**
+     * Colour the cells of a volume measurement: red where the terrain is above the reference (cut),
+     * blue where it is below (fill), stronger with depth
+     */
+    createVolumeOverlay(overlay, name) {
+        const { grid, referenceHeights, inside } = overlay;
+        const { minX, minZ, cellSize, cols, rows, heights } = grid;
+        
+        let maxDifference = 0;
+        heights.forEach((height, index) => {
+            const difference = Math.abs(height - referenceHeights[index]);
+            if (Number.isFinite(difference)) maxDifference = Math.max(maxDifference, difference);
+        });
+        
+        const positions = new Float32Array(cols * rows * 3);
+        const colors = new Float32Array(cols * rows * 4);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const index = j * cols + i;
+                const height = heights[index];
+                const difference = height - referenceHeights[index];
+                const strength = maxDifference > 0 && Number.isFinite(difference) ? Math.min(1, Math.abs(difference) / maxDifference) : 0;
+                
+                positions[index * 3] = minX + i * cellSize;
+                positions[index * 3 + 1] = Number.isFinite(height) ? height + 0.05 : 0;
+                positions[index * 3 + 2] = minZ + j * cellSize;
+                colors[index * 4] = difference > 0 ? 1 : 0.1;
+                colors[index * 4 + 1] = 0.15;
+                colors[index * 4 + 2] = difference > 0 ? 0.1 : 1;
+                colors[index * 4 + 3] = 0.15 + 0.6 * strength;
+            }
+        }
+        
+        const indices = [];
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                if (!inside[j * (cols - 1) + i]) continue;
+                const a = j * cols + i;
+                indices.push(a, a + cols, a + 1, a + 1, a + cols, a + cols + 1);
+            }
+        }
+        if (indices.length === 0) return null;
+        
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.colors = colors;
+        vertexData.indices = indices;
+        const mesh = new BABYLON.Mesh(name, this.scene);
+        vertexData.applyToMesh(mesh);
+        mesh.hasVertexAlpha = true;
+        mesh.isPickable = false;
+        
+        const material = new BABYLON.StandardMaterial(`${name}Material`, this.scene);
+        material.emissiveColor = BABYLON.Color3.White();
+        material.disableLighting = true;
+        material.backFaceCulling = false;
+        material.zOffset = -2;
+        mesh.material = material;
+        mesh.onDisposeObservable.add(() => material.dispose());
+        return mesh;
+    }
+
+    /**
+     * Change the reference surface for volumes and recompute the volume measurement on show
+     */
+    setVolumeReference(reference) {
+        this.volumeReference = reference;
+        const measurement = this.activeMeasurement ||
+            [...this.measurements].reverse().find(other => other.type === "volume");
+        if (measurement && measurement.type === "volume") {
+            this.updateMeasurement(measurement);
+            this.renderMeasurePanel();
+        }
+    }
+
+    /**
+     * Area of a 3D triangle
+     */
+    getTriangleArea(ax, ay, az, bx, by, bz, cx, cy, cz) {
+        const ux = bx - ax, uy = by - ay, uz = bz - az;
+        const vx = cx - ax, vy = cy - ay, vz = cz - az;
+        return Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+    }
+
+    formatDistance(metres) {
+        return metres >= 1000 ? `${(metres / 1000).toFixed(3)} km` : `${metres.toFixed(2)} m`;
+    }
+
+    formatVolume(cubicMetres) {
+        return `${cubicMetres.toFixed(Math.abs(cubicMetres) < 100 ? 2 : 0)} m³`;
+    }
+
+    formatBytes(bytes) {
+        const units = ["B", "KB", "MB", "GB", "TB"];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    formatArea(squareMetres) {
+        return squareMetres >= 10000 ? `${(squareMetres / 10000).toFixed(3)} ha` : `${squareMetres.toFixed(1)} m²`;
+    }
+
+    /**
+     * Text billboard that always faces the camera and keeps roughly the same size on screen
+     * Drawn after the terrain so hills don't hide it. Dispose with dispose(false, true).
+     */
+    createScreenLabel(name, text, position, color = "#ffffff") {
+        const fontSize = 40;
+        const font = `bold ${fontSize}px Arial`;
+        const measure = document.createElement("canvas").getContext("2d");
+        measure.font = font;
+        const width = Math.ceil(measure.measureText(text).width) + 24;
+        const height = fontSize + 16;
+        
+        const texture = new BABYLON.DynamicTexture(`${name}Texture`, { width: width, height: height }, this.scene, true);
+        texture.hasAlpha = true;
+        const context = texture.getContext();
+        context.fillStyle = "rgba(0, 0, 0, 0.7)";
+        context.fillRect(0, 0, width, height);
+        context.font = font;
+        context.fillStyle = color;
+        context.textBaseline = "middle";
+        context.fillText(text, 12, height / 2);
+        texture.update();
+        
+        const material = new BABYLON.StandardMaterial(`${name}Material`, this.scene);
+        material.diffuseTexture = texture;
+        material.useAlphaFromDiffuseTexture = true;
+        material.emissiveColor = BABYLON.Color3.White();
+        material.disableLighting = true;
+        material.backFaceCulling = false;
+        
+        // One unit tall; updateScreenLabels() scales it with the distance to the camera
+        const label = BABYLON.MeshBuilder.CreatePlane(name, { width: width / height, height: 1 }, this.scene);
+        // Sit just above the anchor point rather than straddling it
+        label.bakeTransformIntoVertices(BABYLON.Matrix.Translation(0, 0.6, 0));
+        label.material = material;
+        label.position.copyFrom(position);
+        label.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
+        label.renderingGroupId = 1;
+        label.isPickable = false;
+        
+        this.screenLabels.add(label);
+        label.onDisposeObservable.add(() => this.screenLabels.delete(label));
+        this.updateScreenLabels();
+        return label;
+    }
+
+    /**
+     * Scale the screen labels so they stay readable at any distance
+     */
+    updateScreenLabels() {
+        if (!this.camera) return;
+        
+        this.screenLabels.forEach(label => {
+            const distance = BABYLON.Vector3.Distance(this.camera.position, label.position);
+            const scale = Math.max(0.05, distance * this.labelScale);
+            label.scaling.setAll(scale);
+        });
+    }
+
+    /**
+     * Show the figures of the measurement being drawn (or the last one made with the active tool)
+     */
+    renderMeasurePanel() {
+        const details = this.getUiElement("measureResult");
+        const chart = this.getUiElement("profileChart");
+        if (!details) return;
+        
+        const type = this.activeTool;
+        const measurement = this.activeMeasurement ||
+            [...this.measurements].reverse().find(other => other.type === type);
+        const result = measurement && measurement.type === type ? measurement.result : null;
+        
+        details.innerHTML = "";
+        const referenceControls = this.getUiElement("volumeReferenceControls");
+        if (referenceControls) {
+            referenceControls.style.display = type === "volume" ? "block" : "none";
+        }
+        if (chart) {
+            chart.style.display = result && type === "profile" && measurement.points.length > 1 ? "block" : "none";
+        }
+        
+        const tap = this.isMobile ? "Tap" : "Click";
+        const hints = {
+            ruler: `${tap} points along a line. Double-click, Enter or Finish ends it.`,
+            area: `${tap} the corners of an area. Double-click, Enter or Finish closes it.`,
+            volume: `${tap} the corners of the earthworks. Double-click, Enter or Finish closes it.`,
+            profile: `${tap} points along a track. Double-click, Enter or Finish ends it.`
+        };
+        if (!result) {
+            details.textContent = hints[type] || "";
+            return;
+        }
+        
+        let rows;
+        if (type === "area") {
+            rows = [
+                ["Planimetric area", this.formatArea(result.planimetric)],
+                ["Surface area", this.formatArea(result.surface)],
+                ["Perimeter", this.formatDistance(result.perimeter)]
+            ];
+        } else if (type === "volume") {
+            const referenceNames = {
+                bestfit: "Best-fit plane through edge",
+                plane: "Flat plane",
+                surface: `Surface ${result.referenceName || ""}`.trim()
+            };
+            rows = [
+                ["Reference", referenceNames[result.reference]],
+                ...(result.referenceElevation !== undefined ? [["Reference elevation", `${result.referenceElevation.toFixed(2)} m`]] : []),
+                ...(result.referenceSlope !== undefined ? [["Reference slope", `${result.referenceSlope.toFixed(1)}°`]] : []),
+                ["Cut (above reference)", `${this.formatVolume(result.cut)} over ${this.formatArea(result.cutArea)}`],
+                ["Fill (below reference)", `${this.formatVolume(result.fill)} over ${this.formatArea(result.fillArea)}`],
+                ["Net (cut - fill)", this.formatVolume(result.net)],
+                ["Area", this.formatArea(result.area)],
+                ["Overlay", "red = cut, blue = fill"]
+            ];
+        } else {
+            rows = [
+                ["Surface distance", this.formatDistance(result.surface)],
+                ["Straight distance", this.formatDistance(result.straight)],
+                ["Horizontal distance", this.formatDistance(result.horizontal)],
+                ["Elevation", `${result.minElevation.toFixed(2)} – ${result.maxElevation.toFixed(2)} m`],
+                ["Climb / descent", `${result.climb.toFixed(2)} m / ${result.descent.toFixed(2)} m`]
+            ];
+        }
+        
+        rows.forEach(([label, value]) => {
+            const term = document.createElement("dt");
+            term.textContent = label;
+            const description = document.createElement("dd");
+            description.textContent = value;
+            details.appendChild(term);
+            details.appendChild(description);
+        });
+        
+        if (chart && type === "profile" && measurement.points.length > 1) {
+            this.drawProfileChart(chart, result.samples);
+        }
+    }
+
+    /**
+     * Draw elevation against distance along the line; gaps where the line leaves the terrain
+     */
+    drawProfileChart(canvas, samples) {
+        const context = canvas.getContext("2d");
+        const { width, height } = canvas;
+        const padding = { left: 48, right: 8, top: 10, bottom: 20 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        
+        context.clearRect(0, 0, width, height);
+        
+        const onTerrain = samples.filter(sample => sample.onTerrain);
+        if (onTerrain.length < 2) return;
+        
+        const total = samples[samples.length - 1].distance || 1;
+        const minElevation = Math.min(...onTerrain.map(sample => sample.position.y));
+        const maxElevation = Math.max(...onTerrain.map(sample => sample.position.y));
+        const range = maxElevation - minElevation || 1;
+        const toX = distance => padding.left + distance / total * plotWidth;
+        const toY = elevation => padding.top + (1 - (elevation - minElevation) / range) * plotHeight;
+        
+        context.strokeStyle = "rgba(255, 255, 255, 0.4)";
+        context.lineWidth = 1;
+        context.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+        
+        context.fillStyle = "white";
+        context.font = "11px Arial";
+        context.textAlign = "right";
+        context.fillText(`${maxElevation.toFixed(1)} m`, padding.left - 4, padding.top + 8);
+        context.fillText(`${minElevation.toFixed(1)} m`, padding.left - 4, padding.top + plotHeight);
+        context.fillText(this.formatDistance(total), width - padding.right, height - 5);
+        context.textAlign = "left";
+        context.fillText("0", padding.left, height - 5);
+        
+        context.strokeStyle = MEASUREMENT_TOOLS.profile;
+        context.lineWidth = 2;
+        context.beginPath();
+        let drawing = false;
+        samples.forEach(sample => {
+            if (!sample.onTerrain) {
+                drawing = false;
+                return;
+            }
+            const x = toX(sample.distance);
+            const y = toY(sample.position.y);
+            if (drawing) {
+                context.lineTo(x, y);
+            } else {
+                context.moveTo(x, y);
+                drawing = true;
+            }
+        });
+        context.stroke();
+    }
+
+    /**
+     * Turn a georeference from block.json or the manifest into projection parameters
+     * Either { crs: "EPSG:32755", origin: [easting, northing, height], rotation, scale } or
+     * { anchor: { lat, lon, alt, position: [x, y, z] }, rotation, scale } (optionally with a crs).
+     * Returns null (and reports why) if it can't be used.
+     */
+    parseGeoreference(config, blockName) {
+        if (!config) return null;
+        
+        const georeference = {
+            projection: null,
+            origin: { easting: 0, northing: 0, height: 0 },
+            rotation: BABYLON.Tools.ToRadians(Number(config.rotation) || 0), // Clockwise from grid north to +Z
+            scale: Number(config.scale) > 0 ? Number(config.scale) : 1,       // Metres per viewer unit
+            flipZ: !!config.flipZ                                              // +Z points south
+        };
+        
+        const crs = config.crs || config.epsg;
+        if (crs) {
+            georeference.projection = this.getProjection(crs);
+            if (!georeference.projection) {
+                this.reportLoadIssue("warning", blockName, `Georeference uses unsupported CRS "${crs}" ` +
+                    "(supported: EPSG:326xx/327xx UTM, EPSG:283xx/78xx MGA, EPSG:3857) - give a lat/lon anchor instead");
+                return null;
+            }
+        }
+        
+        if (config.anchor) {
+            const lat = Number(config.anchor.lat);
+            const lon = Number(config.anchor.lon);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+                this.reportLoadIssue("warning", blockName, "Georeference anchor needs a valid lat and lon");
+                return null;
+            }
+            
+            // Without a CRS, use a transverse Mercator projection centred on the anchor
+            if (!georeference.projection) {
+                georeference.projection = {
+                    code: null, type: "tm", ellipsoid: ELLIPSOIDS.WGS84, lon0: lon, k0: 1, falseEasting: 0, falseNorthing: 0
+                };
+            }
+            
+            // Place the origin so the anchor's viewer position lands on the anchor
+            const [x, y, z] = Array.isArray(config.anchor.position) ? config.anchor.position.map(Number) : [0, 0, 0];
+            const offset = this.localToProjected(x, y, z, georeference);
+            const anchor = this.projectGeographic(lat, lon, georeference.projection);
+            georeference.origin = {
+                easting: anchor.easting - offset.easting,
+                northing: anchor.northing - offset.northing,
+                height: (Number(config.anchor.alt) || 0) - offset.height
+            };
+            return georeference;
+        }
+        
+        const origin = Array.isArray(config.origin) ? config.origin.map(Number) : [];
+        if (!georeference.projection || !Number.isFinite(origin[0]) || !Number.isFinite(origin[1])) {
+            this.reportLoadIssue("warning", blockName, "Georeference needs a crs and an origin [easting, northing, height], or an anchor");
+            return null;
+        }
+        georeference.origin = { easting: origin[0], northing: origin[1], height: Number.isFinite(origin[2]) ? origin[2] : 0 };
+        return georeference;
+    }
+
+    /**
+     * Projection parameters for a supported EPSG code, or null
+     * WGS 84 / UTM (EPSG:326xx north, 327xx south), GDA94 / MGA (EPSG:283xx),
+     * GDA2020 / MGA (EPSG:78xx) and Web Mercator (EPSG:3857)
+     */
+    getProjection(code) {
+        const match = /^(?:EPSG:)?(\d+)$/i.exec(String(code).trim());
+        if (!match) return null;
+        
+        const epsg = Number(match[1]);
+        const utm = (zone, south, ellipsoid) => ({
+            code: `EPSG:${epsg}`,
+            type: "tm",
+            ellipsoid: ellipsoid,
+            lon0: zone * 6 - 183,
+            k0: 0.9996,
+            falseEasting: 500000,
+            falseNorthing: south ? 10000000 : 0
+        });
+        
+        if (epsg >= 32601 && epsg <= 32660) return utm(epsg - 32600, false, ELLIPSOIDS.WGS84);
+        if (epsg >= 32701 && epsg <= 32760) return utm(epsg - 32700, true, ELLIPSOIDS.WGS84);
+        if (epsg >= 28348 && epsg <= 28358) return utm(epsg - 28300, true, ELLIPSOIDS.GRS80);
+        if (epsg >= 7846 && epsg <= 7859) return utm(epsg - 7800, true, ELLIPSOIDS.GRS80);
+        if (epsg === 3857) return { code: "EPSG:3857", type: "mercator", ellipsoid: ELLIPSOIDS.WGS84 };
+        return null;
+    }
+
+    /**
+     * Latitude/longitude (degrees) to projected easting/northing (metres)
+     * Transverse Mercator series from Snyder, "Map Projections - A Working Manual" (mm accuracy within a zone)
+     */
+    projectGeographic(lat, lon, projection) {
+        const { a, f } = projection.ellipsoid;
+        const phi = BABYLON.Tools.ToRadians(lat);
+        
+        if (projection.type === "mercator") {
+            return {
+                easting: a * BABYLON.Tools.ToRadians(lon),
+                northing: a * Math.log(Math.tan(Math.PI / 4 + phi / 2))
+            };
+        }
+        
+        const e2 = f * (2 - f);
+        const ep2 = e2 / (1 - e2);
+        const sin = Math.sin(phi);
+        const cos = Math.cos(phi);
+        const tan = Math.tan(phi);
+        
+        const N = a / Math.sqrt(1 - e2 * sin * sin);
+        const T = tan * tan;
+        const C = ep2 * cos * cos;
+        const A = cos * BABYLON.Tools.ToRadians(lon - projection.lon0);
+        const M = this.getMeridianArc(phi, a, e2);
+        
+        const x = projection.k0 * N * (A + (1 - T + C) * A ** 3 / 6 +
+            (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120);
+        const y = projection.k0 * (M + N * tan * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+            (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720));
+        
+        return { easting: projection.falseEasting + x, northing: projection.falseNorthing + y };
+    }
+
+    /**
+     * Projected easting/northing (metres) back to latitude/longitude (degrees)
+     */
+    unprojectProjected(easting, northing, projection) {
+        const { a, f } = projection.ellipsoid;
+        
+        if (projection.type === "mercator") {
+            return {
+                lat: BABYLON.Tools.ToDegrees(2 * Math.atan(Math.exp(northing / a)) - Math.PI / 2),
+                lon: BABYLON.Tools.ToDegrees(easting / a)
+            };
+        }
+        
+        const e2 = f * (2 - f);
+        const ep2 = e2 / (1 - e2);
+        const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+        
+        const M = (northing - projection.falseNorthing) / projection.k0;
+        const mu = M / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256));
+        const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+            (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+            (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+            (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+        
+        const sin1 = Math.sin(phi1);
+        const cos1 = Math.cos(phi1);
+        const tan1 = Math.tan(phi1);
+        const C1 = ep2 * cos1 * cos1;
+        const T1 = tan1 * tan1;
+        const N1 = a / Math.sqrt(1 - e2 * sin1 * sin1);
+        const R1 = a * (1 - e2) / Math.pow(1 - e2 * sin1 * sin1, 1.5);
+        const D = (easting - projection.falseEasting) / (N1 * projection.k0);
+        
+        const phi = phi1 - (N1 * tan1 / R1) * (D * D / 2 -
+            (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4 / 24 +
+            (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6 / 720);
+        const lambda = (D - (1 + 2 * T1 + C1) * D ** 3 / 6 +
+            (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5 / 120) / cos1;
+        
+        return { lat: BABYLON.Tools.ToDegrees(phi), lon: projection.lon0 + BABYLON.Tools.ToDegrees(lambda) };
+    }
+
+    /**
+     * Distance along the meridian from the equator to latitude phi (radians)
+     */
+    getMeridianArc(phi, a, e2) {
+        const e4 = e2 * e2;
+        const e6 = e4 * e2;
+        return a * ((1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+            (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+            (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+            (35 * e6 / 3072) * Math.sin(6 * phi));
+    }
+
+    /**
+     * Viewer coordinates to projected coordinates with a block's origin, rotation and scale
+     */
+    localToProjected(x, y, z, georeference) {
+        const north = georeference.flipZ ? -z : z;
+        const cos = Math.cos(georeference.rotation);
+        const sin = Math.sin(georeference.rotation);
+        const scale = georeference.scale;
+        return {
+            easting: georeference.origin.easting + scale * (x * cos + north * sin),
+            northing: georeference.origin.northing + scale * (north * cos - x * sin),
+            height: georeference.origin.height + scale * y
+        };
+    }
+
+    projectedToLocal(easting, northing, height, georeference) {
+        const east = (easting - georeference.origin.easting) / georeference.scale;
+        const north = (northing - georeference.origin.northing) / georeference.scale;
+        const cos = Math.cos(georeference.rotation);
+        const sin = Math.sin(georeference.rotation);
+        const z = east * sin + north * cos;
+        return {
+            x: east * cos - north * sin,
+            y: (height - georeference.origin.height) / georeference.scale,
+            z: georeference.flipZ ? -z : z
+        };
+    }
+
+    /**
+     * Georeference of the block at (x, z), or of any loaded block (they share one coordinate space)
+     */
+    getGeoreferenceAt(x, z) {
+        const block = this.blocks.get(this.getBlockNameAt(x, z));
+        if (block && block.georeference) return block.georeference;
+        
+        const georeferenced = [...this.blocks.values()].find(other => other.georeference);
+        return georeferenced ? georeferenced.georeference : null;
+    }
+
+    isGeoreferenced() {
+        return [...this.blocks.values()].some(block => block.georeference);
+    }
+
+    /**
+     * Real-world position of a viewer point: { lat, lon, alt, easting, northing, crs }, or null
+     * Altitude is in the height datum of the georeference origin
+     */
+    localToGeographic(position) {
+        const georeference = this.getGeoreferenceAt(position.x, position.z);
+        if (!georeference) return null;
+        
+        const projected = this.localToProjected(position.x, position.y, position.z, georeference);
+        const { lat, lon } = this.unprojectProjected(projected.easting, projected.northing, georeference.projection);
+        return {
+            lat: lat,
+            lon: lon,
+            alt: projected.height,
+            easting: projected.easting,
+            northing: projected.northing,
+            crs: georeference.projection.code
+        };
+    }
+
+    /**
+     * Viewer position of a latitude/longitude/altitude, or null without a georeference
+     */
+    geographicToLocal(lat, lon, alt = 0) {
+        let result = null;
+        for (const block of this.blocks.values()) {
+            if (!block.georeference) continue;
+            
+            const projected = this.projectGeographic(lat, lon, block.georeference.projection);
+            const local = this.projectedToLocal(projected.easting, projected.northing, alt, block.georeference);
+            result = result || local;
+            
+            // Prefer the block that actually contains the point
+            const bounds = block.bounds;
+            if (bounds && local.x >= bounds.min.x && local.x <= bounds.max.x && local.z >= bounds.min.z && local.z <= bounds.max.z) {
+                return local;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * GeoJSON position for a viewer point: [lon, lat, alt] when georeferenced,
+     * otherwise scene metres [x, z, elevation]
+     */
+    toGeoJsonPosition(position) {
+        const [x, y, z] = Array.isArray(position) ? position : position.asArray();
+        const geo = this.localToGeographic({ x: x, y: y, z: z });
+        return geo ? [geo.lon, geo.lat, geo.alt] : [x, z, y];
+    }
+
+    /**
+     * Viewer [x, y, z] for a GeoJSON position (y is NaN when the position has no altitude)
+     */
+    fromGeoJsonPosition(coordinates) {
+        const [first, second, third] = coordinates.map(Number);
+        const height = Number.isFinite(third) ? third : NaN;
+        if (this.isGeoreferenced()) {
+            const local = this.geographicToLocal(second, first, Number.isFinite(height) ? height : 0);
+            return [local.x, Number.isFinite(height) ? local.y : NaN, local.z];
+        }
+        return [first, height, second];
+    }
+
+    /**
+     * Hook up the "go to lat, lon" box
+     */
+    setupGeoPanel() {
+        const input = this.getUiElement("gotoInput");
+        const button = this.getUiElement("gotoButton");
+        if (!input) return;
+        
+        const go = () => {
+            const ok = this.goToLatLon(input.value);
+            input.setCustomValidity(ok ? "" : "Enter a latitude and longitude on the terrain, e.g. -35.1234, 147.5678");
+            input.reportValidity();
+            if (ok) input.blur();
+        };
+        
+        this.listen(input, "keydown", (event) => {
+            if (event.key === "Enter") go();
+        });
+        this.listen(input, "input", () => input.setCustomValidity(""));
+        if (button) {
+            this.listen(button, "click", (event) => {
+                event.stopPropagation();
+                button.blur();
+                go();
+            });
+        }
+        this.updateGeoPanel(true);
+    }
+
+    /**
+     * Show the camera's latitude, longitude and altitude (hidden for terrain without a georeference)
+     */
+    updateGeoPanel(force = false) {
+        const panel = this.getUiElement("geoPanel");
+        const status = this.getUiElement("geoStatus");
+        if (!panel || !status || !this.camera) return;
+        
+        const now = performance.now();
+        if (!force && now - this.lastGeoUpdate < 200) return;
+        this.lastGeoUpdate = now;
+        
+        const geo = this.localToGeographic(this.camera.position);
+        panel.style.display = geo ? "block" : "none";
+        if (geo) {
+            status.textContent = `${this.formatLatLon(geo)}, alt ${geo.alt.toFixed(1)} m`;
+        }
+    }
+
+    formatLatLon(geo) {
+        return `${geo.lat.toFixed(6)}°, ${geo.lon.toFixed(6)}°`;
+    }
+
+    /**
+     * Fly to a "lat, lon" typed by the user (decimal degrees); returns false if it can't
+     */
+    goToLatLon(text) {
+        const numbers = String(text).replace(/°/g, " ").split(/[\s,;]+/).filter(Boolean).map(Number);
+        const [lat, lon] = numbers;
+        if (numbers.length !== 2 || !Number.isFinite(lat) || !Number.isFinite(lon) ||
+            Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return false;
+        }
+        
+        const local = this.geographicToLocal(lat, lon);
+        if (!local) return false;
+        
+        const ground = this.getTerrainHeightAt(local.x, local.z);
+        const outside = !this.terrainBounds ||
+            local.x < this.terrainBounds.min.x || local.x > this.terrainBounds.max.x ||
+            local.z < this.terrainBounds.min.z || local.z > this.terrainBounds.max.z;
+        if (ground === null && outside) return false;
+        
+        // The block there may still be streaming in, so look at it from the air until it has loaded
+        if (ground === null && this.movementMode === "walk") {
+            this.setMovementMode("fly");
+        }
+        
+        const target = new BABYLON.Vector3(local.x, ground !== null ? ground : this.terrainBounds.max.y, local.z);
+        console.log(`Going to ${lat}, ${lon} (viewer ${target.toString()})`);
+        this.flyToPoint(target);
+        return true;
+    }
+
+    /**
+     * Wire up the layers panel, GeoJSON drag-and-drop and the feature tooltip
+     */
+    setupLayersPanel() {
+        const panel = this.getUiElement("layersPanel");
+        const toggleButton = this.getUiElement("layersButton");
+        if (panel && toggleButton) {
+            this.listen(toggleButton, "click", (event) => {
+                event.stopPropagation();
+                toggleButton.blur();
+                panel.style.display = panel.style.display === "block" ? "none" : "block";
+            });
+        }
+        
+        // Drop GeoJSON files onto the view to add them as layers
+        this.listen(this.canvas, "dragover", (event) => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
+        });
+        this.listen(this.canvas, "drop", async (event) => {
+            event.preventDefault();
+            for (const file of event.dataTransfer.files) {
+                await this.importVectorLayer(file);
+            }
+        });
+        
+        const importInput = this.getUiElement("layerImport");
+        if (importInput) {
+            this.listen(importInput, "change", async () => {
+                const files = [...importInput.files];
+                importInput.value = "";
+                for (const file of files) {
+                    await this.importVectorLayer(file);
+                }
+            });
+        }
+        
+        this.listen(this.canvas, "pointermove", (event) => this.updateFeatureTooltip(event));
+        this.listen(this.canvas, "pointerleave", () => this.hideFeatureTooltip());
+        
+        // The rows are rebuilt on every change, so their controls are handled once here,
+        // by the row's data-layer and the control's data-action
+        const list = this.getUiElement("layerList");
+        if (list) {
+            this.listen(list, "change", (event) => {
+                const control = event.target.closest("[data-action]");
+                const item = event.target.closest("[data-layer]");
+                if (!control || !item) return;
+                control.blur();
+                if (control.dataset.action === "visible") {
+                    this.setVectorLayerVisible(item.dataset.layer, control.checked);
+                } else if (control.dataset.action === "style") {
+                    this.setVectorLayerStyle(item.dataset.layer, control.value);
+                }
+            });
+            this.listen(list, "click", (event) => {
+                const control = event.target.closest("button[data-action]");
+                const item = event.target.closest("[data-layer]");
+                if (!control || !item || control.dataset.action !== "remove") return;
+                event.stopPropagation();
+                this.removeVectorLayer(item.dataset.layer);
+            });
+        }
+        
+        this.renderLayerList();
+    }
+
+    /**
+     * Load the GeoJSON layers listed in the manifest ("layers": [{ name, url, style, crs, visible }])
+     * URLs are relative to the assets directory. Only done once - layers survive terrain switches.
+     */
+    async loadManifestLayers() {
+        if (this.manifestLayersLoaded || !this.manifest || !Array.isArray(this.manifest.layers)) return;
+        this.manifestLayersLoaded = true;
+        
+        for (const entry of this.manifest.layers) {
+            const url = `${this.assetsRoot}${entry.url}`;
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                this.addVectorLayer(entry.name || entry.url, await response.json(), entry);
+            } catch (error) {
+                this.reportLoadIssue("warning", null, `GeoJSON layer ${url} could not be loaded (${error.message})`);
+            }
+        }
+    }
+
+    async importVectorLayer(file) {
+        try {
+            this.addVectorLayer(file.name.replace(/\.(geo)?json$/i, ""), JSON.parse(await file.text()));
+        } catch (error) {
+            console.error(`Could not load GeoJSON layer ${file.name}:`, error);
+            this.emit("error", { message: `Could not load GeoJSON layer ${file.name}`, error: error });
+        }
+    }
+
+    /**
+     * Add a GeoJSON FeatureCollection, Feature or geometry as a layer draped onto the terrain
+     * Options: style (properties field to colour by), crs (EPSG code of projected coordinates),
+     * visible (default true)
+     */
+    addVectorLayer(name, data, options = {}) {
+        let features;
+        if (data && data.type === "FeatureCollection" && Array.isArray(data.features)) {
+            features = data.features;
+        } else if (data && data.type === "Feature") {
+            features = [data];
+        } else if (data && data.type) {
+            features = [{ type: "Feature", geometry: data, properties: {} }];
+        } else {
+            throw new Error("Not a GeoJSON object");
+        }
+        
+        // Projected coordinates come from the layer options or the (legacy) GeoJSON "crs" member
+        const crsName = options.crs || (data.crs && data.crs.properties && data.crs.properties.name) || "";
+        const epsg = /EPSG:+(\d+)/i.exec(crsName);
+        let projection = null;
+        if (epsg && epsg[1] !== "4326") {
+            projection = this.getProjection(epsg[1]);
+            if (!projection) {
+                throw new Error(`Unsupported CRS ${crsName}`);
+            }
+        }
+        if (!projection && !this.isGeoreferenced()) {
+            console.warn(`The terrain has no georeference - coordinates in layer ${name} are read as scene [x, z]`);
+        }
+        
+        const layer = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            name: name,
+            features: features.filter(feature => feature && feature.geometry),
+            projection: projection,
+            styleField: options.style || null,
+            visible: options.visible !== false,
+            color: this.layerPalette[this.vectorLayers.length % this.layerPalette.length],
+            meshes: [],
+            materials: new Map(),
+            draped: false
+        };
+        
+        // Only keep the layer once it has draped, so a layer that fails isn't re-draped on every stream
+        try {
+            this.drapeVectorLayer(layer);
+        } catch (error) {
+            this.disposeVectorLayerMeshes(layer);
+            layer.materials.forEach(material => material.dispose());
+            throw error;
+        }
+        this.vectorLayers.push(layer);
+        this.renderLayerList();
+        console.log(`Added layer ${name} with ${layer.features.length} feature(s)`);
+        return layer;
+    }
+
+    removeVectorLayer(id) {
+        const layer = this.vectorLayers.find(other => other.id === id);
+        if (!layer) return;
+        
+        this.disposeVectorLayerMeshes(layer);
+        layer.materials.forEach(material => material.dispose());
+        this.vectorLayers = this.vectorLayers.filter(other => other !== layer);
+        this.renderLayerList();
+    }
+
+    setVectorLayerVisible(id, visible) {
+        const layer = this.vectorLayers.find(other => other.id === id);
+        if (!layer) return;
+        
+        layer.visible = visible;
+        if (visible && !layer.draped) {
+            this.drapeVectorLayer(layer);
+        }
+        layer.meshes.forEach(mesh => mesh.setEnabled(visible));
+    }
+
+    setVectorLayerStyle(id, field) {
+        const layer = this.vectorLayers.find(other => other.id === id);
+        if (!layer) return;
+        
+        layer.styleField = field || null;
+        this.drapeVectorLayer(layer);
+    }
+
+    disposeVectorLayerMeshes(layer) {
+        layer.meshes.forEach(mesh => mesh.dispose());
+        layer.meshes = [];
+        layer.draped = false;
+    }
+
+    /**
+     * Colour of a feature: its own simplestyle colour, a colour per value of the layer's
+     * style field, or the layer colour
+     */
+    getVectorFeatureColor(layer, feature, kind) {
+        const properties = feature.properties || {};
+        const own = kind === "point" ? properties["marker-color"] : kind === "fill" ? properties.fill : properties.stroke;
+        if (/^#[0-9a-f]{6}$/i.test(own)) return own;
+        
+        if (layer.styleField) {
+            if (!layer.styleValues) {
+                layer.styleValues = new Map();
+            }
+            const value = String(properties[layer.styleField]);
+            if (!layer.styleValues.has(value)) {
+                layer.styleValues.set(value, this.layerPalette[layer.styleValues.size % this.layerPalette.length]);
+            }
+            return layer.styleValues.get(value);
+        }
+        return layer.color;
+    }
+
+    /**
+     * Shared material for one colour of a layer (fills are semi-transparent)
+     */
+    getVectorLayerMaterial(layer, color, kind) {
+        const key = `${kind}${color}`;
+        if (!layer.materials.has(key)) {
+            const material = new BABYLON.StandardMaterial(`layer_${layer.id}_${key}`, this.scene);
+            material.diffuseColor = BABYLON.Color3.FromHexString(color);
+            material.emissiveColor = material.diffuseColor.scale(0.5);
+            material.specularColor = BABYLON.Color3.Black();
+            material.backFaceCulling = false;
+            if (kind === "fill") {
+                material.alpha = 0.35;
+                // Draw over the terrain surface it lies on
+                material.zOffset = -2;
+            }
+            layer.materials.set(key, material);
+        }
+        return layer.materials.get(key);
+    }
+
+    /**
+     * Positions of a GeoJSON coordinate array in the viewer frame ({ x, z })
+     */
+    getLayerLocalPositions(layer, coordinates) {
+        return coordinates.map(position => {
+            let geographic = position;
+            if (layer.projection) {
+                const { lat, lon } = this.unprojectProjected(position[0], position[1], layer.projection);
+                geographic = [lon, lat];
+            }
+            const [x, , z] = this.fromGeoJsonPosition(geographic.slice(0, 2));
+            return { x: x, z: z };
+        });
+    }
+
+    /**
+     * Build the draped meshes of a layer: points as markers, lines following the surface,
+     * polygons as semi-transparent fills over the terrain cells inside them
+     */
+    drapeVectorLayer(layer) {
+        this.disposeVectorLayerMeshes(layer);
+        layer.styleValues = null;
+        if (!this.scene || !layer.visible || this.getTerrainMeshes().length === 0) return;
+        if (layer.projection && !this.isGeoreferenced()) {
+            console.warn(`Layer ${layer.name} uses projected coordinates but the terrain has no georeference`);
+            return;
+        }
+        
+        // Every geometry as { kind, feature, index, parts: [[{ x, z }, ...], ...] }
+        const shapes = [];
+        const addGeometry = (geometry, feature, index) => {
+            const coordinates = geometry.coordinates;
+            switch (geometry.type) {
+                case "Point":
+                    shapes.push({ kind: "point", feature, index, parts: [this.getLayerLocalPositions(layer, [coordinates])] });
+                    break;
+                case "MultiPoint":
+                    coordinates.forEach(point => shapes.push({ kind: "point", feature, index, parts: [this.getLayerLocalPositions(layer, [point])] }));
+                    break;
+                case "LineString":
+                    shapes.push({ kind: "line", feature, index, parts: [this.getLayerLocalPositions(layer, coordinates)] });
+                    break;
+                case "MultiLineString":
+                    shapes.push({ kind: "line", feature, index, parts: coordinates.map(line => this.getLayerLocalPositions(layer, line)) });
+                    break;
+                case "Polygon":
+                    shapes.push({ kind: "polygon", feature, index, parts: coordinates.map(ring => this.getLayerLocalPositions(layer, ring)) });
+                    break;
+                case "MultiPolygon":
+                    coordinates.forEach(polygon => shapes.push({ kind: "polygon", feature, index, parts: polygon.map(ring => this.getLayerLocalPositions(layer, ring)) }));
+                    break;
+                case "GeometryCollection":
+                    geometry.geometries.forEach(child => addGeometry(child, feature, index));
+                    break;
+            }
+        };
+        layer.features.forEach((feature, index) => addGeometry(feature.geometry, feature, index));
+        
+        const allPositions = shapes.flatMap(shape => shape.parts.flat());
+        if (allPositions.length === 0) return;
+        
+        // One height grid covering the whole layer, at most a few million cells
+        // (bounds in a loop - layers can have far more vertices than a call can take arguments)
+        const margin = 1;
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        allPositions.forEach(position => {
+            minX = Math.min(minX, position.x);
+            maxX = Math.max(maxX, position.x);
+            minZ = Math.min(minZ, position.z);
+            maxZ = Math.max(maxZ, position.z);
+        });
+        minX -= margin;
+        maxX += margin;
+        minZ -= margin;
+        maxZ += margin;
+        const cellSize = Math.max(0.5, Math.sqrt((maxX - minX) * (maxZ - minZ) / 2000000));
+        const grid = this.buildHeightGrid(minX, minZ, maxX, maxZ, cellSize);
+        const lift = 0.15; // Keep lines and markers clear of the surface
+        
+        shapes.forEach(shape => {
+            const metadata = { vectorLayer: layer.id, featureIndex: shape.index };
+            
+            if (shape.kind === "point") {
+                const position = shape.parts[0][0];
+                const height = TerrainGrid.sampleHeightGrid(grid, position.x, position.z);
+                if (!Number.isFinite(height)) return;
+                
+                const marker = BABYLON.MeshBuilder.CreateSphere(`layerPoint_${layer.id}`, { diameter: 0.6, segments: 8 }, this.scene);
+                marker.position.set(position.x, height + 0.3, position.z);
+                marker.material = this.getVectorLayerMaterial(layer, this.getVectorFeatureColor(layer, shape.feature, "point"), "point");
+                marker.metadata = metadata;
+                layer.meshes.push(marker);
+                return;
+            }
+            
+            // Lines and polygon outlines, split wherever they leave the terrain
+            const rings = shape.kind === "polygon"
+                ? shape.parts.map(ring => ring.length > 0 && (ring[0].x !== ring[ring.length - 1].x || ring[0].z !== ring[ring.length - 1].z) ? [...ring, ring[0]] : ring)
+                : shape.parts;
+            const lines = rings.flatMap(part => this.drapePolyline(grid, part, lift));
+            if (lines.length > 0) {
+                const outline = BABYLON.MeshBuilder.CreateLineSystem(`layerLine_${layer.id}`, { lines: lines }, this.scene);
+                outline.color = BABYLON.Color3.FromHexString(this.getVectorFeatureColor(layer, shape.feature, "line"));
+                outline.intersectionThreshold = 0.5;
+                outline.metadata = metadata;
+                layer.meshes.push(outline);
+            }
+            
+            if (shape.kind === "polygon") {
+                const fill = this.createDrapedFill(grid, shape.parts, `layerFill_${layer.id}`);
+                if (fill) {
+                    fill.material = this.getVectorLayerMaterial(layer, this.getVectorFeatureColor(layer, shape.feature, "fill"), "fill");
+                    fill.metadata = metadata;
+                    layer.meshes.push(fill);
+                }
+            }
+        });
+        
+        layer.draped = true;
+    }
+
+    /**
+     * Sample a polyline onto a height grid every cell, returning the runs that lie on the terrain
+     */
+    drapePolyline(grid, points, lift = 0) {
+        const lines = [];
+        let current = [];
+        const finish = () => {
+            if (current.length > 1) lines.push(current);
+            current = [];
+        };
+        
+        for (let i = 1; i < points.length; i++) {
+            const start = points[i - 1];
+            const end = points[i];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const steps = Math.max(1, Math.ceil(length / grid.cellSize));
+            
+            for (let step = i === 1 ? 0 : 1; step <= steps; step++) {
+                const t = step / steps;
+                const x = start.x + (end.x - start.x) * t;
+                const z = start.z + (end.z - start.z) * t;
+                const height = TerrainGrid.sampleHeightGrid(grid, x, z);
+                if (Number.isFinite(height)) {
+                    current.push(new BABYLON.Vector3(x, height + lift, z));
+                } else {
+                    finish();
+                }
+            }
+        }
+        finish();
+        return lines;
+    }
+
+    /**
+     * Mesh covering the height grid cells inside a polygon (outer ring, then holes)
+     * Only cells with terrain at all four corners are included, so the fill is clipped to the terrain.
+     */
+    createDrapedFill(grid, rings, name) {
+        const { minX, minZ, cellSize, cols, rows, heights } = grid;
+        const [outer, ...holes] = rings;
+        if (!outer || outer.length < 3) return null;
+        
+        const positions = [];
+        const indices = [];
+        const vertexIndex = new Map(); // Grid point index -> vertex index
+        const lift = 0.05;
+        const vertex = (i, j) => {
+            const key = j * cols + i;
+            if (!vertexIndex.has(key)) {
+                vertexIndex.set(key, positions.length / 3);
+                positions.push(minX + i * cellSize, heights[key] + lift, minZ + j * cellSize);
+            }
+            return vertexIndex.get(key);
+        };
+        
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                const centerX = minX + (i + 0.5) * cellSize;
+                const centerZ = minZ + (j + 0.5) * cellSize;
+                if (!TerrainGrid.isPointInPolygon(centerX, centerZ, outer) ||
+                    holes.some(hole => TerrainGrid.isPointInPolygon(centerX, centerZ, hole))) continue;
+                
+                const corners = [j * cols + i, j * cols + i + 1, (j + 1) * cols + i, (j + 1) * cols + i + 1];
+                if (!corners.every(index => Number.isFinite(heights[index]))) continue;
+                
+                const a = vertex(i, j);
+                const b = vertex(i + 1, j);
+                const c = vertex(i, j + 1);
+                const d = vertex(i + 1, j + 1);
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+        
+        if (indices.length === 0) return null;
+        
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.indices = indices;
+        vertexData.normals = [];
+        BABYLON.VertexData.ComputeNormals(positions, indices, vertexData.normals);
+        
+        const mesh = new BABYLON.Mesh(name, this.scene);
+        vertexData.applyToMesh(mesh);
+        return mesh;
+    }
+
+    /**
+     * Re-drape visible layers after terrain blocks stream in or out
+     */
+    updateVectorLayers() {
+        if (!this.vectorLayersDirty || this.vectorLayers.length === 0) return;
+        
+        const now = performance.now();
+        if (now - this.lastVectorDrape < this.streamingSettings.updateInterval) return;
+        this.lastVectorDrape = now;
+        this.vectorLayersDirty = false;
+        
+        this.vectorLayers.forEach(layer => {
+            if (layer.visible) {
+                this.drapeVectorLayer(layer);
+            } else {
+                this.disposeVectorLayerMeshes(layer);
+            }
+        });
+    }
+
+    /**
+     * List the layers with a visibility toggle, a "colour by" field picker and a remove button
+     */
+    renderLayerList() {
+        const list = this.getUiElement("layerList");
+        if (!list) return;
+        
+        list.innerHTML = "";
+        if (this.vectorLayers.length === 0) {
+            const empty = document.createElement("li");
+            empty.textContent = "Drop a GeoJSON file on the view (or choose one below) to add a layer.";
+            list.appendChild(empty);
+            return;
+        }
+        
+        // Clicks and changes are handled by the list's listeners (see setupLayersPanel)
+        this.vectorLayers.forEach(layer => {
+            const item = document.createElement("li");
+            item.dataset.layer = layer.id;
+            
+            const label = document.createElement("label");
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = layer.visible;
+            checkbox.dataset.action = "visible";
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${layer.name} (${layer.features.length})`));
+            
+            // Every properties field used by the layer's features
+            const fields = [...new Set(layer.features.flatMap(feature => Object.keys(feature.properties || {})))];
+            const style = document.createElement("select");
+            [["", "Single colour"], ...fields.map(field => [field, `Colour by ${field}`])].forEach(([value, text]) => {
+                const option = document.createElement("option");
+                option.value = value;
+                option.textContent = text;
+                style.appendChild(option);
+            });
+            style.value = layer.styleField || "";
+            style.dataset.action = "style";
+            
+            const remove = document.createElement("button");
+            remove.type = "button";
+            remove.textContent = "Remove";
+            remove.dataset.action = "remove";
+            
+            item.appendChild(label);
+            item.appendChild(style);
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the properties of the layer feature under the cursor (or the crosshair while locked)
+     */
+    updateFeatureTooltip(event) {
+        if (!this.vectorLayers.some(layer => layer.visible && layer.meshes.length > 0)) return;
+        
+        const now = performance.now();
+        if (now - this.lastTooltipUpdate < 100) return;
+        this.lastTooltipUpdate = now;
+        
+        const rect = this.canvas.getBoundingClientRect();
+        const x = this.isPointerLocked ? rect.width / 2 : event.clientX - rect.left;
+        const y = this.isPointerLocked ? rect.height / 2 : event.clientY - rect.top;
+        
+        // The nearest of terrain and layer meshes, so features behind hills don't show
+        const pick = this.scene.pick(x, y, mesh =>
+            this.isTerrainMesh(mesh) || !!(mesh.metadata && mesh.metadata.vectorLayer && mesh.isEnabled()));
+        const metadata = pick && pick.hit && pick.pickedMesh.metadata;
+        const layer = metadata && this.vectorLayers.find(other => other.id === metadata.vectorLayer);
+        if (!layer) {
+            this.hideFeatureTooltip();
+            return;
+        }
+        
+        const tooltip = this.getUiElement("featureTooltip");
+        if (!tooltip) return;
+        
+        tooltip.innerHTML = "";
+        const title = document.createElement("strong");
+        title.textContent = layer.name;
+        tooltip.appendChild(title);
+        
+        const properties = layer.features[metadata.featureIndex].properties || {};
+        const table = document.createElement("table");
+        Object.entries(properties).forEach(([key, value]) => {
+            const row = document.createElement("tr");
+            const name = document.createElement("th");
+            name.textContent = key;
+            const cell = document.createElement("td");
+            cell.textContent = typeof value === "object" ? JSON.stringify(value) : String(value);
+            row.appendChild(name);
+            row.appendChild(cell);
+            table.appendChild(row);
+        });
+        tooltip.appendChild(table);
+        
+        tooltip.style.left = `${rect.left + x + 14}px`;
+        tooltip.style.top = `${rect.top + y + 14}px`;
+        tooltip.style.display = "block";
+    }
+
+    hideFeatureTooltip() {
+        const tooltip = this.getUiElement("featureTooltip");
+        if (tooltip) {
+            tooltip.style.display = "none";
+        }
+    }
+
+    /**
+     * Top-down orthographic minimap in a corner of the canvas
+     * The #minimap element decides where (and how big) it is; the second camera renders into
+     * the same area, and clicking the element teleports the player.
+     */
+    setupMinimap() {
+        const overlay = this.getUiElement("minimap");
+        if (!overlay) return;
+        
+        this.minimapCamera = new BABYLON.FreeCamera("minimapCamera", new BABYLON.Vector3(0, 100, 0), this.scene);
+        this.minimapCamera.mode = BABYLON.Camera.ORTHOGRAPHIC_CAMERA;
+        this.minimapCamera.rotation.set(Math.PI / 2, 0, 0); // Straight down, north (+Z) up
+        this.minimapCamera.layerMask = this.camera.layerMask | MINIMAP_LAYER_MASK;
+        this.minimapCamera.minZ = 0.1;
+        
+        // Player arrow, only visible on the minimap
+        const arrowData = new BABYLON.VertexData();
+        arrowData.positions = [0, 0, 1.2, 0.8, 0, -0.8, 0, 0, -0.3, -0.8, 0, -0.8];
+        arrowData.indices = [0, 1, 2, 0, 2, 3];
+        this.minimapArrow = new BABYLON.Mesh("minimapArrow", this.scene);
+        arrowData.applyToMesh(this.minimapArrow);
+        const arrowMaterial = new BABYLON.StandardMaterial("minimapArrowMaterial", this.scene);
+        arrowMaterial.emissiveColor = new BABYLON.Color3(1, 0.2, 0.1);
+        arrowMaterial.disableLighting = true;
+        arrowMaterial.backFaceCulling = false;
+        this.minimapArrow.material = arrowMaterial;
+        this.minimapArrow.layerMask = MINIMAP_LAYER_MASK;
+        this.minimapArrow.renderingGroupId = 1;
+        this.minimapArrow.isPickable = false;
+        
+        // Picking and pointer input keep using the first-person camera
+        this.scene.cameraToUseForPointers = this.camera;
+        
+        this.listen(overlay, "click", (event) => {
+            event.stopPropagation();
+            const rect = overlay.getBoundingClientRect();
+            const camera = this.minimapCamera;
+            const u = (event.clientX - rect.left) / rect.width;
+            const v = (event.clientY - rect.top) / rect.height;
+            this.teleportTo(
+                camera.position.x + camera.orthoLeft + u * (camera.orthoRight - camera.orthoLeft),
+                camera.position.z + camera.orthoTop - v * (camera.orthoTop - camera.orthoBottom)
+            );
+        });
+        
+        this.setMinimapVisible(true);
+    }
+
+    setMinimapVisible(visible) {
+        const overlay = this.getUiElement("minimap");
+        if (!this.minimapCamera || !overlay) return;
+        
+        overlay.style.display = visible ? "block" : "none";
+        this.minimapVisible = visible;
+        this.updateActiveCameras();
+        this.updateMinimapViewport();
+    }
+
+    toggleMinimap() {
+        this.setMinimapVisible(!this.minimapVisible);
+    }
+
+    /**
+     * Cameras to render: the first-person camera, then the comparison view and the minimap when shown
+     * (an empty list renders just scene.activeCamera)
+     */
+    updateActiveCameras() {
+        const cameras = [this.camera];
+        if (this.compareCamera && (this.compareMode === "swipe" || this.compareMode === "sideBySide")) {
+            cameras.push(this.compareCamera);
+        }
+        if (this.minimapCamera && this.minimapVisible) {
+            cameras.push(this.minimapCamera);
+        }
+        this.scene.activeCameras = cameras.length > 1 ? cameras : [];
+        this.scene.activeCamera = this.camera;
+    }
+
+    /**
+     * Match the minimap camera's viewport to where #minimap sits over the canvas
+     */
+    updateMinimapViewport() {
+        const overlay = this.getUiElement("minimap");
+        if (!this.minimapCamera || !overlay) return;
+        
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const rect = overlay.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0 || canvasRect.width === 0 || canvasRect.height === 0) return;
+        
+        // Viewports are fractions of the canvas measured from its bottom-left corner
+        this.minimapCamera.viewport = new BABYLON.Viewport(
+            (rect.left - canvasRect.left) / canvasRect.width,
+            (canvasRect.bottom - rect.bottom) / canvasRect.height,
+            rect.width / canvasRect.width,
+            rect.height / canvasRect.height
+        );
+        this.minimapAspect = rect.width / rect.height;
+    }
+
+    /**
+     * Frame the minimap on the terrain bounds and move the player arrow
+     */
+    updateMinimap() {
+        if (!this.minimapCamera || !this.terrainBounds || !this.minimapVisible) return;
+        
+        const { min, max } = this.terrainBounds;
+        const camera = this.minimapCamera;
+        const margin = 1.05;
+        
+        let halfWidth = (max.x - min.x) / 2 * margin;
+        let halfHeight = (max.z - min.z) / 2 * margin;
+        if (halfWidth / halfHeight < this.minimapAspect) {
+            halfWidth = halfHeight * this.minimapAspect;
+        } else {
+            halfHeight = halfWidth / this.minimapAspect;
+        }
+        
+        camera.position.set((min.x + max.x) / 2, max.y + 50, (min.z + max.z) / 2);
+        camera.orthoLeft = -halfWidth;
+        camera.orthoRight = halfWidth;
+        camera.orthoTop = halfHeight;
+        camera.orthoBottom = -halfHeight;
+        camera.maxZ = max.y - min.y + 100;
+        
+        this.minimapArrow.position.set(this.camera.position.x, max.y + 1, this.camera.position.z);
+        this.minimapArrow.rotation.y = this.camera.rotation.y;
+        this.minimapArrow.scaling.setAll(halfHeight / 12);
+    }
+
+    /**
+     * Move the player to (x, z), dropped onto the terrain surface
+     * If the block there is still streaming in, the player waits above it (see updatePendingDrop)
+     */
+    teleportTo(x, z) {
+        if (!this.camera) return;
+        
+        this.cameraFlight = null;
+        this.velocity.setAll(0);
+        this.verticalVelocity = 0;
+        
+        const top = this.terrainBounds ? this.terrainBounds.max.y : this.camera.position.y;
+        this.camera.position.set(x, top + this.playerHeight, z);
+        this.pendingDrop = { x: x, z: z, since: performance.now() };
+        
+        // Queue the blocks around the new position straight away
+        this.lastStreamingUpdate = 0;
+        this.updateStreaming();
+        this.updatePendingDrop();
+        console.log(`Teleported to ${x.toFixed(2)}, ${z.toFixed(2)}`);
+    }
+
+    /**
+     * Finish a teleport once there is terrain under the player; returns true while still waiting
+     */
+    updatePendingDrop() {
+        const drop = this.pendingDrop;
+        if (!drop) return false;
+        
+        const ground = this.getTerrainHeightAt(drop.x, drop.z);
+        const gaveUp = ground === null && !this.isStreaming && this.streamingQueue.length === 0 &&
+            performance.now() - drop.since > 5000;
+        if (ground === null && !gaveUp) return true;
+        
+        this.pendingDrop = null;
+        if (ground !== null) {
+            this.camera.position.y = ground + this.playerHeight;
+            this.isGrounded = true;
+        }
+        this.placePhysicsPlayer(this.camera.position);
+        return false;
+    }
+
+    /**
+     * Wire up the tours panel: bookmarks, recording, paths, playback, import and export
+     */
+    setupToursPanel() {
+        const panel = this.getUiElement("toursPanel");
+        const toggleButton = this.getUiElement("toursButton");
+        if (panel && toggleButton) {
+            this.listen(toggleButton, "click", (event) => {
+                event.stopPropagation();
+                toggleButton.blur();
+                panel.style.display = panel.style.display === "block" ? "none" : "block";
+            });
+        }
+        
+        // [button id, handler]
+        const buttons = [
+            ["bookmarkAdd", () => this.addBookmark()],
+            ["pathFromBookmarks", () => this.createPathFromBookmarks()],
+            ["pathRecord", () => this.recordingPath ? this.stopRecordingPath() : this.startRecordingPath()],
+            ["playbackToggle", () => this.togglePlayback()],
+            ["playbackStop", () => this.stopPlayback()],
+            ["tourExport", () => this.exportTours()]
+        ];
+        buttons.forEach(([id, handler]) => {
+            const button = this.getUiElement(id);
+            if (!button) return;
+            this.listen(button, "click", (event) => {
+                event.stopPropagation();
+                button.blur();
+                handler();
+            });
+        });
+        
+        const scrub = this.getUiElement("playbackScrub");
+        if (scrub) {
+            this.listen(scrub, "input", () => {
+                if (!this.playback) return;
+                this.playback.time = Number(scrub.value);
+                this.applyPathPose(this.playback.path, this.playback.time);
+                this.renderPlaybackControls();
+            });
+        }
+        
+        const speed = this.getUiElement("playbackSpeed");
+        if (speed) {
+            this.listen(speed, "change", () => {
+                speed.blur();
+                this.playbackSpeed = Number(speed.value) || 1;
+            });
+        }
+        
+        const importInput = this.getUiElement("tourImport");
+        if (importInput) {
+            this.listen(importInput, "change", async () => {
+                const file = importInput.files[0];
+                importInput.value = "";
+                if (file) {
+                    await this.importTours(file);
+                }
+            });
+        }
+        
+        // The lists are rebuilt on every change, so their items are handled here,
+        // by the item's data-id and the control's data-action
+        const listActions = {
+            bookmarkList: {
+                go: id => this.goToBookmark(id),
+                delete: id => this.removeBookmark(id)
+            },
+            pathList: {
+                play: id => this.playPath(id),
+                delete: id => this.removePath(id)
+            }
+        };
+        Object.entries(listActions).forEach(([listId, actions]) => {
+            const list = this.getUiElement(listId);
+            if (!list) return;
+            this.listen(list, "click", (event) => {
+                const control = event.target.closest("[data-action]");
+                const item = event.target.closest("li[data-id]");
+                if (!control || !item || !actions[control.dataset.action]) return;
+                event.stopPropagation();
+                control.blur();
+                actions[control.dataset.action](item.dataset.id);
+            });
+        });
+        
+        // Ticking a bookmark includes it in the next path
+        const bookmarkList = this.getUiElement("bookmarkList");
+        if (bookmarkList) {
+            this.listen(bookmarkList, "change", (event) => {
+                const include = event.target.closest("[data-action='include']");
+                const item = event.target.closest("li[data-id]");
+                if (!include || !item) return;
+                include.blur();
+                if (include.checked) {
+                    this.pathBookmarkIds.add(item.dataset.id);
+                } else {
+                    this.pathBookmarkIds.delete(item.dataset.id);
+                }
+            });
+        }
+        
+        this.renderToursPanel();
+    }
+
+    /**
+     * Read the bookmarks and paths saved for the current terrain
+     */
+    loadTours() {
+        this.stopPlayback();
+        this.recordingPath = null;
+        this.bookmarks = [];
+        this.paths = [];
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(`${this.toursKey}.${this.terrainName}`) || "{}");
+            this.mergeTours(saved);
+        } catch (error) {
+            console.warn(`Could not read saved tours for ${this.terrainName}:`, error);
+        }
+        this.renderToursPanel();
+    }
+
+    saveTours() {
+        try {
+            localStorage.setItem(`${this.toursKey}.${this.terrainName}`,
+                JSON.stringify({ bookmarks: this.bookmarks, paths: this.paths }));
+        } catch (error) {
+            console.warn(`Could not save tours for ${this.terrainName}:`, error);
+        }
+    }
+
+    /**
+     * Add valid bookmarks and paths from saved or imported data; ones with a known id are replaced
+     */
+    mergeTours(data) {
+        const isPose = item => item && Array.isArray(item.position) && item.position.length === 3 &&
+            item.position.every(Number.isFinite) && Array.isArray(item.rotation) && item.rotation.length === 2 &&
+            item.rotation.every(Number.isFinite);
+        const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        const merge = (list, item) => {
+            const index = list.findIndex(other => other.id === item.id);
+            if (index !== -1) {
+                list[index] = item;
+            } else {
+                list.push(item);
+            }
+        };
+        
+        (Array.isArray(data.bookmarks) ? data.bookmarks : []).filter(isPose).forEach(item => {
+            merge(this.bookmarks, {
+                id: typeof item.id === "string" ? item.id : newId(),
+                name: typeof item.name === "string" ? item.name : "Bookmark",
+                position: item.position.slice(),
+                rotation: item.rotation.slice()
+            });
+        });
+        
+        (Array.isArray(data.paths) ? data.paths : []).forEach(item => {
+            const keyframes = Array.isArray(item && item.keyframes)
+                ? item.keyframes.filter(frame => isPose(frame) && Number.isFinite(frame.time))
+                : [];
+            if (keyframes.length < 2) return;
+            merge(this.paths, {
+                id: typeof item.id === "string" ? item.id : newId(),
+                name: typeof item.name === "string" ? item.name : "Path",
+                interpolation: item.interpolation === "spline" ? "spline" : "linear",
+                keyframes: keyframes
+                    .map(frame => ({ time: frame.time, position: frame.position.slice(), rotation: frame.rotation.slice() }))
+                    .sort((a, b) => a.time - b.time)
+            });
+        });
+    }
+
+    /**
+     * Current camera pose as plain data: position [x, y, z] and rotation [pitch, yaw] in radians
+     */
+    getCameraPose() {
+        return {
+            position: this.camera.position.asArray(),
+            rotation: [this.camera.rotation.x, this.camera.rotation.y]
+        };
+    }
+
+    addBookmark(name) {
+        if (!this.camera) return;
+        
+        const nameInput = this.getUiElement("bookmarkName");
+        const bookmark = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            name: name || (nameInput && nameInput.value.trim()) || `View ${this.bookmarks.length + 1}`,
+            ...this.getCameraPose()
+        };
+        if (nameInput) nameInput.value = "";
+        
+        this.bookmarks.push(bookmark);
+        this.saveTours();
+        this.renderToursPanel();
+        console.log(`Saved bookmark ${bookmark.name}`);
+        return bookmark;
+    }
+
+    removeBookmark(id) {
+        this.bookmarks = this.bookmarks.filter(bookmark => bookmark.id !== id);
+        this.saveTours();
+        this.renderToursPanel();
+    }
+
+    /**
+     * Fly the camera to a bookmarked view
+     */
+    goToBookmark(id) {
+        const bookmark = this.bookmarks.find(other => other.id === id);
+        if (!bookmark || !this.camera) return;
+        
+        this.stopPlayback();
+        const position = BABYLON.Vector3.FromArray(bookmark.position);
+        const [pitch, yaw] = bookmark.rotation;
+        const direction = new BABYLON.Vector3(Math.sin(yaw) * Math.cos(pitch), -Math.sin(pitch), Math.cos(yaw) * Math.cos(pitch));
+        this.flyCameraTo(position, position.add(direction));
+    }
+
+    /**
+     * Build a smooth path through the ticked bookmarks (or all of them), in list order
+     * Each leg takes as long as travelling it at tourSpeed, but at least two seconds.
+     */
+    createPathFromBookmarks() {
+        const ticked = this.bookmarks.filter(bookmark => this.pathBookmarkIds.has(bookmark.id));
+        const stops = ticked.length >= 2 ? ticked : this.bookmarks;
+        if (stops.length < 2) {
+            console.warn("A path needs at least two bookmarks");
+            return null;
+        }
+        
+        const keyframes = [];
+        let time = 0;
+        let yaw = stops[0].rotation[1];
+        stops.forEach((bookmark, index) => {
+            if (index > 0) {
+                const previous = BABYLON.Vector3.FromArray(stops[index - 1].position);
+                const distance = BABYLON.Vector3.Distance(previous, BABYLON.Vector3.FromArray(bookmark.position));
+                time += Math.max(2, distance / this.tourSpeed);
+                
+                // Turn the short way round between stops
+                const turn = bookmark.rotation[1] - yaw;
+                yaw += Math.atan2(Math.sin(turn), Math.cos(turn));
+            }
+            keyframes.push({ time: time, position: bookmark.position.slice(), rotation: [bookmark.rotation[0], yaw] });
+        });
+        
+        const path = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            name: `Tour ${this.paths.length + 1}`,
+            interpolation: "spline",
+            keyframes: keyframes
+        };
+        this.paths.push(path);
+        this.saveTours();
+        this.renderToursPanel();
+        console.log(`Created path ${path.name} through ${stops.length} bookmarks (${time.toFixed(1)} s)`);
+        return path;
+    }
+
+    /**
+     * Start sampling the camera pose into a new path (see updatePathRecording)
+     */
+    startRecordingPath() {
+        if (!this.camera || this.recordingPath) return;
+        
+        this.stopPlayback();
+        this.recordingPath = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            name: `Recording ${this.paths.length + 1}`,
+            interpolation: "linear",
+            keyframes: [{ time: 0, ...this.getCameraPose() }],
+            elapsed: 0
+        };
+        this.renderToursPanel();
+        console.log("Recording fly-through...");
+    }
+
+    stopRecordingPath() {
+        const recording = this.recordingPath;
+        if (!recording) return;
+        this.recordingPath = null;
+        
+        if (recording.keyframes.length >= 2) {
+            delete recording.elapsed;
+            this.paths.push(recording);
+            this.saveTours();
+            console.log(`Recorded ${recording.name} (${recording.keyframes[recording.keyframes.length - 1].time.toFixed(1)} s)`);
+        }
+        this.renderToursPanel();
+    }
+
+    /**
+     * Sample the camera every tourSampleInterval seconds while recording
+     */
+    updatePathRecording(deltaTime) {
+        const recording = this.recordingPath;
+        if (!recording || !this.camera) return;
+        
+        recording.elapsed += deltaTime;
+        const last = recording.keyframes[recording.keyframes.length - 1];
+        if (recording.elapsed - last.time >= this.tourSampleInterval) {
+            recording.keyframes.push({ time: recording.elapsed, ...this.getCameraPose() });
+        }
+    }
+
+    removePath(id) {
+        if (this.playback && this.playback.path.id === id) {
+            this.stopPlayback();
+        }
+        this.paths = this.paths.filter(path => path.id !== id);
+        this.saveTours();
+        this.renderToursPanel();
+    }
+
+    /**
+     * Play a path from the start; movement input is ignored until playback is stopped
+     */
+    playPath(id) {
+        const path = this.paths.find(other => other.id === id);
+        if (!path || !this.camera) return;
+        
+        this.stopRecordingPath();
+        this.cameraFlight = null;
+        this.playback = { path: path, time: 0, playing: true };
+        this.applyPathPose(path, 0);
+        this.renderToursPanel();
+    }
+
+    togglePlayback() {
+        if (!this.playback) return;
+        
+        const duration = this.getPathDuration(this.playback.path);
+        if (!this.playback.playing && this.playback.time >= duration) {
+            this.playback.time = 0;
+        }
+        this.playback.playing = !this.playback.playing;
+        this.renderPlaybackControls();
+    }
+
+    stopPlayback() {
+        if (!this.playback) return;
+        
+        this.playback = null;
+        this.velocity.setAll(0);
+        this.verticalVelocity = 0;
+        this.isGrounded = false; // Walk mode drops back onto the terrain from wherever the path ended
+        this.placePhysicsPlayer(this.camera.position);
+        this.renderToursPanel();
+    }
+
+    /**
+     * Advance path playback; returns true while a path is loaded (playing or paused)
+     */
+    updatePlayback(deltaTime) {
+        const playback = this.playback;
+        if (!playback) return false;
+        
+        if (playback.playing) {
+            const duration = this.getPathDuration(playback.path);
+            playback.time = Math.min(duration, playback.time + deltaTime * this.playbackSpeed);
+            if (playback.time >= duration) {
+                playback.playing = false;
+            }
+            this.applyPathPose(playback.path, playback.time);
+            this.renderPlaybackControls();
+        }
+        return true;
+    }
+
+    getPathDuration(path) {
+        return path.keyframes[path.keyframes.length - 1].time;
+    }
+
+    applyPathPose(path, time) {
+        const pose = this.getPathPose(path, time);
+        this.camera.position.copyFrom(pose.position);
+        this.camera.rotation.x = pose.pitch;
+        this.camera.rotation.y = pose.yaw;
+    }
+
+    /**
+     * Camera pose along a path at a time: linear between recorded samples,
+     * Catmull-Rom through the keyframes of spline paths
+     */
+    getPathPose(path, time) {
+        const frames = path.keyframes;
+        const last = frames.length - 1;
+        
+        // Keyframe segment containing the time
+        let index = 0;
+        while (index < last - 1 && frames[index + 1].time <= time) {
+            index++;
+        }
+        const a = frames[index];
+        const b = frames[Math.min(index + 1, last)];
+        const t = b.time > a.time ? Math.max(0, Math.min(1, (time - a.time) / (b.time - a.time))) : 0;
+        
+        if (path.interpolation === "spline") {
+            const p0 = frames[Math.max(0, index - 1)];
+            const p3 = frames[Math.min(last, index + 2)];
+            const spline = (v0, v1, v2, v3) => 0.5 * (2 * v1 + (v2 - v0) * t +
+                (2 * v0 - 5 * v1 + 4 * v2 - v3) * t * t + (3 * v1 - v0 - 3 * v2 + v3) * t * t * t);
+            return {
+                position: BABYLON.Vector3.CatmullRom(
+                    BABYLON.Vector3.FromArray(p0.position), BABYLON.Vector3.FromArray(a.position),
+                    BABYLON.Vector3.FromArray(b.position), BABYLON.Vector3.FromArray(p3.position), t),
+                pitch: spline(p0.rotation[0], a.rotation[0], b.rotation[0], p3.rotation[0]),
+                yaw: spline(p0.rotation[1], a.rotation[1], b.rotation[1], p3.rotation[1])
+            };
+        }
+        
+        return {
+            position: BABYLON.Vector3.Lerp(BABYLON.Vector3.FromArray(a.position), BABYLON.Vector3.FromArray(b.position), t),
+            pitch: a.rotation[0] + (b.rotation[0] - a.rotation[0]) * t,
+            yaw: a.rotation[1] + (b.rotation[1] - a.rotation[1]) * t
+        };
+    }
+
+    exportTours() {
+        this.downloadFile(`tours-${this.terrainName}.json`, JSON.stringify({
+            version: 1,
+            terrain: this.terrainName,
+            bookmarks: this.bookmarks,
+            paths: this.paths
+        }, null, 2), "application/json");
+    }
+
+    async importTours(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            if (data.terrain && data.terrain !== this.terrainName) {
+                console.warn(`${file.name} was exported for terrain ${data.terrain}, importing into ${this.terrainName}`);
+            }
+            this.mergeTours(data);
+            this.saveTours();
+            this.renderToursPanel();
+            console.log(`Imported tours from ${file.name}`);
+        } catch (error) {
+            console.error(`Could not import tours from ${file.name}:`, error);
+            this.emit("error", { message: `Could not import tours from ${file.name}`, error: error });
+        }
+    }
+
+    /**
+     * List bookmarks and paths, and update the recording and playback controls
+     * Clicks in the lists are handled by the lists' listeners (see setupToursPanel)
+     */
+    renderToursPanel() {
+        const bookmarkList = this.getUiElement("bookmarkList");
+        if (bookmarkList) {
+            bookmarkList.innerHTML = "";
+            this.bookmarks.forEach(bookmark => {
+                const item = document.createElement("li");
+                item.dataset.id = bookmark.id;
+                
+                const include = document.createElement("input");
+                include.type = "checkbox";
+                include.title = "Include in the next path";
+                include.checked = this.pathBookmarkIds.has(bookmark.id);
+                include.dataset.action = "include";
+                
+                const name = document.createElement("span");
+                name.className = "tour-name";
+                name.textContent = bookmark.name;
+                name.dataset.action = "go";
+                
+                item.appendChild(include);
+                item.appendChild(name);
+                item.appendChild(this.createTourButton("×", "Delete", "delete"));
+                bookmarkList.appendChild(item);
+            });
+        }
+        
+        const pathList = this.getUiElement("pathList");
+        if (pathList) {
+            pathList.innerHTML = "";
+            this.paths.forEach(path => {
+                const item = document.createElement("li");
+                item.dataset.id = path.id;
+                
+                const name = document.createElement("span");
+                name.className = "tour-name";
+                name.textContent = `${path.name} (${this.getPathDuration(path).toFixed(0)} s)`;
+                
+                item.appendChild(this.createTourButton("▶", "Play", "play"));
+                item.appendChild(name);
+                item.appendChild(this.createTourButton("×", "Delete", "delete"));
+                pathList.appendChild(item);
+            });
+        }
+        
+        const recordButton = this.getUiElement("pathRecord");
+        if (recordButton) {
+            recordButton.textContent = this.recordingPath ? "Stop recording" : "Record fly-through";
+            recordButton.classList.toggle("active", !!this.recordingPath);
+        }
+        
+        this.renderPlaybackControls();
+    }
+
+    createTourButton(text, title, action) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        button.title = title;
+        button.dataset.action = action;
+        return button;
+    }
+
+    renderPlaybackControls() {
+        const controls = this.getUiElement("playbackControls");
+        if (!controls) return;
+        
+        const playback = this.playback;
+        controls.style.display = playback ? "flex" : "none";
+        if (!playback) return;
+        
+        const duration = this.getPathDuration(playback.path);
+        const toggle = this.getUiElement("playbackToggle");
+        const scrub = this.getUiElement("playbackScrub");
+        const time = this.getUiElement("playbackTime");
+        
+        if (toggle) toggle.textContent = playback.playing ? "❚❚" : "▶";
+        if (scrub) {
+            scrub.max = String(duration);
+            scrub.value = String(playback.time);
+        }
+        if (time) time.textContent = `${playback.time.toFixed(1)} / ${duration.toFixed(1)} s`;
+    }
+
+    /**
+     * Wire up the capture panel: screenshots, orthophoto and heightmap export
+     */
+    setupCapturePanel() {
+        const panel = this.getUiElement("capturePanel");
+        const toggleButton = this.getUiElement("captureButton");
+        if (panel && toggleButton) {
+            this.listen(toggleButton, "click", (event) => {
+                event.stopPropagation();
+                toggleButton.blur();
+                const visible = panel.style.display !== "block";
+                panel.style.display = visible ? "block" : "none";
+                
+                // Default to twice the current view
+                const width = this.getUiElement("screenshotWidth");
+                const height = this.getUiElement("screenshotHeight");
+                if (visible && width && height && !width.value && !height.value) {
+                    width.value = this.engine.getRenderWidth() * 2;
+                    height.value = this.engine.getRenderHeight() * 2;
+                }
+            });
+        }
+        
+        const resolution = this.getUiElement("orthophotoResolution");
+        if (resolution && !resolution.value) {
+            resolution.value = this.orthophotoResolution;
+        }
+        
+        // [button id, handler]
+        const buttons = [
+            ["screenshotSave", () => {
+                const width = this.getUiElement("screenshotWidth");
+                const height = this.getUiElement("screenshotHeight");
+                const overlay = this.getUiElement("screenshotOverlay");
+                return this.takeScreenshot({
+                    width: width ? Number(width.value) : undefined,
+                    height: height ? Number(height.value) : undefined,
+                    overlay: overlay ? overlay.checked : true
+                });
+            }],
+            ["orthophotoExport", () => this.exportOrthophoto(resolution ? Number(resolution.value) : undefined)],
+            ["heightmapExport", () => this.exportHeightmap(resolution ? Number(resolution.value) : undefined)]
+        ];
+        buttons.forEach(([id, handler]) => {
+            const button = this.getUiElement(id);
+            if (!button) return;
+            this.listen(button, "click", async (event) => {
+                event.stopPropagation();
+                button.blur();
+                button.disabled = true;
+                try {
+                    await handler();
+                } finally {
+                    button.disabled = false;
+                }
+            });
+        });
+    }
+
+    /**
+     * Render the current view at a chosen size (can be larger than the window) and save it as a PNG
+     * With overlay, the date and camera position are stamped in the bottom-left corner.
+     */
+    async takeScreenshot(options = {}) {
+        if (!this.camera) return;
+        
+        const maxSize = Math.min(this.maxExportSize, this.engine.getCaps().maxRenderTextureSize || this.maxExportSize);
+        let width = Math.round(Number(options.width) || this.engine.getRenderWidth());
+        let height = Math.round(Number(options.height) || this.engine.getRenderHeight());
+        if (Math.max(width, height) > maxSize) {
+            const scale = maxSize / Math.max(width, height);
+            width = Math.floor(width * scale);
+            height = Math.floor(height * scale);
+            console.warn(`Screenshot reduced to ${width}×${height}, the largest this device can render`);
+        }
+        
+        try {
+            const dataUrl = await BABYLON.Tools.CreateScreenshotUsingRenderTargetAsync(
+                this.engine, this.camera, { width: width, height: height }, "image/png", 4
+            );
+            const image = new Image();
+            image.src = dataUrl;
+            await image.decode();
+            
+            const canvas = document.createElement("canvas");
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext("2d");
+            context.drawImage(image, 0, 0, width, height);
+            
+            if (options.overlay !== false) {
+                const position = this.camera.position;
+                const geo = this.localToGeographic(position);
+                const lines = [
+                    new Date().toLocaleString(),
+                    geo ? `${this.formatLatLon(geo)}, ${geo.alt.toFixed(1)} m`
+                        : `x ${position.x.toFixed(1)}, y ${position.y.toFixed(1)}, z ${position.z.toFixed(1)}`
+                ];
+                
+                const fontSize = Math.max(14, Math.round(width / 90));
+                const padding = fontSize / 2;
+                context.font = `${fontSize}px sans-serif`;
+                const boxWidth = Math.max(...lines.map(line => context.measureText(line).width)) + padding * 2;
+                const boxHeight = lines.length * fontSize * 1.3 + padding * 2;
+                context.fillStyle = "rgba(0, 0, 0, 0.6)";
+                context.fillRect(padding, height - boxHeight - padding, boxWidth, boxHeight);
+                context.fillStyle = "white";
+                context.textBaseline = "top";
+                lines.forEach((line, index) => {
+                    context.fillText(line, padding * 2, height - boxHeight + index * fontSize * 1.3);
+                });
+            }
+            
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+            this.downloadFile(`${this.getExportName("screenshot")}.png`, blob, "image/png");
+            console.log(`Saved ${width}×${height} screenshot`);
+        } catch (error) {
+            console.error("Screenshot failed:", error);
+            this.emit("error", { message: "Screenshot failed", error: error });
+        }
+    }
+
+    /**
+     * Top-down orthographic render of the whole terrain at groundSampleDistance metres per pixel,
+     * saved as a PNG with a world file (.pgw) and a JSON georeference sidecar
+     */
+    async exportOrthophoto(groundSampleDistance = this.orthophotoResolution) {
+        const area = await this.prepareTerrainExport(groundSampleDistance);
+        if (!area) return;
+        
+        const { left, top, width, height, gsd } = area;
+        const camera = new BABYLON.FreeCamera("orthophotoCamera",
+            new BABYLON.Vector3(left + width * gsd / 2, area.maxY + 10, top - height * gsd / 2), this.scene);
+        camera.mode = BABYLON.Camera.ORTHOGRAPHIC_CAMERA;
+        camera.rotation.set(Math.PI / 2, 0, 0); // Straight down, north (+Z) up
+        camera.orthoLeft = -width * gsd / 2;
+        camera.orthoRight = width * gsd / 2;
+        camera.orthoTop = height * gsd / 2;
+        camera.orthoBottom = -height * gsd / 2;
+        camera.minZ = 0.1;
+        camera.maxZ = area.maxY - area.minY + 20;
+        
+        const texture = new BABYLON.RenderTargetTexture("orthophotoTexture", { width: width, height: height }, this.scene, false);
+        texture.activeCamera = camera;
+        texture.renderList = this.getTerrainMeshes();
+        texture.clearColor = new BABYLON.Color4(0, 0, 0, 0); // No terrain stays transparent
+        
+        try {
+            texture.render();
+            const pixels = await texture.readPixels();
+            
+            // Render targets are read bottom row first
+            const canvas = document.createElement("canvas");
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext("2d");
+            const imageData = context.createImageData(width, height);
+            const rowLength = width * 4;
+            for (let row = 0; row < height; row++) {
+                const source = (height - 1 - row) * rowLength;
+                imageData.data.set(pixels.subarray(source, source + rowLength), row * rowLength);
+            }
+            context.putImageData(imageData, 0, 0);
+            
+            await this.saveGeoImage(this.getExportName("orthophoto"), canvas, area, {});
+            console.log(`Exported ${width}×${height} orthophoto at ${gsd} m/pixel`);
+        } catch (error) {
+            console.error("Orthophoto export failed:", error);
+            this.emit("error", { message: "Orthophoto export failed", error: error });
+        } finally {
+            texture.dispose();
+            camera.dispose();
+            this.finishTerrainExport();
+        }
+    }
+
+    /**
+     * Grayscale heightmap matching exportOrthophoto() pixel for pixel
+     * Black is the lowest and white the highest elevation; the range is in the JSON sidecar.
+     */
+    async exportHeightmap(groundSampleDistance = this.orthophotoResolution) {
+        const area = await this.prepareTerrainExport(groundSampleDistance);
+        if (!area) return;
+        
+        const { left, top, width, height, gsd } = area;
+        try {
+            // One grid point per pixel centre, bottom row first
+            const grid = {
+                minX: left + gsd / 2,
+                minZ: top - height * gsd + gsd / 2,
+                cellSize: gsd,
+                cols: width,
+                rows: height,
+                heights: new Float32Array(width * height).fill(NaN)
+            };
+            this.getTerrainMeshes().forEach(mesh => this.rasterizeMeshHeights(mesh, grid));
+            
+            let minElevation = Infinity;
+            let maxElevation = -Infinity;
+            grid.heights.forEach(value => {
+                if (Number.isFinite(value)) {
+                    minElevation = Math.min(minElevation, value);
+                    maxElevation = Math.max(maxElevation, value);
+                }
+            });
+            if (!Number.isFinite(minElevation)) {
+                console.warn("No terrain to export a heightmap from");
+                return;
+            }
+            const range = maxElevation - minElevation || 1;
+            
+            const canvas = document.createElement("canvas");
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext("2d");
+            const imageData = context.createImageData(width, height);
+            for (let row = 0; row < height; row++) {
+                for (let col = 0; col < width; col++) {
+                    const value = grid.heights[(height - 1 - row) * width + col];
+                    const index = (row * width + col) * 4;
+                    const gray = Number.isFinite(value) ? Math.round((value - minElevation) / range * 255) : 0;
+                    imageData.data[index] = gray;
+                    imageData.data[index + 1] = gray;
+                    imageData.data[index + 2] = gray;
+                    imageData.data[index + 3] = Number.isFinite(value) ? 255 : 0; // No terrain is transparent
+                }
+            }
+            context.putImageData(imageData, 0, 0);
+            
+            // Elevations in the georeference's height datum when there is one
+            const georeference = this.getGeoreferenceAt(left + width * gsd / 2, top - height * gsd / 2);
+            const toDatum = value => georeference ? this.localToProjected(0, value, 0, georeference).height : value;
+            await this.saveGeoImage(this.getExportName("heightmap"), canvas, area, {
+                minElevation: toDatum(minElevation),
+                maxElevation: toDatum(maxElevation),
+                encoding: "elevation = minElevation + gray / 255 * (maxElevation - minElevation); transparent = no data"
+            });
+            console.log(`Exported ${width}×${height} heightmap at ${gsd} m/pixel ` +
+                `(${minElevation.toFixed(2)} to ${maxElevation.toFixed(2)} m)`);
+        } catch (error) {
+            console.error("Heightmap export failed:", error);
+            this.emit("error", { message: "Heightmap export failed", error: error });
+        } finally {
+            this.finishTerrainExport();
+        }
+    }
+
+    /**
+     * Load every block at full detail, hold streaming and work out the pixel grid for an export
+     * Returns { left, top, width, height, gsd, minY, maxY } (scene units), or null
+     */
+    async prepareTerrainExport(groundSampleDistance) {
+        let gsd = Number(groundSampleDistance);
+        if (!(gsd > 0)) {
+            console.warn("Ground sample distance must be a positive number of metres per pixel");
+            return null;
+        }
+        
+        this.streamingPaused = true;
+        while (this.isStreaming) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        
+        const generation = this.terrainGeneration;
+        for (const unit of this.getStreamingUnits()) {
+            if (!unit.failed && unit.lodIndex !== 0) {
+                await this.loadBlock(unit, 0);
+            }
+        }
+        this.updateTerrainBounds();
+        await this.scene.whenReadyAsync(); // Textures of newly loaded blocks
+        
+        if (generation !== this.terrainGeneration || !this.terrainBounds) {
+            this.finishTerrainExport();
+            return null;
+        }
+        
+        const { min, max } = this.terrainBounds;
+        const maxSize = Math.min(this.maxExportSize, this.engine.getCaps().maxRenderTextureSize || this.maxExportSize);
+        const largest = Math.max(max.x - min.x, max.z - min.z);
+        if (largest / gsd > maxSize) {
+            gsd = Math.ceil(largest / maxSize * 1000) / 1000;
+            console.warn(`Ground sample distance increased to ${gsd} m/pixel to stay within ${maxSize} pixels`);
+        }
+        
+        return {
+            left: min.x,
+            top: max.z,
+            width: Math.max(1, Math.ceil((max.x - min.x) / gsd)),
+            height: Math.max(1, Math.ceil((max.z - min.z) / gsd)),
+            gsd: gsd,
+            minY: min.y,
+            maxY: max.y
+        };
+    }
+
+    finishTerrainExport() {
+        this.streamingPaused = false;
+        this.lastStreamingUpdate = 0; // Let streaming drop the extra detail straight away
+    }
+
+    /**
+     * Save an exported image with its world file (.pgw) and a JSON sidecar describing its georeference
+     * The world file maps pixels to projected coordinates on georeferenced terrain, scene x/z otherwise.
+     */
+    async saveGeoImage(baseName, canvas, area, extra) {
+        const { left, top, width, height, gsd } = area;
+        const georeference = this.getGeoreferenceAt(left + width * gsd / 2, top - height * gsd / 2);
+        
+        // Coordinates of the centre of pixel (col, row)
+        const toMap = (col, row) => {
+            const x = left + (col + 0.5) * gsd;
+            const z = top - (row + 0.5) * gsd;
+            if (!georeference) return [x, z];
+            const projected = this.localToProjected(x, 0, z, georeference);
+            return [projected.easting, projected.northing];
+        };
+        const origin = toMap(0, 0);
+        const right = toMap(1, 0);
+        const down = toMap(0, 1);
+        const worldFile = [
+            right[0] - origin[0], right[1] - origin[1],
+            down[0] - origin[0], down[1] - origin[1],
+            origin[0], origin[1]
+        ];
+        
+        // Anchored blocks use a transverse Mercator centred on the anchor, which has no EPSG code
+        const projection = georeference && georeference.projection;
+        const crs = !projection ? "scene" : projection.code ||
+            `+proj=tmerc +lat_0=0 +lon_0=${projection.lon0} +k=${projection.k0} +x_0=0 +y_0=0 +datum=WGS84 +units=m`;
+        
+        // Top-left, top-right, bottom-right and bottom-left image corners
+        const corners = [toMap(-0.5, -0.5), toMap(width - 0.5, -0.5), toMap(width - 0.5, height - 0.5), toMap(-0.5, height - 0.5)];
+        const sidecar = {
+            image: `${baseName}.png`,
+            width: width,
+            height: height,
+            groundSampleDistance: gsd * (georeference ? georeference.scale : 1),
+            crs: crs,
+            worldFile: worldFile,
+            corners: corners,
+            ...extra
+        };
+        if (projection) {
+            sidecar.cornersLonLat = corners.map(([easting, northing]) => {
+                const geo = this.unprojectProjected(easting, northing, projection);
+                return [geo.lon, geo.lat];
+            });
+        }
+        
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+        this.downloadFile(`${baseName}.png`, blob, "image/png");
+        this.downloadFile(`${baseName}.pgw`, worldFile.map(value => value.toFixed(6)).join("\n") + "\n", "text/plain");
+        this.downloadFile(`${baseName}.json`, JSON.stringify(sidecar, null, 2), "application/json");
+    }
+
+    getExportName(kind) {
+        return `${kind}-${this.terrainName}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}`;
+    }
+
+    /**
+     * Wire up the shading mode, contour and elevation range controls
+     */
+    setupShadingControls() {
+        const modePicker = this.getUiElement("shadingMode");
+        if (modePicker) {
+            modePicker.value = this.shadingMode;
+            this.listen(modePicker, "change", () => {
+                modePicker.blur();
+                this.setShadingMode(modePicker.value);
+            });
+        }
+        
+        const contourToggle = this.getUiElement("contourToggle");
+        if (contourToggle) {
+            contourToggle.checked = this.contoursVisible;
+            this.listen(contourToggle, "change", () => {
+                contourToggle.blur();
+                this.setContoursVisible(contourToggle.checked);
+            });
+        }
+        
+        const contourInterval = this.getUiElement("contourInterval");
+        if (contourInterval) {
+            contourInterval.value = this.contourInterval;
+            this.listen(contourInterval, "change", () => {
+                contourInterval.blur();
+                this.setContourInterval(Number(contourInterval.value));
+            });
+        }
+        
+        const elevationMin = this.getUiElement("elevationMin");
+        const elevationMax = this.getUiElement("elevationMax");
+        [elevationMin, elevationMax].forEach(input => {
+            if (!input) return;
+            this.listen(input, "change", () => {
+                input.blur();
+                this.setElevationRange(Number(elevationMin.value), Number(elevationMax.value));
+            });
+        });
+        
+        const elevationAuto = this.getUiElement("elevationAuto");
+        if (elevationAuto) {
+            this.listen(elevationAuto, "click", (event) => {
+                event.stopPropagation();
+                elevationAuto.blur();
+                this.setElevationRange(null);
+            });
+        }
+        
+        this.renderShadingLegend();
+    }
+
+    /**
+     * Show the terrain with its photo textures ("textured") or shaded by "elevation", "slope" or "aspect"
+     */
+    setShadingMode(mode) {
+        if (mode !== "textured" && !SHADING_MODES[mode]) {
+            console.warn(`Unknown shading mode "${mode}"`);
+            return;
+        }
+        if (mode === this.shadingMode) return;
+        
+        this.shadingMode = mode;
+        if (mode !== "textured") {
+            this.lastShadingMode = mode;
+        }
+        this.applyTerrainShading();
+        
+        const modePicker = this.getUiElement("shadingMode");
+        if (modePicker) modePicker.value = mode;
+        
+        console.log(`Shading mode: ${mode}`);
+        this.emit("shadingchange", { mode: mode, contours: this.contoursVisible });
+    }
+
+    /**
+     * Quick switch between the photo textures and the last shading mode used
+     */
+    toggleShading() {
+        this.setShadingMode(this.shadingMode === "textured" ? this.lastShadingMode : "textured");
+    }
+
+    /**
+     * Put the shading material on every terrain mesh (keeping their own materials to restore later),
+     * or restore the textured materials
+     */
+    applyTerrainShading() {
+        this.shadingDirty = false;
+        
+        // Forget meshes that have been unloaded
+        this.originalMaterials.forEach((material, mesh) => {
+            if (mesh.isDisposed()) this.originalMaterials.delete(mesh);
+        });
+        
+        if (this.shadingMode === "textured") {
+            this.restoreTerrainMaterials();
+        } else {
+            const material = this.getShadingMaterial();
+            material.setFloat("shadingMode", SHADING_MODES[this.shadingMode]);
+            this.getTerrainMeshes().forEach(mesh => {
+                if (!this.originalMaterials.has(mesh)) {
+                    this.originalMaterials.set(mesh, mesh.material);
+                }
+                mesh.material = material;
+            });
+        }
+        this.renderShadingLegend();
+    }
+
+    restoreTerrainMaterials() {
+        this.originalMaterials.forEach((material, mesh) => {
+            if (!mesh.isDisposed()) mesh.material = material;
+        });
+        this.originalMaterials.clear();
+    }
+
+    /**
+     * Apply shading to newly streamed blocks and keep the legend's automatic range up to date
+     */
+    updateTerrainShading() {
+        if (this.shadingDirty) {
+            this.applyTerrainShading();
+        }
+    }
+
+    /**
+     * Shader material for the elevation, slope and aspect modes, created on first use
+     */
+    getShadingMaterial() {
+        if (this.shadingMaterial) return this.shadingMaterial;
+        
+        const colors = list => list.flatMap(color => BABYLON.Color3.FromHexString(color).asArray());
+        const material = new BABYLON.ShaderMaterial("terrainShading", this.scene, {
+            vertexSource: TERRAIN_SHADING_VERTEX,
+            fragmentSource: TERRAIN_SHADING_FRAGMENT
+        }, {
+            attributes: ["position"],
+            uniforms: ["world", "worldViewProjection", "shadingMode", "elevationRange", "elevationColors",
+                "slopeLimits", "slopeColors", "aspectColors", "flatColor", "flatSlope", "lightDirection"]
+        });
+        material.backFaceCulling = false;
+        material.setArray3("elevationColors", colors(ELEVATION_RAMP));
+        material.setFloats("slopeLimits", SLOPE_CLASSES.map(slopeClass => slopeClass.max));
+        material.setArray3("slopeColors", colors(SLOPE_CLASSES.map(slopeClass => slopeClass.color)));
+        material.setArray3("aspectColors", colors(ASPECT_CLASSES.map(aspectClass => aspectClass.color)));
+        material.setColor3("flatColor", BABYLON.Color3.FromHexString(FLAT_ASPECT.color));
+        material.setFloat("flatSlope", FLAT_ASPECT.maxSlope);
+        
+        // The elevation range follows streamed terrain and the light can move, so read them at draw time
+        material.onBindObservable.add(() => {
+            const effect = material.getEffect();
+            const range = this.getElevationRange();
+            effect.setFloat2("elevationRange", range.min, range.max);
+            
+            const light = this.scene.getLightByName("directionalLight");
+            const direction = light ? light.direction.negate().normalize() : BABYLON.Vector3.Up();
+            effect.setVector3("lightDirection", direction);
+        });
+        
+        this.shadingMaterial = material;
+        return material;
+    }
+
+    /**
+     * Elevations at the two ends of the elevation ramp: the chosen range, or the terrain's extent
+     */
+    getElevationRange() {
+        if (this.elevationRange) return this.elevationRange;
+        if (this.terrainBounds) return { min: this.terrainBounds.min.y, max: this.terrainBounds.max.y };
+        return { min: 0, max: 1 };
+    }
+
+    /**
+     * Set the elevation ramp's range in metres; null goes back to the terrain's extent
+     */
+    setElevationRange(min, max) {
+        if (min === null || min === undefined) {
+            this.elevationRange = null;
+        } else if (Number.isFinite(min) && Number.isFinite(max) && max > min) {
+            this.elevationRange = { min: min, max: max };
+        } else {
+            console.warn("Elevation range needs a minimum below the maximum");
+        }
+        this.renderShadingLegend();
+    }
+
+    setContoursVisible(visible) {
+        this.contoursVisible = !!visible;
+        this.contoursDirty = true;
+        this.lastContourUpdate = 0;
+        if (!this.contoursVisible) {
+            this.disposeContours();
+        }
+        
+        const contourToggle = this.getUiElement("contourToggle");
+        if (contourToggle) contourToggle.checked = this.contoursVisible;
+        this.renderShadingLegend();
+        this.emit("shadingchange", { mode: this.shadingMode, contours: this.contoursVisible });
+    }
+
+    setContourInterval(interval) {
+        if (!(interval > 0)) {
+            console.warn("Contour interval must be a positive number of metres");
+            return;
+        }
+        this.contourInterval = interval;
+        this.contoursDirty = true;
+        this.lastContourUpdate = 0;
+        this.renderShadingLegend();
+    }
+
+    /**
+     * Rebuild contours after the terrain or the interval changes
+     * Throttled like the vector layers, as blocks often stream in one after another.
+     */
+    updateContours() {
+        if (!this.contoursDirty || !this.contoursVisible) return;
+        
+        const now = performance.now();
+        if (now - this.lastContourUpdate < this.streamingSettings.updateInterval) return;
+        this.lastContourUpdate = now;
+        this.contoursDirty = false;
+        
+        this.buildContours();
+    }
+
+    /**
+     * Trace contours through a height grid of the terrain (marching squares) and draw them
+     * as line meshes, with every majorContourEvery-th contour darker and labelled
+     */
+    buildContours() {
+        this.disposeContours();
+        if (!this.terrainBounds || this.getTerrainMeshes().length === 0) return;
+        
+        const { min, max } = this.terrainBounds;
+        const cellSize = Math.max(0.5, Math.max(max.x - min.x, max.z - min.z) / this.maxContourGridSize);
+        const grid = this.buildHeightGrid(min.x, min.z, max.x, max.z, cellSize);
+        const { minX, minZ, cols, rows, heights } = grid;
+        const interval = this.contourInterval;
+        const lift = 0.05; // Keep the lines from flickering into the ground
+        
+        const minor = [];
+        const major = [];
+        const labelCandidates = new Map(); // Major level -> segment midpoints [x, z]
+        
+        // Corners in order (0,0) (1,0) (1,1) (0,1); edge e joins corner e and corner e + 1
+        const cornerX = [0, 1, 1, 0];
+        const cornerZ = [0, 0, 1, 1];
+        const h = [0, 0, 0, 0];
+        const points = [];
+        
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                h[0] = heights[j * cols + i];
+                h[1] = heights[j * cols + i + 1];
+                h[2] = heights[(j + 1) * cols + i + 1];
+                h[3] = heights[(j + 1) * cols + i];
+                if (!(Number.isFinite(h[0]) && Number.isFinite(h[1]) && Number.isFinite(h[2]) && Number.isFinite(h[3]))) continue;
+                
+                const low = Math.min(h[0], h[1], h[2], h[3]);
+                const high = Math.max(h[0], h[1], h[2], h[3]);
+                for (let k = Math.ceil(low / interval); k * interval <= high; k++) {
+                    const level = k * interval;
+                    let state = 0;
+                    for (let c = 0; c < 4; c++) {
+                        if (h[c] >= level) state |= 1 << c;
+                    }
+                    if (state === 0 || state === 15) continue;
+                    
+                    // Where the contour crosses each edge (null if it doesn't)
+                    for (let e = 0; e < 4; e++) {
+                        const a = e;
+                        const b = (e + 1) % 4;
+                        if ((h[a] >= level) === (h[b] >= level)) {
+                            points[e] = null;
+                            continue;
+                        }
+                        const t = (level - h[a]) / (h[b] - h[a]);
+                        points[e] = [
+                            minX + (i + cornerX[a] + (cornerX[b] - cornerX[a]) * t) * cellSize,
+                            minZ + (j + cornerZ[a] + (cornerZ[b] - cornerZ[a]) * t) * cellSize
+                        ];
+                    }
+                    
+                    let pairs;
+                    if (state === 5 || state === 10) {
+                        // Saddle: the cell centre decides which corners are joined
+                        const centreAbove = (h[0] + h[1] + h[2] + h[3]) / 4 >= level;
+                        pairs = (state === 5) === centreAbove ? [[0, 1], [2, 3]] : [[0, 3], [1, 2]];
+                    } else {
+                        const crossed = [0, 1, 2, 3].filter(e => points[e]);
+                        pairs = [crossed];
+                    }
+                    
+                    const isMajor = k % this.majorContourEvery === 0;
+                    const target = isMajor ? major : minor;
+                    pairs.forEach(([e1, e2]) => {
+                        const [x1, z1] = points[e1];
+                        const [x2, z2] = points[e2];
+                        target.push(x1, level + lift, z1, x2, level + lift, z2);
+                        if (isMajor) {
+                            if (!labelCandidates.has(level)) labelCandidates.set(level, []);
+                            labelCandidates.get(level).push([(x1 + x2) / 2, (z1 + z2) / 2]);
+                        }
+                    });
+                }
+            }
+        }
+        
+        const createLines = (name, positions, color, alpha) => {
+            if (positions.length === 0) return;
+            const lines = new BABYLON.LinesMesh(name, this.scene);
+            const vertexData = new BABYLON.VertexData();
+            vertexData.positions = positions;
+            vertexData.indices = Array.from({ length: positions.length / 3 }, (value, index) => index);
+            vertexData.applyToMesh(lines);
+            lines.color = BABYLON.Color3.FromHexString(color);
+            lines.alpha = alpha;
+            lines.isPickable = false;
+            this.contourMeshes.push(lines);
+        };
+        createLines("contoursMinor", minor, "#3d2b1f", 0.5);
+        createLines("contoursMajor", major, "#1a120c", 0.9);
+        
+        // Labels spread out along each major contour
+        let labelCount = 0;
+        labelCandidates.forEach((candidates, level) => {
+            const placed = [];
+            candidates.forEach(([x, z]) => {
+                if (labelCount >= this.maxContourLabels) return;
+                if (placed.some(([px, pz]) => Math.hypot(px - x, pz - z) < this.contourLabelSpacing)) return;
+                placed.push([x, z]);
+                labelCount++;
+                const text = `${Number(level.toFixed(2))} m`;
+                this.contourMeshes.push(this.createScreenLabel(`contourLabel${labelCount}`, text,
+                    new BABYLON.Vector3(x, level + lift, z), "#ffffff"));
+            });
+        });
+        
+        console.log(`Contours every ${interval} m: ${(minor.length + major.length) / 6} segments, ${labelCount} labels`);
+    }
+
+    disposeContours() {
+        this.contourMeshes.forEach(mesh => mesh.dispose(false, true));
+        this.contourMeshes = [];
+    }
+
+    /**
+     * Wire up the drainage panel: analyse, stream threshold, pond depth, export and clear
+     */
+    setupDrainageControls() {
+        const threshold = this.getUiElement("drainageStreamThreshold");
+        if (threshold) {
+            this.listen(threshold, "change", () => {
+                threshold.blur();
+                const value = Number(threshold.value);
+                this.drainageSettings.streamThreshold = threshold.value !== "" && value > 0 ? value : null;
+            });
+        }
+        
+        const pondDepth = this.getUiElement("drainagePondDepth");
+        if (pondDepth) {
+            pondDepth.value = this.drainageSettings.minPondDepth;
+            this.listen(pondDepth, "change", () => {
+                pondDepth.blur();
+                const value = Number(pondDepth.value);
+                if (value >= 0) this.drainageSettings.minPondDepth = value;
+            });
+        }
+        
+        // [button id, handler]
+        [
+            ["drainageRun", () => this.runDrainageAnalysis()],
+            ["drainageExport", () => this.exportDrainage()],
+            ["drainageClear", () => this.clearDrainage()]
+        ].forEach(([id, handler]) => {
+            const button = this.getUiElement(id);
+            if (!button) return;
+            this.listen(button, "click", (event) => {
+                event.stopPropagation();
+                button.blur();
+                handler();
+            });
+        });
+        
+        this.renderDrainagePanel();
+    }
+
+    /**
+     * Sample the terrain into a height grid, analyse where water flows and ponds, and draw the result
+     */
+    runDrainageAnalysis() {
+        if (!this.terrainBounds || this.getTerrainMeshes().length === 0) return null;
+        
+        const started = performance.now();
+        const { min, max } = this.terrainBounds;
+        const cellSize = Math.max(0.5, Math.max(max.x - min.x, max.z - min.z) / this.drainageSettings.maxGridSize);
+        const grid = this.buildHeightGrid(min.x, min.z, max.x, max.z, cellSize);
+        
+        this.clearDrainage();
+        this.drainage = TerrainGrid.analyzeDrainage(grid, this.drainageSettings);
+        this.drainageStale = false;
+        this.drawDrainage();
+        this.renderDrainagePanel();
+        
+        const { streams, ponds, streamThreshold } = this.drainage;
+        console.log(`Drainage analysis (${grid.cols}×${grid.rows} grid at ${cellSize.toFixed(2)} m): ` +
+            `${streams.length} stream links from ${this.formatArea(streamThreshold)} upstream, ${ponds.length} ponds, ` +
+            `${Math.round(performance.now() - started)} ms`);
+        this.emit("drainage", {
+            streams: streams.length,
+            streamLength: streams.reduce((total, stream) => total + stream.length, 0),
+            ponds: ponds.map(pond => ({
+                area: pond.area,
+                volume: pond.volume,
+                maxDepth: pond.maxDepth,
+                level: pond.level,
+                position: this.getDrainageCellPosition(pond.deepest)
+            }))
+        });
+        return this.drainage;
+    }
+
+    /**
+     * Viewer position of a drainage grid cell, on the water surface where it ponds
+     */
+    getDrainageCellPosition(index, lift = 0) {
+        const { grid, filled } = this.drainage;
+        const i = index % grid.cols;
+        const j = (index - i) / grid.cols;
+        return new BABYLON.Vector3(grid.minX + i * grid.cellSize, filled[index] + lift, grid.minZ + j * grid.cellSize);
+    }
+
+    /**
+     * Draw the streams (coloured by Strahler order) and pond fills of the current analysis
+     */
+    drawDrainage() {
+        const { grid, streams, ponds } = this.drainage;
+        const lift = 0.1; // Keep the lines from flickering into the ground
+        
+        if (streams.length > 0) {
+            const lines = streams.map(stream => stream.cells.map(cell => this.getDrainageCellPosition(cell, lift)));
+            const colors = streams.map(stream => {
+                const color = BABYLON.Color4.FromHexString(`${STREAM_ORDER_COLORS[Math.min(stream.order, STREAM_ORDER_COLORS.length) - 1]}ff`);
+                return stream.cells.map(() => color);
+            });
+            const streamMesh = BABYLON.MeshBuilder.CreateLineSystem("drainageStreams", { lines: lines, colors: colors }, this.scene);
+            streamMesh.isPickable = false;
+            this.drainageMeshes.push(streamMesh);
+        }
+        
+        if (ponds.length > 0) {
+            // One flat square of water per grid point under water
+            const half = grid.cellSize / 2;
+            const positions = [];
+            const indices = [];
+            ponds.forEach(pond => {
+                pond.cells.forEach(cell => {
+                    const centre = this.getDrainageCellPosition(cell, 0.05);
+                    const first = positions.length / 3;
+                    positions.push(
+                        centre.x - half, centre.y, centre.z - half,
+                        centre.x + half, centre.y, centre.z - half,
+                        centre.x - half, centre.y, centre.z + half,
+                        centre.x + half, centre.y, centre.z + half
+                    );
+                    indices.push(first, first + 2, first + 1, first + 1, first + 2, first + 3);
+                });
+            });
+            
+            const vertexData = new BABYLON.VertexData();
+            vertexData.positions = positions;
+            vertexData.indices = indices;
+            const pondMesh = new BABYLON.Mesh("drainagePonds", this.scene);
+            vertexData.applyToMesh(pondMesh);
+            pondMesh.isPickable = false;
+            
+            const material = new BABYLON.StandardMaterial("drainagePondMaterial", this.scene);
+            material.emissiveColor = BABYLON.Color3.FromHexString("#2f7fd8");
+            material.disableLighting = true;
+            material.backFaceCulling = false;
+            material.alpha = 0.6;
+            material.zOffset = -2;
+            pondMesh.material = material;
+            pondMesh.onDisposeObservable.add(() => material.dispose());
+            this.drainageMeshes.push(pondMesh);
+        }
+    }
+
+    /**
+     * Follow water from a point downhill until it reaches a pond or leaves the terrain
+     * Runs the analysis first if there is none.
+     */
+    traceFlowFrom(point) {
+        if (!this.drainage && !this.runDrainageAnalysis()) return null;
+        
+        const { grid, receivers, pondIds, ponds, accumulation } = this.drainage;
+        const i = Math.round((point.x - grid.minX) / grid.cellSize);
+        const j = Math.round((point.z - grid.minZ) / grid.cellSize);
+        if (i < 0 || j < 0 || i >= grid.cols || j >= grid.rows || !Number.isFinite(grid.heights[j * grid.cols + i])) return null;
+        
+        const cells = [j * grid.cols + i];
+        let current = cells[0];
+        while (pondIds[current] === -1 && receivers[current] !== -1) {
+            current = receivers[current];
+            cells.push(current);
+        }
+        
+        let length = 0;
+        const points = cells.map(cell => this.getDrainageCellPosition(cell, 0.15));
+        for (let k = 1; k < points.length; k++) {
+            length += BABYLON.Vector3.Distance(points[k - 1], points[k]);
+        }
+        const pond = pondIds[current] !== -1 ? ponds[pondIds[current]] : null;
+        const result = {
+            start: point.clone(),
+            end: points[points.length - 1].clone(),
+            length: length,
+            drop: grid.heights[cells[0]] - grid.heights[current],
+            pond: pond ? { id: pond.id, area: pond.area, volume: pond.volume, maxDepth: pond.maxDepth } : null,
+            leavesTerrain: !pond,
+            upstreamArea: accumulation[cells[0]],
+            points: points
+        };
+        
+        this.disposeFlowTrace();
+        const meshes = [];
+        if (points.length > 1) {
+            const line = BABYLON.MeshBuilder.CreateLines("flowTrace", { points: points }, this.scene);
+            line.color = BABYLON.Color3.FromHexString("#00ffd5");
+            line.isPickable = false;
+            meshes.push(line);
+        }
+        const marker = BABYLON.MeshBuilder.CreateSphere("flowTraceStart", { diameter: 0.6, segments: 8 }, this.scene);
+        marker.position = points[0];
+        marker.isPickable = false;
+        const markerMaterial = new BABYLON.StandardMaterial("flowTraceMaterial", this.scene);
+        markerMaterial.emissiveColor = BABYLON.Color3.FromHexString("#00ffd5");
+        markerMaterial.disableLighting = true;
+        marker.material = markerMaterial;
+        marker.onDisposeObservable.add(() => markerMaterial.dispose());
+        meshes.push(marker);
+        
+        this.flowTrace = { result: result, meshes: meshes };
+        this.renderDrainagePanel();
+        
+        const { points: tracePoints, ...detail } = result;
+        this.emit("flowtrace", detail);
+        return result;
+    }
+
+    disposeFlowTrace() {
+        if (this.flowTrace) {
+            this.flowTrace.meshes.forEach(mesh => mesh.dispose());
+            this.flowTrace = null;
+        }
+    }
+
+    /**
+     * Remove the drainage analysis, its drawing and any traced flow path
+     */
+    clearDrainage() {
+        this.disposeFlowTrace();
+        this.drainageMeshes.forEach(mesh => mesh.dispose());
+        this.drainageMeshes = [];
+        this.drainage = null;
+        this.drainageStale = false;
+        this.renderDrainagePanel();
+    }
+
+    /**
+     * Stream links, ponds and the traced flow path as a GeoJSON FeatureCollection
+     */
+    exportDrainage() {
+        if (!this.drainage) return;
+        
+        const { streams, ponds } = this.drainage;
+        const round = value => Number(value.toFixed(2));
+        const features = streams.map(stream => ({
+            type: "Feature",
+            geometry: {
+                type: "LineString",
+                coordinates: stream.cells.map(cell => this.toGeoJsonPosition(this.getDrainageCellPosition(cell)))
+            },
+            properties: { kind: "stream", order: stream.order, length: round(stream.length), upstreamArea: round(stream.upstreamArea) }
+        }));
+        
+        ponds.forEach(pond => features.push({
+            type: "Feature",
+            geometry: { type: "Point", coordinates: this.toGeoJsonPosition(this.getDrainageCellPosition(pond.deepest)) },
+            properties: {
+                kind: "pond",
+                area: round(pond.area),
+                volume: round(pond.volume),
+                maxDepth: round(pond.maxDepth),
+                level: round(pond.level)
+            }
+        }));
+        
+        if (this.flowTrace && this.flowTrace.result.points.length > 1) {
+            const trace = this.flowTrace.result;
+            features.push({
+                type: "Feature",
+                geometry: { type: "LineString", coordinates: trace.points.map(point => this.toGeoJsonPosition(point)) },
+                properties: {
+                    kind: "flowpath",
+                    length: round(trace.length),
+                    drop: round(trace.drop),
+                    endsIn: trace.pond ? "pond" : "edge"
+                }
+            });
+        }
+        
+        this.downloadFile(`drainage-${this.terrainName}.geojson`,
+            JSON.stringify({ type: "FeatureCollection", features: features }, null, 2), "application/geo+json");
+    }
+
+    /**
+     * Summary of the analysis and the traced flow path in the drainage panel
+     */
+    renderDrainagePanel() {
+        const threshold = this.getUiElement("drainageStreamThreshold");
+        if (threshold && document.activeElement !== threshold) {
+            const value = this.drainageSettings.streamThreshold || (this.drainage && this.drainage.streamThreshold);
+            threshold.value = value ? Math.round(value) : "";
+        }
+        
+        const exportButton = this.getUiElement("drainageExport");
+        if (exportButton) {
+            exportButton.disabled = !this.drainage;
+        }
+        
+        const details = this.getUiElement("drainageResult");
+        if (!details) return;
+        details.innerHTML = "";
+        
+        if (!this.drainage) {
+            details.textContent = `Analyse the terrain, then ${this.isMobile ? "tap" : "click"} a point to see where its water goes.`;
+            return;
+        }
+        
+        const { grid, streams, ponds } = this.drainage;
+        const largest = ponds.reduce((best, pond) => (!best || pond.volume > best.volume ? pond : best), null);
+        const rows = [
+            ["Grid", `${grid.cols} × ${grid.rows} points, ${grid.cellSize.toFixed(2)} m apart`],
+            ["Streams", `${this.formatDistance(streams.reduce((total, stream) => total + stream.length, 0))}, ` +
+                `order up to ${streams.reduce((highest, stream) => Math.max(highest, stream.order), 0)}`],
+            ["Ponds", `${ponds.length}, holding ${this.formatVolume(ponds.reduce((total, pond) => total + pond.volume, 0))}`],
+            ...(largest ? [["Largest pond", `${this.formatVolume(largest.volume)} over ${this.formatArea(largest.area)}, ` +
+                `${largest.maxDepth.toFixed(2)} m deep`]] : [])
+        ];
+        
+        if (this.flowTrace) {
+            const trace = this.flowTrace.result;
+            rows.push(
+                ["Flow path", `${this.formatDistance(trace.length)}, dropping ${trace.drop.toFixed(2)} m`],
+                ["Water ends up", trace.pond
+                    ? `In a pond (${this.formatVolume(trace.pond.volume)}, ${trace.pond.maxDepth.toFixed(2)} m deep), spilling on once full`
+                    : "Leaving the terrain at its edge"],
+                ["Draining through the start", this.formatArea(trace.upstreamArea)]
+            );
+        }
+        
+        if (this.drainageStale) {
+            rows.push(["Note", "The terrain has changed since this analysis - run it again"]);
+        }
+        
+        rows.forEach(([label, value]) => {
+            const term = document.createElement("dt");
+            term.textContent = label;
+            const description = document.createElement("dd");
+            description.textContent = value;
+            details.appendChild(term);
+            details.appendChild(description);
+        });
+    }
+
+    /**
+     * Wire up the route panel: slope limit, layer polygons, avoid areas, walking and clearing
+     */
+    setupRouteControls() {
+        const maxSlope = this.getUiElement("routeMaxSlope");
+        if (maxSlope) {
+            maxSlope.value = this.routeSettings.maxSlope;
+            this.listen(maxSlope, "change", () => {
+                maxSlope.blur();
+                const value = Number(maxSlope.value);
+                if (value > 0 && value < 90) {
+                    this.routeSettings.maxSlope = value;
+                    this.planRoute();
+                }
+                maxSlope.value = this.routeSettings.maxSlope;
+            });
+        }
+        
+        const avoidLayers = this.getUiElement("routeAvoidLayers");
+        if (avoidLayers) {
+            avoidLayers.checked = this.routeSettings.avoidLayers;
+            this.listen(avoidLayers, "change", () => {
+                avoidLayers.blur();
+                this.routeSettings.avoidLayers = avoidLayers.checked;
+                this.planRoute();
+            });
+        }
+        
+        // [button id, handler]
+        [
+            ["routeAvoidDraw", () => (this.routeAvoidDraft ? this.finishRouteAvoidArea() : this.startRouteAvoidArea())],
+            ["routeWalk", () => (this.routeWalk ? this.stopRouteWalk("stopped") : this.startRouteWalk())],
+            ["routeClear", () => this.clearRoute()],
+            ["routeClearAvoid", () => this.clearRouteAvoidAreas()]
+        ].forEach(([id, handler]) => {
+            const button = this.getUiElement(id);
+            if (!button) return;
+            this.listen(button, "click", (event) => {
+                event.stopPropagation();
+                button.blur();
+                handler();
+            });
+        });
+        
+        this.renderRoutePanel();
+    }
+
+    /**
+     * Use a picked point for the route tool: a corner of the avoid area being drawn, otherwise
+     * the start, then the end (which plans the route); the next click starts a new route
+     */
+    addRoutePoint(point) {
+        const draft = this.routeAvoidDraft;
+        if (draft) {
+            // The second click of a double-click lands on the same spot
+            const last = draft.points[draft.points.length - 1];
+            if (last && BABYLON.Vector3.Distance(last, point) < 1e-3) return;
+            
+            draft.points.push(point.clone());
+            this.drawRouteAvoidArea(draft);
+            this.renderRoutePanel();
+            return;
+        }
+        
+        if (!this.routeStart || this.routeEnd) {
+            this.clearRoute();
+            this.routeStart = point.clone();
+            this.drawRoute();
+            this.renderRoutePanel();
+        } else {
+            this.routeEnd = point.clone();
+            this.planRoute();
+        }
+    }
+
+    startRouteAvoidArea() {
+        this.finishRouteAvoidArea();
+        this.routeAvoidDraft = { points: [], meshes: [] };
+        this.renderRoutePanel();
+    }
+
+    /**
+     * Close the avoid area being drawn (dropped with fewer than three corners) and plan around it
+     */
+    finishRouteAvoidArea() {
+        const area = this.routeAvoidDraft;
+        if (!area) return;
+        this.routeAvoidDraft = null;
+        
+        if (area.points.length < 3) {
+            area.meshes.forEach(mesh => mesh.dispose());
+        } else {
+            this.routeAvoidAreas.push(area);
+            this.drawRouteAvoidArea(area);
+            this.planRoute();
+        }
+        this.renderRoutePanel();
+    }
+
+    clearRouteAvoidAreas() {
+        const areas = this.routeAvoidDraft ? [...this.routeAvoidAreas, this.routeAvoidDraft] : this.routeAvoidAreas;
+        areas.forEach(area => area.meshes.forEach(mesh => mesh.dispose()));
+        this.routeAvoidAreas = [];
+        this.routeAvoidDraft = null;
+        this.planRoute();
+    }
+
+    /**
+     * Outline of an avoid area on the terrain, with corner markers while it is being drawn
+     */
+    drawRouteAvoidArea(area) {
+        area.meshes.forEach(mesh => mesh.dispose());
+        area.meshes = [];
+        const drawing = area === this.routeAvoidDraft;
+        
+        if (drawing) {
+            area.points.forEach((point, index) => {
+                const marker = BABYLON.MeshBuilder.CreateSphere(`routeAvoidPoint${index}`, { diameter: 0.25, segments: 8 }, this.scene);
+                marker.position.copyFrom(point);
+                marker.material = this.getRouteMaterial("avoid");
+                marker.isPickable = false;
+                area.meshes.push(marker);
+            });
+        }
+        
+        if (area.points.length > 1) {
+            const path = this.sampleTerrainPath(area.points, !drawing)
+                .map(sample => sample.position.add(new BABYLON.Vector3(0, 0.1, 0)));
+            const line = BABYLON.MeshBuilder.CreateLines("routeAvoidLine", { points: path }, this.scene);
+            line.color = BABYLON.Color3.FromHexString(ROUTE_COLORS.avoid);
+            line.isPickable = false;
+            area.meshes.push(line);
+        }
+    }
+
+    /**
+     * Polygons the route must keep out of, as [outer ring, ...holes] of { x, z }: the drawn avoid
+     * areas and, with routeSettings.avoidLayers, polygons in visible GeoJSON layers
+     */
+    getRouteAvoidPolygons() {
+        const polygons = this.routeAvoidAreas.map(area => [area.points.map(point => ({ x: point.x, z: point.z }))]);
+        if (!this.routeSettings.avoidLayers) return polygons;
+        
+        this.vectorLayers
+            .filter(layer => layer.visible && (!layer.projection || this.isGeoreferenced()))
+            .forEach(layer => {
+                const addGeometry = (geometry) => {
+                    if (geometry.type === "Polygon") {
+                        polygons.push(geometry.coordinates.map(ring => this.getLayerLocalPositions(layer, ring)));
+                    } else if (geometry.type === "MultiPolygon") {
+                        geometry.coordinates.forEach(polygon => polygons.push(polygon.map(ring => this.getLayerLocalPositions(layer, ring))));
+                    } else if (geometry.type === "GeometryCollection") {
+                        geometry.geometries.forEach(addGeometry);
+                    }
+                };
+                layer.features.forEach(feature => addGeometry(feature.geometry));
+            });
+        return polygons;
+    }
+
+    /**
+     * Plan the route between the picked start and end over a height grid around them, measure it
+     * and draw it on the terrain; returns the route, or null when there is none
+     */
+    planRoute() {
+        this.stopRouteWalk("stopped");
+        this.route = null;
+        const start = this.routeStart;
+        const end = this.routeEnd;
+        if (!start || !end || !this.terrainBounds || this.getTerrainMeshes().length === 0) {
+            this.drawRoute();
+            this.renderRoutePanel();
+            return null;
+        }
+        
+        const started = performance.now();
+        const settings = this.routeSettings;
+        const straight = Math.hypot(end.x - start.x, end.z - start.z);
+        const margin = Math.max(settings.margin, straight / 2);
+        const { min, max } = this.terrainBounds;
+        const minX = Math.max(min.x, Math.min(start.x, end.x) - margin);
+        const maxX = Math.min(max.x, Math.max(start.x, end.x) + margin);
+        const minZ = Math.max(min.z, Math.min(start.z, end.z) - margin);
+        const maxZ = Math.min(max.z, Math.max(start.z, end.z) + margin);
+        const cellSize = Math.max(settings.cellSize, Math.sqrt((maxX - minX) * (maxZ - minZ) / settings.maxGridCells));
+        const grid = this.buildHeightGrid(minX, minZ, maxX, maxZ, cellSize);
+        const polygons = this.getRouteAvoidPolygons();
+        const result = TerrainGrid.findRoute(grid, start, end, settings, TerrainGrid.rasterizeAvoidMask(grid, polygons));
+        
+        if (!result.points) {
+            this.route = { found: false, reason: result.reason, straight: straight, avoidAreas: polygons.length };
+            console.log(`No route found (${result.reason}) in ${Math.round(performance.now() - started)} ms`);
+            this.drawRoute();
+            this.renderRoutePanel();
+            this.emit("route", { found: false, reason: result.reason, start: start.clone(), end: end.clone() });
+            return null;
+        }
+        
+        // On the surface every grid cell, for the figures, the drawing and walking
+        const points = this.drapePolyline(grid, result.points).flat();
+        const distances = [0]; // Horizontal distance along the route
+        let length = 0;
+        let climb = 0;
+        let descent = 0;
+        for (let k = 1; k < points.length; k++) {
+            const run = Math.hypot(points[k].x - points[k - 1].x, points[k].z - points[k - 1].z);
+            const rise = points[k].y - points[k - 1].y;
+            distances.push(distances[k - 1] + run);
+            length += Math.hypot(run, rise);
+            if (rise > 0) {
+                climb += rise;
+            } else {
+                descent -= rise;
+            }
+        }
+        
+        // Steepest stretch of steepestLength metres (or the whole route when it is shorter)
+        const total = distances[distances.length - 1];
+        const span = Math.min(settings.steepestLength, total);
+        let steepest = { slope: 0, from: 0, to: points.length - 1 };
+        for (let from = 0, to = 0; from < points.length; from++) {
+            while (to < points.length - 1 && distances[to] - distances[from] < span) to++;
+            const run = distances[to] - distances[from];
+            if (run <= 0 || run < span) break;
+            const slope = BABYLON.Tools.ToDegrees(Math.atan2(Math.abs(points[to].y - points[from].y), run));
+            if (slope > steepest.slope) {
+                steepest = { slope: slope, from: from, to: to };
+            }
+        }
+        
+        this.route = {
+            found: true,
+            points: points,
+            distances: distances,
+            length: length,
+            straight: straight,
+            climb: climb,
+            descent: descent,
+            steepest: {
+                slope: steepest.slope,
+                distance: distances[steepest.from],
+                length: distances[steepest.to] - distances[steepest.from],
+                points: points.slice(steepest.from, steepest.to + 1)
+            },
+            avoidAreas: polygons.length
+        };
+        console.log(`Planned route: ${this.formatDistance(length)}, +${climb.toFixed(1)} m / -${descent.toFixed(1)} m, ` +
+            `steepest ${steepest.slope.toFixed(1)}° (${grid.cols}×${grid.rows} grid at ${cellSize.toFixed(2)} m, ` +
+            `${Math.round(performance.now() - started)} ms)`);
+        
+        this.drawRoute();
+        this.renderRoutePanel();
+        this.emit("route", {
+            found: true,
+            start: start.clone(),
+            end: end.clone(),
+            length: length,
+            climb: climb,
+            descent: descent,
+            steepestSlope: steepest.slope,
+            points: points.map(point => point.clone())
+        });
+        return this.route;
+    }
+
+    /**
+     * Start/end markers and the planned route draped on the terrain, its steepest section highlighted
+     */
+    drawRoute() {
+        this.routeMeshes.forEach(mesh => mesh.dispose(false, true));
+        this.routeMeshes = [];
+        if (!this.scene) return;
+        
+        [this.routeStart, this.routeEnd].forEach((point, index) => {
+            if (!point) return;
+            const marker = BABYLON.MeshBuilder.CreateSphere(`routeMarker${index}`, { diameter: 0.6, segments: 8 }, this.scene);
+            marker.position.copyFrom(point);
+            marker.material = this.getRouteMaterial("route");
+            marker.isPickable = false;
+            this.routeMeshes.push(marker);
+        });
+        
+        const route = this.route;
+        if (!route || !route.found) return;
+        
+        // Lifted slightly so the line isn't hidden in the terrain surface
+        const lift = new BABYLON.Vector3(0, 0.15, 0);
+        const line = BABYLON.MeshBuilder.CreateLines("routeLine", { points: route.points.map(point => point.add(lift)) }, this.scene);
+        line.color = BABYLON.Color3.FromHexString(ROUTE_COLORS.route);
+        line.isPickable = false;
+        this.routeMeshes.push(line);
+        
+        const steepest = route.steepest;
+        if (steepest.points.length > 1 && steepest.slope > 0) {
+            const section = BABYLON.MeshBuilder.CreateLines("routeSteepest", { points: steepest.points.map(point => point.add(lift.scale(2))) }, this.scene);
+            section.color = BABYLON.Color3.FromHexString(ROUTE_COLORS.steepest);
+            section.isPickable = false;
+            this.routeMeshes.push(section);
+            
+            const anchor = steepest.points[Math.floor(steepest.points.length / 2)];
+            this.routeMeshes.push(this.createScreenLabel("routeSteepestLabel", `Steepest ${steepest.slope.toFixed(1)}°`, anchor, ROUTE_COLORS.steepest));
+        }
+    }
+
+    /**
+     * Shared unlit material for route markers ("route") and avoid area corners ("avoid")
+     */
+    getRouteMaterial(kind) {
+        const name = `${kind}RouteMaterial`;
+        let material = this.scene.getMaterialByName(name);
+        if (!material) {
+            material = new BABYLON.StandardMaterial(name, this.scene);
+            material.emissiveColor = BABYLON.Color3.FromHexString(ROUTE_COLORS[kind]);
+            material.disableLighting = true;
+        }
+        return material;
+    }
+
+    /**
+     * Point on the planned route a horizontal distance from its start (clamped to the ends)
+     */
+    getRoutePointAt(distance) {
+        const { points, distances } = this.route;
+        if (distance <= 0) return points[0].clone();
+        
+        for (let k = 1; k < points.length; k++) {
+            if (distances[k] >= distance) {
+                const span = distances[k] - distances[k - 1];
+                return BABYLON.Vector3.Lerp(points[k - 1], points[k], span > 0 ? (distance - distances[k - 1]) / span : 1);
+            }
+        }
+        return points[points.length - 1].clone();
+    }
+
+    /**
+     * Walk the camera along the planned route: fly to its start, then steer and press forward
+     * through the normal walk movement (see steerRouteWalk) until the end or any movement input
+     */
+    startRouteWalk() {
+        if (!this.route || !this.route.found || !this.camera) return;
+        
+        if (this.movementMode !== "walk") {
+            this.setMovementMode("walk");
+        }
+        const eye = new BABYLON.Vector3(0, this.playerHeight, 0);
+        this.flyCameraTo(this.route.points[0].add(eye), this.getRoutePointAt(this.routeSettings.lookAhead).add(eye), 1);
+        this.routeWalk = { distance: 0, segment: 0, progressDistance: 0, progressTime: 0 };
+        
+        console.log("Walking the route");
+        this.renderRoutePanel();
+        this.emit("routewalk", { state: "started", length: this.route.length });
+    }
+
+    /**
+     * Turn the camera towards a point just ahead on the route and set forward movement input
+     */
+    steerRouteWalk(input, deltaTime) {
+        const walk = this.routeWalk;
+        const route = this.route;
+        if (!route || !route.found) {
+            this.stopRouteWalk("stopped");
+            return;
+        }
+        
+        // Any movement input hands control back to the player
+        if (input.x !== 0 || input.z !== 0 || input.y !== 0 || input.jump) {
+            this.stopRouteWalk("stopped");
+            return;
+        }
+        
+        // Progress along the route: the closest point on the segments around the last one
+        const { points, distances } = route;
+        const position = this.camera.position;
+        const first = Math.max(0, walk.segment - 2);
+        const last = Math.min(points.length - 1, walk.segment + 20);
+        let closest = Infinity;
+        for (let k = first; k < last; k++) {
+            const a = points[k];
+            const b = points[k + 1];
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const lengthSquared = dx * dx + dz * dz;
+            const t = lengthSquared > 0
+                ? Math.max(0, Math.min(1, ((position.x - a.x) * dx + (position.z - a.z) * dz) / lengthSquared))
+                : 0;
+            const distance = Math.hypot(a.x + dx * t - position.x, a.z + dz * t - position.z);
+            if (distance < closest) {
+                closest = distance;
+                walk.segment = k;
+                walk.distance = distances[k] + t * (distances[k + 1] - distances[k]);
+            }
+        }
+        
+        const total = distances[distances.length - 1];
+        if (total - walk.distance < 0.5) {
+            this.stopRouteWalk("finished");
+            return;
+        }
+        
+        // Give up when the walk stops getting anywhere, e.g. at a slope too steep to walk up
+        if (walk.distance > walk.progressDistance + 0.5) {
+            walk.progressDistance = walk.distance;
+            walk.progressTime = 0;
+        } else {
+            walk.progressTime += deltaTime;
+            if (walk.progressTime > 4) {
+                this.stopRouteWalk("stuck");
+                return;
+            }
+        }
+        
+        // Turn (at most 3 radians a second) towards a point a little further on, slowing for sharp turns
+        const target = this.getRoutePointAt(walk.distance + this.routeSettings.lookAhead);
+        const yaw = Math.atan2(target.x - position.x, target.z - position.z);
+        const rotation = this.camera.rotation;
+        const turn = Math.atan2(Math.sin(yaw - rotation.y), Math.cos(yaw - rotation.y));
+        const maxTurn = 3 * deltaTime;
+        rotation.y += Math.max(-maxTurn, Math.min(maxTurn, turn));
+        input.z = Math.max(0.2, Math.cos(turn));
+    }
+
+    /**
+     * End walking the route ("finished", "stuck" or "stopped"); the player keeps control from there
+     */
+    stopRouteWalk(state) {
+        if (!this.routeWalk) return;
+        this.routeWalk = null;
+        
+        console.log(`Route walk ${state}`);
+        this.renderRoutePanel();
+        this.emit("routewalk", { state: state });
+    }
+
+    /**
+     * Remove the planned route and its start and end (avoid areas stay)
+     */
+    clearRoute() {
+        this.stopRouteWalk("stopped");
+        this.routeStart = null;
+        this.routeEnd = null;
+        this.route = null;
+        this.drawRoute();
+        this.renderRoutePanel();
+    }
+
+    /**
+     * Prompt for the next pick, or the figures of the planned route, in the route panel
+     */
+    renderRoutePanel() {
+        const walkButton = this.getUiElement("routeWalk");
+        if (walkButton) {
+            walkButton.disabled = !(this.route && this.route.found);
+            walkButton.textContent = this.routeWalk ? "Stop walking" : "Walk the route";
+        }
+        
+        const drawButton = this.getUiElement("routeAvoidDraw");
+        if (drawButton) {
+            drawButton.textContent = this.routeAvoidDraft ? "Finish avoid area" : "Draw avoid area";
+        }
+        
+        const details = this.getUiElement("routeResult");
+        if (!details) return;
+        details.innerHTML = "";
+        
+        const pick = this.isMobile ? "Tap" : "Click";
+        if (this.routeAvoidDraft) {
+            details.textContent = `${pick} the corners of the area to avoid, then press Finish` +
+                `${this.isMobile ? "" : " (or Enter, or double-click)"}.`;
+            return;
+        }
+        if (!this.routeStart || !this.routeEnd) {
+            details.textContent = `${pick} the ${this.routeStart ? "end" : "start"} of the route on the terrain.`;
+            return;
+        }
+        
+        const route = this.route;
+        if (!route) return;
+        const rows = [];
+        if (route.found) {
+            const steepest = route.steepest;
+            rows.push(
+                ["Length", `${this.formatDistance(route.length)} (straight line ${this.formatDistance(route.straight)})`],
+                ["Climb", `+${route.climb.toFixed(1)} m / -${route.descent.toFixed(1)} m`],
+                ["Steepest", `${steepest.slope.toFixed(1)}° over ${this.formatDistance(steepest.length)}, ` +
+                    `${this.formatDistance(steepest.distance)} from the start`]
+            );
+        } else {
+            rows.push(["No route", {
+                start: "The start is off the terrain or inside an avoid area",
+                end: "The end is off the terrain or inside an avoid area",
+                blocked: "There is no way through without steeper ground or an avoid area - try a higher slope limit"
+            }[route.reason]]);
+        }
+        rows.push(["Limits", `Ground up to ${this.routeSettings.maxSlope}°, ` +
+            `${route.avoidAreas} avoid area${route.avoidAreas === 1 ? "" : "s"}`]);
+        
+        rows.forEach(([label, value]) => {
+            const term = document.createElement("dt");
+            term.textContent = label;
+            const description = document.createElement("dd");
+            description.textContent = value;
+            details.appendChild(term);
+            details.appendChild(description);
+        });
+    }
+
+    /**
+     * Legend for the current shading mode and contours
+     */
+    renderShadingLegend() {
+        const legend = this.getUiElement("shadingLegend");
+        if (!legend) return;
+        
+        const mode = this.shadingMode;
+        legend.style.display = mode !== "textured" || this.contoursVisible ? "block" : "none";
+        
+        const title = this.getUiElement("shadingLegendTitle");
+        if (title) {
+            title.textContent = { textured: "Photo texture", elevation: "Elevation", slope: "Slope", aspect: "Aspect" }[mode];
+        }
+        
+        const body = this.getUiElement("shadingLegendBody");
+        if (body) {
+            body.innerHTML = "";
+            const addRow = (color, text) => {
+                const row = document.createElement("div");
+                row.className = "legend-row";
+                const swatch = document.createElement("span");
+                swatch.className = "swatch";
+                swatch.style.background = color;
+                row.appendChild(swatch);
+                row.appendChild(document.createTextNode(text));
+                body.appendChild(row);
+            };
+            
+            if (mode === "elevation") {
+                const ramp = document.createElement("div");
+                ramp.className = "legend-ramp";
+                ramp.style.background = `linear-gradient(to right, ${ELEVATION_RAMP.join(", ")})`;
+                body.appendChild(ramp);
+            } else if (mode === "slope") {
+                SLOPE_CLASSES.forEach((slopeClass, index) => {
+                    const from = index === 0 ? 0 : SLOPE_CLASSES[index - 1].max;
+                    addRow(slopeClass.color, index === SLOPE_CLASSES.length - 1 ? `over ${from}°` : `${from}–${slopeClass.max}°`);
+                });
+            } else if (mode === "aspect") {
+                ASPECT_CLASSES.forEach(aspectClass => addRow(aspectClass.color, aspectClass.name));
+                addRow(FLAT_ASPECT.color, `Flat (under ${FLAT_ASPECT.maxSlope}°)`);
+            }
+        }
+        
+        const rangeControls = this.getUiElement("elevationRangeControls");
+        if (rangeControls) {
+            rangeControls.style.display = mode === "elevation" ? "block" : "none";
+            const range = this.getElevationRange();
+            const elevationMin = this.getUiElement("elevationMin");
+            const elevationMax = this.getUiElement("elevationMax");
+            if (elevationMin && document.activeElement !== elevationMin) elevationMin.value = range.min.toFixed(1);
+            if (elevationMax && document.activeElement !== elevationMax) elevationMax.value = range.max.toFixed(1);
+        }
+        
+        const contourLegend = this.getUiElement("contourLegend");
+        if (contourLegend) {
+            contourLegend.style.display = this.contoursVisible ? "block" : "none";
+            contourLegend.textContent = `Contours every ${this.contourInterval} m, ` +
+                `labelled every ${Number((this.contourInterval * this.majorContourEvery).toFixed(2))} m`;
+        }
+    }
+
+    /**
+     * Wire up the epoch comparison controls and the swipe divider
+     */
+    setupComparePanel() {
+        const epochPicker = this.getUiElement("compareEpoch");
+        if (epochPicker) {
+            this.listen(epochPicker, "change", () => {
+                epochPicker.blur();
+                this.setCompareEpoch(epochPicker.value || null);
+            });
+        }
+        
+        const modePicker = this.getUiElement("compareMode");
+        if (modePicker) {
+            modePicker.value = this.compareMode;
+            this.listen(modePicker, "change", () => {
+                modePicker.blur();
+                this.setCompareMode(modePicker.value);
+            });
+        }
+        
+        const divider = this.getUiElement("swipeDivider");
+        if (divider) {
+            let dragging = false;
+            this.listen(divider, "pointerdown", (event) => {
+                if (this.compareMode !== "swipe") return;
+                event.stopPropagation();
+                dragging = true;
+                divider.setPointerCapture(event.pointerId);
+            });
+            this.listen(divider, "pointermove", (event) => {
+                if (!dragging) return;
+                const rect = this.canvas.getBoundingClientRect();
+                this.swipePosition = Math.max(0.02, Math.min(0.98, (event.clientX - rect.left) / rect.width));
+                this.updateComparisonViewport();
+            });
+            const stop = (event) => {
+                dragging = false;
+                if (divider.hasPointerCapture(event.pointerId)) divider.releasePointerCapture(event.pointerId);
+            };
+            this.listen(divider, "pointerup", stop);
+            this.listen(divider, "pointercancel", stop);
+            this.listen(divider, "click", (event) => event.stopPropagation());
+        }
+        
+        // In swipe mode the comparison camera only draws right of the divider
+        this.scene.onBeforeCameraRenderObservable.add(camera => {
+            if (camera !== this.compareCamera || this.compareMode !== "swipe") return;
+            const width = this.engine.getRenderWidth();
+            const left = Math.round(width * this.swipePosition);
+            this.engine.enableScissor(left, 0, width - left, this.engine.getRenderHeight());
+            this.engine.clear(this.scene.clearColor, true, true, true);
+        });
+        this.scene.onAfterCameraRenderObservable.add(camera => {
+            if (camera === this.compareCamera) {
+                this.engine.disableScissor();
+            }
+        });
+        
+        this.renderComparePanel();
+    }
+
+    /**
+     * Load another capture date of the current block to compare against (null stops comparing)
+     * The comparison epoch is loaded at full detail and only shown by the comparison views.
+     */
+    async setCompareEpoch(date) {
+        this.disposeComparison();
+        if (!date || !this.manifest || this.terrainName === "all") return;
+        
+        const { block } = this.parseTerrainName(this.terrainName);
+        const entry = this.getBlockEpochs(block).find(epoch => epoch.date === date);
+        if (!entry) {
+            console.warn(`${block} has no capture from ${date}`);
+            return;
+        }
+        
+        const generation = ++this.compareGeneration;
+        const terrainGeneration = this.terrainGeneration;
+        console.log(`Loading ${block} (${date}) for comparison`);
+        
+        const descriptor = await this.loadBlockDescriptor(entry);
+        if (generation !== this.compareGeneration || terrainGeneration !== this.terrainGeneration) return;
+        
+        this.compareRoot = new BABYLON.Mesh("compareRoot", this.scene);
+        const compareBlock = this.createBlockState(entry, descriptor, true);
+        this.compareBlock = compareBlock;
+        if (!compareBlock.failed) {
+            await this.loadBlock(compareBlock, 0);
+        }
+        // Replaced or stopped while loading
+        if (generation !== this.compareGeneration) {
+            this.disposeCompareBlock(compareBlock);
+            return;
+        }
+        
+        if (!this.getStreamingUnits(compareBlock).some(unit => unit.root)) {
+            this.showError(`Could not load ${block} (${date}) for comparison`);
+            this.disposeComparison();
+            return;
+        }
+        
+        this.compareCamera = new BABYLON.FreeCamera("compareCamera", this.camera.position.clone(), this.scene);
+        this.compareCamera.layerMask = COMPARE_LAYER_MASK;
+        this.scene.cameraToUseForPointers = this.camera;
+        this.differenceDirty = true;
+        this.applyCompareMode();
+    }
+
+    /**
+     * "swipe" (draggable divider), "sideBySide" (two synchronised views) or "difference" (heatmap)
+     */
+    setCompareMode(mode) {
+        if (!["swipe", "sideBySide", "difference"].includes(mode)) {
+            console.warn(`Unknown comparison mode "${mode}"`);
+            return;
+        }
+        this.compareMode = mode;
+        const modePicker = this.getUiElement("compareMode");
+        if (modePicker) modePicker.value = mode;
+        this.applyCompareMode();
+    }
+
+    applyCompareMode() {
+        const comparing = !!this.compareCamera;
+        const mode = this.compareMode;
+        
+        if (this.camera) {
+            this.camera.viewport = comparing && mode === "sideBySide"
+                ? new BABYLON.Viewport(0, 0, 0.5, 1)
+                : new BABYLON.Viewport(0, 0, 1, 1);
+        }
+        if (comparing) {
+            this.compareCamera.viewport = mode === "sideBySide"
+                ? new BABYLON.Viewport(0.5, 0, 0.5, 1)
+                : new BABYLON.Viewport(0, 0, 1, 1);
+            this.updateComparison();
+        }
+        
+        if (!comparing || mode !== "difference") {
+            this.disposeDifferenceOverlay();
+        } else {
+            this.differenceDirty = true;
+            this.lastDifferenceUpdate = 0;
+        }
+        
+        this.updateActiveCameras();
+        this.updateComparisonViewport();
+        this.renderComparePanel();
+        this.emit("comparechange", {
+            terrainName: this.terrainName,
+            compareDate: comparing ? this.compareBlock.entry.date : null,
+            mode: comparing ? mode : null
+        });
+    }
+
+    /**
+     * Keep the comparison camera on the first-person camera, and the difference heatmap on the terrain
+     */
+    updateComparison() {
+        const compareCamera = this.compareCamera;
+        if (!compareCamera) return;
+        
+        compareCamera.position.copyFrom(this.camera.position);
+        compareCamera.rotation.copyFrom(this.camera.rotation);
+        compareCamera.fov = this.camera.fov;
+        compareCamera.minZ = this.camera.minZ;
+        compareCamera.maxZ = this.camera.maxZ;
+        
+        if (this.compareMode === "difference" && this.differenceDirty) {
+            const now = performance.now();
+            if (now - this.lastDifferenceUpdate < this.streamingSettings.updateInterval) return;
+            this.lastDifferenceUpdate = now;
+            this.differenceDirty = false;
+            this.buildDifferenceOverlay();
+        }
+    }
+
+    /**
+     * Place the divider between the two halves of the comparison over the canvas
+     */
+    updateComparisonViewport() {
+        const divider = this.getUiElement("swipeDivider");
+        if (!divider) return;
+        
+        const mode = this.compareMode;
+        const visible = !!this.compareCamera && (mode === "swipe" || mode === "sideBySide");
+        divider.style.display = visible ? "block" : "none";
+        if (!visible) return;
+        
+        const rect = this.canvas.getBoundingClientRect();
+        const position = mode === "swipe" ? this.swipePosition : 0.5;
+        divider.style.left = `${rect.left + rect.width * position}px`;
+        divider.style.top = `${rect.top}px`;
+        divider.style.height = `${rect.height}px`;
+        divider.classList.toggle("fixed", mode !== "swipe");
+        
+        const leftLabel = this.getUiElement("swipeLeftLabel");
+        const rightLabel = this.getUiElement("swipeRightLabel");
+        if (leftLabel) leftLabel.textContent = this.parseTerrainName(this.terrainName).date || this.terrainName;
+        if (rightLabel) rightLabel.textContent = this.compareBlock.entry.date;
+    }
+
+    /**
+     * Heatmap of the height change between the comparison epoch and the current one over the whole block
+     * Red where the current terrain is higher, blue where it is lower (see measureVolume/createVolumeOverlay).
+     */
+    buildDifferenceOverlay() {
+        this.disposeDifferenceOverlay();
+        if (!this.compareBlock || !this.terrainBounds) return;
+        
+        const { min, max } = this.terrainBounds;
+        const outline = [
+            new BABYLON.Vector3(min.x, 0, min.z),
+            new BABYLON.Vector3(max.x, 0, min.z),
+            new BABYLON.Vector3(max.x, 0, max.z),
+            new BABYLON.Vector3(min.x, 0, max.z)
+        ];
+        const result = this.measureVolume(outline, {
+            type: "surface",
+            meshes: this.getCompareMeshes(),
+            name: this.compareBlock.entry.date
+        });
+        if (!result.overlay) return;
+        
+        // Largest rise and fall at the grid points inside the terrain
+        const { grid, referenceHeights } = result.overlay;
+        let maxRise = 0;
+        let maxFall = 0;
+        grid.heights.forEach((height, index) => {
+            const difference = height - referenceHeights[index];
+            if (!Number.isFinite(difference)) return;
+            maxRise = Math.max(maxRise, difference);
+            maxFall = Math.max(maxFall, -difference);
+        });
+        
+        this.differenceOverlay = this.createVolumeOverlay(result.overlay, "differenceOverlay");
+        this.differenceResult = {
+            raised: result.cut,
+            lowered: result.fill,
+            raisedArea: result.cutArea,
+            loweredArea: result.fillArea,
+            maxRise: maxRise,
+            maxFall: maxFall
+        };
+        console.log(`Height difference against ${this.compareBlock.entry.date}:`, this.differenceResult);
+        this.renderComparePanel();
+    }
+
+    disposeDifferenceOverlay() {
+        if (this.differenceOverlay) {
+            this.differenceOverlay.dispose();
+            this.differenceOverlay = null;
+        }
+        this.differenceResult = null;
+    }
+
+    /**
+     * Meshes of the loaded comparison epoch
+     */
+    getCompareMeshes() {
+        if (!this.compareRoot) return [];
+        return this.compareRoot.getChildMeshes(false).filter(mesh => mesh.getTotalVertices() > 0);
+    }
+
+    disposeCompareBlock(block) {
+        this.getStreamingUnits(block).forEach(unit => {
+            if (unit.root) this.disposeBlockMeshes(unit.root, unit.materials);
+        });
+    }
+
+    /**
+     * Drop the comparison epoch and go back to the single view
+     */
+    disposeComparison() {
+        this.compareGeneration++;
+        this.disposeDifferenceOverlay();
+        
+        if (this.compareBlock) {
+            this.disposeCompareBlock(this.compareBlock);
+            this.compareBlock = null;
+        }
+        if (this.compareRoot) {
+            this.compareRoot.dispose();
+            this.compareRoot = null;
+        }
+        if (this.compareCamera) {
+            this.compareCamera.dispose();
+            this.compareCamera = null;
+        }
+        if (this.volumeReference.type === "surface") {
+            this.setVolumeReference({ type: "bestfit" });
+        }
+        
+        if (this.camera) {
+            this.camera.viewport = new BABYLON.Viewport(0, 0, 1, 1);
+            this.updateActiveCameras();
+        }
+        this.updateComparisonViewport();
+        this.renderComparePanel();
+    }
+
+    /**
+     * Offer the other capture dates of the current block, and describe the difference heatmap
+     */
+    renderComparePanel() {
+        const panel = this.getUiElement("comparePanel");
+        if (!panel) return;
+        
+        const { block, date } = this.parseTerrainName(this.terrainName);
+        const others = this.terrainName === "all" ? [] : this.getBlockEpochs(block).filter(epoch => epoch.date && epoch.date !== date);
+        panel.style.display = others.length > 0 ? "block" : "none";
+        
+        const epochPicker = this.getUiElement("compareEpoch");
+        if (epochPicker) {
+            epochPicker.innerHTML = "";
+            [{ date: "", label: "Nothing" }, ...others.map(epoch => ({ date: epoch.date, label: epoch.date }))].forEach(item => {
+                const option = document.createElement("option");
+                option.value = item.date;
+                option.textContent = item.label;
+                epochPicker.appendChild(option);
+            });
+            epochPicker.value = this.compareBlock ? this.compareBlock.entry.date : "";
+        }
+        
+        const modePicker = this.getUiElement("compareMode");
+        if (modePicker) modePicker.disabled = !this.compareCamera;
+        
+        // Volumes can use the comparison epoch as their reference surface
+        const referencePicker = this.getUiElement("volumeReferenceType");
+        if (referencePicker) {
+            let option = referencePicker.querySelector('option[value="epoch"]');
+            if (this.compareCamera && !option) {
+                option = document.createElement("option");
+                option.value = "epoch";
+                referencePicker.appendChild(option);
+            } else if (!this.compareCamera && option) {
+                if (referencePicker.value === "epoch") referencePicker.value = "bestfit";
+                option.remove();
+                option = null;
+            }
+            if (option) option.textContent = `Surface on ${this.compareBlock.entry.date}`;
+        }
+        
+        const legend = this.getUiElement("compareLegend");
+        if (legend) {
+            const result = this.differenceResult;
+            legend.style.display = result ? "block" : "none";
+            if (result) {
+                const current = date || block;
+                const other = this.compareBlock.entry.date;
+                legend.textContent = `Red: higher on ${current} than on ${other} (up to ${result.maxRise.toFixed(2)} m, ` +
+                    `${this.formatVolume(result.raised)} over ${this.formatArea(result.raisedArea)}). ` +
+                    `Blue: lower (down to ${result.maxFall.toFixed(2)} m, ` +
+                    `${this.formatVolume(result.lowered)} over ${this.formatArea(result.loweredArea)}).`;
+            }
+        }
+    }
+
+    /**
+     * Wire up the offline panel: saving and removing blocks, storage use and connection status
+     */
+    setupOfflinePanel() {
+        const panel = this.getUiElement("offlinePanel");
+        const toggleButton = this.getUiElement("offlineButton");
+        if (panel && toggleButton) {
+            this.listen(toggleButton, "click", (event) => {
+                event.stopPropagation();
+                toggleButton.blur();
+                const visible = panel.style.display !== "block";
+                panel.style.display = visible ? "block" : "none";
+                if (visible) this.updateStorageEstimate();
+            });
+        }
+        
+        // The block list is rebuilt after every saved file, so its buttons are handled here,
+        // by the item's data-key and the button's data-action
+        const list = this.getUiElement("offlineBlockList");
+        if (list) {
+            this.listen(list, "click", (event) => {
+                const button = event.target.closest("button[data-action]");
+                const item = event.target.closest("li[data-key]");
+                if (!button || !item || button.disabled) return;
+                event.stopPropagation();
+                button.blur();
+                if (button.dataset.action === "remove") {
+                    this.removeOfflineBlock(item.dataset.key);
+                } else {
+                    this.saveBlockOffline(item.dataset.key);
+                }
+            });
+        }
+        
+        this.listen(window, "online", () => this.renderOfflinePanel());
+        this.listen(window, "offline", () => this.renderOfflinePanel());
+        this.loadOfflineBlocks();
+    }
+
+    /**
+     * Open (and on first use create) the IndexedDB database shared with sw.js
+     */
+    openOfflineDatabase() {
+        if (!this.offlineDatabase) {
+            this.offlineDatabase = new Promise((resolve, reject) => {
+                if (typeof indexedDB === "undefined") {
+                    reject(new Error("IndexedDB is not available"));
+                    return;
+                }
+                
+                const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    // files: { url, block, blob, type, size, savedAt }; blocks: { key, name, date, files, size, savedAt }
+                    if (!db.objectStoreNames.contains("files")) db.createObjectStore("files", { keyPath: "url" });
+                    if (!db.objectStoreNames.contains("blocks")) db.createObjectStore("blocks", { keyPath: "key" });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.offlineDatabase;
+    }
+
+    /**
+     * Run requests against one object store in a transaction; resolves with the last request's result
+     */
+    async offlineTransaction(storeName, mode, makeRequests) {
+        const db = await this.openOfflineDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequests(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+        });
+    }
+
+    /**
+     * Read the list of blocks saved for offline use
+     */
+    async loadOfflineBlocks() {
+        try {
+            const records = await this.offlineTransaction("blocks", "readonly", store => store.getAll());
+            this.offlineBlocks = new Map(records.map(record => [record.key, record]));
+        } catch (error) {
+            console.warn("Offline storage is not available:", error);
+        }
+        this.updateStorageEstimate();
+    }
+
+    /**
+     * A saved file by URL, or null (also when offline storage isn't available)
+     */
+    async readOfflineFile(url) {
+        try {
+            const file = await this.offlineTransaction("files", "readonly", store => store.get(new URL(url, document.baseURI).href));
+            return file || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Download every file of a block (or one capture date) into IndexedDB so sw.js can serve it offline
+     * Files are found by following the block: block.json, then its OBJ/MTL/textures or tiles.json,
+     * its glTF tiles and their textures.
+     */
+    async saveBlockOffline(terrainName) {
+        if (this.offlineProgress || !this.manifest) return;
+        
+        const entry = this.getTerrainEntries(terrainName)[0];
+        if (!entry) return;
+        const key = this.getTerrainNameFor(entry);
+        const previous = this.offlineBlocks.get(key);
+        
+        // Ask the browser not to evict saved terrain under storage pressure
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+        
+        const descriptorUrl = `${this.assetsRoot}${entry.path}${entry.descriptor || "block.json"}`;
+        const queue = [{ url: descriptorUrl, kind: "descriptor" }];
+        const queued = new Set([descriptorUrl]);
+        const saved = [];
+        let size = 0;
+        
+        this.offlineProgress = { key: key, done: 0, total: 1 };
+        this.setOfflineMessage(`Saving ${key}...`);
+        this.renderOfflinePanel();
+        console.log(`Making ${key} available offline`);
+        
+        try {
+            while (queue.length > 0) {
+                const { url, kind } = queue.shift();
+                
+                // "reload" tells sw.js to fetch a fresh copy instead of the saved one
+                const response = await fetch(url, { cache: "reload" });
+                if (!response.ok) {
+                    throw new Error(`${url} could not be downloaded (HTTP ${response.status})`);
+                }
+                const blob = await response.blob();
+                if (this.isLfsPointer(await blob.slice(0, 64).text())) {
+                    throw new Error(`${url} is a Git LFS pointer file, not real data`);
+                }
+                
+                const absoluteUrl = new URL(url, document.baseURI).href;
+                await this.offlineTransaction("files", "readwrite", store => store.put({
+                    url: absoluteUrl,
+                    block: key,
+                    blob: blob,
+                    type: blob.type,
+                    size: blob.size,
+                    savedAt: Date.now()
+                }));
+                saved.push(absoluteUrl);
+                size += blob.size;
+                
+                (await this.getReferencedFiles(url, kind, blob)).forEach(file => {
+                    if (queued.has(file.url)) return;
+                    queued.add(file.url);
+                    queue.push(file);
+                });
+                this.offlineProgress.done = saved.length;
+                this.offlineProgress.total = queued.size;
+                this.renderOfflinePanel();
+            }
+            
+            const record = { key: key, name: entry.name, date: entry.date, files: saved, size: size, savedAt: Date.now() };
+            await this.offlineTransaction("blocks", "readwrite", store => store.put(record));
+            this.offlineBlocks.set(key, record);
+            
+            // Files an earlier save of this block used that it no longer needs
+            if (previous) {
+                await this.deleteOfflineFiles(previous.files.filter(url => !saved.includes(url)), key);
+            }
+            
+            console.log(`${key} is available offline (${saved.length} files, ${this.formatBytes(size)})`);
+            this.setOfflineMessage(`${key} is available offline`);
+            this.emit("offlinechange", { terrainName: key, saved: true, size: size });
+            
+        } catch (error) {
+            console.error(`Could not make ${key} available offline:`, error);
+            this.setOfflineMessage(`Could not save ${key}: ${error.message}`);
+            // Keep what an earlier complete save still needs
+            const keep = new Set(previous ? previous.files : []);
+            await this.deleteOfflineFiles(saved.filter(url => !keep.has(url)), key).catch(() => {});
+            
+        } finally {
+            this.offlineProgress = null;
+            this.updateStorageEstimate();
+        }
+    }
+
+    /**
+     * Files that a downloaded block file refers to, as [{ url, kind }]
+     */
+    async getReferencedFiles(url, kind, blob) {
+        const folder = url.slice(0, url.lastIndexOf("/") + 1);
+        const files = (names, fileKind) => names.filter(Boolean).map(name => ({ url: `${folder}${name}`, kind: fileKind }));
+        
+        switch (kind) {
+            case "descriptor": {
+                const descriptor = JSON.parse(await blob.text());
+                if (descriptor.tiles) {
+                    return files([descriptor.tiles], "tileIndex");
+                }
+                const lods = descriptor.lods && descriptor.lods.length > 0 ? descriptor.lods : [{ obj: descriptor.obj }];
+                return [
+                    ...files(lods.map(lod => lod.obj), "mesh"),
+                    ...files([descriptor.mtl], "mtl"),
+                    ...files(descriptor.textures || [], "texture")
+                ];
+            }
+            case "tileIndex": {
+                const index = JSON.parse(await blob.text());
+                return files(index.tiles.flatMap(tile => tile.lods.map(lod => lod.file)), "tile");
+            }
+            case "mtl":
+                return files(this.parseMtlTextures(await blob.text()), "texture");
+            case "tile":
+                return files(this.readGlbImageUris(await blob.arrayBuffer()), "texture");
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * External image files a binary glTF refers to (embedded and data: images are skipped)
+     */
+    readGlbImageUris(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 20 || view.getUint32(0, true) !== 0x46546c67) return []; // "glTF"
+        
+        const jsonLength = view.getUint32(12, true);
+        const gltf = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)));
+        return (gltf.images || []).map(image => image.uri).filter(uri => uri && !uri.startsWith("data:"));
+    }
+
+    /**
+     * Remove a saved block; files it shares with other saved blocks are kept
+     */
+    async removeOfflineBlock(key) {
+        const record = this.offlineBlocks.get(key);
+        if (!record || this.offlineProgress) return;
+        
+        try {
+            this.offlineBlocks.delete(key);
+            await this.offlineTransaction("blocks", "readwrite", store => store.delete(key));
+            await this.deleteOfflineFiles(record.files, key);
+            console.log(`Removed ${key} from offline storage`);
+            this.setOfflineMessage(`Removed ${key} (${this.formatBytes(record.size)})`);
+            this.emit("offlinechange", { terrainName: key, saved: false, size: 0 });
+        } catch (error) {
+            console.error(`Could not remove ${key} from offline storage:`, error);
+            this.setOfflineMessage(`Could not remove ${key}: ${error.message}`);
+        }
+        this.updateStorageEstimate();
+    }
+
+    /**
+     * Delete saved files unless another saved block (other than key) still lists them
+     */
+    async deleteOfflineFiles(urls, key) {
+        const stillUsed = new Set();
+        this.offlineBlocks.forEach((record, other) => {
+            if (other !== key) record.files.forEach(url => stillUsed.add(url));
+        });
+        
+        const unused = urls.filter(url => !stillUsed.has(url));
+        if (unused.length === 0) return;
+        await this.offlineTransaction("files", "readwrite", store => {
+            let request = null;
+            unused.forEach(url => {
+                request = store.delete(url);
+            });
+            return request;
+        });
+    }
+
+    /**
+     * Refresh the browser's storage figures, then the panel
+     */
+    async updateStorageEstimate() {
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                this.storageEstimate = await navigator.storage.estimate();
+            } catch (error) {
+                this.storageEstimate = null;
+            }
+        }
+        this.renderOfflinePanel();
+    }
+
+    setOfflineMessage(text) {
+        const message = this.getUiElement("offlineMessage");
+        if (message) message.textContent = text;
+    }
+
+    /**
+     * List every block and capture date with its offline state, and the storage used
+     */
+    renderOfflinePanel() {
+        const status = this.getUiElement("offlineStatus");
+        if (status) {
+            status.textContent = navigator.onLine ? "Online" : "No connection - only saved blocks can be loaded";
+            status.classList.toggle("offline", !navigator.onLine);
+        }
+        
+        const list = this.getUiElement("offlineBlockList");
+        if (list && this.manifest) {
+            list.innerHTML = "";
+            this.manifest.blocks.forEach(entry => {
+                const key = this.getTerrainNameFor(entry);
+                const record = this.offlineBlocks.get(key);
+                const progress = this.offlineProgress && this.offlineProgress.key === key ? this.offlineProgress : null;
+                const item = document.createElement("li");
+                item.dataset.key = key; // Clicks are handled by the list (see setupOfflinePanel)
+                
+                const name = document.createElement("span");
+                name.className = "offline-name";
+                name.textContent = entry.date ? `${entry.name} (${entry.date})` : entry.name;
+                
+                const state = document.createElement("span");
+                state.className = "offline-state";
+                state.textContent = progress
+                    ? `${progress.done}/${progress.total} files`
+                    : (record ? this.formatBytes(record.size) : "Online only");
+                
+                item.appendChild(name);
+                item.appendChild(state);
+                
+                // [label, title, action, disabled]
+                const buttons = record
+                    ? [
+                        ["Update", "Download this block again", "save", !navigator.onLine],
+                        ["Remove", "Free the storage this block uses", "remove", false]
+                    ]
+                    : [["Save offline", "Download this block for use without a connection", "save", !navigator.onLine]];
+                buttons.forEach(([label, title, action, disabled]) => {
+                    const button = document.createElement("button");
+                    button.type = "button";
+                    button.textContent = label;
+                    button.title = title;
+                    button.dataset.action = action;
+                    button.disabled = disabled || !!this.offlineProgress;
+                    item.appendChild(button);
+                });
+                
+                list.appendChild(item);
+            });
+        }
+        
+        const usage = this.getUiElement("offlineUsage");
+        if (usage) {
+            let saved = 0;
+            this.offlineBlocks.forEach(record => {
+                saved += record.size;
+            });
+            const estimate = this.storageEstimate;
+            usage.textContent = `Saved blocks: ${this.formatBytes(saved)}` + (estimate && estimate.quota
+                ? ` - browser storage used: ${this.formatBytes(estimate.usage || 0)} of ${this.formatBytes(estimate.quota)}`
+                : "");
+        }
+    }
+
+    /**
+     * Wire up the placemark editor, import and export controls
+     */
+    setupPlacemarkPanel() {
+        const editor = this.getUiElement("placemarkEditor");
+        
+        // [input id, placemark field]
+        const fields = [
+            ["placemarkTitle", "title"],
+            ["placemarkCategory", "category"],
+            ["placemarkNote", "note"],
+            ["placemarkColor", "color"]
+        ];
+        fields.forEach(([id, field]) => {
+            const input = this.getUiElement(id);
+            if (!input) return;
+            this.listen(input, "input", () => {
+                if (this.selectedPlacemarkId) {
+                    this.updatePlacemark(this.selectedPlacemarkId, { [field]: input.value });
+                }
+            });
+        });
+        
+        const categories = this.getUiElement("placemarkCategories");
+        if (categories) {
+            categories.innerHTML = "";
+            Object.keys(PLACEMARK_CATEGORIES).forEach(category => {
+                const option = document.createElement("option");
+                option.value = category;
+                categories.appendChild(option);
+            });
+        }
+        
+        // [button id, handler]
+        const buttons = [
+            ["placemarkDelete", () => this.removePlacemark(this.selectedPlacemarkId)],
+            ["placemarkClose", () => this.selectPlacemark(null)],
+            ["placemarkExportJson", () => this.exportPlacemarks("json")],
+            ["placemarkExportGeoJson", () => this.exportPlacemarks("geojson")]
+        ];
+        buttons.forEach(([id, handler]) => {
+            const button = this.getUiElement(id);
+            if (!button) return;
+            this.listen(button, "click", (event) => {
+                event.stopPropagation();
+                button.blur();
+                handler();
+            });
+        });
+        
+        const importInput = this.getUiElement("placemarkImport");
+        if (importInput) {
+            this.listen(importInput, "change", async () => {
+                const file = importInput.files[0];
+                importInput.value = "";
+                if (file) {
+                    await this.importPlacemarks(file);
+                }
+            });
+        }
+        
+        // The list is rebuilt on every change, so its items are handled here by their data-id
+        const list = this.getUiElement("placemarkList");
+        if (list) {
+            this.listen(list, "click", (event) => {
+                const item = event.target.closest("li[data-id]");
+                if (!item) return;
+                event.stopPropagation();
+                this.selectPlacemark(item.dataset.id);
+                this.flyToPlacemark(item.dataset.id);
+            });
+        }
+        
+        if (editor) {
+            editor.style.display = "none";
+        }
+        this.renderPlacemarkList();
+    }
+
+    /**
+     * Placemarks are stored per terrain block; these are the blocks of the current terrain
+     */
+    getPlacemarkBlocks() {
+        return this.blocks.size > 0 ? [...this.blocks.keys()] : [this.terrainName];
+    }
+
+    /**
+     * Name of the block whose bounds contain (x, z), falling back to the current terrain
+     */
+    getBlockNameAt(x, z) {
+        for (const [name, block] of this.blocks) {
+            const bounds = block.bounds;
+            if (bounds && x >= bounds.min.x && x <= bounds.max.x && z >= bounds.min.z && z <= bounds.max.z) {
+                return name;
+            }
+        }
+        return this.blocks.size === 1 ? [...this.blocks.keys()][0] : this.terrainName;
+    }
+
+    /**
+     * Read the placemarks saved for the current terrain's blocks and show them
+     */
+    loadPlacemarks() {
+        this.placemarks.forEach(placemark => this.disposePlacemarkMeshes(placemark.id));
+        this.placemarks = [];
+        this.selectedPlacemarkId = null;
+        
+        this.getPlacemarkBlocks().forEach(block => {
+            try {
+                const saved = JSON.parse(localStorage.getItem(`${this.placemarksKey}.${block}`) || "[]");
+                saved.map(item => this.normalizePlacemark(item)).filter(Boolean).forEach(placemark => {
+                    placemark.block = block;
+                    this.placemarks.push(placemark);
+                });
+            } catch (error) {
+                console.warn(`Could not read saved placemarks for ${block}:`, error);
+            }
+        });
+        
+        this.placemarks.forEach(placemark => this.drawPlacemark(placemark));
+        this.selectPlacemark(null);
+        console.log(`Loaded ${this.placemarks.length} placemark(s)`);
+    }
+
+    /**
+     * Write the placemarks of the current terrain's blocks to localStorage
+     */
+    savePlacemarks() {
+        this.getPlacemarkBlocks().forEach(block => {
+            const key = `${this.placemarksKey}.${block}`;
+            const placemarks = this.placemarks
+                .filter(placemark => placemark.block === block)
+                .map(placemark => this.serializePlacemark(placemark));
+            try {
+                if (placemarks.length > 0) {
+                    localStorage.setItem(key, JSON.stringify(placemarks));
+                } else {
+                    localStorage.removeItem(key);
+                }
+            } catch (error) {
+                console.warn(`Could not save placemarks for ${block}:`, error);
+            }
+        });
+        this.emit("placemarkchange", { placemarks: this.placemarks.map(placemark => this.serializePlacemark(placemark)) });
+    }
+
+    /**
+     * Drop a new placemark at a picked terrain point and open it in the editor
+     */
+    addPlacemark(pick) {
+        const info = this.describeTerrainPick(pick);
+        const category = "other";
+        const placemark = this.normalizePlacemark({
+            title: `Placemark ${this.placemarks.length + 1}`,
+            category: category,
+            color: PLACEMARK_CATEGORIES[category],
+            position: info.position.asArray(),
+            block: info.block || this.getBlockNameAt(info.position.x, info.position.z)
+        });
+        
+        this.placemarks.push(placemark);
+        this.drawPlacemark(placemark);
+        this.savePlacemarks();
+        this.selectPlacemark(placemark.id);
+        
+        // Put the cursor in the title so it can be typed straight away
+        const titleInput = this.getUiElement("placemarkTitle");
+        if (titleInput && !this.isPointerLocked) {
+            titleInput.focus();
+            titleInput.select();
+        }
+    }
+
+    updatePlacemark(id, changes) {
+        const placemark = this.placemarks.find(other => other.id === id);
+        if (!placemark) return;
+        
+        Object.assign(placemark, changes);
+        this.drawPlacemark(placemark);
+        this.savePlacemarks();
+        this.renderPlacemarkList();
+    }
+
+    removePlacemark(id) {
+        if (!id) return;
+        
+        this.disposePlacemarkMeshes(id);
+        this.placemarks = this.placemarks.filter(placemark => placemark.id !== id);
+        this.savePlacemarks();
+        this.selectPlacemark(null);
+    }
+
+    /**
+     * Open a placemark in the editor (null closes the editor)
+     */
+    selectPlacemark(id) {
+        const placemark = this.placemarks.find(other => other.id === id) || null;
+        this.selectedPlacemarkId = placemark ? placemark.id : null;
+        
+        const editor = this.getUiElement("placemarkEditor");
+        if (editor) {
+            editor.style.display = placemark ? "block" : "none";
+        }
+        if (placemark) {
+            const values = {
+                placemarkTitle: placemark.title,
+                placemarkCategory: placemark.category,
+                placemarkNote: placemark.note,
+                placemarkColor: placemark.color
+            };
+            Object.entries(values).forEach(([inputId, value]) => {
+                const input = this.getUiElement(inputId);
+                if (input) input.value = value;
+            });
+        }
+        
+        this.renderPlacemarkList();
+    }
+
+    /**
+     * Create (or recreate) a placemark's marker and billboard in the scene
+     */
+    drawPlacemark(placemark) {
+        if (!this.scene) return;
+        this.disposePlacemarkMeshes(placemark.id);
+        
+        const position = BABYLON.Vector3.FromArray(placemark.position);
+        const color = BABYLON.Color3.FromHexString(placemark.color);
+        
+        const material = new BABYLON.StandardMaterial(`placemarkMaterial_${placemark.id}`, this.scene);
+        material.emissiveColor = color;
+        material.disableLighting = true;
+        
+        // A short pin standing on the terrain, with the title floating above it
+        const pin = BABYLON.MeshBuilder.CreateCylinder(`placemarkPin_${placemark.id}`, {
+            height: 1.5, diameterTop: 0.15, diameterBottom: 0.02, tessellation: 8
+        }, this.scene);
+        pin.position.set(position.x, position.y + 0.75, position.z);
+        pin.material = material;
+        pin.isPickable = false;
+        
+        const labelText = placemark.category ? `${placemark.title} (${placemark.category})` : placemark.title;
+        const label = this.createScreenLabel(`placemarkLabel_${placemark.id}`, labelText,
+            position.add(new BABYLON.Vector3(0, 1.6, 0)), placemark.color);
+        
+        this.placemarkMeshes.set(placemark.id, { pin: pin, label: label });
+    }
+
+    disposePlacemarkMeshes(id) {
+        const meshes = this.placemarkMeshes.get(id);
+        if (!meshes) return;
+        
+        meshes.pin.dispose(false, true);
+        meshes.label.dispose(false, true);
+        this.placemarkMeshes.delete(id);
+    }
+
+    /**
+     * Show the placemarks in the side list; clicking one flies the camera to it
+     */
+    renderPlacemarkList() {
+        const list = this.getUiElement("placemarkList");
+        if (!list) return;
+        
+        list.innerHTML = "";
+        if (this.placemarks.length === 0) {
+            const empty = document.createElement("li");
+            empty.textContent = `${this.isMobile ? "Tap" : "Click"} the terrain to drop a placemark.`;
+            list.appendChild(empty);
+            return;
+        }
+        
+        this.placemarks.forEach(placemark => {
+            const item = document.createElement("li");
+            item.className = placemark.id === this.selectedPlacemarkId ? "selected" : "";
+            item.dataset.id = placemark.id; // Clicks are handled by the list (see setupPlacemarkPanel)
+            
+            const swatch = document.createElement("span");
+            swatch.className = "swatch";
+            swatch.style.background = placemark.color;
+            
+            const title = document.createElement("span");
+            title.textContent = placemark.category ? `${placemark.title} - ${placemark.category}` : placemark.title;
+            
+            item.appendChild(swatch);
+            item.appendChild(title);
+            list.appendChild(item);
+        });
+    }
+
+    flyToPlacemark(id) {
+        const placemark = this.placemarks.find(other => other.id === id);
+        if (placemark) {
+            this.flyToPoint(BABYLON.Vector3.FromArray(placemark.position));
+        }
+    }
+
+    /**
+     * Fly the camera to a spot a little way back from a point on the terrain, looking at it
+     */
+    flyToPoint(target) {
+        if (!this.camera) return;
+        
+        // Approach from the side the camera is already on
+        const away = this.camera.position.subtract(target);
+        away.y = 0;
+        if (away.lengthSquared() < 1e-6) {
+            away.set(0, 0, -1);
+        }
+        away.normalize().scaleInPlace(this.placemarkViewDistance);
+        
+        const position = target.add(away);
+        if (this.movementMode === "fly") {
+            position.y = target.y + this.placemarkViewDistance / 2;
+        } else {
+            const ground = this.getTerrainHeightAt(position.x, position.z);
+            position.y = (ground !== null ? ground : target.y) + this.playerHeight;
+        }
+        
+        this.flyCameraTo(position, target);
+    }
+
+    /**
+     * Move the camera smoothly to a position, ending up looking at target
+     * Movement input is ignored until the flight is over (see updateCameraFlight)
+     */
+    flyCameraTo(position, target, duration = 1.5) {
+        if (!this.camera) return;
+        
+        const direction = target.subtract(position);
+        const yaw = Math.atan2(direction.x, direction.z);
+        const pitch = Math.atan2(-direction.y, Math.hypot(direction.x, direction.z));
+        const rotation = this.camera.rotation;
+        
+        this.cameraFlight = {
+            fromPosition: this.camera.position.clone(),
+            toPosition: position.clone(),
+            fromRotation: rotation.clone(),
+            // Turn the short way round
+            toYaw: rotation.y + Math.atan2(Math.sin(yaw - rotation.y), Math.cos(yaw - rotation.y)),
+            toPitch: pitch,
+            elapsed: 0,
+            duration: duration
+        };
+        this.velocity.setAll(0);
+        this.verticalVelocity = 0;
+    }
+
+    /**
+     * Advance the current camera flight; returns true while one is in progress
+     */
+    updateCameraFlight(deltaTime) {
+        const flight = this.cameraFlight;
+        if (!flight) return false;
+        
+        flight.elapsed += deltaTime;
+        const t = Math.min(1, flight.elapsed / flight.duration);
+        const eased = t * t * (3 - 2 * t);
+        
+        BABYLON.Vector3.LerpToRef(flight.fromPosition, flight.toPosition, eased, this.camera.position);
+        this.camera.rotation.y = flight.fromRotation.y + (flight.toYaw - flight.fromRotation.y) * eased;
+        this.camera.rotation.x = flight.fromRotation.x + (flight.toPitch - flight.fromRotation.x) * eased;
+        
+        if (t >= 1) {
+            this.cameraFlight = null;
+            this.placePhysicsPlayer(this.camera.position);
+        }
+        return true;
+    }
+
+    /**
+     * Check and fill in a placemark record from storage or an import (null if unusable)
+     */
+    normalizePlacemark(item) {
+        if (!item || !Array.isArray(item.position)) return null;
+        
+        const [x, y, z] = item.position.map(Number);
+        if (!Number.isFinite(x) || !Number.isFinite(z)) return null;
+        
+        // Imports without an elevation are dropped onto the terrain
+        let elevation = y;
+        if (!Number.isFinite(elevation)) {
+            const height = this.getTerrainHeightAt(x, z);
+            elevation = height !== null ? height : 0;
+        }
+        
+        const category = typeof item.category === "string" ? item.category : "other";
+        const color = /^#[0-9a-f]{6}$/i.test(item.color) ? item.color : (PLACEMARK_CATEGORIES[category] || PLACEMARK_CATEGORIES.other);
+        
+        return {
+            id: typeof item.id === "string" && item.id ? item.id : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            title: typeof item.title === "string" && item.title ? item.title : "Placemark",
+            category: category,
+            note: typeof item.note === "string" ? item.note : "",
+            color: color,
+            position: [x, elevation, z],
+            block: typeof item.block === "string" && this.getPlacemarkBlocks().includes(item.block)
+                ? item.block
+                : this.getBlockNameAt(x, z),
+            created: typeof item.created === "string" ? item.created : new Date().toISOString()
+        };
+    }
+
+    serializePlacemark(placemark) {
+        const { id, title, category, note, color, position, block, created } = placemark;
+        return { id, title, category, note, color, position: position.slice(), block, created };
+    }
+
+    /**
+     * Placemarks as a GeoJSON FeatureCollection of points
+     * Coordinates are [lon, lat, alt] on georeferenced terrain, otherwise scene metres [x, z, elevation]
+     */
+    placemarksToGeoJson(placemarks) {
+        return {
+            type: "FeatureCollection",
+            features: placemarks.map(placemark => ({
+                type: "Feature",
+                id: placemark.id,
+                geometry: {
+                    type: "Point",
+                    coordinates: this.toGeoJsonPosition(placemark.position)
+                },
+                properties: {
+                    title: placemark.title,
+                    category: placemark.category,
+                    note: placemark.note,
+                    color: placemark.color,
+                    block: placemark.block,
+                    created: placemark.created
+                }
+            }))
+        };
+    }
+
+    /**
+     * Download the current terrain's placemarks as JSON or GeoJSON
+     */
+    exportPlacemarks(format = "json") {
+        const placemarks = this.placemarks.map(placemark => this.serializePlacemark(placemark));
+        if (format === "geojson") {
+            this.downloadFile(`placemarks-${this.terrainName}.geojson`,
+                JSON.stringify(this.placemarksToGeoJson(placemarks), null, 2), "application/geo+json");
+        } else {
+            // Real-world positions ride along for other tools; imports use position
+            placemarks.forEach(placemark => {
+                const geo = this.localToGeographic(BABYLON.Vector3.FromArray(placemark.position));
+                if (geo) {
+                    placemark.location = { lat: geo.lat, lon: geo.lon, alt: geo.alt };
+                }
+            });
+            this.downloadFile(`placemarks-${this.terrainName}.json`,
+                JSON.stringify({ version: 1, terrain: this.terrainName, placemarks: placemarks }, null, 2), "application/json");
+        }
+    }
+
+    /**
+     * Add the placemarks from a JSON or GeoJSON file; ones with a known id replace the existing placemark
+     */
+    async importPlacemarks(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            let items;
+            if (data && data.type === "FeatureCollection") {
+                items = (data.features || [])
+                    .filter(feature => feature.geometry && feature.geometry.type === "Point")
+                    .map(feature => ({
+                        ...feature.properties,
+                        id: feature.id,
+                        position: this.fromGeoJsonPosition(feature.geometry.coordinates)
+                    }));
+            } else {
+                items = Array.isArray(data) ? data : (data.placemarks || []);
+            }
+            
+            const imported = items.map(item => this.normalizePlacemark(item)).filter(Boolean);
+            imported.forEach(placemark => {
+                const existing = this.placemarks.findIndex(other => other.id === placemark.id);
+                if (existing !== -1) {
+                    this.placemarks[existing] = placemark;
+                } else {
+                    this.placemarks.push(placemark);
+                }
+                this.drawPlacemark(placemark);
+            });
+            
+            this.savePlacemarks();
+            this.renderPlacemarkList();
+            console.log(`Imported ${imported.length} placemark(s) from ${file.name}`);
+        } catch (error) {
+            console.error(`Could not import placemarks from ${file.name}:`, error);
+            this.emit("error", { message: `Could not import placemarks from ${file.name}`, error: error });
+        }
+    }
+
+    /**
+     * Save generated content as a file through the browser's download
+     */
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mimeType }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    updateMovement() {
+        if (!this.camera) return;
+        
+        // Seconds since the last frame, capped so a stalled tab doesn't teleport the player
+        const deltaTime = Math.min(this.engine.getDeltaTime() / 1000, 0.1);
+        
+        // Record the camera as it is moved by anything below
+        this.updatePathRecording(deltaTime);
+        
+        // Path playback and camera flights (e.g. to a placemark) take over until they finish
+        if (this.updatePlayback(deltaTime)) return;
+        if (this.updateCameraFlight(deltaTime)) return;
+        
+        // Hold a teleported player in place until the terrain under them has loaded
+        if (this.updatePendingDrop()) return;
+        
+        // Gamepad buttons/sticks feed the same actions as the keyboard
+        this.pollGamepad();
+        this.updateGamepadLook(deltaTime);
+        
+        // Horizontal/vertical input in camera space (x = strafe, z = forward, y = up)
+        const input = this.getMovementInput();
+        
+        // Walking a planned route steers and presses forward until the player moves themselves
+        if (this.routeWalk) {
+            this.steerRouteWalk(input, deltaTime);
+        }
+        
+        if (this.movementMode === "fly") {
+            this.updateFlyMovement(input, deltaTime);
+        } else if (this.physicsEnabled) {
+            this.updatePhysicsMovement(input, deltaTime);
+        } else {
+            this.updateWalkMovement(input, deltaTime);
+        }
+    }
+
+    /**
+     * Collect movement input from the input actions (keyboard, gamepad and mobile controls)
+     * Returns { x, y, z, jump, sprint } where x = strafe, z = forward, y = vertical (fly mode)
+     */
+    getMovementInput() {
+        const input = { x: 0, y: 0, z: 0, jump: false, sprint: false };
+        
+        input.z = this.getActionValue("moveForward") - this.getActionValue("moveBackward");
+        input.x = this.getActionValue("strafeRight") - this.getActionValue("strafeLeft");
+        
+        // Diagonals shouldn't be faster than straight lines
+        const length = Math.sqrt(input.x * input.x + input.z * input.z);
+        if (length > 1) {
+            input.x /= length;
+            input.z /= length;
+        }
+        
+        input.y = this.getActionValue("ascend") - this.getActionValue("descend");
+        input.jump = this.getActionValue("jump") > 0.5;
+        input.sprint = this.isActionActive("sprint");
+        
+        return input;
+    }
+
+    /**
+     * Check whether an input action is held on the keyboard or gamepad
+     */
+    isActionActive(action) {
+        const codes = this.inputBindings[action] || [];
+        if (codes.some(code => this.keys[code])) return true;
+        
+        const buttons = GAMEPAD_BUTTON_BINDINGS[action] || [];
+        return buttons.some(button => this.gamepadState.buttons[button] > 0.5);
+    }
+
+    /**
+     * Analog value (0-1) of an input action - triggers report how far they are pressed, sticks and the
+     * mobile joystick how far they are pushed that way
+     */
+    getActionValue(action) {
+        if (this.isActionActive(action)) return 1;
+        
+        const buttons = GAMEPAD_BUTTON_BINDINGS[action] || [];
+        let value = buttons.reduce((max, button) => Math.max(max, this.gamepadState.buttons[button] || 0), 0);
+        
+        const stick = STICK_ACTION_BINDINGS[action];
+        if (stick) {
+            const [axis, sign] = stick;
+            value = Math.max(value, this.getStickInput()[axis] * sign);
+        }
+        
+        const mobileButton = MOBILE_BUTTON_BINDINGS[action];
+        if (mobileButton && this.isMobile && this.mobileInput[mobileButton[0]]) {
+            value = Math.max(value, mobileButton[1]);
+        }
+        
+        return Math.min(1, value);
+    }
+
+    /**
+     * Combined movement stick input: the gamepad's left stick plus the mobile joystick
+     * Returns { x, z } where x = right and z = forward
+     */
+    getStickInput() {
+        const stick = { x: 0, z: 0 };
+        
+        // Gamepad left stick (up is negative)
+        if (this.gamepadState.connected) {
+            stick.x += this.gamepadState.axes[0];
+            stick.z -= this.gamepadState.axes[1];
+        }
+        
+        if (this.isMobile && this.mobileInput.movement.active) {
+            stick.x += this.mobileInput.movement.x;
+            stick.z += this.mobileInput.movement.y;
+        }
+        
+        return stick;
+    }
+
+    /**
+     * Run the one-shot actions (e.g. toggleMode) bound to a key press
+     */
+    handleActionKey(code) {
+        if ((this.inputBindings.toggleMode || []).includes(code)) {
+            this.toggleMovementMode();
+        }
+        if ((this.inputBindings.inspect || []).includes(code)) {
+            this.toggleTool("inspect");
+        }
+        if ((this.inputBindings.finishMeasurement || []).includes(code)) {
+            this.finishMeasurement();
+            this.finishRouteAvoidArea();
+        }
+        if ((this.inputBindings.toggleMinimap || []).includes(code)) {
+            this.toggleMinimap();
+        }
+        if ((this.inputBindings.addBookmark || []).includes(code)) {
+            this.addBookmark();
+        }
+        if ((this.inputBindings.screenshot || []).includes(code)) {
+            this.takeScreenshot();
+        }
+        if ((this.inputBindings.toggleShading || []).includes(code)) {
+            this.toggleShading();
+        }
+        if ((this.inputBindings.toggleStats || []).includes(code)) {
+            this.setStatsVisible(!this.statsVisible);
+        }
+    }
+
+    /**
+     * Read the first connected gamepad into gamepadState and fire button-press actions
+     * Uses the standard mapping: left stick moves, right stick looks
+     */
+    pollGamepad() {
+        const state = this.gamepadState;
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepad = [...gamepads].find(pad => pad && pad.connected);
+        
+        const previous = state.buttons;
+        if (!gamepad) {
+            state.connected = false;
+            state.axes = [0, 0, 0, 0];
+            state.buttons = [];
+            return;
+        }
+        
+        if (!state.connected) {
+            console.log(`Gamepad connected: ${gamepad.id}`);
+        }
+        state.connected = true;
+        
+        // Ignore small stick drift around the centre
+        const deadZone = this.gamepadDeadZone;
+        state.axes = [0, 1, 2, 3].map(index => {
+            const value = gamepad.axes[index] || 0;
+            return Math.abs(value) < deadZone ? 0 : (value - Math.sign(value) * deadZone) / (1 - deadZone);
+        });
+        state.buttons = gamepad.buttons.map(button => button.value);
+        
+        // Toggle mode on press, not while held
+        const toggleButtons = GAMEPAD_BUTTON_BINDINGS.toggleMode;
+        if (toggleButtons.some(button => state.buttons[button] > 0.5 && !(previous[button] > 0.5))) {
+            this.toggleMovementMode();
+        }
+    }
+
+    /**
+     * Apply the gamepad's right stick to the camera rotation
+     */
+    updateGamepadLook(deltaTime) {
+        if (!this.camera || !this.gamepadState.connected) return;
+        
+        const [, , lookX, lookY] = this.gamepadState.axes;
+        this.camera.rotation.y += lookX * this.gamepadLookSpeed * deltaTime;
+        this.camera.rotation.x += lookY * this.gamepadLookSpeed * deltaTime * (this.invertY ? -1 : 1);
+        this.camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.rotation.x));
+    }
+
+    /**
+     * Bindings saved in settings, keeping only known actions
+     */
+    pickInputBindings(bindings = {}) {
+        const picked = {};
+        Object.keys(DEFAULT_INPUT_BINDINGS).forEach(action => {
+            const codes = bindings[action];
+            if (Array.isArray(codes) && codes.every(code => typeof code === "string")) {
+                picked[action] = codes.slice();
+            }
+        });
+        return picked;
+    }
+
+    /**
+     * Readable name for a KeyboardEvent.code
+     */
+    formatKeyCode(code) {
+        const names = {
+            Space: "Space",
+            ShiftLeft: "Left Shift",
+            ShiftRight: "Right Shift",
+            ControlLeft: "Left Ctrl",
+            ControlRight: "Right Ctrl",
+            AltLeft: "Left Alt",
+            AltRight: "Right Alt",
+            ArrowUp: "↑",
+            ArrowDown: "↓",
+            ArrowLeft: "←",
+            ArrowRight: "→"
+        };
+        if (names[code]) return names[code];
+        return code.replace(/^Key/, "").replace(/^Digit/, "").replace(/^Numpad/, "Num ");
+    }
+
+    /**
+     * Show the key bindings in the settings panel: a button for each key of an action to change it,
+     * and a "+" button to add another key
+     */
+    renderBindingList() {
+        const list = this.getUiElement("bindingList");
+        if (!list) return;
+        
+        list.innerHTML = "";
+        Object.keys(DEFAULT_INPUT_BINDINGS).forEach(action => {
+            const row = document.createElement("div");
+            row.className = "binding-row";
+            
+            const label = document.createElement("span");
+            label.textContent = INPUT_ACTION_LABELS[action];
+            row.appendChild(label);
+            
+            const keys = document.createElement("span");
+            const codes = this.inputBindings[action];
+            [...codes, null].forEach((code, slot) => {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.dataset.action = action;
+                button.dataset.slot = slot;
+                if (this.rebindingAction === action && this.rebindingSlot === slot) {
+                    button.textContent = "Press a key...";
+                } else if (code) {
+                    button.textContent = this.formatKeyCode(code);
+                    button.title = "Change this key (Backspace removes it)";
+                } else {
+                    button.textContent = codes.length ? "+" : "Unbound";
+                    button.title = "Add a key";
+                    button.classList.add("binding-add");
+                }
+                keys.appendChild(button);
+            });
+            row.appendChild(keys);
+            
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Bind the captured key to the key slot being changed (Escape cancels, Backspace removes the key)
+     * The action's other keys are kept, and the key is removed from everywhere else so one key never
+     * triggers two actions
+     */
+    completeRebinding(code) {
+        const action = this.rebindingAction;
+        const slot = this.rebindingSlot;
+        this.rebindingAction = null;
+        
+        if (code === "Backspace") {
+            this.inputBindings[action].splice(slot, 1);
+            this.saveSettings();
+            console.log(`Removed a key from ${action}`);
+        } else if (code !== "Escape") {
+            const codes = this.inputBindings[action].slice();
+            codes[slot] = code;
+            Object.keys(this.inputBindings).forEach(other => {
+                this.inputBindings[other] = this.inputBindings[other].filter(bound => bound !== code);
+            });
+            this.inputBindings[action] = codes.filter((bound, index) => bound !== code || index === slot);
+            this.saveSettings();
+            console.log(`Bound ${action} to ${code}`);
+        }
+        
+        this.renderBindingList();
+    }
+
+    /**
+     * Move a velocity towards a target velocity at the configured acceleration/deceleration
+     * Both are BABYLON.Vector3 in metres per second; velocity is updated in place
+     */
+    accelerateTowards(velocity, target, deltaTime) {
+        const difference = target.subtract(velocity);
+        const distance = difference.length();
+        if (distance === 0) return velocity;
+        
+        // Speeding up uses acceleration, slowing down (or no input) uses deceleration
+        const rate = target.lengthSquared() >= velocity.lengthSquared() ? this.acceleration : this.deceleration;
+        const change = rate * deltaTime;
+        
+        if (change >= distance) {
+            velocity.copyFrom(target);
+        } else {
+            velocity.addInPlace(difference.scale(change / distance));
+        }
+        return velocity;
+    }
+
+    /**
+     * Movement speed in metres per second, including sprint
+     */
+    getMoveSpeed(input) {
+        return this.moveSpeed * (input.sprint ? this.sprintMultiplier : 1);
+    }
+
+    /**
+     * Fly mode: no gravity, move along the full camera direction plus Q/E up/down
+     */
+    updateFlyMovement(input, deltaTime) {
+        const forward = this.camera.getDirection(BABYLON.Vector3.Forward());
+        const right = this.camera.getDirection(BABYLON.Vector3.Right());
+        const speed = this.getMoveSpeed(input);
+        const verticalSpeed = this.verticalSpeed * (input.sprint ? this.sprintMultiplier : 1);
+        
+        const target = forward.scale(input.z * speed)
+            .add(right.scale(input.x * speed))
+            .add(BABYLON.Vector3.Up().scale(input.y * verticalSpeed));
+        
+        this.accelerateTowards(this.velocity, target, deltaTime);
+        if (this.velocity.lengthSquared() === 0) return;
+        
+        const position = this.camera.position.add(this.velocity.scale(deltaTime));
+        
+        // Prevent going below terrain minimum
+        position.y = Math.max(position.y, this.terrainMinY + this.playerHeight);
+        this.camera.position = position;
+    }
+
+    /**
+     * Walk mode: keep the eye playerHeight above the terrain under the player
+     * Handles jumping (jumpHeight), falling off ledges and refuses slopes that are too steep
+     */
+    updateWalkMovement(input, deltaTime) {
+        // Look direction flattened onto the ground so looking down doesn't slow walking
+        const forward = this.camera.getDirection(BABYLON.Vector3.Forward());
+        forward.y = 0;
+        forward.normalize();
+        const right = this.camera.getDirection(BABYLON.Vector3.Right());
+        right.y = 0;
+        right.normalize();
+        
+        const speed = this.getMoveSpeed(input);
+        const target = forward.scale(input.z * speed).add(right.scale(input.x * speed));
+        this.velocity.y = 0;
+        this.accelerateTowards(this.velocity, target, deltaTime);
+        
+        const position = this.camera.position.clone();
+        const step = this.velocity.scale(deltaTime);
+        
+        const currentGround = this.getGroundHeightAt(position.x, position.z);
+        
+        if (step.lengthSquared() > 0) {
+            // Measure the ground ahead over a fixed distance rather than this frame's step, so the
+            // slopes that can be climbed don't depend on the frame rate
+            const run = Math.max(this.walkProbeDistance, step.length());
+            const ahead = step.normalizeToNew().scaleInPlace(run);
+            const nextGround = this.getGroundHeightAt(position.x + ahead.x, position.z + ahead.z);
+            const rise = nextGround - currentGround;
+            const maxGradient = Math.tan(this.maxWalkSlope);
+            
+            // Only walk up slopes shallow enough to climb (rise over run). maxStepHeight is for a
+            // single step edge - a kerb or a low bank - with walkable ground beyond it, not a slope
+            let climbable = rise / run <= maxGradient;
+            if (!climbable && rise <= this.maxStepHeight) {
+                const beyondGround = this.getGroundHeightAt(position.x + ahead.x * 2, position.z + ahead.z * 2);
+                climbable = (beyondGround - nextGround) / run <= maxGradient;
+            }
+            
+            if (!this.isGrounded || climbable) {
+                position.x += step.x;
+                position.z += step.z;
+            } else {
+                this.velocity.setAll(0);
+            }
+        }
+        
+        const ground = this.getGroundHeightAt(position.x, position.z);
+        const eyeHeight = ground + this.playerHeight;
+        
+        // Jump only from the ground
+        if (input.jump && this.isGrounded) {
+            this.verticalVelocity = Math.sqrt(2 * -this.gravity * this.jumpHeight);
+            this.isGrounded = false;
+        }
+        
+        if (this.isGrounded && position.y - eyeHeight <= this.maxStepHeight) {
+            // Follow the surface up and down gentle slopes
+            position.y = eyeHeight;
+            this.verticalVelocity = 0;
+        } else {
+            // In the air: jumping, or walked off a ledge
+            this.isGrounded = false;
+            this.verticalVelocity += this.gravity * deltaTime;
+            position.y += this.verticalVelocity * deltaTime;
+            
+            if (position.y <= eyeHeight) {
+                position.y = eyeHeight;
+                this.verticalVelocity = 0;
+                this.isGrounded = true;
+            }
+        }
+        
+        this.camera.position = position;
+    }
+
+    /**
+     * Height of the terrain surface at a point, found by casting a ray straight down
+     * Returns the terrain minimum when there is no terrain under the point
+     */
+    getGroundHeightAt(x, z) {
+        const height = this.getTerrainHeightAt(x, z);
+        return height !== null ? height : this.terrainMinY;
+    }
+
+    /**
+     * Height of the terrain mesh at a point, or null if there is no terrain there
+     */
+    getTerrainHeightAt(x, z) {
+        if (!this.farmMesh || !this.terrainBounds) return null;
+        
+        const top = this.terrainBounds.max.y + 10;
+        const ray = new BABYLON.Ray(
+            new BABYLON.Vector3(x, top, z),
+            BABYLON.Vector3.Down(),
+            top - this.terrainBounds.min.y + 20
+        );
+        
+        const hit = this.scene.pickWithRay(ray, mesh => this.isTerrainMesh(mesh));
+        return hit && hit.hit ? hit.pickedPoint.y : null;
+    }
+
+    /**
+     * Check if a mesh is part of the loaded terrain (or is the placeholder terrain)
+     */
+    isTerrainMesh(mesh) {
+        return !!this.farmMesh && mesh.isEnabled() && mesh.isVisible &&
+            (mesh === this.farmMesh || mesh.isDescendantOf(this.farmMesh));
+    }
+
+    /**
+     * All meshes with geometry that belong to the loaded terrain
+     */
+    getTerrainMeshes() {
+        if (!this.farmMesh) return [];
+        return [this.farmMesh, ...this.farmMesh.getChildMeshes(false)]
+            .filter(mesh => mesh.getTotalVertices() > 0 && this.isTerrainMesh(mesh));
+    }
+
+    /**
+     * Sample the terrain into a regular height grid by rasterizing its triangles
+     * (see terrain-grid.js for the grid layout). Where surfaces overlap the highest one wins.
+     * The result only depends on the mesh data, so the same terrain always produces the same grid.
+     */
+    buildHeightGrid(minX, minZ, maxX, maxZ, cellSize, meshes = this.getTerrainMeshes()) {
+        const grid = TerrainGrid.createHeightGrid(minX, minZ, maxX, maxZ, cellSize);
+        meshes.forEach(mesh => this.rasterizeMeshHeights(mesh, grid));
+        return grid;
+    }
+
+    /**
+     * Write the heights of one mesh's triangles into a height grid
+     */
+    rasterizeMeshHeights(mesh, grid) {
+        const positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        const indices = mesh.getIndices();
+        if (!positions || !indices) return;
+        
+        // Vertices in world space
+        const world = mesh.computeWorldMatrix(true);
+        const vertices = new Float32Array(positions.length);
+        const vertex = new BABYLON.Vector3();
+        for (let i = 0; i < positions.length; i += 3) {
+            BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(positions[i], positions[i + 1], positions[i + 2], world, vertex);
+            vertices[i] = vertex.x;
+            vertices[i + 1] = vertex.y;
+            vertices[i + 2] = vertex.z;
+        }
+        
+        TerrainGrid.rasterizeTriangles(grid, vertices, indices);
+    }
+
+    /**
+     * Turn the physics-based player on or off
+     * The physics player uses cannon-es: a capsule body colliding with a heightfield
+     * built from the terrain around the player, with real gravity and jumping.
+     */
+    async setPhysicsEnabled(enabled) {
+        if (enabled === this.physicsEnabled) return;
+        
+        const toggle = this.getUiElement("physicsToggle");
         
-        // Enable collisions for camera (acts as player)
-        this.camera.checkCollisions = true;
+        if (!enabled) {
+            this.disposePhysics();
+            this.physicsEnabled = false;
+            this.camera.checkCollisions = true;
+            this.isGrounded = false;
+            if (toggle) toggle.checked = false;
+            console.log("Physics player disabled");
+            return;
+        }
         
-        // Apply gravity if physics is available, otherwise use basic gravity simulation
         try {
-            this.camera.applyGravity = true;
+            if (!this.CANNON) {
+                this.CANNON = await import(this.physicsModuleUrl);
+            }
+            
+            this.createPhysicsWorld();
+            this.physicsEnabled = true;
+            
+            // The physics body replaces the ellipsoid collision path
+            this.camera.checkCollisions = false;
+            if (toggle) toggle.checked = true;
+            console.log("Physics player enabled (cannon-es)");
+            
         } catch (error) {
-            console.warn("Gravity application failed, using manual gravity:", error.message);
-            this.camera.applyGravity = false;
+            console.error("Failed to enable physics player:", error);
+            this.disposePhysics();
+            if (toggle) toggle.checked = false;
+            this.emit("error", { message: "Physics engine could not be loaded", error: error });
         }
+    }
+
+    /**
+     * Create the cannon-es world with the player capsule and the terrain collider
+     */
+    createPhysicsWorld() {
+        const CANNON = this.CANNON;
+        const settings = this.physicsSettings;
         
-        this.camera.ellipsoid = new BABYLON.Vector3(0.5, this.playerHeight / 2, 0.5);
-        this.camera.ellipsoidOffset = new BABYLON.Vector3(0, this.playerHeight / 2, 0);
+        this.physicsWorld = new CANNON.World({ gravity: new CANNON.Vec3(0, this.gravity, 0) });
         
-        // We'll handle camera controls manually with WASD + mouse
-        // No need to detach controls since we're using manual movement
+        // Frictionless player so it doesn't stick to walls; standing still is handled in updatePhysicsMovement()
+        const playerMaterial = new CANNON.Material("player");
+        const terrainMaterial = new CANNON.Material("terrain");
+        this.physicsWorld.addContactMaterial(new CANNON.ContactMaterial(playerMaterial, terrainMaterial, {
+            friction: 0,
+            restitution: 0
+        }));
+        this.physicsTerrainMaterial = terrainMaterial;
         
-        console.log("First-person camera setup complete");
+        // Capsule made of three stacked spheres, origin at the centre of the capsule
+        const radius = settings.capsuleRadius;
+        const halfHeight = this.playerHeight / 2;
+        this.playerBody = new CANNON.Body({
+            mass: 70,
+            material: playerMaterial,
+            fixedRotation: true,
+            linearDamping: 0,
+            collisionFilterGroup: 2,
+            collisionFilterMask: 1
+        });
+        [-halfHeight + radius, 0, halfHeight - radius].forEach(offset => {
+            this.playerBody.addShape(new CANNON.Sphere(radius), new CANNON.Vec3(0, offset, 0));
+        });
+        this.physicsWorld.addBody(this.playerBody);
+        
+        this.placePhysicsPlayer(this.camera.position);
+        this.rebuildPhysicsTerrain();
     }
 
-    setupControls() {
-        // Keyboard input handling
-        document.addEventListener("keydown", (event) => {
-            this.keys[event.key.toLowerCase()] = true;
-        });
+    /**
+     * Move the player body so the eye ends up at the given camera position
+     */
+    placePhysicsPlayer(eyePosition) {
+        if (!this.playerBody) return;
         
-        document.addEventListener("keyup", (event) => {
-            this.keys[event.key.toLowerCase()] = false;
-        });
+        this.playerBody.position.set(eyePosition.x, eyePosition.y - this.playerHeight / 2, eyePosition.z);
+        this.playerBody.velocity.set(0, 0, 0);
+        this.playerBody.wakeUp();
+    }
+
+    /**
+     * Build the heightfield collider for the terrain around the player
+     * Covers physicsSettings.colliderSize metres so dense meshes stay cheap; it is rebuilt
+     * when the player nears its edge or when terrain blocks load or unload.
+     */
+    rebuildPhysicsTerrain() {
+        if (!this.physicsWorld) return;
         
-        // Mouse pointer lock for first-person view
-        this.canvas.addEventListener("click", () => {
-            this.canvas.requestPointerLock();
-        });
+        const CANNON = this.CANNON;
+        const settings = this.physicsSettings;
         
-        // Pointer lock change events
-        document.addEventListener("pointerlockchange", () => {
-            this.isPointerLocked = document.pointerLockElement === this.canvas;
-            console.log(`Pointer lock: ${this.isPointerLocked}`);
-        });
+        if (this.terrainBody) {
+            this.physicsWorld.removeBody(this.terrainBody);
+            this.terrainBody = null;
+        }
+        this.physicsTerrainDirty = false;
         
-        // Mouse movement for looking around
-        document.addEventListener("mousemove", (event) => {
-            if (this.isPointerLocked && this.camera) {
-                // Horizontal rotation (Y-axis)
-                this.camera.rotation.y += event.movementX * this.mouseSensitivity;
-                
-                // Vertical rotation (X-axis) with limits
-                this.camera.rotation.x += event.movementY * this.mouseSensitivity;
-                this.camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.rotation.x));
-            }
-        });
+        const center = this.playerBody.position;
+        const half = settings.colliderSize / 2;
+        const grid = this.buildHeightGrid(
+            center.x - half, center.z - half,
+            center.x + half, center.z + half,
+            settings.colliderCellSize
+        );
         
-        // Setup mobile touch controls if mobile device
-        if (this.isMobile) {
-            this.setupMobileControls();
+        // Cannon heightfields are indexed data[x][y] in the body's XY plane; rotating the body
+        // -90 degrees about X maps local y to world -z, so rows are stored from max z down
+        const fallback = this.terrainMinY;
+        const data = [];
+        for (let i = 0; i < grid.cols; i++) {
+            const column = [];
+            for (let j = grid.rows - 1; j >= 0; j--) {
+                const height = grid.heights[j * grid.cols + i];
+                column.push(isNaN(height) ? fallback : height);
+            }
+            data.push(column);
         }
         
-        console.log("Input controls setup complete");
+        this.terrainBody = new CANNON.Body({
+            mass: 0,
+            material: this.physicsTerrainMaterial,
+            collisionFilterGroup: 1,
+            collisionFilterMask: -1
+        });
+        this.terrainBody.addShape(new CANNON.Heightfield(data, { elementSize: grid.cellSize }));
+        this.terrainBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+        this.terrainBody.position.set(grid.minX, 0, grid.minZ + (grid.rows - 1) * grid.cellSize);
+        this.physicsWorld.addBody(this.terrainBody);
+        
+        this.physicsColliderCenter = { x: center.x, z: center.z };
+        console.log(`Physics terrain collider built (${grid.cols}x${grid.rows} heightfield)`);
     }
-    
-    setupMobileControls() {
-        // Get mobile control elements
-        const movementJoystick = document.querySelector('[data-joystick="movement"]');
-        const lookJoystick = document.querySelector('[data-joystick="look"]');
-        const upButton = document.querySelector('[data-action="up"]');
-        const downButton = document.querySelector('[data-action="down"]');
+
+    /**
+     * Physics walk mode: drive the capsule body from input and follow it with the camera
+     */
+    updatePhysicsMovement(input, deltaTime) {
+        const body = this.playerBody;
+        const settings = this.physicsSettings;
         
-        if (!movementJoystick || !lookJoystick) {
-            console.warn("Mobile controls not found");
-            return;
+        // Rebuild the collider when the terrain changed or the player nears its edge
+        const colliderCenter = this.physicsColliderCenter;
+        const margin = settings.colliderSize / 4;
+        if (this.physicsTerrainDirty || !colliderCenter ||
+            Math.abs(body.position.x - colliderCenter.x) > margin ||
+            Math.abs(body.position.z - colliderCenter.z) > margin) {
+            this.rebuildPhysicsTerrain();
         }
         
-        // Setup movement joystick
-        this.setupJoystick(movementJoystick, 'movement');
+        // Ground check: short ray down from the bottom sphere
+        const CANNON = this.CANNON;
+        const bottom = body.position.y - this.playerHeight / 2 + settings.capsuleRadius;
+        const result = new CANNON.RaycastResult();
+        this.physicsWorld.raycastClosest(
+            new CANNON.Vec3(body.position.x, bottom, body.position.z),
+            new CANNON.Vec3(body.position.x, bottom - settings.capsuleRadius - settings.groundTolerance, body.position.z),
+            { collisionFilterMask: 1, skipBackfaces: true },
+            result
+        );
         
-        // Setup look joystick
-        this.setupJoystick(lookJoystick, 'look');
+        const grounded = result.hasHit;
+        const normal = grounded ? result.hitNormalWorld : new CANNON.Vec3(0, 1, 0);
+        const slope = Math.acos(Math.min(1, Math.max(-1, normal.y)));
+        const walkable = grounded && slope <= this.maxWalkSlope;
+        this.isGrounded = grounded;
         
-        // Setup vertical movement buttons
-        if (upButton) {
-            upButton.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.mobileInput.verticalUp = true;
-            });
-            upButton.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.mobileInput.verticalUp = false;
-            });
-        }
+        // Desired horizontal velocity from input, with acceleration/deceleration
+        const forward = this.camera.getDirection(BABYLON.Vector3.Forward());
+        forward.y = 0;
+        forward.normalize();
+        const right = this.camera.getDirection(BABYLON.Vector3.Right());
+        right.y = 0;
+        right.normalize();
+        const speed = this.getMoveSpeed(input);
+        const target = forward.scale(input.z * speed).add(right.scale(input.x * speed));
+        this.velocity.y = 0;
+        const desired = this.accelerateTowards(this.velocity, target, deltaTime);
         
-        if (downButton) {
-            downButton.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.mobileInput.verticalDown = true;
-            });
-            downButton.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.mobileInput.verticalDown = false;
-            });
+        if (walkable) {
+            // Move along the ground plane so walking downhill doesn't launch the player
+            const normalVector = new BABYLON.Vector3(normal.x, normal.y, normal.z);
+            const along = desired.subtract(normalVector.scale(BABYLON.Vector3.Dot(desired, normalVector)));
+            body.velocity.set(along.x, along.y, along.z);
+            
+            // Cancel gravity on walkable ground so the frictionless body doesn't slide
+            body.force.y += body.mass * -this.gravity;
+            
+            if (input.jump) {
+                body.velocity.y = Math.sqrt(2 * -this.gravity * this.jumpHeight);
+            }
+        } else {
+            // Airborne or on a slope too steep to stand on: gravity wins, with a little air control
+            body.velocity.x += (desired.x - body.velocity.x) * settings.airControl * deltaTime;
+            body.velocity.z += (desired.z - body.velocity.z) * settings.airControl * deltaTime;
         }
         
-        // Setup screen touch for camera rotation (fallback)
-        this.canvas.addEventListener('touchstart', this.handleCanvasTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.handleCanvasTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this.handleCanvasTouchEnd.bind(this));
+        this.physicsWorld.step(1 / 60, deltaTime, 3);
         
-        console.log("Mobile controls setup complete");
+        // Eye at the top of the capsule
+        this.camera.position.set(body.position.x, body.position.y + this.playerHeight / 2, body.position.z);
+        
+        // Safety net: never fall out of the world
+        if (this.camera.position.y < this.terrainMinY) {
+            const ground = this.getGroundHeightAt(body.position.x, body.position.z);
+            this.placePhysicsPlayer(new BABYLON.Vector3(body.position.x, ground + this.playerHeight, body.position.z));
+        }
     }
 
-    updateMovement() {
-        if (!this.camera) return;
+    /**
+     * Remove the physics world and bodies
+     */
+    disposePhysics() {
+        this.physicsWorld = null;
+        this.playerBody = null;
+        this.terrainBody = null;
+        this.physicsColliderCenter = null;
+        this.physicsEnabled = false;
+    }
+
+    /**
+     * Switch between "walk" (ground-following) and "fly" (free 6-DOF) movement
+     */
+    setMovementMode(mode) {
+        if (mode !== "walk" && mode !== "fly") return;
         
-        // Get camera forward and right vectors
-        const forward = this.camera.getDirection(BABYLON.Vector3.Forward());
-        const right = this.camera.getDirection(BABYLON.Vector3.Right());
+        this.movementMode = mode;
+        if (mode === "fly" && this.routeWalk) {
+            this.stopRouteWalk("stopped");
+        }
         
-        // Movement vector
-        let movement = BABYLON.Vector3.Zero();
-        let moved = false;
+        // Start walk mode in the air so the player drops onto the terrain
+        this.isGrounded = false;
+        this.verticalVelocity = 0;
+        this.velocity.setAll(0);
         
-        // Desktop WASD movement (horizontal)
-        if (this.keys['w']) {
-            movement = movement.add(forward.scale(this.moveSpeed));
-            moved = true;
-        }
-        if (this.keys['s']) {
-            movement = movement.add(forward.scale(-this.moveSpeed));
-            moved = true;
-        }
-        if (this.keys['a']) {
-            movement = movement.add(right.scale(-this.moveSpeed));
-            moved = true;
-        }
-        if (this.keys['d']) {
-            movement = movement.add(right.scale(this.moveSpeed));
-            moved = true;
+        // The physics body stays where fly mode left the camera
+        if (mode === "walk" && this.physicsEnabled) {
+            this.placePhysicsPlayer(this.camera.position);
         }
         
-        // Mobile movement input
-        if (this.isMobile && this.mobileInput.movement.active) {
-            const mobileMovement = forward.scale(this.mobileInput.movement.y * this.moveSpeed)
-                .add(right.scale(this.mobileInput.movement.x * this.moveSpeed));
-            movement = movement.add(mobileMovement);
-            moved = true;
-        }
-        
-        // Q/E vertical movement (desktop) + mobile buttons
-        let verticalMovement = 0;
-        if (this.keys['q']) {
-            verticalMovement -= this.verticalSpeed; // Move down (desktop)
-            moved = true;
-        } else if (this.isMobile && this.mobileInput.verticalDown) {
-            verticalMovement -= this.verticalSpeed * 0.5; // Move down (mobile - 50% slower)
-            moved = true;
-        }
-        if (this.keys['e']) {
-            verticalMovement += this.verticalSpeed; // Move up (desktop)
-            moved = true;
-        } else if (this.isMobile && this.mobileInput.verticalUp) {
-            verticalMovement += this.verticalSpeed * 0.5; // Move up (mobile - 50% slower)
-            moved = true;
-        }
-        
-        // Apply horizontal movement (don't interfere with gravity for WASD)
-        if (movement.length() > 0) {
-            movement.y = 0; // Don't interfere with gravity
-            this.camera.position = this.camera.position.add(movement);
-        }
-        
-        // Apply vertical movement with bottom collision detection
-        if (verticalMovement !== 0) {
-            const newY = this.camera.position.y + verticalMovement;
-            
-            // Prevent going below terrain minimum
-            if (newY >= this.terrainMinY + this.playerHeight) {
-                this.camera.position.y = newY;
-            } else {
-                // Keep camera at minimum allowed height
-                this.camera.position.y = this.terrainMinY + this.playerHeight;
-            }
+        const toggle = this.getUiElement("modeToggle");
+        if (toggle) {
+            toggle.textContent = mode === "walk" ? "Mode: Walk" : "Mode: Fly";
         }
         
-        // (Camera position logging disabled now that starting point is set)
-        if (false && moved) {
-            console.log(`Camera Position: X=${this.camera.position.x.toFixed(2)}, Y=${this.camera.position.y.toFixed(2)}, Z=${this.camera.position.z.toFixed(2)}`);
-        }
+        console.log(`Movement mode: ${mode}`);
+        this.emit("modechange", { mode: mode });
+    }
+
+    toggleMovementMode() {
+        this.setMovementMode(this.movementMode === "walk" ? "fly" : "walk");
     }
     
     updateMobileCameraRotation() {
@@ -569,13 +8971,15 @@ class FarmViewer {
         
         // Handle mobile look input
         if (this.mobileInput.look.active) {
-            const lookSensitivity = this.mouseSensitivity * 2; // Mobile might need higher sensitivity
+            // Tuned at 60 Hz; scale by frame time so the turn rate is the same on any display
+            const frames = Math.min(this.engine.getDeltaTime() / 1000, 0.1) * 60;
+            const lookSensitivity = this.mouseSensitivity * 2 * frames; // Mobile might need higher sensitivity
             
             // Horizontal rotation (Y-axis)
             this.camera.rotation.y += this.mobileInput.look.x * lookSensitivity;
             
             // Vertical rotation (X-axis) with limits - invert Y for intuitive up/down
-            this.camera.rotation.x -= this.mobileInput.look.y * lookSensitivity;
+            this.camera.rotation.x -= this.mobileInput.look.y * lookSensitivity * (this.invertY ? -1 : 1);
             this.camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.rotation.x));
         }
     }
@@ -586,23 +8990,97 @@ class FarmViewer {
             // Update movement
             this.updateMovement();
             
+            // Load/unload terrain blocks around the camera
+            this.updateStreaming();
+            
             // Update mobile camera rotation
             this.updateMobileCameraRotation();
             
+            // Keep measurement labels readable
+            this.updateScreenLabels();
+            
+            // Live latitude/longitude of the camera
+            this.updateGeoPanel();
+            
+            // Follow streamed terrain with the draped GeoJSON layers
+            this.updateVectorLayers();
+            
+            // Shade newly streamed blocks and rebuild contours
+            this.updateTerrainShading();
+            this.updateContours();
+            
+            // Follow the camera with the comparison view
+            this.updateComparison();
+            
+            // Move the sun while the day animates
+            this.updateSun();
+            
+            // Trade quality for frame rate, and the numbers behind it
+            this.updateAdaptiveQuality();
+            this.updateStatsOverlay();
+            
+            // Player arrow and framing of the minimap
+            this.updateMinimap();
+            
+            // Let embedders follow the camera
+            this.emitCameraMove();
+            
             // Render scene
             this.scene.render();
         });
         
         // Handle browser resize
-        window.addEventListener("resize", () => {
-            this.engine.resize();
-        });
+        if (window.ResizeObserver) {
+            // Follows the canvas itself, so embedded viewers resize with their container
+            this.resizeObserver = new ResizeObserver(() => {
+                this.engine.resize();
+                this.updateMinimapViewport();
+                this.updateComparisonViewport();
+            });
+            this.resizeObserver.observe(this.canvas);
+        } else {
+            this.listen(window, "resize", () => {
+                this.engine.resize();
+                this.updateMinimapViewport();
+                this.updateComparisonViewport();
+            });
+        }
         
         console.log("Render loop started");
     }
 
+    showLoadingScreen(message) {
+        const loadingScreen = this.getUiElement("loadingScreen");
+        if (loadingScreen) {
+            loadingScreen.textContent = message;
+            loadingScreen.style.display = "block";
+        }
+    }
+
+    /**
+     * Dispatch "cameramove" when the camera position or rotation changed since the last frame
+     */
+    emitCameraMove() {
+        if (!this.camera) return;
+        
+        const position = this.camera.position;
+        const rotation = this.camera.rotation;
+        const last = this.lastCameraPose;
+        const epsilon = 1e-4;
+        
+        if (last &&
+            BABYLON.Vector3.DistanceSquared(last.position, position) < epsilon * epsilon &&
+            Math.abs(last.rotation.x - rotation.x) < epsilon &&
+            Math.abs(last.rotation.y - rotation.y) < epsilon) {
+            return;
+        }
+        
+        this.lastCameraPose = { position: position.clone(), rotation: rotation.clone() };
+        this.emit("cameramove", { position: position.clone(), rotation: rotation.clone() });
+    }
+
     hideLoadingScreen() {
-        const loadingScreen = document.getElementById("loadingScreen");
+        const loadingScreen = this.getUiElement("loadingScreen");
         if (loadingScreen) {
             loadingScreen.style.display = "none";
         }
@@ -620,6 +9098,287 @@ class FarmViewer {
         );
     }
     
+    /**
+     * Quality preset to start from: phones and tablets get a lighter one
+     */
+    getDefaultQualityPreset() {
+        return this.isMobile ? "medium" : "high";
+    }
+    
+    /**
+     * Wire up the quality select and the stats checkbox in the settings panel
+     */
+    setupQualityControls() {
+        const select = this.getUiElement("settingQuality");
+        if (select) {
+            select.innerHTML = "";
+            select.appendChild(new Option("Automatic", "auto"));
+            QUALITY_LEVELS.forEach(name => select.appendChild(new Option(QUALITY_PRESETS[name].label, name)));
+            this.listen(select, "change", () => this.setQualityMode(select.value));
+        }
+        
+        const statsToggle = this.getUiElement("settingShowStats");
+        if (statsToggle) {
+            this.listen(statsToggle, "change", () => this.setStatsVisible(statsToggle.checked));
+        }
+        
+        this.renderQualityControls();
+    }
+    
+    /**
+     * Show the quality mode and, when adaptive, the preset it has settled on
+     */
+    renderQualityControls() {
+        const select = this.getUiElement("settingQuality");
+        if (select) {
+            select.value = this.qualityMode;
+        }
+        
+        const status = this.getUiElement("settingQualityStatus");
+        if (status) {
+            status.textContent = this.qualityMode === "auto" ? `Now: ${QUALITY_PRESETS[this.qualityPreset].label}` : "";
+        }
+        
+        const statsToggle = this.getUiElement("settingShowStats");
+        if (statsToggle) {
+            statsToggle.checked = this.statsVisible;
+        }
+    }
+    
+    /**
+     * Use a fixed quality preset, or "auto" to adapt to the frame rate starting from the device default
+     */
+    setQualityMode(mode) {
+        if (mode !== "auto" && !QUALITY_PRESETS[mode]) {
+            console.warn(`Unknown quality preset: ${mode}`);
+            return;
+        }
+        
+        this.qualityMode = mode;
+        this.adaptiveQualityState = { slowSince: null, fastSince: null, lastChange: performance.now(), tooSlow: null };
+        this.saveSettings();
+        this.setQualityPreset(mode === "auto" ? this.getDefaultQualityPreset() : mode, "manual");
+    }
+    
+    /**
+     * Switch to a quality preset and dispatch "qualitychange"
+     * reason: "manual", "lowfps" (adaptive step down) or "headroom" (adaptive step up)
+     */
+    setQualityPreset(name, reason) {
+        this.qualityPreset = name;
+        this.applyQualitySettings();
+        this.renderQualityControls();
+        
+        const adaptive = this.qualityMode === "auto";
+        console.log(`Rendering quality: ${QUALITY_PRESETS[name].label}${adaptive ? ` (adaptive, ${reason})` : ""}`);
+        this.emit("qualitychange", { mode: this.qualityMode, preset: name, reason: reason });
+    }
+    
+    /**
+     * Apply the current preset's render resolution, texture size, shadow map size and terrain detail
+     */
+    applyQualitySettings() {
+        if (!this.engine || !this.scene) return;
+        const preset = QUALITY_PRESETS[this.qualityPreset];
+        
+        // Above 1 renders fewer pixels than the canvas shows; "native" renders every device pixel
+        const scaling = preset.hardwareScaling === "native" ? 1 / (window.devicePixelRatio || 1) : preset.hardwareScaling;
+        this.engine.setHardwareScalingLevel(scaling);
+        
+        this.applyTextureQuality(preset.maxTextureSize);
+        this.applyShadowQuality(preset.shadowMapSize);
+        
+        // getDesiredLod() reads the new LOD bias - re-check the blocks on the next frame
+        this.lastStreamingUpdate = 0;
+    }
+    
+    /**
+     * Downscale terrain textures to fit maxTextureSize (null = the GPU limit)
+     * Babylon.js resizes images larger than the engine's maxTextureSize cap when uploading them, so
+     * lowering the cap applies to every texture loaded from now on. Textures already loaded from
+     * files are uploaded again; textures embedded in glTF tiles change as tiles stream in.
+     */
+    applyTextureQuality(maxTextureSize) {
+        const caps = this.engine.getCaps();
+        const limit = Math.min(maxTextureSize || this.nativeMaxTextureSize, this.nativeMaxTextureSize);
+        if (caps.maxTextureSize === limit) return;
+        caps.maxTextureSize = limit;
+        
+        const textures = this.scene.textures.filter(texture =>
+            texture instanceof BABYLON.Texture && texture.url && !/^(data|blob):/.test(texture.url)
+        );
+        // Release them all first: materials sharing an image share its upload, which would otherwise be reused
+        textures.forEach(texture => texture.releaseInternalTexture());
+        textures.forEach(texture => texture.updateURL(texture.url));
+    }
+    
+    /**
+     * Match the sun's shadow map to a preset's size, or drop the shadows (size 0)
+     * A shadow generator can't change its map size in place, so the sun's is built again
+     */
+    applyShadowQuality(size) {
+        const wanted = this.sunEnabled ? size : 0;
+        if (wanted === this.shadowMapSize) return;
+        
+        this.disposeSunShadows();
+        if (wanted > 0) {
+            this.createSunShadows(wanted);
+        }
+    }
+    
+    /**
+     * Step the quality preset down while the frame rate stays low and back up when there is headroom
+     * Called from the render loop; only acts in "auto" mode
+     */
+    updateAdaptiveQuality() {
+        if (this.qualityMode !== "auto" || !this.engine) return;
+        
+        const settings = this.adaptiveQualitySettings;
+        const state = this.adaptiveQualityState;
+        const now = performance.now();
+        
+        // Loading blocks and background tabs stall frames without saying anything about rendering cost
+        if (this.isStreaming || document.hidden || now - state.lastChange < settings.cooldown) {
+            state.slowSince = null;
+            state.fastSince = null;
+            return;
+        }
+        
+        const fps = this.engine.getFps();
+        const index = QUALITY_LEVELS.indexOf(this.qualityPreset);
+        
+        if (fps < settings.minFps) {
+            state.fastSince = null;
+            if (state.slowSince === null) state.slowSince = now;
+            if (now - state.slowSince >= settings.downDelay && index > 0) {
+                // Don't climb straight back into a preset that couldn't keep up
+                state.tooSlow = { index: index, time: now };
+                this.stepQuality(index - 1, "lowfps");
+            }
+        } else if (fps >= settings.maxFps) {
+            state.slowSince = null;
+            if (state.fastSince === null) state.fastSince = now;
+            const blocked = state.tooSlow && state.tooSlow.index === index + 1 && now - state.tooSlow.time < settings.retryDelay;
+            if (now - state.fastSince >= settings.upDelay && index < QUALITY_LEVELS.length - 1 && !blocked) {
+                this.stepQuality(index + 1, "headroom");
+            }
+        } else {
+            state.slowSince = null;
+            state.fastSince = null;
+        }
+    }
+    
+    /**
+     * Move adaptive quality to another preset and restart its timers
+     */
+    stepQuality(index, reason) {
+        const state = this.adaptiveQualityState;
+        state.slowSince = null;
+        state.fastSince = null;
+        state.lastChange = performance.now();
+        this.setQualityPreset(QUALITY_LEVELS[index], reason);
+    }
+    
+    /**
+     * Show or hide the overlay with FPS, draw calls, active vertices, texture memory and GPU frame time
+     * The instrumentation behind it only runs while it is shown
+     */
+    setStatsVisible(visible) {
+        this.statsVisible = visible;
+        
+        const overlay = this.getUiElement("statsOverlay");
+        if (overlay) {
+            overlay.style.display = visible ? "block" : "none";
+        }
+        
+        if (visible && this.scene && !this.sceneInstrumentation) {
+            this.sceneInstrumentation = new BABYLON.SceneInstrumentation(this.scene);
+            this.sceneInstrumentation.captureFrameTime = true;
+            this.engineInstrumentation = new BABYLON.EngineInstrumentation(this.engine);
+            // Needs timer queries (EXT_disjoint_timer_query), which many browsers and most phones don't offer
+            this.engineInstrumentation.captureGPUFrameTime = !!this.engine.getCaps().timerQuery;
+            
+            // The minimap and comparison cameras evaluate their own meshes - count the main view only
+            this.activeVerticesObserver = this.scene.onAfterActiveMeshesEvaluationObservable.add(() => {
+                if (this.scene.activeCamera !== this.camera) return;
+                const meshes = this.scene.getActiveMeshes();
+                let vertices = 0;
+                for (let i = 0; i < meshes.length; i++) {
+                    vertices += meshes.data[i].getTotalVertices();
+                }
+                this.activeVertexCount = vertices;
+            });
+        } else if (!visible) {
+            this.disposeStats();
+        }
+        
+        this.lastStatsUpdate = 0;
+        this.renderQualityControls();
+    }
+    
+    /**
+     * Stop the instrumentation behind the stats overlay
+     */
+    disposeStats() {
+        if (this.activeVerticesObserver && this.scene) {
+            this.scene.onAfterActiveMeshesEvaluationObservable.remove(this.activeVerticesObserver);
+        }
+        if (this.sceneInstrumentation) {
+            this.sceneInstrumentation.dispose();
+        }
+        if (this.engineInstrumentation) {
+            this.engineInstrumentation.dispose();
+        }
+        this.activeVerticesObserver = null;
+        this.sceneInstrumentation = null;
+        this.engineInstrumentation = null;
+    }
+    
+    /**
+     * Refresh the stats overlay, twice a second
+     */
+    updateStatsOverlay() {
+        if (!this.statsVisible || !this.sceneInstrumentation) return;
+        
+        const now = performance.now();
+        if (now - this.lastStatsUpdate < 500) return;
+        this.lastStatsUpdate = now;
+        
+        const overlay = this.getUiElement("statsOverlay");
+        if (!overlay) return;
+        
+        const quality = `${QUALITY_PRESETS[this.qualityPreset].label}${this.qualityMode === "auto" ? " (auto)" : ""}`;
+        const cpuTime = this.sceneInstrumentation.frameTimeCounter.lastSecAverage;
+        const gpuCounter = this.engineInstrumentation.captureGPUFrameTime ? this.engineInstrumentation.gpuFrameTimeCounter : null;
+        // Timer queries report nanoseconds
+        const gpuTime = gpuCounter && gpuCounter.lastSecAverage > 0 ? `${(gpuCounter.lastSecAverage * 1e-6).toFixed(1)} ms` : "n/a";
+        
+        overlay.textContent = [
+            `FPS: ${this.engine.getFps().toFixed(0)}  Quality: ${quality}`,
+            `Draw calls: ${this.sceneInstrumentation.drawCallsCounter.current}`,
+            `Active vertices: ${this.activeVertexCount.toLocaleString()}`,
+            `Texture memory: ~${this.formatBytes(this.getTextureMemoryEstimate())}`,
+            `Frame time: CPU ${cpuTime.toFixed(1)} ms, GPU ${gpuTime}`
+        ].join("\n");
+    }
+    
+    /**
+     * Rough GPU memory used by textures: 4 bytes per texel, a third more for mipmaps
+     */
+    getTextureMemoryEstimate() {
+        const counted = new Set();
+        let bytes = 0;
+        this.scene.textures.forEach(texture => {
+            const internal = texture.getInternalTexture();
+            if (!internal || counted.has(internal)) return;
+            counted.add(internal);
+            const faces = internal.isCube ? 6 : 1;
+            const mipmaps = internal.generateMipMaps ? 4 / 3 : 1;
+            bytes += internal.width * internal.height * 4 * faces * mipmaps;
+        });
+        return bytes;
+    }
+    
     /**
      * Get touch position relative to element
      */
@@ -705,16 +9464,16 @@ class FarmViewer {
         };
         
         // Add event listeners
-        element.addEventListener('touchstart', handleStart, { passive: false });
-        element.addEventListener('touchmove', handleMove, { passive: false });
-        element.addEventListener('touchend', handleEnd, { passive: false });
-        element.addEventListener('touchcancel', handleEnd, { passive: false });
+        this.listen(element, 'touchstart', handleStart, { passive: false });
+        this.listen(element, 'touchmove', handleMove, { passive: false });
+        this.listen(element, 'touchend', handleEnd, { passive: false });
+        this.listen(element, 'touchcancel', handleEnd, { passive: false });
         
         // Also support mouse for testing on desktop
-        element.addEventListener('mousedown', handleStart);
-        element.addEventListener('mousemove', handleMove);
-        element.addEventListener('mouseup', handleEnd);
-        element.addEventListener('mouseleave', handleEnd);
+        this.listen(element, 'mousedown', handleStart);
+        this.listen(element, 'mousemove', handleMove);
+        this.listen(element, 'mouseup', handleEnd);
+        this.listen(element, 'mouseleave', handleEnd);
     }
     
     handleCanvasTouchStart(e) {
@@ -733,7 +9492,7 @@ class FarmViewer {
                 
                 if (this.camera) {
                     this.camera.rotation.y += deltaX * this.mouseSensitivity * 0.5;
-                    this.camera.rotation.x += deltaY * this.mouseSensitivity * 0.5;
+                    this.camera.rotation.x += deltaY * this.mouseSensitivity * 0.5 * (this.invertY ? -1 : 1);
                     this.camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.rotation.x));
                 }
             }
@@ -747,14 +9506,31 @@ class FarmViewer {
     }
     
     showError(message) {
-        const loadingScreen = document.getElementById("loadingScreen");
+        const loadingScreen = this.getUiElement("loadingScreen");
         if (loadingScreen) {
-            loadingScreen.innerHTML = `<div style="color: red;">Error: ${message}</div>`;
+            // Messages quote manifest and option values, so they go in as text
+            const error = document.createElement("div");
+            error.style.color = "red";
+            error.textContent = `Error: ${message}`;
+            loadingScreen.replaceChildren(error);
         }
     }
 }
 
-// Initialize the application when the DOM is loaded
+// Initialize the standalone viewer page when the DOM is loaded
+// Pages that embed the viewer set window.FARM_VIEWER_MANUAL_START and create their own FarmViewer
 document.addEventListener("DOMContentLoaded", () => {
-    new FarmViewer();
+    if (window.FARM_VIEWER_MANUAL_START) return;
+    
+    // Offline support for the standalone page (pages that embed the viewer register their own worker)
+    if ("serviceWorker" in navigator && location.protocol !== "file:") {
+        navigator.serviceWorker.register("sw.js").catch(error => {
+            console.warn("Offline support is not available:", error);
+        });
+    }
+    
+    window.farmViewer = new FarmViewer();
+    window.farmViewer.start().catch(() => {
+        // Already reported on screen and through the "error" event
+    });
 });
\ No newline at end of file
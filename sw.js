@@ -0,0 +1,149 @@
+/**
+ * Service worker for using the farm viewer without a network connection
+ * - The app shell (page, scripts, manifest) and the Babylon.js scripts are cached on install and
+ *   served from the cache when the network is down or too slow.
+ * - Terrain files saved with "Make available offline" live in IndexedDB (written by FarmViewer,
+ *   see saveBlockOffline in main.js) and are served from there first, including byte ranges.
+ */
+
+const SHELL_CACHE = "farm-viewer-shell-v1";
+const SHELL_FILES = [
+    "./",
+    "index.html",
+    "main.js",
+    "terrain-grid.js",
+    "cannon.min.js",
+    "assets/manifest.json",
+    "https://cdn.babylonjs.com/babylon.js",
+    "https://cdn.babylonjs.com/loaders/babylonjs.loaders.min.js"
+];
+
+// How long to wait for the network before answering from the shell cache
+const NETWORK_TIMEOUT = 4000;
+
+// Must match OFFLINE_DB_NAME, OFFLINE_DB_VERSION and the "files" store in main.js
+const OFFLINE_DB_NAME = "farmViewerOffline";
+const OFFLINE_DB_VERSION = 1;
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // One missing file (e.g. the CDN is unreachable right now) shouldn't stop the rest being cached
+        await Promise.all(SHELL_FILES.map(async (file) => {
+            try {
+                await cache.add(new Request(file, { cache: "reload" }));
+            } catch (error) {
+                console.warn(`Could not cache ${file} for offline use:`, error);
+            }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith("farm-viewer-shell-") && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET") return;
+
+    // The page is also opened with ?terrain=...&pos=... links
+    const url = new URL(request.url);
+    const shellUrls = SHELL_FILES.map(file => new URL(file, self.registration.scope).href);
+    if (shellUrls.includes(url.origin + url.pathname)) {
+        event.respondWith(fromNetworkOrShell(request));
+        return;
+    }
+
+    event.respondWith(fromOfflineFiles(request));
+});
+
+/**
+ * Network first (refreshing the cached copy), the cached copy when offline or slow
+ */
+async function fromNetworkOrShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone()).catch(() => {});
+        }
+        return response;
+    });
+    // When the cached copy is used the network request may still fail later; that isn't an error
+    network.catch(() => {});
+
+    try {
+        return await Promise.race([
+            network,
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error("Network timeout")), NETWORK_TIMEOUT))
+        ]);
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        return network; // Nothing cached - keep waiting for the network
+    }
+}
+
+/**
+ * Saved terrain files from IndexedDB, everything else from the network
+ * Requests made with cache "reload" (re-saving a block) always go to the network.
+ */
+async function fromOfflineFiles(request) {
+    if (request.cache !== "reload" && request.cache !== "no-store") {
+        const file = await readOfflineFile(request.url.split("#")[0]);
+        if (file) {
+            return createFileResponse(file, request.headers.get("Range"));
+        }
+    }
+    return fetch(request);
+}
+
+function readOfflineFile(url) {
+    return new Promise((resolve) => {
+        const open = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+        // The page creates the stores; a worker that gets here first has nothing to serve
+        open.onupgradeneeded = () => open.transaction.abort();
+        open.onerror = () => resolve(null);
+        open.onsuccess = () => {
+            const db = open.result;
+            if (!db.objectStoreNames.contains("files")) {
+                db.close();
+                resolve(null);
+                return;
+            }
+            const get = db.transaction("files").objectStore("files").get(url);
+            get.onsuccess = () => resolve(get.result || null);
+            get.onerror = () => resolve(null);
+            get.transaction.oncomplete = () => db.close();
+        };
+    });
+}
+
+/**
+ * Response for a saved file, honouring a single "bytes=start-end" range (used to probe file heads)
+ */
+function createFileResponse(file, range) {
+    const headers = { "Content-Type": file.type || "application/octet-stream", "Accept-Ranges": "bytes" };
+    const match = range && range.match(/^bytes=(\d*)-(\d*)$/);
+
+    if (match && (match[1] || match[2])) {
+        const size = file.blob.size;
+        const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+        const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+        if (start >= size || start > end) {
+            return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${size}` } });
+        }
+        return new Response(file.blob.slice(start, end + 1), {
+            status: 206,
+            headers: { ...headers, "Content-Range": `bytes ${start}-${end}/${size}`, "Content-Length": String(end - start + 1) }
+        });
+    }
+
+    return new Response(file.blob, { status: 200, headers: { ...headers, "Content-Length": String(file.blob.size) } });
+}
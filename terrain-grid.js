@@ -0,0 +1,714 @@
+/**
+ * Height grid calculations used by the viewer (main.js): volumes, drainage, routes and the placeholder terrain
+ * Plain functions on numbers and typed arrays - no Babylon.js or DOM - so they load in Node as well
+ * as the browser and can be tested there (see test/). In the browser they are on window.TerrainGrid.
+ *
+ * A height grid is { minX, minZ, cellSize, cols, rows, heights }: grid point (i, j) lies at
+ * (minX + i * cellSize, minZ + j * cellSize) and its height is heights[j * cols + i], NaN where
+ * there is no terrain.
+ */
+
+(function (root, factory) {
+    const TerrainGrid = factory();
+    if (typeof module === "object" && module.exports) {
+        module.exports = TerrainGrid;
+    } else {
+        root.TerrainGrid = TerrainGrid;
+    }
+})(typeof self !== "undefined" ? self : this, () => {
+    "use strict";
+
+    /**
+     * Repeatable pseudo-random numbers in [0, 1) from a 32-bit seed (mulberry32)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Heights (0-3 m) for the placeholder terrain shown when no assets load, one per vertex
+     * The same seed always gives the same heights, so measurements on the placeholder are repeatable.
+     */
+    function createPlaceholderHeights(count, seed) {
+        const random = createRandom(seed);
+        return Float32Array.from({ length: count }, () => random() * 3);
+    }
+
+    /**
+     * Signed area of a polygon in plan view (XZ), shoelace formula
+     */
+    function getPolygonArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.x * b.z - b.x * a.z;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Whether (x, z) lies inside a polygon in plan view (even-odd rule)
+     */
+    function isPointInPolygon(x, z, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Least-squares plane through points: y = elevation + slopeX * (x - x0) + slopeZ * (z - z0),
+     * centred on their mean (x0, z0); a flat plane if the points are collinear in plan view
+     */
+    function fitPlane(points) {
+        const count = points.length;
+        const x0 = points.reduce((sum, point) => sum + point.x, 0) / count;
+        const z0 = points.reduce((sum, point) => sum + point.z, 0) / count;
+        const y0 = points.reduce((sum, point) => sum + point.y, 0) / count;
+        
+        let sxx = 0, sxz = 0, szz = 0, sxy = 0, szy = 0;
+        points.forEach(point => {
+            const dx = point.x - x0;
+            const dz = point.z - z0;
+            const dy = point.y - y0;
+            sxx += dx * dx;
+            sxz += dx * dz;
+            szz += dz * dz;
+            sxy += dx * dy;
+            szy += dz * dy;
+        });
+        
+        const determinant = sxx * szz - sxz * sxz;
+        if (Math.abs(determinant) < 1e-9) {
+            return { slopeX: 0, slopeZ: 0, elevation: y0, x: x0, z: z0 };
+        }
+        return {
+            slopeX: (sxy * szz - szy * sxz) / determinant,
+            slopeZ: (szy * sxx - sxy * sxz) / determinant,
+            elevation: y0,
+            x: x0,
+            z: z0
+        };
+    }
+
+    /**
+     * Empty height grid (all NaN) covering minX..maxX, minZ..maxZ with at least 2 × 2 points
+     */
+    function createHeightGrid(minX, minZ, maxX, maxZ, cellSize) {
+        const cols = Math.max(2, Math.ceil((maxX - minX) / cellSize) + 1);
+        const rows = Math.max(2, Math.ceil((maxZ - minZ) / cellSize) + 1);
+        return {
+            minX: minX,
+            minZ: minZ,
+            cellSize: cellSize,
+            cols: cols,
+            rows: rows,
+            heights: new Float32Array(cols * rows).fill(NaN)
+        };
+    }
+
+    /**
+     * Write the heights of triangles into a height grid
+     * vertices are world-space x, y, z triples and indices three per triangle. Where surfaces
+     * overlap the highest one wins, so the result doesn't depend on the order they are written in.
+     */
+    function rasterizeTriangles(grid, vertices, indices) {
+        const { minX, minZ, cellSize, cols, rows, heights } = grid;
+        const epsilon = 1e-6;
+        
+        for (let t = 0; t < indices.length; t += 3) {
+            const a = indices[t] * 3;
+            const b = indices[t + 1] * 3;
+            const c = indices[t + 2] * 3;
+            const ax = vertices[a], ay = vertices[a + 1], az = vertices[a + 2];
+            const bx = vertices[b], by = vertices[b + 1], bz = vertices[b + 2];
+            const cx = vertices[c], cy = vertices[c + 1], cz = vertices[c + 2];
+            
+            // Grid points covered by the triangle's bounding box
+            const i0 = Math.max(0, Math.ceil((Math.min(ax, bx, cx) - minX) / cellSize));
+            const i1 = Math.min(cols - 1, Math.floor((Math.max(ax, bx, cx) - minX) / cellSize));
+            const j0 = Math.max(0, Math.ceil((Math.min(az, bz, cz) - minZ) / cellSize));
+            const j1 = Math.min(rows - 1, Math.floor((Math.max(az, bz, cz) - minZ) / cellSize));
+            if (i0 > i1 || j0 > j1) continue;
+            
+            // Skip triangles that are vertical in plan view
+            const denominator = (bz - cz) * (ax - cx) + (cx - bx) * (az - cz);
+            if (Math.abs(denominator) < 1e-12) continue;
+            
+            for (let j = j0; j <= j1; j++) {
+                const pz = minZ + j * cellSize;
+                for (let i = i0; i <= i1; i++) {
+                    const px = minX + i * cellSize;
+                    
+                    // Barycentric coordinates in the XZ plane
+                    const w1 = ((bz - cz) * (px - cx) + (cx - bx) * (pz - cz)) / denominator;
+                    const w2 = ((cz - az) * (px - cx) + (ax - cx) * (pz - cz)) / denominator;
+                    const w3 = 1 - w1 - w2;
+                    if (w1 < -epsilon || w2 < -epsilon || w3 < -epsilon) continue;
+                    
+                    const height = w1 * ay + w2 * by + w3 * cy;
+                    const index = j * cols + i;
+                    if (!(heights[index] >= height)) {
+                        heights[index] = height;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Height at (x, z) from a height grid by bilinear interpolation
+     * Falls back to the nearest corner with terrain at the edges; NaN where there is none.
+     */
+    function sampleHeightGrid(grid, x, z) {
+        const { minX, minZ, cellSize, cols, rows, heights } = grid;
+        const u = (x - minX) / cellSize;
+        const v = (z - minZ) / cellSize;
+        if (u < 0 || v < 0 || u > cols - 1 || v > rows - 1) return NaN;
+        
+        const i = Math.min(Math.floor(u), cols - 2);
+        const j = Math.min(Math.floor(v), rows - 2);
+        const fu = u - i;
+        const fv = v - j;
+        const h00 = heights[j * cols + i];
+        const h10 = heights[j * cols + i + 1];
+        const h01 = heights[(j + 1) * cols + i];
+        const h11 = heights[(j + 1) * cols + i + 1];
+        
+        if (Number.isFinite(h00) && Number.isFinite(h10) && Number.isFinite(h01) && Number.isFinite(h11)) {
+            return (h00 * (1 - fu) + h10 * fu) * (1 - fv) + (h01 * (1 - fu) + h11 * fu) * fv;
+        }
+        
+        const nearest = [[h00, fu + fv], [h10, 1 - fu + fv], [h01, fu + 1 - fv], [h11, 2 - fu - fv]]
+            .filter(([height]) => Number.isFinite(height))
+            .sort((a, b) => a[1] - b[1]);
+        return nearest.length > 0 ? nearest[0][0] : NaN;
+    }
+
+    /**
+     * Heights of a plane (as returned by fitPlane) at the points of a height grid
+     */
+    function getPlaneHeights(grid, plane) {
+        const { minX, minZ, cellSize, cols, rows } = grid;
+        const heights = new Float32Array(cols * rows);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                heights[j * cols + i] = plane.elevation +
+                    plane.slopeX * (minX + i * cellSize - plane.x) + plane.slopeZ * (minZ + j * cellSize - plane.z);
+            }
+        }
+        return heights;
+    }
+
+    /**
+     * Cut and fill between a height grid and reference heights at the same grid points, inside a polygon
+     * Every cell whose centre is inside the polygon adds its area times the mean of the corner differences
+     * above (cut) or below (fill) the reference; cells with a missing corner are left out.
+     * inside flags the cells that were counted, row by row ((cols - 1) × (rows - 1)).
+     */
+    function computeVolume(grid, referenceHeights, polygon) {
+        const { minX, minZ, cellSize, cols, rows, heights } = grid;
+        let cut = 0;
+        let fill = 0;
+        let area = 0;
+        let cutArea = 0;
+        let fillArea = 0;
+        const cellArea = cellSize * cellSize;
+        const inside = new Uint8Array((cols - 1) * (rows - 1));
+        
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                if (!isPointInPolygon(minX + (i + 0.5) * cellSize, minZ + (j + 0.5) * cellSize, polygon)) continue;
+                
+                const corners = [j * cols + i, j * cols + i + 1, (j + 1) * cols + i, (j + 1) * cols + i + 1];
+                const differences = corners.map(index => heights[index] - referenceHeights[index]);
+                if (!differences.every(Number.isFinite)) continue;
+                
+                const above = differences.reduce((sum, difference) => sum + Math.max(difference, 0), 0) / 4;
+                const below = differences.reduce((sum, difference) => sum + Math.max(-difference, 0), 0) / 4;
+                cut += above * cellArea;
+                fill += below * cellArea;
+                area += cellArea;
+                if (above > below) cutArea += cellArea;
+                if (below > above) fillArea += cellArea;
+                inside[j * (cols - 1) + i] = 1;
+            }
+        }
+        
+        return {
+            cut: cut,
+            fill: fill,
+            net: cut - fill,
+            area: area,
+            cutArea: cutArea,
+            fillArea: fillArea,
+            inside: inside
+        };
+    }
+
+    /**
+     * Surface water analysis of a height grid (see createHeightGrid) - needs nothing but the grid
+     * - Depressions are filled with Priority-Flood+ε (Barnes et al. 2014): water leaves the grid at its
+     *   edges and where the terrain ends, and flats are tilted by a tiny ε so every cell drains
+     * - Each cell drains to its steepest downhill neighbour on the filled surface (D8)
+     * - Accumulation is the area (m²) draining through each cell, its own included
+     * - Ponds are groups of cells the filling covers by more than settings.minPondDepth
+     * - Streams are the cells with at least streamThreshold upstream, split into links at confluences
+     *   and given Strahler orders
+     * Arrays are indexed like grid.heights; receivers holds -1 where water leaves the grid.
+     */
+    function analyzeDrainage(grid, settings) {
+        const { cols, rows, heights, cellSize } = grid;
+        const count = cols * rows;
+        const cellArea = cellSize * cellSize;
+        const epsilon = 1e-6;
+        const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+        const valid = index => Number.isFinite(heights[index]);
+        
+        // Priority-Flood from the outlets inwards, lowest cell first
+        const filled = new Float64Array(count).fill(NaN);
+        const visitOrder = new Int32Array(count);
+        let visited = 0;
+        const queue = createCellQueue(count);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const index = j * cols + i;
+                if (!valid(index)) continue;
+                const isOutlet = offsets.some(([di, dj]) => {
+                    const ni = i + di;
+                    const nj = j + dj;
+                    return ni < 0 || nj < 0 || ni >= cols || nj >= rows || !valid(nj * cols + ni);
+                });
+                if (isOutlet) {
+                    filled[index] = heights[index];
+                    queue.push(index, filled[index]);
+                }
+            }
+        }
+        while (queue.size() > 0) {
+            const index = queue.pop();
+            visitOrder[visited++] = index;
+            const i = index % cols;
+            const j = (index - i) / cols;
+            offsets.forEach(([di, dj]) => {
+                const ni = i + di;
+                const nj = j + dj;
+                if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) return;
+                const neighbour = nj * cols + ni;
+                if (!valid(neighbour) || !Number.isNaN(filled[neighbour])) return;
+                filled[neighbour] = Math.max(heights[neighbour], filled[index] + epsilon);
+                queue.push(neighbour, filled[neighbour]);
+            });
+        }
+        
+        // Steepest descent on the filled surface
+        const receivers = new Int32Array(count).fill(-1);
+        for (let n = 0; n < visited; n++) {
+            const index = visitOrder[n];
+            const i = index % cols;
+            const j = (index - i) / cols;
+            let steepest = 0;
+            offsets.forEach(([di, dj]) => {
+                const ni = i + di;
+                const nj = j + dj;
+                if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) return;
+                const neighbour = nj * cols + ni;
+                if (!valid(neighbour)) return;
+                const slope = (filled[index] - filled[neighbour]) / Math.hypot(di, dj);
+                if (slope > steepest) {
+                    steepest = slope;
+                    receivers[index] = neighbour;
+                }
+            });
+        }
+        
+        // Receivers are always lower, so were reached earlier: walking the visit order backwards
+        // handles every cell before the one it drains into
+        const accumulation = new Float64Array(count);
+        for (let n = visited - 1; n >= 0; n--) {
+            const index = visitOrder[n];
+            accumulation[index] += cellArea;
+            if (receivers[index] !== -1) {
+                accumulation[receivers[index]] += accumulation[index];
+            }
+        }
+        
+        // Ponds: connected cells under standing water
+        const pondIds = new Int32Array(count).fill(-1);
+        const ponds = [];
+        for (let start = 0; start < count; start++) {
+            if (pondIds[start] !== -1 || !(filled[start] - heights[start] > settings.minPondDepth)) continue;
+            
+            const id = ponds.length;
+            const cells = [start];
+            pondIds[start] = id;
+            for (let k = 0; k < cells.length; k++) {
+                const i = cells[k] % cols;
+                const j = (cells[k] - i) / cols;
+                offsets.forEach(([di, dj]) => {
+                    const ni = i + di;
+                    const nj = j + dj;
+                    if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) return;
+                    const neighbour = nj * cols + ni;
+                    if (pondIds[neighbour] === -1 && filled[neighbour] - heights[neighbour] > settings.minPondDepth) {
+                        pondIds[neighbour] = id;
+                        cells.push(neighbour);
+                    }
+                });
+            }
+            
+            let volume = 0;
+            let deepest = start;
+            cells.forEach(cell => {
+                volume += (filled[cell] - heights[cell]) * cellArea;
+                if (filled[cell] - heights[cell] > filled[deepest] - heights[deepest]) deepest = cell;
+            });
+            ponds.push({
+                id: id,
+                cells: cells,
+                area: cells.length * cellArea,
+                volume: volume,
+                maxDepth: filled[deepest] - heights[deepest],
+                level: filled[deepest],
+                deepest: deepest
+            });
+        }
+        
+        // Drop puddles smaller than minPondArea and number the rest again
+        const kept = ponds.filter(pond => pond.area >= settings.minPondArea);
+        pondIds.fill(-1);
+        kept.forEach((pond, id) => {
+            pond.id = id;
+            pond.cells.forEach(cell => { pondIds[cell] = id; });
+        });
+        
+        // Streams and their Strahler orders, upstream first
+        const streamThreshold = settings.streamThreshold || 0.005 * visited * cellArea;
+        const isStream = index => accumulation[index] >= streamThreshold;
+        const strahler = new Uint8Array(count);
+        const highestInflow = new Uint8Array(count);
+        const highestInflowCount = new Uint8Array(count);
+        const streamInflows = new Uint8Array(count);
+        for (let n = visited - 1; n >= 0; n--) {
+            const index = visitOrder[n];
+            if (!isStream(index)) continue;
+            
+            const highest = highestInflow[index];
+            strahler[index] = highest === 0 ? 1 : highest + (highestInflowCount[index] > 1 ? 1 : 0);
+            
+            const receiver = receivers[index];
+            if (receiver === -1) continue;
+            streamInflows[receiver] = Math.min(255, streamInflows[receiver] + 1);
+            if (strahler[index] > highestInflow[receiver]) {
+                highestInflow[receiver] = strahler[index];
+                highestInflowCount[receiver] = 1;
+            } else if (strahler[index] === highestInflow[receiver]) {
+                highestInflowCount[receiver] = Math.min(255, highestInflowCount[receiver] + 1);
+            }
+        }
+        
+        // Links run from a stream head or confluence down to the next confluence or off the grid
+        // (cells downstream of a stream have at least as much upstream area, so are streams too)
+        const streams = [];
+        for (let n = visited - 1; n >= 0; n--) {
+            const start = visitOrder[n];
+            if (!isStream(start) || streamInflows[start] === 1) continue;
+            
+            const cells = [start];
+            let current = start;
+            while (receivers[current] !== -1) {
+                current = receivers[current];
+                cells.push(current);
+                if (streamInflows[current] > 1) break;
+            }
+            if (cells.length < 2) continue;
+            
+            let length = 0;
+            for (let k = 1; k < cells.length; k++) {
+                const di = cells[k] % cols - cells[k - 1] % cols;
+                const dj = Math.floor(cells[k] / cols) - Math.floor(cells[k - 1] / cols);
+                length += Math.hypot(di, dj) * cellSize;
+            }
+            streams.push({
+                cells: cells,
+                order: strahler[start],
+                length: length,
+                upstreamArea: accumulation[cells[cells.length - 2]]
+            });
+        }
+        
+        return {
+            grid: grid,
+            filled: filled,
+            receivers: receivers,
+            accumulation: accumulation,
+            strahler: strahler,
+            pondIds: pondIds,
+            ponds: kept,
+            streams: streams,
+            streamThreshold: streamThreshold
+        };
+    }
+
+    /**
+     * Binary min-heap of grid cells keyed by a number (height for Priority-Flood, estimated
+     * cost for route search); grows past capacity when a cell is pushed more than once
+     */
+    function createCellQueue(capacity) {
+        let cells = new Int32Array(capacity);
+        let keys = new Float64Array(capacity);
+        let size = 0;
+        
+        const swap = (a, b) => {
+            const cell = cells[a];
+            const key = keys[a];
+            cells[a] = cells[b];
+            keys[a] = keys[b];
+            cells[b] = cell;
+            keys[b] = key;
+        };
+        
+        return {
+            size: () => size,
+            push: (cell, key) => {
+                if (size === cells.length) {
+                    const moreCells = new Int32Array(size * 2);
+                    const moreKeys = new Float64Array(size * 2);
+                    moreCells.set(cells);
+                    moreKeys.set(keys);
+                    cells = moreCells;
+                    keys = moreKeys;
+                }
+                let child = size++;
+                cells[child] = cell;
+                keys[child] = key;
+                while (child > 0) {
+                    const parent = (child - 1) >> 1;
+                    if (keys[parent] <= keys[child]) break;
+                    swap(parent, child);
+                    child = parent;
+                }
+            },
+            pop: () => {
+                const top = cells[0];
+                size--;
+                if (size > 0) {
+                    cells[0] = cells[size];
+                    keys[0] = keys[size];
+                    let parent = 0;
+                    for (;;) {
+                        const left = parent * 2 + 1;
+                        const right = left + 1;
+                        let smallest = parent;
+                        if (left < size && keys[left] < keys[smallest]) smallest = left;
+                        if (right < size && keys[right] < keys[smallest]) smallest = right;
+                        if (smallest === parent) break;
+                        swap(parent, smallest);
+                        parent = smallest;
+                    }
+                }
+                return top;
+            }
+        };
+    }
+
+    /**
+     * Mark the height grid points inside any of the polygons (outer ring, then holes)
+     */
+    function rasterizeAvoidMask(grid, polygons) {
+        const { minX, minZ, cellSize, cols, rows } = grid;
+        const mask = new Uint8Array(cols * rows);
+        
+        polygons.forEach(([outer, ...holes]) => {
+            if (!outer || outer.length < 3) return;
+            
+            // Grid points under the outer ring's bounding box
+            let left = Infinity, right = -Infinity, bottom = Infinity, top = -Infinity;
+            outer.forEach(point => {
+                left = Math.min(left, point.x);
+                right = Math.max(right, point.x);
+                bottom = Math.min(bottom, point.z);
+                top = Math.max(top, point.z);
+            });
+            const i0 = Math.max(0, Math.floor((left - minX) / cellSize));
+            const i1 = Math.min(cols - 1, Math.ceil((right - minX) / cellSize));
+            const j0 = Math.max(0, Math.floor((bottom - minZ) / cellSize));
+            const j1 = Math.min(rows - 1, Math.ceil((top - minZ) / cellSize));
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) {
+                    const x = minX + i * cellSize;
+                    const z = minZ + j * cellSize;
+                    if (isPointInPolygon(x, z, outer) && !holes.some(hole => isPointInPolygon(x, z, hole))) {
+                        mask[j * cols + i] = 1;
+                    }
+                }
+            }
+        });
+        return mask;
+    }
+
+    /**
+     * Least-cost route across a height grid between two { x, z } points
+     * - Grid points where the ground is steeper than settings.maxSlope in any direction, that have no
+     *   terrain or are set in the avoid mask can't be crossed; the start and end only need terrain
+     * - A step costs its 3D length, plus up to settings.slopePenalty times that as its climb or descent
+     *   nears the maximum slope
+     * - A* over the 8 neighbours of each grid point; the zigzag is then straightened wherever a
+     *   straight line can be crossed and costs no more
+     * Returns { points: [{ x, z }], cost }, or { points: null, reason } where reason is "start" or
+     * "end" (no terrain there, or avoided) or "blocked" (no way through).
+     */
+    function findRoute(grid, start, end, settings, avoid = null) {
+        const { minX, minZ, cellSize, cols, rows, heights } = grid;
+        const count = cols * rows;
+        const maxGradient = Math.tan(settings.maxSlope * Math.PI / 180);
+        const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+        const cellAt = (x, z) => {
+            const i = Math.round((x - minX) / cellSize);
+            const j = Math.round((z - minZ) / cellSize);
+            return i < 0 || j < 0 || i >= cols || j >= rows ? -1 : j * cols + i;
+        };
+        const usable = cell => cell !== -1 && Number.isFinite(heights[cell]) && !(avoid && avoid[cell]);
+        
+        const startCell = cellAt(start.x, start.z);
+        const endCell = cellAt(end.x, end.z);
+        if (!usable(startCell)) return { points: null, reason: "start" };
+        if (!usable(endCell)) return { points: null, reason: "end" };
+        
+        // Ground slope at each grid point from its neighbours (one-sided at the edge of the terrain)
+        const heightAt = (i, j) => (i < 0 || j < 0 || i >= cols || j >= rows ? NaN : heights[j * cols + i]);
+        const gradient = (i, j, di, dj) => {
+            const here = heights[j * cols + i];
+            const ahead = heightAt(i + di, j + dj);
+            const behind = heightAt(i - di, j - dj);
+            if (Number.isFinite(ahead) && Number.isFinite(behind)) return (ahead - behind) / (2 * cellSize);
+            if (Number.isFinite(ahead)) return (ahead - here) / cellSize;
+            if (Number.isFinite(behind)) return (here - behind) / cellSize;
+            return 0;
+        };
+        const passable = new Uint8Array(count);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const cell = j * cols + i;
+                if (usable(cell) && Math.hypot(gradient(i, j, 1, 0), gradient(i, j, 0, 1)) <= maxGradient) {
+                    passable[cell] = 1;
+                }
+            }
+        }
+        passable[startCell] = 1;
+        passable[endCell] = 1;
+        
+        const stepCost = (run, rise) => Math.hypot(run, rise) * (1 + settings.slopePenalty * Math.abs(rise) / run / maxGradient);
+        
+        // A*, estimating the cost still to go by the straight-line distance (never too high)
+        const endI = endCell % cols;
+        const endJ = (endCell - endI) / cols;
+        const estimate = (i, j) => Math.hypot(i - endI, j - endJ) * cellSize;
+        const costs = new Float64Array(count).fill(Infinity);
+        const previous = new Int32Array(count).fill(-1);
+        const done = new Uint8Array(count);
+        const queue = createCellQueue(1024);
+        costs[startCell] = 0;
+        queue.push(startCell, 0);
+        while (queue.size() > 0) {
+            const cell = queue.pop();
+            if (done[cell]) continue;
+            done[cell] = 1;
+            if (cell === endCell) break;
+            
+            const i = cell % cols;
+            const j = (cell - i) / cols;
+            offsets.forEach(([di, dj]) => {
+                const ni = i + di;
+                const nj = j + dj;
+                if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) return;
+                const neighbour = nj * cols + ni;
+                if (!passable[neighbour] || done[neighbour]) return;
+                
+                const cost = costs[cell] + stepCost(Math.hypot(di, dj) * cellSize, heights[neighbour] - heights[cell]);
+                if (cost < costs[neighbour]) {
+                    costs[neighbour] = cost;
+                    previous[neighbour] = cell;
+                    queue.push(neighbour, cost + estimate(ni, nj));
+                }
+            });
+        }
+        if (!done[endCell]) return { points: null, reason: "blocked" };
+        
+        const cells = [];
+        for (let cell = endCell; cell !== -1; cell = previous[cell]) {
+            cells.push(cell);
+        }
+        cells.reverse();
+        
+        // Cost of the straight line between two cells on the route, Infinity if it can't be crossed
+        const position = (cell) => {
+            const i = cell % cols;
+            return { x: minX + i * cellSize, z: minZ + (cell - i) / cols * cellSize };
+        };
+        const lineCost = (from, to) => {
+            const a = position(from);
+            const b = position(to);
+            const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / (cellSize / 2)));
+            const run = Math.hypot(b.x - a.x, b.z - a.z) / steps;
+            let total = 0;
+            let height = heights[from];
+            for (let step = 1; step <= steps; step++) {
+                const x = a.x + (b.x - a.x) * step / steps;
+                const z = a.z + (b.z - a.z) * step / steps;
+                const cell = cellAt(x, z);
+                const next = sampleHeightGrid(grid, x, z);
+                if (cell === -1 || !passable[cell] || !Number.isFinite(next)) return Infinity;
+                total += stepCost(run, next - height);
+                height = next;
+            }
+            return total;
+        };
+        
+        // From each kept point, go straight to the furthest point along that costs no more to reach
+        const points = [{ x: start.x, z: start.z }];
+        let anchor = 0;
+        while (anchor < cells.length - 1) {
+            let next = anchor + 1;
+            for (let k = anchor + 2; k < cells.length; k++) {
+                if (lineCost(cells[anchor], cells[k]) > costs[cells[k]] - costs[cells[anchor]] + 1e-9) break;
+                next = k;
+            }
+            points.push(position(cells[next]));
+            anchor = next;
+        }
+        points[points.length - 1] = { x: end.x, z: end.z };
+        
+        return { points: points, cost: costs[endCell] };
+    }
+
+    return {
+        createRandom,
+        createPlaceholderHeights,
+        getPolygonArea,
+        isPointInPolygon,
+        fitPlane,
+        createHeightGrid,
+        rasterizeTriangles,
+        sampleHeightGrid,
+        getPlaneHeights,
+        computeVolume,
+        analyzeDrainage,
+        createCellQueue,
+        rasterizeAvoidMask,
+        findRoute
+    };
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for the drainage analysis in terrain-grid.js on synthetic height grids
+ * Run with `npm test` (node --test).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const TerrainGrid = require("../terrain-grid.js");
+
+const settings = { streamThreshold: null, minPondDepth: 0.05, minPondArea: 4 };
+
+/**
+ * Height grid of size × size points, height from heightAt(i, j) (NaN leaves a point without terrain)
+ */
+function createGrid(size, cellSize, heightAt) {
+    const heights = new Float32Array(size * size);
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            heights[j * size + i] = heightAt(i, j);
+        }
+    }
+    return { minX: 0, minZ: 0, cellSize: cellSize, cols: size, rows: size, heights: heights };
+}
+
+function outletAccumulation(drainage) {
+    let total = 0;
+    drainage.receivers.forEach((receiver, index) => {
+        if (receiver === -1) total += drainage.accumulation[index];
+    });
+    return total;
+}
+
+test("a cone drains outward without ponds", () => {
+    const distance = index => Math.hypot(index % 21 - 10, Math.floor(index / 21) - 10);
+    const grid = createGrid(21, 1, (i, j) => 10 - Math.hypot(i - 10, j - 10));
+    const drainage = TerrainGrid.analyzeDrainage(grid, settings);
+    
+    assert.strictEqual(drainage.ponds.length, 0);
+    drainage.receivers.forEach((receiver, index) => {
+        if (receiver !== -1) assert.ok(distance(receiver) > distance(index), `cell ${index} drains inward`);
+    });
+    assert.notStrictEqual(drainage.receivers[10 * 21 + 10], -1);
+    assert.strictEqual(drainage.accumulation[10 * 21 + 10], 1);
+});
+
+test("a bowl holds one pond with the volume of its cone", () => {
+    // Inverted cone 8 m deep with an 8 m radius, in flat ground at 8 m: the water
+    // stands level with the rim and holds pi r² h / 3
+    const grid = createGrid(21, 1, (i, j) => Math.min(Math.hypot(i - 10, j - 10), 8));
+    const drainage = TerrainGrid.analyzeDrainage(grid, settings);
+    
+    assert.strictEqual(drainage.ponds.length, 1);
+    const pond = drainage.ponds[0];
+    const expected = Math.PI * 8 * 8 * 8 / 3;
+    assert.ok(Math.abs(pond.volume - expected) / expected < 0.02, `volume ${pond.volume}, expected ${expected}`);
+    assert.ok(Math.abs(pond.level - 8) < 0.01);
+    assert.ok(Math.abs(pond.maxDepth - 8) < 0.01);
+    assert.strictEqual(pond.deepest, 10 * 21 + 10);
+    assert.ok(drainage.filled.every((level, index) => level >= grid.heights[index]));
+});
+
+test("accumulation on a tilted plane adds up to the grid area", () => {
+    const grid = createGrid(30, 2, (i, j) => 0.1 * i + 0.05 * j);
+    const drainage = TerrainGrid.analyzeDrainage(grid, settings);
+    const gridArea = 30 * 30 * 2 * 2;
+    
+    assert.strictEqual(drainage.ponds.length, 0);
+    assert.ok(Math.abs(outletAccumulation(drainage) - gridArea) < 1e-6);
+    assert.ok(drainage.accumulation.every(area => area >= 4 && area <= gridArea));
+    drainage.receivers.forEach((receiver, index) => {
+        if (receiver !== -1) assert.ok(grid.heights[receiver] < grid.heights[index]);
+    });
+});
+
+test("Strahler order rises only where two streams of the same order meet", () => {
+    // One-cell-wide channels with no terrain around them: two branches meet at (5, 5) and the trunk
+    // runs down to (5, 0), where a short side stream joins at (5, 1)
+    const channel = new Map();
+    for (let k = 1; k <= 5; k++) {
+        channel.set(`${5 - k},${5 + k}`, 5 + k);
+        channel.set(`${5 + k},${5 + k}`, 5 + k);
+    }
+    for (let j = 0; j <= 5; j++) {
+        channel.set(`5,${j}`, j);
+    }
+    channel.set("6,2", 3);
+    channel.set("7,2", 4);
+    const grid = createGrid(11, 1, (i, j) => (channel.has(`${i},${j}`) ? channel.get(`${i},${j}`) : NaN));
+    const drainage = TerrainGrid.analyzeDrainage(grid, { ...settings, streamThreshold: 1 });
+    const order = (i, j) => drainage.strahler[j * 11 + i];
+    
+    assert.strictEqual(order(0, 10), 1);
+    assert.strictEqual(order(4, 6), 1);
+    assert.strictEqual(order(5, 5), 2);
+    assert.strictEqual(order(7, 2), 1);
+    assert.strictEqual(order(5, 1), 2);
+    assert.strictEqual(order(5, 0), 2);
+    
+    // Links: both branches, the side stream, and the trunk split at the side stream's confluence
+    const links = drainage.streams.map(stream => stream.order).sort();
+    assert.deepStrictEqual(links, [1, 1, 1, 2, 2]);
+    assert.strictEqual(outletAccumulation(drainage), channel.size);
+});
+
+test("placeholder heights are repeatable and drain the whole terrain", () => {
+    const heights = TerrainGrid.createPlaceholderHeights(81, 1);
+    assert.deepStrictEqual(TerrainGrid.createPlaceholderHeights(81, 1), heights);
+    assert.ok(heights.every(height => height >= 0 && height < 3));
+    
+    const grid = { minX: 0, minZ: 0, cellSize: 3.75, cols: 9, rows: 9, heights: heights };
+    const drainage = TerrainGrid.analyzeDrainage(grid, settings);
+    assert.ok(Math.abs(outletAccumulation(drainage) - 81 * 3.75 * 3.75) < 1e-6);
+    assert.ok(drainage.filled.every((level, index) => level >= heights[index]));
+});
+
+test("createCellQueue pops cells lowest key first and grows past its capacity", () => {
+    const queue = TerrainGrid.createCellQueue(2);
+    [5, 1, 4, 2, 3].forEach(key => queue.push(key * 10, key));
+    assert.strictEqual(queue.size(), 5);
+    
+    const popped = [];
+    while (queue.size() > 0) popped.push(queue.pop());
+    assert.deepStrictEqual(popped, [10, 20, 30, 40, 50]);
+});
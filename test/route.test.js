@@ -0,0 +1,107 @@
+/**
+ * Tests for the route search in terrain-grid.js on synthetic height grids
+ * Run with `npm test` (node --test).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const TerrainGrid = require("../terrain-grid.js");
+
+const settings = { maxSlope: 15, slopePenalty: 1 };
+
+/**
+ * Height grid of size × size points one metre apart, height from heightAt(i, j)
+ */
+function createGrid(size, heightAt) {
+    const heights = new Float32Array(size * size);
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            heights[j * size + i] = heightAt(i, j);
+        }
+    }
+    return { minX: 0, minZ: 0, cellSize: 1, cols: size, rows: size, heights: heights };
+}
+
+function square(minX, minZ, maxX, maxZ) {
+    return [{ x: minX, z: minZ }, { x: maxX, z: minZ }, { x: maxX, z: maxZ }, { x: minX, z: maxZ }];
+}
+
+/**
+ * Where the route crosses x (z of every segment that spans it)
+ */
+function crossings(points, x) {
+    const found = [];
+    for (let k = 1; k < points.length; k++) {
+        const a = points[k - 1];
+        const b = points[k];
+        if ((a.x - x) * (b.x - x) <= 0 && a.x !== b.x) {
+            found.push(a.z + (b.z - a.z) * (x - a.x) / (b.x - a.x));
+        }
+    }
+    return found;
+}
+
+// Ridge 5 m high across x = 9..11, with a flat pass from z = 17 to the edge
+const ridge = (i, j) => (i >= 9 && i <= 11 && j < 17 ? 5 : 0);
+
+test("flat ground gives the straight line", () => {
+    const grid = createGrid(21, () => 1);
+    const route = TerrainGrid.findRoute(grid, { x: 2, z: 3 }, { x: 18, z: 15 }, settings);
+    
+    assert.deepStrictEqual(route.points, [{ x: 2, z: 3 }, { x: 18, z: 15 }]);
+    assert.ok(route.cost >= 20 - 1e-9 && route.cost < 20 * 1.1, `cost ${route.cost}`);
+});
+
+test("a route too steep to climb detours through the pass", () => {
+    const grid = createGrid(21, ridge);
+    const route = TerrainGrid.findRoute(grid, { x: 2, z: 5 }, { x: 18, z: 5 }, settings);
+    
+    assert.ok(route.points, `no route (${route.reason})`);
+    const crossed = crossings(route.points, 10);
+    assert.ok(crossed.length > 0 && crossed.every(z => z >= 17), `crosses the ridge at ${crossed}`);
+    assert.ok(route.cost > 2 * Math.hypot(8, 12));
+});
+
+test("the route climbs straight over when the slope is allowed", () => {
+    const grid = createGrid(21, ridge);
+    const route = TerrainGrid.findRoute(grid, { x: 2, z: 5 }, { x: 18, z: 5 }, { maxSlope: 89, slopePenalty: 0 });
+    
+    assert.ok(route.points, `no route (${route.reason})`);
+    const crossed = crossings(route.points, 10);
+    assert.ok(crossed.length > 0 && crossed.every(z => Math.abs(z - 5) < 1e-9), `crosses the ridge at ${crossed}`);
+});
+
+test("a wall with no way through blocks the route", () => {
+    const grid = createGrid(21, (i, j) => (i >= 9 && i <= 11 ? 5 : 0));
+    const route = TerrainGrid.findRoute(grid, { x: 2, z: 5 }, { x: 18, z: 5 }, settings);
+    
+    assert.deepStrictEqual(route, { points: null, reason: "blocked" });
+});
+
+test("avoid areas are routed around, and a start or end inside one has no route", () => {
+    const grid = createGrid(21, () => 0);
+    // A band across x = 8..12 apart from a hole from z = 15 to 18 that can be crossed
+    const band = [square(8, -1, 12, 21), square(7, 15, 13, 18)];
+    const avoid = TerrainGrid.rasterizeAvoidMask(grid, [band]);
+    assert.strictEqual(avoid[5 * 21 + 10], 1);
+    assert.strictEqual(avoid[16 * 21 + 10], 0);
+    assert.strictEqual(avoid[5 * 21 + 3], 0);
+    
+    const route = TerrainGrid.findRoute(grid, { x: 2, z: 5 }, { x: 18, z: 5 }, settings, avoid);
+    assert.ok(route.points, `no route (${route.reason})`);
+    const crossed = crossings(route.points, 10);
+    assert.ok(crossed.length > 0 && crossed.every(z => z >= 15 && z <= 18), `crosses the band at ${crossed}`);
+    
+    assert.strictEqual(TerrainGrid.findRoute(grid, { x: 10, z: 5 }, { x: 18, z: 5 }, settings, avoid).reason, "start");
+    assert.strictEqual(TerrainGrid.findRoute(grid, { x: 2, z: 5 }, { x: 10, z: 5 }, settings, avoid).reason, "end");
+});
+
+test("sampleHeightGrid interpolates between grid points and is NaN off the terrain", () => {
+    const grid = createGrid(5, (i, j) => (i === 4 && j === 4 ? NaN : i + 2 * j));
+    
+    assert.ok(Math.abs(TerrainGrid.sampleHeightGrid(grid, 1.5, 2.25) - 6) < 1e-6);
+    assert.strictEqual(TerrainGrid.sampleHeightGrid(grid, 3.9, 3.2), 4 + 2 * 3);
+    assert.ok(Number.isNaN(TerrainGrid.sampleHeightGrid(grid, -0.5, 2)));
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for terrain-grid.js on synthetic meshes with known volumes
+ * Run with `npm test` (node --test).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const TerrainGrid = require("../terrain-grid.js");
+
+/**
+ * Square mesh from (0, 0) to (size, size) with one vertex per metre, height from heightAt(x, z)
+ * Returns { vertices, indices } like a terrain mesh in world space
+ */
+function createGridMesh(size, heightAt) {
+    const vertices = [];
+    const indices = [];
+    for (let z = 0; z <= size; z++) {
+        for (let x = 0; x <= size; x++) {
+            vertices.push(x, heightAt(x, z), z);
+        }
+    }
+    for (let z = 0; z < size; z++) {
+        for (let x = 0; x < size; x++) {
+            const a = z * (size + 1) + x;
+            const b = a + 1;
+            const c = a + size + 1;
+            const d = c + 1;
+            indices.push(a, c, b, b, c, d);
+        }
+    }
+    return { vertices: new Float32Array(vertices), indices: indices };
+}
+
+/**
+ * Height grid of a mesh over its whole extent
+ */
+function buildGrid(mesh, size, cellSize) {
+    const grid = TerrainGrid.createHeightGrid(0, 0, size, size, cellSize);
+    TerrainGrid.rasterizeTriangles(grid, mesh.vertices, mesh.indices);
+    return grid;
+}
+
+function square(min, max) {
+    return [{ x: min, z: min }, { x: max, z: min }, { x: max, z: max }, { x: min, z: max }];
+}
+
+const flat = { slopeX: 0, slopeZ: 0, elevation: 0, x: 0, z: 0 };
+
+test("createHeightGrid covers the extent with NaN heights", () => {
+    const grid = TerrainGrid.createHeightGrid(-5, 10, 5, 15, 0.5);
+    assert.strictEqual(grid.cols, 21);
+    assert.strictEqual(grid.rows, 11);
+    assert.strictEqual(grid.heights.length, 21 * 11);
+    assert.ok(grid.heights.every(Number.isNaN));
+});
+
+test("rasterizeTriangles interpolates heights and keeps the highest surface", () => {
+    const grid = buildGrid(createGridMesh(10, (x, z) => 0.1 * x + 0.2 * z), 10, 0.5);
+    assert.ok(Math.abs(grid.heights[4 * grid.cols + 3] - (0.1 * 1.5 + 0.2 * 2)) < 1e-5);
+    
+    const roof = createGridMesh(10, () => 5);
+    TerrainGrid.rasterizeTriangles(grid, roof.vertices, roof.indices);
+    assert.ok(grid.heights.every(height => height === 5));
+});
+
+test("flat plane above the reference is all cut", () => {
+    const grid = buildGrid(createGridMesh(10, () => 2), 10, 0.5);
+    const volume = TerrainGrid.computeVolume(grid, TerrainGrid.getPlaneHeights(grid, flat), square(2, 8));
+    
+    assert.ok(Math.abs(volume.cut - 2 * 36) < 1e-6);
+    assert.strictEqual(volume.fill, 0);
+    assert.ok(Math.abs(volume.net - 72) < 1e-6);
+    assert.strictEqual(volume.area, 36);
+    assert.strictEqual(volume.cutArea, 36);
+    assert.strictEqual(volume.inside.reduce((sum, cell) => sum + cell, 0), 144);
+});
+
+test("box pit fills to its depth times its area", () => {
+    // 2 m deep over the 5 × 5 vertices from 3 to 7; every cell averages its corners, so each of those
+    // vertices adds one square metre of depth whatever the slope of the walls between them
+    const pit = (x, z) => (x >= 3 && x <= 7 && z >= 3 && z <= 7 ? -2 : 0);
+    const grid = buildGrid(createGridMesh(10, pit), 10, 1);
+    const volume = TerrainGrid.computeVolume(grid, TerrainGrid.getPlaneHeights(grid, flat), square(0, 10));
+    
+    assert.ok(Math.abs(volume.fill - 2 * 25) < 1e-6);
+    assert.strictEqual(volume.cut, 0);
+    assert.strictEqual(volume.area, 100);
+    assert.strictEqual(volume.fillArea, 36);
+});
+
+test("sloped plane volume is its area times its mean height", () => {
+    const slope = (x, z) => 1 + 0.1 * x + 0.05 * z;
+    const grid = buildGrid(createGridMesh(10, slope), 10, 0.5);
+    const volume = TerrainGrid.computeVolume(grid, TerrainGrid.getPlaneHeights(grid, flat), square(0, 10));
+    
+    assert.ok(Math.abs(volume.cut - 100 * slope(5, 5)) < 1e-4);
+    assert.strictEqual(volume.fill, 0);
+});
+
+test("fitPlane recovers a sloped plane, leaving no cut or fill against it", () => {
+    const slope = (x, z) => 1 + 0.1 * x + 0.05 * z;
+    const edge = [];
+    for (let t = 0; t <= 10; t++) {
+        edge.push({ x: t, z: 0 }, { x: 10, z: t }, { x: 10 - t, z: 10 }, { x: 0, z: 10 - t });
+    }
+    edge.forEach(point => { point.y = slope(point.x, point.z); });
+    
+    const plane = TerrainGrid.fitPlane(edge);
+    assert.ok(Math.abs(plane.slopeX - 0.1) < 1e-9);
+    assert.ok(Math.abs(plane.slopeZ - 0.05) < 1e-9);
+    
+    const grid = buildGrid(createGridMesh(10, slope), 10, 0.5);
+    const volume = TerrainGrid.computeVolume(grid, TerrainGrid.getPlaneHeights(grid, plane), square(0, 10));
+    assert.ok(volume.cut < 1e-3 && volume.fill < 1e-3);
+});
+
+test("fitPlane is flat through collinear points", () => {
+    const plane = TerrainGrid.fitPlane([{ x: 0, y: 1, z: 0 }, { x: 1, y: 2, z: 1 }, { x: 2, y: 3, z: 2 }]);
+    assert.deepStrictEqual([plane.slopeX, plane.slopeZ, plane.elevation], [0, 0, 2]);
+});
+
+test("cells with missing corners are left out", () => {
+    const grid = TerrainGrid.createHeightGrid(0, 0, 10, 10, 1);
+    const mesh = createGridMesh(5, () => 1);
+    TerrainGrid.rasterizeTriangles(grid, mesh.vertices, mesh.indices);
+    const volume = TerrainGrid.computeVolume(grid, TerrainGrid.getPlaneHeights(grid, flat), square(0, 10));
+    
+    assert.strictEqual(volume.area, 25);
+    assert.ok(Math.abs(volume.cut - 25) < 1e-6);
+});
+
+test("polygon area and containment", () => {
+    const polygon = square(0, 4);
+    assert.strictEqual(TerrainGrid.getPolygonArea(polygon), 16);
+    assert.strictEqual(TerrainGrid.getPolygonArea(polygon.slice().reverse()), -16);
+    assert.ok(TerrainGrid.isPointInPolygon(2, 2, polygon));
+    assert.ok(!TerrainGrid.isPointInPolygon(5, 2, polygon));
+});
+
+test("createRandom repeats for a seed and stays in [0, 1)", () => {
+    const a = TerrainGrid.createRandom(42);
+    const b = TerrainGrid.createRandom(42);
+    const c = TerrainGrid.createRandom(43);
+    const first = Array.from({ length: 1000 }, () => a());
+    
+    assert.deepStrictEqual(Array.from({ length: 1000 }, () => b()), first);
+    assert.notDeepStrictEqual(Array.from({ length: 1000 }, () => c()), first);
+    assert.ok(first.every(value => value >= 0 && value < 1));
+});
@@ -0,0 +1,746 @@
+#!/usr/bin/env node
+/**
+ * Cut a terrain block's OBJ/MTL/JPG export into spatial tiles for streaming
+ * Every tile is written as one binary glTF (.glb) per level of detail, simplified with
+ * meshoptimizer and using downscaled copies of the block's textures, plus a tiles.json
+ * index that the viewer loads instead of the OBJ (see "Tiling Large Blocks" in README.md).
+ *
+ * Usage: node tools/tile-block.js <block directory> [options]
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const jpeg = require("jpeg-js");
+
+const DEFAULT_OPTIONS = {
+    tileSize: 64, // Metres along X and Z
+    lods: 3, // Levels of detail per tile, 0 = full detail
+    lodError: 0.05, // Allowed deviation of LOD 1 in metres, four times more per level after that
+    lodDistances: null, // Camera distances where each level hands over to the next (default: tileSize, 3 × tileSize, ...)
+    maxTextureSize: 4096, // Largest texture side at LOD 0, halved per level
+    minTextureSize: 256,
+    jpegQuality: 85,
+    output: "tiles", // Directory inside the block
+    updateDescriptor: true // Point block.json at the new tiles.json
+};
+
+const USAGE = `Usage: node tools/tile-block.js <block directory> [options]
+
+Options:
+  --tile-size <m>          Tile size along X and Z (default ${DEFAULT_OPTIONS.tileSize})
+  --lods <n>               Levels of detail per tile (default ${DEFAULT_OPTIONS.lods})
+  --lod-error <m>          Allowed simplification error of LOD 1, x4 per level (default ${DEFAULT_OPTIONS.lodError})
+  --lod-distances <a,b>    Distances where each level hands over to the next (default tile size, 3x tile size, ...)
+  --max-texture <px>       Largest texture side at LOD 0, halved per level (default ${DEFAULT_OPTIONS.maxTextureSize})
+  --min-texture <px>       Smallest texture side (default ${DEFAULT_OPTIONS.minTextureSize})
+  --jpeg-quality <1-100>   Quality of the downscaled textures (default ${DEFAULT_OPTIONS.jpegQuality})
+  --output <dir>           Output directory inside the block (default "${DEFAULT_OPTIONS.output}")
+  --no-descriptor          Don't add the tile index to block.json`;
+
+/**
+ * Typed array that grows as values are pushed, for the large OBJ arrays
+ */
+class GrowableArray {
+    constructor(Type, capacity = 1 << 16) {
+        this.data = new Type(capacity);
+        this.length = 0;
+    }
+
+    push(value) {
+        if (this.length === this.data.length) {
+            const data = new this.data.constructor(this.data.length * 2);
+            data.set(this.data);
+            this.data = data;
+        }
+        this.data[this.length++] = value;
+    }
+
+    toArray() {
+        return this.data.subarray(0, this.length);
+    }
+}
+
+/**
+ * Read the command line into { blockDir, options }
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+    let blockDir = null;
+
+    const numberOption = (name, value, integer = false) => {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+            throw new Error(`${name} needs a positive ${integer ? "whole " : ""}number, got "${value}"`);
+        }
+        return number;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case "--tile-size": options.tileSize = numberOption(arg, next()); break;
+            case "--lods": options.lods = numberOption(arg, next(), true); break;
+            case "--lod-error": options.lodError = numberOption(arg, next()); break;
+            case "--lod-distances": options.lodDistances = next().split(",").map(value => numberOption(arg, value)); break;
+            case "--max-texture": options.maxTextureSize = numberOption(arg, next(), true); break;
+            case "--min-texture": options.minTextureSize = numberOption(arg, next(), true); break;
+            case "--jpeg-quality": options.jpegQuality = Math.min(100, numberOption(arg, next(), true)); break;
+            case "--output": options.output = next(); break;
+            case "--no-descriptor": options.updateDescriptor = false; break;
+            case "--help":
+            case "-h":
+                return { blockDir: null, options };
+            default:
+                if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+                if (blockDir) throw new Error(`Only one block directory can be tiled at a time (got ${blockDir} and ${arg})`);
+                blockDir = arg;
+        }
+    }
+
+    if (!options.lodDistances) {
+        options.lodDistances = Array.from({ length: options.lods - 1 }, (_, i) => options.tileSize * (2 * i + 1));
+    } else if (options.lodDistances.length !== options.lods - 1) {
+        throw new Error(`--lod-distances needs ${options.lods - 1} value(s) for ${options.lods} levels of detail`);
+    }
+
+    return { blockDir, options };
+}
+
+/**
+ * Check a file isn't a Git LFS pointer left by a clone without `git lfs pull`
+ */
+function assertNotLfsPointer(file) {
+    const head = Buffer.alloc(64);
+    const fd = fs.openSync(file, "r");
+    const bytesRead = fs.readSync(fd, head, 0, head.length, 0);
+    fs.closeSync(fd);
+
+    if (head.subarray(0, bytesRead).toString("utf8").startsWith("version https://git-lfs.github.com/spec/")) {
+        throw new Error(`${file} is a Git LFS pointer file. Run \`git lfs pull\` to download the real file.`);
+    }
+}
+
+/**
+ * Stream an OBJ file into typed arrays, triangulating polygons as fans
+ * Returns { positions, uvs, cornerPositions, cornerUvs, triangleMaterials, materials, mtllib }
+ * (three corners per triangle; a corner without texture coordinates has uv index -1)
+ */
+async function readObj(file) {
+    const positions = new GrowableArray(Float64Array);
+    const uvs = new GrowableArray(Float32Array);
+    const cornerPositions = new GrowableArray(Int32Array);
+    const cornerUvs = new GrowableArray(Int32Array);
+    const triangleMaterials = new GrowableArray(Uint16Array);
+    const materials = [];
+    const materialIndices = new Map();
+    let material = 0;
+    let mtllib = null;
+
+    const useMaterial = (name) => {
+        if (!materialIndices.has(name)) {
+            materialIndices.set(name, materials.length);
+            materials.push(name);
+        }
+        return materialIndices.get(name);
+    };
+    material = useMaterial(null); // Faces before the first usemtl
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineCount = 0;
+
+    for await (const rawLine of lines) {
+        if (++lineCount % 1000000 === 0) {
+            console.log(`  ${lineCount / 1000000}M lines, ${triangleMaterials.length} triangles`);
+        }
+
+        const line = rawLine.trim();
+        if (line.length === 0 || line[0] === "#") continue;
+        const parts = line.split(/\s+/);
+
+        switch (parts[0]) {
+            case "v":
+                positions.push(parseFloat(parts[1]));
+                positions.push(parseFloat(parts[2]));
+                positions.push(parseFloat(parts[3]));
+                break;
+            case "vt":
+                uvs.push(parseFloat(parts[1]));
+                uvs.push(parseFloat(parts[2]) || 0);
+                break;
+            case "f": {
+                // Indices are 1-based, negative ones count back from the latest vertex
+                const positionCount = positions.length / 3;
+                const uvCount = uvs.length / 2;
+                const corners = parts.slice(1).map(corner => {
+                    const [v, vt] = corner.split("/");
+                    const position = parseInt(v, 10);
+                    const uv = vt ? parseInt(vt, 10) : 0;
+                    return {
+                        position: position < 0 ? positionCount + position : position - 1,
+                        uv: uv === 0 ? -1 : (uv < 0 ? uvCount + uv : uv - 1)
+                    };
+                });
+
+                for (let i = 1; i + 1 < corners.length; i++) {
+                    [corners[0], corners[i], corners[i + 1]].forEach(corner => {
+                        cornerPositions.push(corner.position);
+                        cornerUvs.push(corner.uv);
+                    });
+                    triangleMaterials.push(material);
+                }
+                break;
+            }
+            case "usemtl":
+                material = useMaterial(line.slice(6).trim());
+                break;
+            case "mtllib":
+                mtllib = line.slice(6).trim();
+                break;
+        }
+    }
+
+    return {
+        positions: positions.toArray(),
+        uvs: uvs.toArray(),
+        cornerPositions: cornerPositions.toArray(),
+        cornerUvs: cornerUvs.toArray(),
+        triangleMaterials: triangleMaterials.toArray(),
+        materials: materials,
+        mtllib: mtllib
+    };
+}
+
+/**
+ * Read the diffuse colour and texture of every material in an MTL file
+ * Returns name -> { color: [r, g, b], texture: file name or null }
+ */
+function readMtl(file) {
+    const materials = new Map();
+    let current = null;
+
+    fs.readFileSync(file, "utf8").split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        const parts = line.split(/\s+/);
+
+        if (parts[0] === "newmtl") {
+            current = { color: [1, 1, 1], texture: null };
+            materials.set(line.slice(6).trim(), current);
+        } else if (current && parts[0] === "Kd") {
+            current.color = parts.slice(1, 4).map(Number);
+        } else if (current && parts[0] === "map_Kd") {
+            // Options such as "-bm 1.0" may come before the file name, which is always last
+            current.texture = parts[parts.length - 1];
+        }
+    });
+
+    return materials;
+}
+
+/**
+ * Smooth normals for every OBJ position, weighted by triangle area
+ * Computed over the whole block so normals match across tile edges
+ */
+function computeNormals(model) {
+    const { positions, cornerPositions } = model;
+    const normals = new Float32Array(positions.length);
+
+    for (let i = 0; i < cornerPositions.length; i += 3) {
+        const a = cornerPositions[i] * 3;
+        const b = cornerPositions[i + 1] * 3;
+        const c = cornerPositions[i + 2] * 3;
+        const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+        const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+        const nx = aby * acz - abz * acy;
+        const ny = abz * acx - abx * acz;
+        const nz = abx * acy - aby * acx;
+
+        [a, b, c].forEach(index => {
+            normals[index] += nx;
+            normals[index + 1] += ny;
+            normals[index + 2] += nz;
+        });
+    }
+
+    for (let i = 0; i < normals.length; i += 3) {
+        const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+        normals[i] /= length;
+        normals[i + 1] /= length;
+        normals[i + 2] /= length;
+    }
+    return normals;
+}
+
+/**
+ * Group triangles into square tiles by the XZ position of their centre
+ * Returns a Map of "column_row" -> Int32Array of triangle indices
+ */
+function assignTiles(model, tileSize) {
+    const { positions, cornerPositions } = model;
+    let minX = Infinity;
+    let minZ = Infinity;
+    for (let i = 0; i < positions.length; i += 3) {
+        minX = Math.min(minX, positions[i]);
+        minZ = Math.min(minZ, positions[i + 2]);
+    }
+
+    const tiles = new Map();
+    for (let triangle = 0; triangle < cornerPositions.length / 3; triangle++) {
+        let x = 0;
+        let z = 0;
+        for (let corner = 0; corner < 3; corner++) {
+            const index = cornerPositions[triangle * 3 + corner] * 3;
+            x += positions[index] / 3;
+            z += positions[index + 2] / 3;
+        }
+
+        const id = `${Math.floor((x - minX) / tileSize)}_${Math.floor((z - minZ) / tileSize)}`;
+        if (!tiles.has(id)) tiles.set(id, new GrowableArray(Int32Array, 1024));
+        tiles.get(id).push(triangle);
+    }
+
+    return new Map([...tiles].map(([id, triangles]) => [id, triangles.toArray()]));
+}
+
+/**
+ * Full-detail mesh of one tile: one vertex per distinct OBJ position/uv/material corner
+ * Texture V is flipped to glTF's top-left origin
+ */
+function buildTileMesh(model, normals, triangles) {
+    const uvCount = model.uvs.length / 2;
+    const materialCount = model.materials.length;
+    const vertexIndices = new Map();
+    const positions = new GrowableArray(Float32Array);
+    const vertexNormals = new GrowableArray(Float32Array);
+    const uvs = new GrowableArray(Float32Array);
+    const vertexMaterials = new GrowableArray(Uint16Array);
+    const indices = new Uint32Array(triangles.length * 3);
+
+    triangles.forEach((triangle, triangleIndex) => {
+        const material = model.triangleMaterials[triangle];
+        for (let corner = 0; corner < 3; corner++) {
+            const position = model.cornerPositions[triangle * 3 + corner];
+            const uv = model.cornerUvs[triangle * 3 + corner];
+            const key = (position * (uvCount + 1) + uv + 1) * materialCount + material;
+
+            let vertex = vertexIndices.get(key);
+            if (vertex === undefined) {
+                vertex = vertexMaterials.length;
+                vertexIndices.set(key, vertex);
+                for (let axis = 0; axis < 3; axis++) {
+                    positions.push(model.positions[position * 3 + axis]);
+                    vertexNormals.push(normals[position * 3 + axis]);
+                }
+                uvs.push(uv === -1 ? 0 : model.uvs[uv * 2]);
+                uvs.push(uv === -1 ? 0 : 1 - model.uvs[uv * 2 + 1]);
+                vertexMaterials.push(material);
+            }
+            indices[triangleIndex * 3 + corner] = vertex;
+        }
+    });
+
+    return {
+        positions: positions.toArray(),
+        normals: vertexNormals.toArray(),
+        uvs: uvs.toArray(),
+        vertexMaterials: vertexMaterials.toArray(),
+        indices: indices
+    };
+}
+
+/**
+ * Simplify a tile to a fraction of its triangles, keeping its outline so neighbouring tiles still meet
+ * Vertices that share a position across texture seams may only move along the seam, so each
+ * triangle keeps the vertices (and material) of one texture.
+ */
+function simplifyTileMesh(simplifier, mesh, ratio, error) {
+    const targetCount = Math.max(3, Math.floor(mesh.indices.length * ratio / 3) * 3);
+    const [indices] = simplifier.simplify(mesh.indices, mesh.positions, 3, targetCount, error, ["LockBorder", "ErrorAbsolute"]);
+    return indices;
+}
+
+/**
+ * Keep only the vertices a level of detail still uses, and split its triangles by material
+ * Returns { positions, normals, uvs, primitives: [{ material, indices }] }
+ */
+function compactTileMesh(mesh, indices) {
+    const remap = new Int32Array(mesh.vertexMaterials.length).fill(-1);
+    let vertexCount = 0;
+    indices.forEach(index => {
+        if (remap[index] === -1) remap[index] = vertexCount++;
+    });
+
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    remap.forEach((target, source) => {
+        if (target === -1) return;
+        positions.set(mesh.positions.subarray(source * 3, source * 3 + 3), target * 3);
+        normals.set(mesh.normals.subarray(source * 3, source * 3 + 3), target * 3);
+        uvs.set(mesh.uvs.subarray(source * 2, source * 2 + 2), target * 2);
+    });
+
+    const byMaterial = new Map();
+    for (let i = 0; i < indices.length; i += 3) {
+        const material = mesh.vertexMaterials[indices[i]];
+        if (!byMaterial.has(material)) byMaterial.set(material, new GrowableArray(Uint32Array, 1024));
+        const list = byMaterial.get(material);
+        list.push(remap[indices[i]]);
+        list.push(remap[indices[i + 1]]);
+        list.push(remap[indices[i + 2]]);
+    }
+
+    return {
+        positions: positions,
+        normals: normals,
+        uvs: uvs,
+        primitives: [...byMaterial].map(([material, list]) => ({ material: material, indices: list.toArray() }))
+    };
+}
+
+/**
+ * Halve an RGBA image (box filter); odd last rows/columns are dropped
+ */
+function halveImage(image) {
+    const width = Math.max(1, image.width >> 1);
+    const height = Math.max(1, image.height >> 1);
+    const data = new Uint8Array(width * height * 4);
+    const stepX = image.width > 1 ? 1 : 0;
+    const stepY = image.height > 1 ? 1 : 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const topLeft = ((y * 2) * image.width + x * 2) * 4;
+            const topRight = topLeft + stepX * 4;
+            const bottomLeft = topLeft + stepY * image.width * 4;
+            const bottomRight = bottomLeft + stepX * 4;
+            for (let channel = 0; channel < 4; channel++) {
+                data[(y * width + x) * 4 + channel] = (image.data[topLeft + channel] + image.data[topRight + channel] +
+                    image.data[bottomLeft + channel] + image.data[bottomRight + channel] + 2) >> 2;
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Write each material's texture at the size every level of detail uses
+ * Returns material name -> [texture path relative to the output directory, per level] (or null when untextured)
+ */
+function writeTextures(materials, mtlDir, outputDir, options) {
+    const textureDir = path.join(outputDir, "textures");
+    fs.mkdirSync(textureDir, { recursive: true });
+    const written = new Map(); // Source texture -> paths per level, shared by materials using the same file
+    const result = new Map();
+
+    materials.forEach((material, name) => {
+        if (!material.texture) {
+            result.set(name, null);
+            return;
+        }
+        if (written.has(material.texture)) {
+            result.set(name, written.get(material.texture));
+            return;
+        }
+
+        const source = path.join(mtlDir, material.texture);
+        const baseName = path.basename(material.texture, path.extname(material.texture));
+        let levels = null;
+
+        try {
+            assertNotLfsPointer(source);
+            if (!/\.jpe?g$/i.test(source)) {
+                // Only JPEGs are downscaled; other formats are used as they are at every level
+                const copy = path.basename(source);
+                fs.copyFileSync(source, path.join(textureDir, copy));
+                console.warn(`  ${material.texture} is not a JPEG and was copied without downscaling`);
+                levels = Array(options.lods).fill(`textures/${copy}`);
+            } else {
+                let image = jpeg.decode(fs.readFileSync(source), { useTArray: true, maxMemoryUsageInMB: 4096, maxResolutionInMP: 1000 });
+                console.log(`  ${material.texture} (${image.width}x${image.height})`);
+                const files = new Map(); // Width -> file, levels that end up the same size share one
+                levels = [];
+
+                for (let level = 0; level < options.lods; level++) {
+                    const limit = Math.max(options.minTextureSize, options.maxTextureSize >> level);
+                    while (Math.max(image.width, image.height) > limit) {
+                        image = halveImage(image);
+                    }
+                    if (!files.has(image.width)) {
+                        const file = `${baseName}_${image.width}.jpg`;
+                        fs.writeFileSync(path.join(textureDir, file), jpeg.encode(image, options.jpegQuality).data);
+                        files.set(image.width, `textures/${file}`);
+                    }
+                    levels.push(files.get(image.width));
+                }
+            }
+        } catch (error) {
+            console.warn(`  Texture ${material.texture} of material ${name} was skipped: ${error.message}`);
+        }
+
+        written.set(material.texture, levels);
+        result.set(name, levels);
+    });
+
+    return result;
+}
+
+/**
+ * Write one level of detail of a tile as a binary glTF
+ * Positions stay in OBJ coordinates: Babylon's glTF loader mirrors X exactly like its OBJ loader does.
+ */
+function writeGlb(file, mesh, materials, textureLevels, level) {
+    const chunks = [];
+    let byteLength = 0;
+    const bufferViews = [];
+    const accessors = [];
+
+    const addView = (array, target) => {
+        const bytes = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+        bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target: target });
+        chunks.push(bytes);
+        byteLength += bytes.length;
+
+        // Every view starts on a 4-byte boundary
+        const padding = (4 - (byteLength % 4)) % 4;
+        if (padding > 0) {
+            chunks.push(Buffer.alloc(padding));
+            byteLength += padding;
+        }
+        return bufferViews.length - 1;
+    };
+    const addAccessor = (array, type, componentType, target, extra = {}) => {
+        const size = { SCALAR: 1, VEC2: 2, VEC3: 3 }[type];
+        accessors.push({
+            bufferView: addView(array, target),
+            componentType: componentType,
+            count: array.length / size,
+            type: type,
+            ...extra
+        });
+        return accessors.length - 1;
+    };
+
+    // POSITION accessors must declare their extent
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < mesh.positions.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], mesh.positions[i + axis]);
+            max[axis] = Math.max(max[axis], mesh.positions[i + axis]);
+        }
+    }
+
+    const FLOAT = 5126;
+    const ARRAY_BUFFER = 34962;
+    const ELEMENT_ARRAY_BUFFER = 34963;
+    const attributes = {
+        POSITION: addAccessor(mesh.positions, "VEC3", FLOAT, ARRAY_BUFFER, { min, max }),
+        NORMAL: addAccessor(mesh.normals, "VEC3", FLOAT, ARRAY_BUFFER),
+        TEXCOORD_0: addAccessor(mesh.uvs, "VEC2", FLOAT, ARRAY_BUFFER)
+    };
+
+    const useShortIndices = mesh.positions.length / 3 <= 65535;
+    const gltfMaterials = [];
+    const images = [];
+    const textures = [];
+    const materialIndices = new Map();
+
+    const primitives = mesh.primitives.map(primitive => {
+        const name = materials.names[primitive.material];
+        if (!materialIndices.has(name)) {
+            const source = materials.definitions.get(name) || { color: [1, 1, 1] };
+            const texture = textureLevels.get(name) ? textureLevels.get(name)[level] : null;
+            const pbr = { metallicFactor: 0, roughnessFactor: 1 };
+            if (texture) {
+                images.push({ uri: texture });
+                textures.push({ source: images.length - 1, sampler: 0 });
+                pbr.baseColorTexture = { index: textures.length - 1 };
+            } else {
+                pbr.baseColorFactor = [...source.color, 1];
+            }
+            gltfMaterials.push({ name: name || "default", pbrMetallicRoughness: pbr, doubleSided: true });
+            materialIndices.set(name, gltfMaterials.length - 1);
+        }
+
+        const indices = useShortIndices ? Uint16Array.from(primitive.indices) : primitive.indices;
+        return {
+            attributes: attributes,
+            indices: addAccessor(indices, "SCALAR", useShortIndices ? 5123 : 5125, ELEMENT_ARRAY_BUFFER),
+            material: materialIndices.get(name)
+        };
+    });
+
+    const gltf = {
+        asset: { version: "2.0", generator: "farm viewer tools/tile-block.js" },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ name: path.basename(file, ".glb"), mesh: 0 }],
+        meshes: [{ primitives: primitives }],
+        materials: gltfMaterials,
+        accessors: accessors,
+        bufferViews: bufferViews,
+        buffers: [{ byteLength: byteLength }]
+    };
+    if (textures.length > 0) {
+        gltf.images = images;
+        gltf.textures = textures;
+        gltf.samplers = [{ magFilter: 9729, minFilter: 9987, wrapS: 33071, wrapT: 33071 }];
+    }
+
+    // JSON chunk is padded with spaces, the binary chunk with zeros
+    let json = Buffer.from(JSON.stringify(gltf), "utf8");
+    json = Buffer.concat([json, Buffer.alloc((4 - (json.length % 4)) % 4, " ")]);
+    const bin = Buffer.concat(chunks);
+
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(0x46546c67, 0); // "glTF"
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(12 + 8 + json.length + 8 + bin.length, 8);
+    const chunkHeader = (length, type) => {
+        const buffer = Buffer.alloc(8);
+        buffer.writeUInt32LE(length, 0);
+        buffer.writeUInt32LE(type, 4);
+        return buffer;
+    };
+
+    fs.writeFileSync(file, Buffer.concat([
+        header,
+        chunkHeader(json.length, 0x4e4f534a), json, // "JSON"
+        chunkHeader(bin.length, 0x004e4942), bin // "BIN"
+    ]));
+    return { min, max };
+}
+
+/**
+ * OBJ-space extent to viewer bounds ({ min: [x, y, z], max: [x, y, z] }, X mirrored like the loaders do)
+ */
+function toViewerBounds(min, max) {
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        min: [round(-max[0]), round(min[1]), round(min[2])],
+        max: [round(-min[0]), round(max[1]), round(max[2])]
+    };
+}
+
+async function tileBlock(blockDir, options) {
+    const { MeshoptSimplifier } = await import("meshoptimizer");
+    await MeshoptSimplifier.ready;
+
+    const descriptorFile = path.join(blockDir, "block.json");
+    const descriptor = JSON.parse(fs.readFileSync(descriptorFile, "utf8"));
+    if (!descriptor.obj) {
+        throw new Error(`${descriptorFile} does not declare an "obj" file`);
+    }
+
+    const objFile = path.join(blockDir, descriptor.obj);
+    assertNotLfsPointer(objFile);
+    console.log(`Reading ${objFile}`);
+    const model = await readObj(objFile);
+    console.log(`Read ${model.positions.length / 3} vertices and ${model.triangleMaterials.length} triangles ` +
+        `using ${model.materials.length - 1} material(s)`);
+    if (model.triangleMaterials.length === 0) {
+        throw new Error(`${objFile} has no faces`);
+    }
+
+    const mtlName = descriptor.mtl || model.mtllib;
+    const mtlFile = mtlName ? path.join(path.dirname(objFile), mtlName) : null;
+    const definitions = mtlFile && fs.existsSync(mtlFile) ? readMtl(mtlFile) : new Map();
+    if (mtlFile && definitions.size === 0) {
+        console.warn(`Material file ${mtlFile} is missing or empty; tiles will be untextured`);
+    }
+
+    const outputDir = path.join(blockDir, options.output);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    console.log("Downscaling textures");
+    const usedDefinitions = new Map(model.materials.filter(name => definitions.has(name)).map(name => [name, definitions.get(name)]));
+    const textureLevels = writeTextures(usedDefinitions, path.dirname(mtlFile || objFile), outputDir, options);
+
+    const normals = computeNormals(model);
+    const tiles = assignTiles(model, options.tileSize);
+    const materials = { names: model.materials, definitions: definitions };
+    console.log(`Writing ${tiles.size} tile(s) of ${options.tileSize} m with ${options.lods} level(s) of detail`);
+
+    const index = {
+        version: 1,
+        source: descriptor.obj,
+        tileSize: options.tileSize,
+        bounds: null,
+        lods: Array.from({ length: options.lods }, (_, level) => ({
+            maxDistance: level < options.lods - 1 ? options.lodDistances[level] : null,
+            error: level === 0 ? 0 : options.lodError * Math.pow(4, level - 1)
+        })),
+        tiles: []
+    };
+    const blockMin = [Infinity, Infinity, Infinity];
+    const blockMax = [-Infinity, -Infinity, -Infinity];
+
+    for (const [id, triangles] of tiles) {
+        const mesh = buildTileMesh(model, normals, triangles);
+        const tile = { id: id, bounds: null, lods: [] };
+
+        for (let level = 0; level < options.lods; level++) {
+            const indices = level === 0
+                ? mesh.indices
+                : simplifyTileMesh(MeshoptSimplifier, mesh, Math.pow(0.25, level), index.lods[level].error);
+            const file = `${id}_lod${level}.glb`;
+            const extent = writeGlb(path.join(outputDir, file), compactTileMesh(mesh, indices), materials, textureLevels, level);
+
+            if (level === 0) {
+                tile.bounds = toViewerBounds(extent.min, extent.max);
+                for (let axis = 0; axis < 3; axis++) {
+                    blockMin[axis] = Math.min(blockMin[axis], extent.min[axis]);
+                    blockMax[axis] = Math.max(blockMax[axis], extent.max[axis]);
+                }
+            }
+            tile.lods.push({ file: file, triangles: indices.length / 3 });
+        }
+
+        console.log(`  Tile ${id}: ${tile.lods.map(lod => lod.triangles).join(" / ")} triangles`);
+        index.tiles.push(tile);
+    }
+
+    index.bounds = toViewerBounds(blockMin, blockMax);
+    const indexFile = path.join(outputDir, "tiles.json");
+    fs.writeFileSync(indexFile, JSON.stringify(index, null, 2) + "\n");
+    console.log(`Wrote ${indexFile}`);
+
+    if (options.updateDescriptor) {
+        descriptor.tiles = path.posix.join(options.output.split(path.sep).join("/"), "tiles.json");
+        fs.writeFileSync(descriptorFile, JSON.stringify(descriptor, null, 2) + "\n");
+        console.log(`${descriptorFile} now points the viewer at ${descriptor.tiles}`);
+    }
+
+    console.log(`Block bounds for manifest.json: ${JSON.stringify(index.bounds)}`);
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (!args.blockDir) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        await tileBlock(args.blockDir, args.options);
+    } catch (error) {
+        console.error(`Tiling failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();